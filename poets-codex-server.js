@@ -3,78 +3,111 @@ const express = require('express');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const EncryptedPermanentStorage = require('./server/src/services/EncryptedPermanentStorage');
+const BackupService = require('./server/src/services/BackupService');
+const BackupScheduler = require('./server/src/services/BackupScheduler');
+const TrashPurgeJob = require('./server/src/services/TrashPurgeJob');
+const IntegrityMonitor = require('./server/src/services/IntegrityMonitor');
+const EncryptedUploadStore = require('./server/src/services/EncryptedUploadStore');
+const UploadSweeper = require('./server/src/services/UploadSweeper');
+const Ledger = require('./server/src/services/Ledger');
+const LedgerCheckpoints = require('./server/src/services/LedgerCheckpoints');
+const LedgerTimestamps = require('./server/src/services/LedgerTimestamps');
+const LedgerService = require('./server/src/services/LedgerService');
+const ContentHashMigration = require('./server/src/services/ContentHashMigration');
+const { createRepositories } = require('./server/src/repositories');
+const { JWT_SECRET } = require('./server/src/middleware/auth');
+const { presentPoem } = require('./server/src/utils/poemFormat');
+const { pageResponse } = require('./server/src/utils/cursor');
+const poemRoutes = require('./server/src/routes/poemRoutes');
+const userRoutes = require('./server/src/routes/userRoutes');
+const searchRoutes = require('./server/src/routes/searchRoutes');
+const ledgerRoutes = require('./server/src/routes/ledgerRoutes');
+const certificateRoutes = require('./server/src/routes/certificateRoutes');
+const transferRoutes = require('./server/src/routes/transferRoutes');
+const invitationRoutes = require('./server/src/routes/invitationRoutes');
+const wellKnownRoutes = require('./server/src/routes/wellKnownRoutes');
+const uploadRoutes = require('./server/src/routes/uploadRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
-const JWT_SECRET = process.env.JWT_SECRET || 'public-codex-change-this-in-production';
 
 // Initialize permanent storage
 const permanentStorage = new EncryptedPermanentStorage();
-
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir);
-}
-
-// Multer configuration for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadsDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'poem-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  }
-});
+const backupService = new BackupService(permanentStorage);
+const backupScheduler = new BackupScheduler(backupService);
+
+// The shared routes under server/src/routes run on the same encrypted storage
+app.locals.repositories = createRepositories('sqlite', { storage: permanentStorage });
+
+// Uploaded images and readings are encrypted on disk and only served through /api/uploads/:id
+const uploadsDir = path.resolve(__dirname, process.env.UPLOAD_PATH || 'uploads');
+const uploadStore = new EncryptedUploadStore(permanentStorage, uploadsDir);
+const uploadSweeper = new UploadSweeper(uploadStore);
+app.locals.uploads = uploadStore;
+
+// Authorship events go to the ledger_entries table and to ledger.jsonl next
+// to the database; the shared routes below record through app.locals.ledger
+const ledger = Ledger.createLedger('sqlite', { storage: permanentStorage });
+const ledgerCheckpoints = new LedgerCheckpoints(ledger);
+const ledgerTimestamps = new LedgerTimestamps(ledger);
+app.locals.ledger = ledger;
+app.locals.ledgerCheckpoints = ledgerCheckpoints;
+app.locals.ledgerTimestamps = ledgerTimestamps;
+
+// Storage and ledger checks for /api/health and the ledger routes, run on a
+// timer rather than per request
+const integrityMonitor = new IntegrityMonitor({ ledger, storage: permanentStorage });
+app.locals.ledgerService = new LedgerService(ledger, ledgerCheckpoints, ledgerTimestamps, integrityMonitor);
+
+// Deleted poems wait in the trash, then are purged with their images
+const trashPurgeJob = new TrashPurgeJob(app.locals.repositories.poems, { ledger, uploads: uploadStore });
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files
-app.use('/uploads', express.static(uploadsDir));
-
 // Initialize storage and start server
 async function startServer() {
   try {
     await permanentStorage.initialize();
     console.log('✅ Permanent encrypted storage ready');
+    backupScheduler.start();
+    await ledger.initialize();
+    ledgerCheckpoints.initialize();
+    ledgerCheckpoints.start();
+    ledgerTimestamps.initialize();
+    ledgerTimestamps.start();
+    await new ContentHashMigration(app.locals.repositories.poems, ledger).run();
+    trashPurgeJob.start();
+    await uploadStore.importLegacyFiles();
+    uploadSweeper.start();
+    integrityMonitor.start();
   } catch (error) {
     console.error('❌ Failed to initialize storage - falling back to in-memory mode');
   }
 
-  // Health check endpoint
-  app.get('/api/health', async (req, res) => {
-    try {
-      const stats = await permanentStorage.getStats();
-      res.json({
-        status: 'healthy',
-        timestamp: new Date().toISOString(),
-        storage: stats
-      });
-    } catch (error) {
-      res.status(500).json({ status: 'error', message: error.message });
-    }
+  // Health check endpoint. Storage statistics and ledger integrity come from
+  // the last IntegrityMonitor run, with its age; nothing is scanned per request.
+  app.get('/api/health', (req, res) => {
+    const integrity = integrityMonitor.getStatus();
+    const lastCheck = integrity.lastCheck;
+
+    res.json({
+      // Records that fail authentication, and ledger copies whose chain
+      // breaks, are reported here rather than hidden
+      status: lastCheck && !lastCheck.ok ? 'degraded' : 'healthy',
+      timestamp: new Date().toISOString(),
+      integrity,
+      backups: backupScheduler.getStatus(),
+      trash: trashPurgeJob.getStatus(),
+      uploads: uploadSweeper.getStatus(),
+      ledger: ledger.getStatus(),
+      ledgerCheckpoints: ledgerCheckpoints.getStatus(),
+      ledgerTimestamps: ledgerTimestamps.getStatus()
+    });
   });
 
   // User Registration
@@ -120,6 +153,13 @@ async function startServer() {
         profile: {}
       });
 
+      // Record the registration in the ledger (ids only: entries outlive crypto-shredding)
+      await ledger.record({
+        eventType: 'USER_REGISTERED',
+        authorId: user.id,
+        actorId: user.id
+      });
+
       // Generate token
       const token = jwt.sign(
         { userId: user.id, username: user.username, email: user.email },
@@ -178,6 +218,12 @@ async function startServer() {
         });
       }
 
+      await ledger.record({
+        eventType: 'USER_LOGIN',
+        authorId: user.id,
+        actorId: user.id
+      });
+
       // Generate token
       const token = jwt.sign(
         { userId: user.id, username: user.username, email: user.email },
@@ -236,12 +282,12 @@ async function startServer() {
     }
   });
 
-  // Create poem
-  app.post('/api/poems', upload.single('image'), async (req, res) => {
+  // Delete account and crypto-shred all of the user's data
+  app.delete('/api/auth/me', async (req, res) => {
     const token = req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
+      return res.status(401).json({ success: false, message: 'No token provided' });
     }
 
     try {
@@ -249,125 +295,41 @@ async function startServer() {
       const user = await permanentStorage.findUserById(decoded.userId);
       
       if (!user) {
-        return res.status(404).json({ message: 'User not found' });
+        return res.status(404).json({ success: false, message: 'User not found' });
       }
 
-      const { title, body, license, mood, style, visibility, tags, contentType } = req.body;
-      
-      if (!title || !body) {
+      // Irreversible, so require the password again
+      const { password } = req.body;
+      const account = await permanentStorage.findUserByEmail(user.email);
+      if (!password || !(await bcrypt.compare(password, account.password))) {
         return res.status(400).json({
           success: false,
-          message: 'Title and body are required'
+          message: 'Password confirmation is required to delete your account'
         });
       }
 
-      const poem = await permanentStorage.createPoem({
-        title,
-        body,
-        author: user.id,
-        license: license || 'All Rights Reserved',
-        mood: mood || 'contemplative',
-        style: style || 'free-verse',
-        visibility: visibility || 'public',
-        tags: tags ? JSON.parse(tags) : [],
-        image: req.file ? `/uploads/${req.file.filename}` : null,
-        contentType: contentType || 'poetry'
-      });
-
-      res.status(201).json({
-        success: true,
-        message: 'Content created successfully',
-        poem
-      });
+      const result = await permanentStorage.forgetAuthor(user.id);
 
-    } catch (error) {
-      console.error('Create poem error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Server error creating poem'
-      });
-    }
-  });
-
-  // Get poem by ID
-  app.get('/api/poems/:id', async (req, res) => {
-    try {
-      const poem = await permanentStorage.findPoemById(req.params.id);
-      
-      if (!poem) {
-        return res.status(404).json({
-          success: false,
-          message: 'Poem not found'
-        });
+      // The destroyed key must leave the keystore export too
+      try {
+        backupService.exportKeyStore();
+      } catch (exportError) {
+        console.error('❌ Keystore export after account deletion failed:', exportError);
       }
 
-      // Get author info
-      const author = await permanentStorage.findUserById(poem.author);
-      
-      res.json({
-        success: true,
-        poem: {
-          ...poem,
-          author: {
-            id: author.id,
-            username: author.username,
-            displayName: author.displayName
-          }
-        }
-      });
-    } catch (error) {
-      console.error('Get poem error:', error);
-      res.status(500).json({ success: false, message: 'Server error' });
-    }
-  });
-
-  // Get user's poems
-  app.get('/api/users/:userId/poems', async (req, res) => {
-    try {
-      const poems = await permanentStorage.findPoemsByAuthor(req.params.userId);
-      
-      res.json({
-        success: true,
-        poems
-      });
-    } catch (error) {
-      console.error('Get user poems error:', error);
-      res.status(500).json({ success: false, message: 'Server error' });
-    }
-  });
-
-  // Delete poem
-  app.delete('/api/poems/:id', async (req, res) => {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({ success: false, message: 'No token provided' });
-    }
-
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      const user = await permanentStorage.findUserById(decoded.userId);
-      
-      if (!user) {
-        return res.status(404).json({ success: false, message: 'User not found' });
+      // The poems are gone for good, as if purged from the trash
+      for (const poemId of result.poemIds) {
+        await ledger.recordPoemEvent('POEM_PURGED', { id: poemId, author: user.id }, user, { reason: 'account deleted' });
       }
 
-      const poemId = req.params.id;
-      const userId = user.id;
-      
-      const result = await permanentStorage.deletePoem(poemId, userId);
-      
       res.json({
         success: true,
-        message: result.message
+        message: 'Account and all poems permanently deleted',
+        poemsRemoved: result.poemsRemoved
       });
     } catch (error) {
-      console.error('Delete poem error:', error);
-      if (error.message.includes('not found')) {
-        res.status(404).json({ success: false, message: error.message });
-      } else if (error.message.includes('Unauthorized')) {
-        res.status(403).json({ success: false, message: error.message });
-      } else if (error.name === 'JsonWebTokenError') {
+      console.error('Delete account error:', error);
+      if (error.name === 'JsonWebTokenError') {
         res.status(401).json({ success: false, message: 'Invalid token' });
       } else {
         res.status(500).json({ success: false, message: 'Server error' });
@@ -378,22 +340,24 @@ async function startServer() {
   // Search poems
   app.get('/api/search', async (req, res) => {
     try {
-      const { q, tags, mood, style, limit } = req.query;
+      const { q, tags, mood, style, license, cursor, limit } = req.query;
       
-      const poems = await permanentStorage.searchPoems({
-        title: q,
+      const page = await permanentStorage.searchPoems({
+        text: q,
         tags: tags ? tags.split(',') : undefined,
         mood,
         style,
-        limit: parseInt(limit) || 50
+        license,
+        cursor,
+        limit
       });
 
       // Get author info for each poem
       const poemsWithAuthors = await Promise.all(
-        poems.map(async (poem) => {
+        page.poems.map(async (poem) => {
           const author = await permanentStorage.findUserById(poem.author);
           return {
-            ...poem,
+            ...presentPoem(poem, uploadStore),
             author: {
               id: author.id,
               username: author.username,
@@ -403,17 +367,28 @@ async function startServer() {
         })
       );
 
-      res.json({
-        success: true,
-        poems: poemsWithAuthors,
-        count: poemsWithAuthors.length
-      });
+      res.json(pageResponse(page, { poems: poemsWithAuthors }));
     } catch (error) {
       console.error('Search error:', error);
+      if (error.code === 'INVALID_CURSOR') {
+        return res.status(400).json({ success: false, message: error.message });
+      }
       res.status(500).json({ success: false, message: 'Server error' });
     }
   });
 
+  // Poems with their images, readings and revisions, likes, comments,
+  // follows, feeds and the rest of the shared route set
+  app.use('/api/poems', poemRoutes);
+  app.use('/api/uploads', uploadRoutes);
+  app.use('/api/users', userRoutes);
+  app.use('/api/search', searchRoutes);
+  app.use('/api/ledger', ledgerRoutes);
+  app.use('/api/certificates', certificateRoutes);
+  app.use('/api/transfers', transferRoutes);
+  app.use('/api/invitations', invitationRoutes);
+  app.use('/.well-known', wellKnownRoutes);
+
   app.listen(PORT, () => {
     console.log(`🚀 Public Codex server with permanent storage running on port ${PORT}`);
     console.log(`📚 Using encrypted SQLite storage for permanent data`);
@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+// Encrypted backup and restore for poets_codex.db.
+//
+// Usage:
+//   node server/scripts/backup.js create
+//   node server/scripts/backup.js list
+//   node server/scripts/backup.js verify  <archive>
+//   node server/scripts/backup.js restore <archive> | --at <time>  --force [--target <path>]
+//   node server/scripts/backup.js restore <archive> | --at <time>  --author <userId> [--overwrite]
+//   node server/scripts/backup.js export-keys [--out <path>]
+//   node server/scripts/backup.js import-keys <export>
+//
+// A full restore replaces the database file and must only be run while the
+// server is stopped (--force confirms that). Restoring a single author copies
+// their rows into the live database and is safe while the server runs.
+//
+// Archives can only be decrypted with the author keystore, which they never
+// contain. Every backup refreshes a keystore export (KEYSTORE_EXPORT_PATH);
+// keep it with the archives, and on a new data disk import it before
+// restoring. A full restore refuses a database the keystore cannot decrypt.
+// Keep only the newest export: older ones still hold the keys of authors
+// forgotten since, so destroy them as key material. import-keys refuses an
+// export older than the keystore's newest tombstone.
+// Uses the same STORAGE_* keyring settings and BACKUP_DIR as the server.
+const path = require('path');
+const EncryptedPermanentStorage = require('../src/services/EncryptedPermanentStorage');
+const BackupService = require('../src/services/BackupService');
+
+function parseArgs(argv) {
+  const args = { command: argv[0], archive: null };
+
+  for (let i = 1; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--at': args.at = argv[++i]; break;
+      case '--author': args.author = argv[++i]; break;
+      case '--target': args.target = path.resolve(argv[++i]); break;
+      case '--force': args.force = true; break;
+      case '--overwrite': args.overwrite = true; break;
+      case '--out': args.out = path.resolve(argv[++i]); break;
+      default: args.archive = path.resolve(argv[i]);
+    }
+  }
+
+  return args;
+}
+
+function printChecks(checks) {
+  checks.forEach(check => {
+    const detail = check.expected !== undefined ? ` (expected ${check.expected}, found ${check.actual})` : '';
+    console.log(`  ${check.ok ? '✅' : '❌'} ${check.check}${check.ok ? '' : detail}${check.error ? `: ${check.error}` : ''}`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const storage = new EncryptedPermanentStorage();
+  const backups = new BackupService(storage);
+
+  switch (args.command) {
+    case 'create': {
+      const { archivePath, manifest, keyStoreExportPath } = await backups.createBackup();
+      console.log(`Tables: ${Object.entries(manifest.tables).map(([table, count]) => `${table}=${count}`).join(', ')}`);
+      console.log(archivePath);
+      console.log(keyStoreExportPath);
+      break;
+    }
+
+    case 'export-keys': {
+      console.log(backups.exportKeyStore(args.out));
+      break;
+    }
+
+    case 'import-keys': {
+      if (!args.archive) {
+        throw new Error('Give the path of a keystore export');
+      }
+      const result = backups.importKeyStore(args.archive);
+      console.log(`✅ Imported ${result.keys} key(s) and ${result.tombstones} tombstone(s) exported at ${result.exportedAt}`);
+      break;
+    }
+
+    case 'list': {
+      backups.listBackups().forEach(({ archivePath, manifest }) => {
+        console.log(`${manifest.createdAt}  v${manifest.schemaVersion}  ${manifest.tables.poems || 0} poems  ${path.basename(archivePath)}`);
+      });
+      break;
+    }
+
+    case 'verify': {
+      const report = backups.verifyBackup(args.archive);
+      printChecks(report.checks);
+      console.log(report.valid ? '✅ Backup is valid' : '❌ Backup failed verification');
+      if (!report.valid) process.exitCode = 2;
+      break;
+    }
+
+    case 'restore': {
+      const archivePath = args.at ? backups.findBackupAt(args.at).archivePath : args.archive;
+      if (!archivePath) {
+        throw new Error('Give an archive path or --at <time>');
+      }
+
+      if (args.author) {
+        const result = await backups.restoreAuthor(archivePath, args.author, { overwrite: args.overwrite });
+        console.log(`✅ Restored rows for ${args.author}:`, result.restored);
+      } else {
+        if (!args.force && !args.target) {
+          throw new Error('A full restore replaces the database; stop the server and pass --force (or use --target)');
+        }
+        const result = backups.restoreDatabase(archivePath, args.target);
+        printChecks(result.checks);
+        console.log(`✅ Restored ${result.manifest.backupId} to ${result.targetPath}`);
+        if (result.forgottenAuthors.length > 0) console.log(`   Left out ${result.forgottenAuthors.length} forgotten author(s)`);
+        if (result.previousPath) console.log(`   Previous database kept at ${result.previousPath}`);
+      }
+      break;
+    }
+
+    default:
+      console.error('Usage: backup.js create | list | verify <archive> | restore <archive>|--at <time> [--author <id>] [--force] | export-keys [--out <path>] | import-keys <export>');
+      process.exitCode = 1;
+  }
+
+  storage.close();
+}
+
+main().catch(error => {
+  console.error('❌ Backup command failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Stand-in RFC 3161 timestamp authority over HTTP, for development and tests.
+//
+// Usage:
+//   node server/scripts/local-tsa.js [port]
+//
+// Answers POSTed timestamp requests at any path (default port 3161), signing
+// with the key and certificate of services/LocalTimestampAuthority.js in
+// LOCAL_TSA_DIR (default server/data/local-tsa). Point the server at it with
+// TSA_URL=http://localhost:3161 and TSA_CA_CERTS=<LOCAL_TSA_DIR>/local_tsa_cert.pem.
+const http = require('http');
+const path = require('path');
+const LocalTimestampAuthority = require('../src/services/LocalTimestampAuthority');
+
+async function main() {
+  const port = parseInt(process.argv[2]) || 3161;
+  const authority = new LocalTimestampAuthority({
+    directory: process.env.LOCAL_TSA_DIR || path.join(__dirname, '../data/local-tsa')
+  });
+  authority.initialize();
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { Allow: 'POST' });
+      return res.end();
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const response = authority.respond(Buffer.concat(chunks));
+      res.writeHead(200, { 'Content-Type': 'application/timestamp-reply', 'Content-Length': response.length });
+      res.end(response);
+    });
+  });
+
+  server.listen(port, () => {
+    console.log(`🕰️ Local timestamp authority listening on port ${port}`);
+    console.log(`   Certificate: ${authority.certificatePath}`);
+  });
+}
+
+main().catch(error => {
+  console.error('❌ Local timestamp authority failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+// Schema migrations for poets_codex.db.
+//
+// Usage:
+//   node server/scripts/migrate.js status  [--db <path>]   show applied and pending migrations
+//   node server/scripts/migrate.js up      [--db <path>]   apply pending migrations
+//   node server/scripts/migrate.js dry-run [--db <path>]   apply pending migrations to a copy
+//
+// The server also applies pending migrations on startup; this CLI is for
+// checking what a deploy will do before it happens.
+const Database = require('better-sqlite3');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const EncryptedPermanentStorage = require('../src/services/EncryptedPermanentStorage');
+const MigrationRunner = require('../src/services/MigrationRunner');
+
+function parseArgs(argv) {
+  const args = { command: 'status', dbPath: new EncryptedPermanentStorage().dbPath };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--db') {
+      args.dbPath = path.resolve(argv[++i]);
+    } else {
+      args.command = argv[i];
+    }
+  }
+
+  return args;
+}
+
+function printStatus(runner) {
+  const status = runner.status();
+
+  console.log(`Schema version: ${status.currentVersion}`);
+  status.migrations.forEach(migration => {
+    const marker = migration.status === 'applied' ? '✅' : '⏳';
+    const note = migration.modified ? '  ⚠️ file changed since it was applied' : '';
+    const when = migration.appliedAt ? `  (${migration.appliedAt})` : '';
+    console.log(`  ${marker} ${String(migration.version).padStart(3, '0')} ${migration.name}${when}${note}`);
+  });
+
+  const pending = status.migrations.filter(migration => migration.status === 'pending').length;
+  console.log(pending ? `${pending} pending migration(s)` : 'Database is up to date');
+}
+
+// Apply pending migrations to a consistent copy made with SQLite's online
+// backup, so the live database is never touched.
+async function dryRun(dbPath) {
+  const source = new Database(dbPath, { readonly: true, fileMustExist: true });
+  const copyPath = path.join(os.tmpdir(), `poets_codex-dry-run-${Date.now()}.db`);
+
+  try {
+    await source.backup(copyPath);
+    source.close();
+
+    const copy = new Database(copyPath);
+    const runner = new MigrationRunner(copy);
+    const pending = runner.getPending();
+
+    if (pending.length === 0) {
+      console.log('Database is up to date; nothing to dry-run');
+    } else {
+      console.log(`Dry run against a copy of ${dbPath}`);
+      const result = runner.migrate();
+      console.log(`✅ ${result.applied.length} migration(s) would apply cleanly; schema version would be ${result.currentVersion}`);
+    }
+
+    copy.close();
+  } finally {
+    if (source.open) source.close();
+    ['', '-wal', '-shm'].forEach(suffix => fs.rmSync(`${copyPath}${suffix}`, { force: true }));
+  }
+}
+
+async function main() {
+  const { command, dbPath } = parseArgs(process.argv.slice(2));
+
+  if (command === 'dry-run') {
+    await dryRun(dbPath);
+    return;
+  }
+
+  if (!['status', 'up'].includes(command)) {
+    console.error(`Unknown command "${command}". Use status, up or dry-run.`);
+    process.exit(1);
+  }
+
+  const dir = path.dirname(dbPath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  const runner = new MigrationRunner(db);
+
+  if (command === 'up') {
+    const result = runner.migrate();
+    console.log(result.applied.length
+      ? `✅ Applied ${result.applied.length} migration(s); schema version ${result.currentVersion}`
+      : 'Database is up to date');
+  } else {
+    printStatus(runner);
+  }
+
+  db.close();
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
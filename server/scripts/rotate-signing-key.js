@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// Rotate the ledger signing key.
+//
+// Usage:
+//   node server/scripts/rotate-signing-key.js
+//
+// Retires the active key, erasing its private half but keeping it in the
+// published key set, and creates a new active key. Uses the same
+// LEDGER_SIGNING_KEYS_PATH / LEDGER_PATH settings as the server; restart the
+// server afterwards so it signs with the new key.
+const fs = require('fs');
+const path = require('path');
+const SigningKeyring = require('../src/services/SigningKeyring');
+
+async function main() {
+  const directory = process.env.LEDGER_PATH
+    ? path.dirname(process.env.LEDGER_PATH)
+    : path.join(__dirname, '../data');
+  const keyring = new SigningKeyring({ directory });
+  if (!fs.existsSync(keyring.keysPath)) {
+    throw new Error(`No signing keys at ${keyring.keysPath}; the server creates them on first start`);
+  }
+  keyring.load();
+
+  const retired = keyring.activeKey.kid;
+  const kid = keyring.rotate();
+
+  console.log(`🔑 Retired signing key ${retired}`);
+  console.log(`🔑 New active signing key ${kid} (${keyring.keysPath})`);
+  console.log('♻️ Restart the server to sign with it');
+}
+
+main().catch(error => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+// One-shot upgrade of legacy CryptoJS rows in poets_codex.db to the AES-256-GCM envelope.
+//
+// Usage: node server/scripts/upgrade-encryption.js
+//
+// Uses the same STORAGE_* keyring settings as the server. Safe to re-run: rows
+// that are already upgraded are skipped, and an interrupted run resumes from
+// its last committed batch. Legacy rows are read for this run only; the server
+// refuses them unless STORAGE_ALLOW_LEGACY_FORMATS=true.
+const EncryptedPermanentStorage = require('../src/services/EncryptedPermanentStorage');
+
+async function main() {
+  const storage = new EncryptedPermanentStorage();
+  storage.keyring.allowLegacy = true;
+  if (!await storage.initialize()) {
+    process.exit(1);
+  }
+
+  const result = await storage.upgradeLegacyEncryption();
+  storage.close();
+
+  console.log(`🔐 Legacy rows before: ${result.legacyRowsBefore}, after: ${result.legacyRowsAfter}`);
+  if (result.integrity.failedRecords > 0) {
+    console.error(`🚨 ${result.integrity.failedRecords} record(s) could not be decrypted and were left as-is:`);
+    result.integrity.failures.forEach(failure => {
+      console.error(`   ${failure.table}/${failure.id}: ${failure.code} - ${failure.message}`);
+    });
+    process.exit(2);
+  }
+  if (result.legacyRowsAfter > 0) {
+    console.error('🚨 Legacy rows remain; the server will refuse to read them');
+    process.exit(2);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Encryption upgrade failed:', error);
+  process.exit(1);
+});
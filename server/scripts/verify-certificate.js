@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// Verify an authorship certificate offline.
+//
+// Usage:
+//   node server/scripts/verify-certificate.js <certificate.json> <poem.txt> <jwks.json> [--tsa-ca <ca.pem>]...
+//
+// certificate.json  the certificate as issued (or a response with a "certificate" field)
+// poem.txt          the poem's text as published; line endings, trailing spaces and
+//                   Unicode normalization do not matter (see src/utils/poemHash.js)
+// jwks.json         the public keys from /.well-known/jwks.json
+// --tsa-ca          CA certificates of the timestamp authority, to check its token is trusted
+//
+// Needs only Node: no install, no network, no account. Prints each check and
+// a verdict, and exits 0 only if the certificate is valid. The checks are in
+// server/src/utils/certificateVerifier.js, which other tools can embed.
+const fs = require('fs');
+const { verifyCertificate, formatVerdict } = require('../src/utils/certificateVerifier');
+const { splitPemBundle } = require('../src/utils/timestamp');
+
+const USAGE = 'Usage: node server/scripts/verify-certificate.js <certificate.json> <poem.txt> <jwks.json> [--tsa-ca <ca.pem>]...';
+
+function parseArgs(argv) {
+  const args = { files: [], tsaCertificates: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--tsa-ca') {
+      args.tsaCertificates.push(...splitPemBundle(fs.readFileSync(argv[++i], 'utf8')));
+    } else {
+      args.files.push(argv[i]);
+    }
+  }
+
+  return args;
+}
+
+const readJson = (file, what) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read the ${what} from ${file}: ${error.message}`);
+  }
+};
+
+async function main() {
+  const { files, tsaCertificates } = parseArgs(process.argv.slice(2));
+  const [certificateFile, textFile, keysFile] = files;
+  if (!certificateFile || !textFile || !keysFile) {
+    console.error(USAGE);
+    process.exit(2);
+  }
+
+  const document = readJson(certificateFile, 'certificate');
+  const certificate = document.certificate || document;
+  const keySet = readJson(keysFile, 'public keys');
+  const text = fs.readFileSync(textFile, 'utf8');
+
+  const result = verifyCertificate({ certificate, text, keySet, tsaCertificates });
+  console.log(formatVerdict(certificate, result));
+  process.exit(result.valid ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Verification failed:', error.message);
+  process.exit(2);
+});
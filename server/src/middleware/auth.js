@@ -1,38 +1,25 @@
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const SimpleUserService = require('../services/SimpleUserService');
 
-// Helper function to get user service (MongoDB or simple store)
-const getUserService = () => {
-  if (global.simpleStore) {
-    return new SimpleUserService();
-  }
-  return User; // Use Mongoose model
+// Shared by every server so a token issued by one is accepted by the others
+const JWT_SECRET = process.env.JWT_SECRET || 'poets-codex-secret-key';
+
+// Resolve a Bearer token to a user through whichever repositories the app uses
+const userFromToken = async (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) return { token: null, user: null };
+
+  const decoded = jwt.verify(token, JWT_SECRET);
+  const user = await req.app.locals.repositories.users.findById(decoded.userId);
+  return { token, user };
 };
 
 const auth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const { token, user } = await userFromToken(req);
     
     if (!token) {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'poets-codex-secret-key');
-    
-    const userService = getUserService();
-    let user;
-    
-    if (global.simpleStore) {
-      user = await userService.findById(decoded.userId);
-      // Remove password from response for simple store
-      if (user) {
-        const { password, ...userWithoutPassword } = user;
-        user = userWithoutPassword;
-      }
-    } else {
-      user = await User.findById(decoded.userId).select('-password');
-    }
     
     if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
@@ -48,28 +35,10 @@ const auth = async (req, res, next) => {
 
 const optionalAuth = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const { user } = await userFromToken(req);
     
-    if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'poets-codex-secret-key');
-      
-      const userService = getUserService();
-      let user;
-      
-      if (global.simpleStore) {
-        user = await userService.findById(decoded.userId);
-        // Remove password from response for simple store
-        if (user) {
-          const { password, ...userWithoutPassword } = user;
-          user = userWithoutPassword;
-        }
-      } else {
-        user = await User.findById(decoded.userId).select('-password');
-      }
-      
-      if (user) {
-        req.user = user;
-      }
+    if (user) {
+      req.user = user;
     }
     
     next();
@@ -79,4 +48,4 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
\ No newline at end of file
+module.exports = { auth, optionalAuth, JWT_SECRET };
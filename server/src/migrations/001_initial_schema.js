@@ -0,0 +1,37 @@
+// Users and poems as originally created by EncryptedPermanentStorage.createTables().
+// Uses IF NOT EXISTS so databases created before migrations existed adopt it as-is.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT UNIQUE NOT NULL,
+        email TEXT UNIQUE NOT NULL,
+        encrypted_data TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poems (
+        id TEXT PRIMARY KEY,
+        author_id TEXT NOT NULL,
+        encrypted_data TEXT NOT NULL,
+        title_plain TEXT NOT NULL,
+        visibility TEXT DEFAULT 'public',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (author_id) REFERENCES users (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+      CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+      CREATE INDEX IF NOT EXISTS idx_poems_author ON poems(author_id);
+      CREATE INDEX IF NOT EXISTS idx_poems_visibility ON poems(visibility);
+      CREATE INDEX IF NOT EXISTS idx_poems_created ON poems(created_at);
+    `);
+  }
+};
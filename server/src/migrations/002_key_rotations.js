@@ -0,0 +1,20 @@
+// Progress of online key rotations (see KeyRotationJob)
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS key_rotations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target_key_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'running',
+        current_table TEXT,
+        last_rowid INTEGER DEFAULT 0,
+        rows_rotated INTEGER DEFAULT 0,
+        rows_total INTEGER DEFAULT 0,
+        error TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+      )
+    `);
+  }
+};
@@ -0,0 +1,21 @@
+// Previous versions of edited poems, encrypted with the author's data key
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_revisions (
+        id TEXT PRIMARY KEY,
+        poem_id TEXT NOT NULL,
+        author_id TEXT NOT NULL,
+        revision_number INTEGER NOT NULL,
+        encrypted_data TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (poem_id) REFERENCES poems (id),
+        UNIQUE (poem_id, revision_number)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_revisions_poem ON poem_revisions(poem_id, revision_number);
+    `);
+  }
+};
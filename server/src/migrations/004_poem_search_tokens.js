@@ -0,0 +1,26 @@
+// Blind index for poem search (see BlindIndex). The tokens themselves are
+// written by EncryptedPermanentStorage, which rebuilds the index whenever the
+// stored key fingerprint does not match the current index key.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_search_tokens (
+        poem_id TEXT NOT NULL,
+        token TEXT NOT NULL,
+        PRIMARY KEY (poem_id, token),
+        FOREIGN KEY (poem_id) REFERENCES poems (id)
+      ) WITHOUT ROWID
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_search_tokens_token ON poem_search_tokens(token);
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS search_index_meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      )
+    `);
+  }
+};
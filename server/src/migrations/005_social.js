@@ -0,0 +1,49 @@
+// Likes, comments, follows and view counts for the SQLite repositories.
+// Comment text is encrypted with the commenter's data key like any other
+// author-owned row; likes and follows hold only ids.
+module.exports = {
+  up(db) {
+    const poemColumns = db.prepare('PRAGMA table_info(poems)').all().map(column => column.name);
+    if (!poemColumns.includes('views')) {
+      db.exec('ALTER TABLE poems ADD COLUMN views INTEGER NOT NULL DEFAULT 0');
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_comments (
+        id TEXT PRIMARY KEY,
+        poem_id TEXT NOT NULL,
+        author_id TEXT NOT NULL,
+        encrypted_data TEXT NOT NULL,
+        is_approved INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (poem_id) REFERENCES poems (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_likes (
+        poem_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (poem_id, user_id),
+        FOREIGN KEY (poem_id) REFERENCES poems (id)
+      ) WITHOUT ROWID
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS follows (
+        follower_id TEXT NOT NULL,
+        followee_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (follower_id, followee_id)
+      ) WITHOUT ROWID
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_comments_poem ON poem_comments(poem_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_comments_author ON poem_comments(author_id);
+      CREATE INDEX IF NOT EXISTS idx_likes_user ON poem_likes(user_id);
+      CREATE INDEX IF NOT EXISTS idx_follows_followee ON follows(followee_id);
+    `);
+  }
+};
@@ -0,0 +1,13 @@
+// Soft delete for poems. A deleted poem keeps its row with deleted_at set and
+// is hidden from every read except its author's trash, until the purge job
+// removes it for good (see services/TrashPurgeJob.js).
+module.exports = {
+  up(db) {
+    const poemColumns = db.prepare('PRAGMA table_info(poems)').all().map(column => column.name);
+    if (!poemColumns.includes('deleted_at')) {
+      db.exec('ALTER TABLE poems ADD COLUMN deleted_at DATETIME');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_poems_deleted_at ON poems (deleted_at)');
+  }
+};
@@ -0,0 +1,36 @@
+// Share links for unlisted poems and access lists for private ones.
+// Only a SHA-256 hash of each link token is stored, so the tokens cannot be
+// read back out of the database (or a backup of it).
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_share_links (
+        id TEXT PRIMARY KEY,
+        poem_id TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        created_by TEXT NOT NULL,
+        expires_at DATETIME,
+        max_views INTEGER,
+        view_count INTEGER NOT NULL DEFAULT 0,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (poem_id) REFERENCES poems (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_access (
+        poem_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        granted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (poem_id, user_id),
+        FOREIGN KEY (poem_id) REFERENCES poems (id)
+      ) WITHOUT ROWID
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_share_links_poem ON poem_share_links(poem_id);
+      CREATE INDEX IF NOT EXISTS idx_poem_access_user ON poem_access(user_id);
+    `);
+  }
+};
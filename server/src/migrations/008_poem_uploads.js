@@ -0,0 +1,23 @@
+// Uploaded images are encrypted files under the uploads directory (see
+// services/EncryptedUploadStore.js); this table records who uploaded each one,
+// its MIME type and size, and which poem it belongs to. poem_id stays NULL
+// until the poem is saved, so uploads that never get a poem can be swept.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_uploads (
+        id TEXT PRIMARY KEY,
+        poem_id TEXT,
+        author_id TEXT NOT NULL,
+        mime_type TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_poem_uploads_poem ON poem_uploads(poem_id);
+      CREATE INDEX IF NOT EXISTS idx_poem_uploads_created ON poem_uploads(created_at);
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+// Image renditions. Each uploaded image is stored as its full-size original
+// plus smaller derived renditions (see services/ImagePipeline.js); derived
+// rows point at their original through parent_id and share its poem_id.
+module.exports = {
+  up(db) {
+    const columns = db.prepare('PRAGMA table_info(poem_uploads)').all().map(column => column.name);
+
+    if (!columns.includes('variant')) {
+      db.exec("ALTER TABLE poem_uploads ADD COLUMN variant TEXT NOT NULL DEFAULT 'original'");
+    }
+    if (!columns.includes('parent_id')) {
+      db.exec('ALTER TABLE poem_uploads ADD COLUMN parent_id TEXT');
+    }
+    if (!columns.includes('width')) {
+      db.exec('ALTER TABLE poem_uploads ADD COLUMN width INTEGER');
+    }
+    if (!columns.includes('height')) {
+      db.exec('ALTER TABLE poem_uploads ADD COLUMN height INTEGER');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_poem_uploads_parent ON poem_uploads(parent_id)');
+  }
+};
@@ -0,0 +1,12 @@
+// Poem readings: audio uploads record their duration, and their precomputed
+// waveform is stored as a derived upload (variant "waveform", see
+// services/AudioPipeline.js).
+module.exports = {
+  up(db) {
+    const columns = db.prepare('PRAGMA table_info(poem_uploads)').all().map(column => column.name);
+
+    if (!columns.includes('duration_ms')) {
+      db.exec('ALTER TABLE poem_uploads ADD COLUMN duration_ms INTEGER');
+    }
+  }
+};
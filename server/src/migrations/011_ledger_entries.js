@@ -0,0 +1,25 @@
+// The authorship ledger's SQLite sink (see services/SqliteLedgerSink.js).
+// Each row holds one canonical entry as JSON; position keeps chain order and
+// the entry id makes writes idempotent. Rows are never updated or deleted,
+// not even when their author's account is.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS ledger_entries (
+        position INTEGER PRIMARY KEY AUTOINCREMENT,
+        id TEXT NOT NULL UNIQUE,
+        event_type TEXT NOT NULL,
+        poem_id TEXT,
+        author_id TEXT,
+        entry_hash TEXT NOT NULL,
+        entry TEXT NOT NULL,
+        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_poem ON ledger_entries(poem_id);
+      CREATE INDEX IF NOT EXISTS idx_ledger_entries_author ON ledger_entries(author_id);
+    `);
+  }
+};
@@ -0,0 +1,26 @@
+// Ownership transfers: a poem's author offers it to another user, who has
+// until expires_at to accept. status is pending, accepted, declined or
+// cancelled; a pending transfer past expires_at counts as expired.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_transfers (
+        id TEXT PRIMARY KEY,
+        poem_id TEXT NOT NULL,
+        from_user_id TEXT NOT NULL,
+        to_user_id TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        expires_at DATETIME NOT NULL,
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (poem_id) REFERENCES poems (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_poem_transfers_poem ON poem_transfers(poem_id);
+      CREATE INDEX IF NOT EXISTS idx_poem_transfers_from ON poem_transfers(from_user_id);
+      CREATE INDEX IF NOT EXISTS idx_poem_transfers_to ON poem_transfers(to_user_id);
+    `);
+  }
+};
@@ -0,0 +1,41 @@
+// Co-authors and the invitations they join by (see utils/authorship.js).
+// share is a percentage, or NULL for a co-author credited without one. An
+// invitation's status is pending, accepted, declined or cancelled; a pending
+// invitation past expires_at counts as expired.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_coauthors (
+        poem_id TEXT NOT NULL,
+        user_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        share REAL,
+        joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (poem_id, user_id),
+        FOREIGN KEY (poem_id) REFERENCES poems (id)
+      ) WITHOUT ROWID
+    `);
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS poem_coauthor_invitations (
+        id TEXT PRIMARY KEY,
+        poem_id TEXT NOT NULL,
+        from_user_id TEXT NOT NULL,
+        to_user_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        share REAL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        expires_at DATETIME NOT NULL,
+        resolved_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (poem_id) REFERENCES poems (id)
+      )
+    `);
+
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_poem_coauthors_user ON poem_coauthors(user_id);
+      CREATE INDEX IF NOT EXISTS idx_coauthor_invitations_poem ON poem_coauthor_invitations(poem_id);
+      CREATE INDEX IF NOT EXISTS idx_coauthor_invitations_to ON poem_coauthor_invitations(to_user_id);
+    `);
+  }
+};
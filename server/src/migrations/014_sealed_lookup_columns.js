@@ -0,0 +1,40 @@
+// Usernames, emails and poem titles leave their plaintext columns, so
+// forgetting an author (crypto-shredding their data key) leaves nothing
+// readable behind, in the live database or in a backup taken after this.
+//
+// users.username and users.email become username_index and email_index: blind
+// index tokens for login and uniqueness checks (see BlindIndex). The values
+// themselves, and poem titles, move into the encrypted payload. Migrations
+// have no keys, so the plaintext waits in unsealed_lookup_values until
+// EncryptedPermanentStorage.sealLookupColumns() encrypts it on startup and
+// deletes the staged row.
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS unsealed_lookup_values (
+        table_name TEXT NOT NULL,
+        row_id TEXT NOT NULL,
+        field TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (table_name, row_id, field)
+      ) WITHOUT ROWID
+    `);
+
+    db.exec(`
+      INSERT INTO unsealed_lookup_values (table_name, row_id, field, value)
+        SELECT 'users', id, 'username', username FROM users;
+      INSERT INTO unsealed_lookup_values (table_name, row_id, field, value)
+        SELECT 'users', id, 'email', email FROM users;
+      INSERT INTO unsealed_lookup_values (table_name, row_id, field, value)
+        SELECT 'poems', id, 'title', title_plain FROM poems;
+    `);
+
+    db.exec(`
+      DROP INDEX IF EXISTS idx_users_email;
+      DROP INDEX IF EXISTS idx_users_username;
+      ALTER TABLE users RENAME COLUMN username TO username_index;
+      ALTER TABLE users RENAME COLUMN email TO email_index;
+      ALTER TABLE poems DROP COLUMN title_plain;
+    `);
+  }
+};
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { COAUTHOR_ROLES } = require('../utils/authorship');
+
+// Invitation to co-author a poem, sent by its author and waiting for the
+// invitee until expiresAt, with the role and share (a percentage, or null)
+// they would be credited with. status is pending, accepted, declined or
+// cancelled; a pending invitation past expiresAt counts as expired.
+const coAuthorInvitationSchema = new mongoose.Schema({
+  poem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poem',
+    required: true
+  },
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: COAUTHOR_ROLES,
+    required: true
+  },
+  share: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+coAuthorInvitationSchema.index({ poem: 1, status: 1 });
+coAuthorInvitationSchema.index({ from: 1, createdAt: -1 });
+coAuthorInvitationSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CoAuthorInvitation', coAuthorInvitationSchema);
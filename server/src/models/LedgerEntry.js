@@ -1,25 +1,40 @@
 const mongoose = require('mongoose');
+const { EVENT_TYPES, isEntryIntact } = require('../utils/ledgerEntry');
 
-// Immutable ledger for authorship protection
+// Immutable ledger for authorship protection. Documents written through
+// services/Ledger.js hold a canonical entry (see utils/ledgerEntry.js):
+// entryId is its id and blockHash its entryHash. Older documents have no
+// entryId and are not part of that chain.
 const ledgerEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String
+  },
+  sequence: {
+    type: Number
+  },
   eventType: {
     type: String,
-    enum: ['POEM_CREATED', 'POEM_UPDATED', 'POEM_DELETED', 'POEM_TRANSFERRED'],
+    enum: EVENT_TYPES,
     required: true
   },
   poemId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Poem',
-    required: true
+    default: null
   },
   authorId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    default: null
+  },
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   },
   contentHash: {
     type: String,
-    required: true
+    default: null
   },
   previousHash: {
     type: String,
@@ -29,6 +44,13 @@ const ledgerEntrySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timestamp: {
+    type: Date
+  },
   metadata: {
     title: String,
     originalTimestamp: Date,
@@ -38,9 +60,11 @@ const ledgerEntrySchema = new mongoose.Schema({
     wordCount: Number,
     previousVersion: String
   },
+  // { algorithm, keyId, value } (see utils/signatures.js); older entries
+  // hold a hex HMAC
   signature: {
-    type: String,
-    required: true
+    type: mongoose.Schema.Types.Mixed,
+    default: null
   },
   witnessNodes: [{
     nodeId: String,
@@ -68,6 +92,7 @@ ledgerEntrySchema.index({ poemId: 1, createdAt: -1 });
 ledgerEntrySchema.index({ authorId: 1, createdAt: -1 });
 ledgerEntrySchema.index({ contentHash: 1 });
 ledgerEntrySchema.index({ blockHash: 1 }, { unique: true });
+ledgerEntrySchema.index({ entryId: 1 }, { unique: true, sparse: true });
 
 // Prevent updates to ledger entries (immutability)
 ledgerEntrySchema.pre('save', function(next) {
@@ -99,6 +124,26 @@ ledgerEntrySchema.virtual('isChainValid').get(function() {
   return !!(this.contentHash && this.blockHash && this.signature);
 });
 
+// The canonical entry this document stores
+ledgerEntrySchema.methods.toLedgerEntry = function() {
+  const idOf = (value) => (value ? String(value._id || value) : null);
+
+  return {
+    id: this.entryId,
+    sequence: this.sequence,
+    eventType: this.eventType,
+    poemId: idOf(this.poemId),
+    authorId: idOf(this.authorId),
+    actorId: idOf(this.actorId),
+    contentHash: this.contentHash,
+    details: this.details || {},
+    timestamp: this.timestamp.toISOString(),
+    previousHash: this.previousHash,
+    entryHash: this.blockHash,
+    signature: this.signature
+  };
+};
+
 // Method to verify authorship
 ledgerEntrySchema.methods.verifyAuthorship = function(currentHash) {
   return this.contentHash === currentHash && this.isVerified;
@@ -112,18 +157,21 @@ ledgerEntrySchema.statics.getAuthorshipChain = function(poemId) {
     .exec();
 };
 
-// Static method to verify chain integrity
-ledgerEntrySchema.statics.verifyChainIntegrity = function(poemId) {
-  return this.find({ poemId })
-    .sort({ createdAt: 1 })
-    .then(entries => {
-      for (let i = 1; i < entries.length; i++) {
-        if (entries[i].previousHash !== entries[i - 1].blockHash) {
-          return false;
-        }
-      }
-      return true;
-    });
+// Static method to verify chain integrity. A poem's entries are spread over
+// the ledger's single chain, so each one must be intact and link to an entry
+// that exists.
+ledgerEntrySchema.statics.verifyChainIntegrity = async function(poemId) {
+  const entries = await this.find({ poemId, entryId: { $exists: true } }).sort({ _id: 1 });
+
+  for (const entry of entries) {
+    if (!isEntryIntact(entry.toLedgerEntry())) {
+      return false;
+    }
+    if (entry.previousHash && !(await this.exists({ blockHash: entry.previousHash }))) {
+      return false;
+    }
+  }
+  return true;
 };
 
 ledgerEntrySchema.set('toJSON', { virtuals: true });
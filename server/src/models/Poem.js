@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { COAUTHOR_ROLES, copyrightNoticeOf } = require('../utils/authorship');
 
 const poemSchema = new mongoose.Schema({
   title: {
@@ -12,6 +13,10 @@ const poemSchema = new mongoose.Schema({
     required: true,
     maxlength: 10000
   },
+  // Parsed stanzas, lines and inline marks of the body (see utils/poemFormat.js)
+  bodyDocument: {
+    type: mongoose.Schema.Types.Mixed
+  },
   excerpt: {
     type: String,
     maxlength: 300
@@ -127,6 +132,53 @@ const poemSchema = new mongoose.Schema({
     }
   }],
   
+  // Users who may read the poem while it is private
+  sharedWith: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    grantedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Co-authors credited alongside the author, who joined by accepting an
+  // invitation (see utils/authorship.js); share is a percentage
+  coAuthors: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String,
+      enum: COAUTHOR_ROLES,
+      default: 'co-author'
+    },
+    share: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: null
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // A license change waiting until the author and every co-author approve it
+  pendingLicense: {
+    type: {
+      license: String,
+      proposedBy: String,
+      proposedAt: Date,
+      approvals: [String]
+    },
+    default: null
+  },
+
   // Featured status
   isFeatured: {
     type: Boolean,
@@ -134,6 +186,12 @@ const poemSchema = new mongoose.Schema({
   },
   featuredAt: {
     type: Date
+  },
+
+  // Soft delete: set while the poem is in its author's trash
+  deletedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -147,6 +205,9 @@ poemSchema.index({ mood: 1, style: 1 });
 poemSchema.index({ contentHash: 1 }, { unique: true });
 poemSchema.index({ vectorId: 1 });
 poemSchema.index({ isFeatured: 1, featuredAt: -1 });
+poemSchema.index({ deletedAt: 1 });
+poemSchema.index({ 'sharedWith.user': 1 });
+poemSchema.index({ 'coAuthors.user': 1 });
 
 // Text search index
 poemSchema.index({
@@ -165,18 +226,9 @@ poemSchema.virtual('commentCount').get(function() {
   return this.comments.filter(comment => comment.isApproved).length;
 });
 
-// Virtual for copyright notice
+// Virtual for copyright notice, crediting the co-authors too
 poemSchema.virtual('copyrightNotice').get(function() {
-  const year = this.copyrightYear || new Date(this.createdAt).getFullYear();
-  const authorName = this.author.displayName || this.author.username;
-  
-  if (this.license === 'All Rights Reserved') {
-    return `© ${year} ${authorName}. All Rights Reserved.`;
-  } else if (this.license.startsWith('CC')) {
-    return `© ${year} ${authorName}. Licensed under ${this.license}.`;
-  }
-  
-  return `© ${year} ${authorName}.`;
+  return copyrightNoticeOf(this);
 });
 
 // Pre-save middleware to generate excerpt
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Ownership transfer of a poem, offered by its author and waiting for the
+// recipient until expiresAt. status is pending, accepted, declined or
+// cancelled; a pending transfer past expiresAt counts as expired.
+const poemTransferSchema = new mongoose.Schema({
+  poem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poem',
+    required: true
+  },
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'cancelled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+poemTransferSchema.index({ poem: 1, status: 1 });
+poemTransferSchema.index({ from: 1, createdAt: -1 });
+poemTransferSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PoemTransfer', poemTransferSchema);
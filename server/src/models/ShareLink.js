@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Share link for an unlisted poem. Only the SHA-256 of the token is stored;
+// the token itself is handed to the author once, when the link is created.
+const shareLinkSchema = new mongoose.Schema({
+  poem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Poem',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  maxViews: {
+    type: Number,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ poem: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
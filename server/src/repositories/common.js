@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const { decodeCursor, parseLimit, pageEnvelope } = require('../utils/cursor');
+
+// Shapes and helpers shared by every repository implementation, so the routes
+// see the same objects whichever backend is configured.
+
+const EXCERPT_LENGTH = 150;
+
+const excerptOf = (body = '') => {
+  const excerpt = body.substring(0, EXCERPT_LENGTH).trim();
+  return body.length > EXCERPT_LENGTH ? `${excerpt}...` : excerpt;
+};
+
+const DEFAULT_SETTINGS = {
+  emailNotifications: true,
+  profileVisibility: 'public',
+  allowComments: true
+};
+
+// The public face of a user, as embedded in poems, comments and follow lists
+const authorSummary = (user) => (user ? {
+  id: user.id,
+  _id: user.id,
+  username: user.username,
+  displayName: user.displayName,
+  avatar: user.avatar || null,
+  bio: user.bio
+} : null);
+
+// A user as listed in search results: everything but the private fields
+const publicProfile = (user) => {
+  if (!user) return null;
+  const { email, password, ...profile } = user;
+  return profile;
+};
+
+const toTime = (value) => (value instanceof Date ? value : new Date(value)).toISOString();
+
+// Keyset pagination over an in-process array, newest first by (createdAt, id),
+// or by another date field given as sortKey. Used by the in-memory backend
+// and for lists the SQLite backend has to filter after decryption.
+const pageArray = (key, items, { cursor, limit, scope, defaultLimit } = {}, sortKey = 'createdAt') => {
+  const after = decodeCursor(cursor, scope);
+  const pageSize = parseLimit(limit, defaultLimit);
+
+  const sorted = [...items].sort((a, b) => (
+    toTime(b[sortKey]).localeCompare(toTime(a[sortKey])) || String(b.id).localeCompare(String(a.id))
+  ));
+
+  const remaining = after
+    ? sorted.filter(item => {
+      const at = toTime(item[sortKey]);
+      const afterAt = toTime(after.createdAt);
+      return at < afterAt || (at === afterAt && String(item.id) < after.id);
+    })
+    : sorted;
+
+  return pageEnvelope(key, remaining.slice(0, pageSize + 1), pageSize, scope,
+    item => ({ createdAt: toTime(item[sortKey]), id: item.id }));
+};
+
+// Share link tokens are random and only ever stored hashed
+const newShareToken = () => crypto.randomBytes(24).toString('base64url');
+
+const hashShareToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A link opens its poem while it is not revoked, not expired and under its view limit
+const isLinkActive = (link, now = new Date()) => (
+  !link.revokedAt
+  && (!link.expiresAt || new Date(link.expiresAt) > now)
+  && (link.maxViews == null || link.viewCount < link.maxViews)
+);
+
+// The shape share links are returned in; the token itself is only returned once, on creation
+const shareLinkOf = (link) => ({
+  id: link.id,
+  poemId: link.poemId,
+  expiresAt: link.expiresAt || null,
+  maxViews: link.maxViews ?? null,
+  viewCount: link.viewCount,
+  revokedAt: link.revokedAt || null,
+  createdAt: link.createdAt,
+  active: isLinkActive(link)
+});
+
+// A pending ownership transfer past its expiry counts as expired; the stored
+// status stays pending
+const transferOf = (transfer, now = new Date()) => ({
+  id: transfer.id,
+  poemId: transfer.poemId,
+  fromUserId: transfer.fromUserId,
+  toUserId: transfer.toUserId,
+  status: transfer.status === 'pending' && new Date(transfer.expiresAt) <= now ? 'expired' : transfer.status,
+  expiresAt: transfer.expiresAt,
+  resolvedAt: transfer.resolvedAt || null,
+  createdAt: transfer.createdAt
+});
+
+// Co-author invitations expire the same way
+const invitationOf = (invitation, now = new Date()) => ({
+  ...transferOf(invitation, now),
+  role: invitation.role,
+  share: invitation.share ?? null
+});
+
+// A co-author as poems carry them: the user's summary, role, share and when
+// they joined
+const coAuthorOf = (user, coAuthor) => ({
+  user,
+  role: coAuthor.role,
+  share: coAuthor.share ?? null,
+  joinedAt: coAuthor.joinedAt
+});
+
+// Count how often each value occurs, most frequent first
+const countValues = (values, limit) => {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+
+  return Array.from(counts.entries())
+    .map(([value, count]) => ({ _id: value, count }))
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+};
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  excerptOf,
+  authorSummary,
+  publicProfile,
+  pageArray,
+  countValues,
+  newShareToken,
+  hashShareToken,
+  isLinkActive,
+  shareLinkOf,
+  transferOf,
+  invitationOf,
+  coAuthorOf
+};
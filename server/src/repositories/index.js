@@ -0,0 +1,132 @@
+// Repository layer: the same routes run on any of the three storage backends.
+//
+//   sqlite  EncryptedPermanentStorage (per-author encryption, the production store)
+//   mongo   Mongoose models
+//   memory  process-local Maps, for development without any database
+//
+// Every backend provides the same eight repositories. All methods are async
+// and return plain objects in the shapes built in ./common.js:
+//
+//   users     create, findById, findByLogin (includes the password hash),
+//             findConflict, search, topPoets, incrementStats
+//   poems     create, findById, findByIds, list, update, transfer, setPendingLicense,
+//             delete, incrementViews, popularTags, popularMoods, titleSuggestions,
+//             and the trash: restore, listTrash, listExpiredTrash, purge
+//   comments  add, listForPoem
+//   likes     toggle
+//   follows   toggle, followers, following, followingIds, counts
+//   shares    createLink, listLinks, revokeLink, redeemLink, checkLink,
+//             grantAccess, revokeAccess, listAccess, hasAccess
+//   transfers create, findById, findPending, listForUser, resolve
+//   coAuthors list, add, remove, invite, findInvitation, listPendingInvitations,
+//             listInvitationsForUser, resolveInvitation
+//
+// Only sqlite keeps revisions of edited poems: its poems add listRevisions,
+// getRevision and restoreRevision, and the revision routes answer 501 on the
+// other backends.
+//
+// List methods take a page ({ cursor, limit, scope, defaultLimit }) and return
+// the cursor envelope from utils/cursor.js. Lookups of a missing record return
+// null rather than throwing. poems.delete() only moves a poem to the trash;
+// trashed poems are invisible to every other method until restored, and
+// purge() is what removes them for good (see services/TrashPurgeJob.js).
+// shares holds the share links and access lists that utils/visibility.js
+// consults for unlisted and private poems. transfers holds the ownership
+// transfers an author offers and the recipient accepts (see routes/transferRoutes.js).
+const BACKENDS = ['sqlite', 'mongo', 'memory'];
+
+const createSqliteRepositories = (storage) => {
+  const EncryptedPermanentStorage = require('../services/EncryptedPermanentStorage');
+  const UserRepository = require('./sqlite/UserRepository');
+  const PoemRepository = require('./sqlite/PoemRepository');
+  const CommentRepository = require('./sqlite/CommentRepository');
+  const LikeRepository = require('./sqlite/LikeRepository');
+  const FollowRepository = require('./sqlite/FollowRepository');
+  const ShareRepository = require('./sqlite/ShareRepository');
+  const TransferRepository = require('./sqlite/TransferRepository');
+  const CoAuthorRepository = require('./sqlite/CoAuthorRepository');
+
+  const store = storage || new EncryptedPermanentStorage();
+  const users = new UserRepository(store);
+
+  return {
+    users,
+    poems: new PoemRepository(store, users),
+    comments: new CommentRepository(store, users),
+    likes: new LikeRepository(store),
+    follows: new FollowRepository(store, users),
+    shares: new ShareRepository(store, users),
+    transfers: new TransferRepository(store),
+    coAuthors: new CoAuthorRepository(store, users),
+    storage: store
+  };
+};
+
+const createMongoRepositories = () => {
+  const UserRepository = require('./mongo/UserRepository');
+  const PoemRepository = require('./mongo/PoemRepository');
+  const CommentRepository = require('./mongo/CommentRepository');
+  const LikeRepository = require('./mongo/LikeRepository');
+  const FollowRepository = require('./mongo/FollowRepository');
+  const ShareRepository = require('./mongo/ShareRepository');
+  const TransferRepository = require('./mongo/TransferRepository');
+  const CoAuthorRepository = require('./mongo/CoAuthorRepository');
+
+  return {
+    users: new UserRepository(),
+    poems: new PoemRepository(),
+    comments: new CommentRepository(),
+    likes: new LikeRepository(),
+    follows: new FollowRepository(),
+    shares: new ShareRepository(),
+    transfers: new TransferRepository(),
+    coAuthors: new CoAuthorRepository()
+  };
+};
+
+const createMemoryRepositories = () => {
+  const MemoryStore = require('./memory/MemoryStore');
+  const UserRepository = require('./memory/UserRepository');
+  const PoemRepository = require('./memory/PoemRepository');
+  const CommentRepository = require('./memory/CommentRepository');
+  const LikeRepository = require('./memory/LikeRepository');
+  const FollowRepository = require('./memory/FollowRepository');
+  const ShareRepository = require('./memory/ShareRepository');
+  const TransferRepository = require('./memory/TransferRepository');
+  const CoAuthorRepository = require('./memory/CoAuthorRepository');
+
+  const store = new MemoryStore();
+  return {
+    users: new UserRepository(store),
+    poems: new PoemRepository(store),
+    comments: new CommentRepository(store),
+    likes: new LikeRepository(store),
+    follows: new FollowRepository(store),
+    shares: new ShareRepository(store),
+    transfers: new TransferRepository(store),
+    coAuthors: new CoAuthorRepository(store)
+  };
+};
+
+// Backends are required lazily so e.g. the SQLite server never loads mongoose
+const createRepositories = (backend = process.env.STORAGE_BACKEND || 'mongo', options = {}) => {
+  let repositories;
+
+  switch (backend) {
+    case 'sqlite':
+      repositories = createSqliteRepositories(options.storage);
+      break;
+    case 'mongo':
+      repositories = createMongoRepositories();
+      break;
+    case 'memory':
+      repositories = createMemoryRepositories();
+      break;
+    default:
+      throw new Error(`Unknown storage backend "${backend}" (use ${BACKENDS.join(', ')})`);
+  }
+
+  return { backend, ...repositories };
+};
+
+module.exports = { createRepositories, BACKENDS };
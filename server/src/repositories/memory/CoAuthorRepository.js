@@ -0,0 +1,89 @@
+const { authorSummary, coAuthorOf, invitationOf } = require('../common');
+
+class MemoryCoAuthorRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // In the order they joined
+  async list(poemId) {
+    return Array.from(this.store.coAuthors.values())
+      .filter(entry => entry.poemId === String(poemId))
+      .sort((a, b) => a.joinedAt - b.joinedAt)
+      .map(entry => coAuthorOf(
+        authorSummary(this.store.users.get(entry.userId)) || { id: entry.userId, _id: entry.userId },
+        entry
+      ));
+  }
+
+  // Null if the user already is a co-author of the poem
+  async add(poemId, userId, { role, share = null }) {
+    const key = `${poemId}:${userId}`;
+    if (this.store.coAuthors.has(key)) return null;
+
+    const entry = { poemId: String(poemId), userId: String(userId), role, share, joinedAt: new Date() };
+    this.store.coAuthors.set(key, entry);
+    return coAuthorOf(authorSummary(this.store.users.get(entry.userId)), entry);
+  }
+
+  // The co-author removed ({ role, share }), or null if there was none
+  async remove(poemId, userId) {
+    const key = `${poemId}:${userId}`;
+    const entry = this.store.coAuthors.get(key);
+    if (!entry) return null;
+
+    this.store.coAuthors.delete(key);
+    return { role: entry.role, share: entry.share };
+  }
+
+  async invite(poemId, fromUserId, toUserId, { role, share = null }, expiresAt) {
+    const invitation = {
+      id: this.store.newId(),
+      poemId: String(poemId),
+      fromUserId: String(fromUserId),
+      toUserId: String(toUserId),
+      role,
+      share,
+      status: 'pending',
+      expiresAt: new Date(expiresAt),
+      resolvedAt: null,
+      createdAt: new Date()
+    };
+    this.store.invitations.set(invitation.id, invitation);
+    return invitationOf(invitation);
+  }
+
+  async findInvitation(id) {
+    const invitation = this.store.invitations.get(String(id));
+    return invitation ? invitationOf(invitation) : null;
+  }
+
+  // Invitations to the poem still waiting for an answer, oldest first
+  async listPendingInvitations(poemId) {
+    return Array.from(this.store.invitations.values())
+      .filter(invitation => invitation.poemId === String(poemId))
+      .sort((a, b) => a.createdAt - b.createdAt)
+      .map(invitation => invitationOf(invitation))
+      .filter(invitation => invitation.status === 'pending');
+  }
+
+  // Invitations to and from the user, newest first
+  async listInvitationsForUser(userId) {
+    return Array.from(this.store.invitations.values())
+      .filter(invitation => invitation.fromUserId === String(userId) || invitation.toUserId === String(userId))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(invitation => invitationOf(invitation));
+  }
+
+  // Settle a pending invitation as accepted, declined or cancelled; null if
+  // it was already settled or has expired
+  async resolveInvitation(id, status) {
+    const invitation = this.store.invitations.get(String(id));
+    if (!invitation || invitationOf(invitation).status !== 'pending') return null;
+
+    Object.assign(invitation, { status, resolvedAt: new Date() });
+    return invitationOf(invitation);
+  }
+}
+
+module.exports = MemoryCoAuthorRepository;
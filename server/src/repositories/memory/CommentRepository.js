@@ -0,0 +1,42 @@
+const { authorSummary } = require('../common');
+
+class MemoryCommentRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  toComment(comment) {
+    return {
+      id: comment.id,
+      _id: comment.id,
+      author: authorSummary(this.store.users.get(comment.authorId)) || { id: comment.authorId, _id: comment.authorId },
+      content: comment.content,
+      timestamp: comment.timestamp,
+      isApproved: comment.isApproved
+    };
+  }
+
+  async add(poemId, authorId, content) {
+    if (!this.store.livePoem(poemId)) return null;
+
+    const comment = {
+      id: this.store.newId(),
+      poemId: String(poemId),
+      authorId: String(authorId),
+      content,
+      timestamp: new Date(),
+      isApproved: true
+    };
+    this.store.comments.set(comment.id, comment);
+    return this.toComment(comment);
+  }
+
+  async listForPoem(poemId) {
+    return Array.from(this.store.comments.values())
+      .filter(comment => comment.poemId === String(poemId))
+      .sort((a, b) => a.timestamp - b.timestamp)
+      .map(comment => this.toComment(comment));
+  }
+}
+
+module.exports = MemoryCommentRepository;
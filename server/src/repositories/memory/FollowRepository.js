@@ -0,0 +1,56 @@
+const { authorSummary, pageArray } = require('../common');
+
+class MemoryFollowRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async toggle(followerId, followeeId) {
+    if (!this.store.users.has(String(followerId)) || !this.store.users.has(String(followeeId))) return null;
+
+    const key = `${followerId}:${followeeId}`;
+    const following = !this.store.follows.has(key);
+
+    if (following) {
+      this.store.follows.set(key, { followerId: String(followerId), followeeId: String(followeeId), createdAt: new Date() });
+    } else {
+      this.store.follows.delete(key);
+    }
+
+    return { following, followerCount: (await this.counts(followeeId)).followers };
+  }
+
+  // Users on the other side of the user's follows, newest account first
+  listUsers(ids, key, page) {
+    const users = ids.map(id => this.store.users.get(id)).filter(Boolean);
+    const result = pageArray(key, users, page);
+    return { ...result, [key]: result[key].map(user => authorSummary(user)) };
+  }
+
+  async followers(userId, page = {}) {
+    const ids = Array.from(this.store.follows.values())
+      .filter(follow => follow.followeeId === String(userId))
+      .map(follow => follow.followerId);
+    return this.listUsers(ids, 'followers', page);
+  }
+
+  async following(userId, page = {}) {
+    return this.listUsers(await this.followingIds(userId), 'following', page);
+  }
+
+  async followingIds(userId) {
+    return Array.from(this.store.follows.values())
+      .filter(follow => follow.followerId === String(userId))
+      .map(follow => follow.followeeId);
+  }
+
+  async counts(userId) {
+    const follows = Array.from(this.store.follows.values());
+    return {
+      followers: follows.filter(follow => follow.followeeId === String(userId)).length,
+      following: follows.filter(follow => follow.followerId === String(userId)).length
+    };
+  }
+}
+
+module.exports = MemoryFollowRepository;
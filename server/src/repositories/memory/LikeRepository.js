@@ -0,0 +1,23 @@
+class MemoryLikeRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async toggle(poemId, userId) {
+    if (!this.store.livePoem(poemId)) return null;
+
+    const key = `${poemId}:${userId}`;
+    const liked = !this.store.likes.has(key);
+
+    if (liked) {
+      this.store.likes.set(key, { poemId: String(poemId), userId: String(userId), createdAt: new Date() });
+    } else {
+      this.store.likes.delete(key);
+    }
+
+    const likeCount = Array.from(this.store.likes.values()).filter(like => like.poemId === String(poemId)).length;
+    return { liked, likeCount };
+  }
+}
+
+module.exports = MemoryLikeRepository;
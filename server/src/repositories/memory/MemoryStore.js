@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+
+// Process-local data for the in-memory backend. Nothing survives a restart;
+// meant for development and for running without any database at all.
+class MemoryStore {
+  constructor() {
+    this.users = new Map();
+    this.poems = new Map();
+    this.comments = new Map();
+    // "<poemId>:<userId>" -> { poemId, userId, createdAt }
+    this.likes = new Map();
+    // "<followerId>:<followeeId>" -> { followerId, followeeId, createdAt }
+    this.follows = new Map();
+    // share link id -> { id, poemId, tokenHash, createdBy, expiresAt, maxViews, viewCount, revokedAt, createdAt }
+    this.shareLinks = new Map();
+    // "<poemId>:<userId>" -> { poemId, userId, grantedAt }
+    this.access = new Map();
+    // transfer id -> { id, poemId, fromUserId, toUserId, status, expiresAt, resolvedAt, createdAt }
+    this.transfers = new Map();
+    // "<poemId>:<userId>" -> { poemId, userId, role, share, joinedAt }
+    this.coAuthors = new Map();
+    // invitation id -> { id, poemId, fromUserId, toUserId, role, share, status, expiresAt, resolvedAt, createdAt }
+    this.invitations = new Map();
+  }
+
+  // A poem, unless it is missing or in the trash
+  livePoem(id) {
+    const poem = this.poems.get(String(id));
+    return poem && !poem.deletedAt ? poem : null;
+  }
+
+  newId() {
+    return Date.now().toString(36) + crypto.randomBytes(6).toString('hex');
+  }
+}
+
+module.exports = MemoryStore;
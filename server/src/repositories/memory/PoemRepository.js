@@ -0,0 +1,209 @@
+const { excerptOf, authorSummary, coAuthorOf, pageArray, countValues } = require('../common');
+const { copyrightNoticeOf } = require('../../utils/authorship');
+const { purgeAt } = require('../../utils/trash');
+
+class MemoryPoemRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  toPoem(poem) {
+    if (!poem) return null;
+
+    const comments = Array.from(this.store.comments.values()).filter(comment => comment.poemId === poem.id);
+    const likes = Array.from(this.store.likes.values()).filter(like => like.poemId === poem.id);
+    const coAuthors = Array.from(this.store.coAuthors.values())
+      .filter(entry => entry.poemId === poem.id)
+      .sort((a, b) => a.joinedAt - b.joinedAt)
+      .map(entry => coAuthorOf(authorSummary(this.store.users.get(entry.userId)) || { id: entry.userId, _id: entry.userId }, entry));
+
+    const shaped = {
+      ...poem,
+      _id: poem.id,
+      excerpt: excerptOf(poem.body),
+      author: authorSummary(this.store.users.get(poem.author)) || { id: poem.author, _id: poem.author },
+      coAuthors,
+      pendingLicense: poem.pendingLicense || null,
+      likeCount: likes.length,
+      commentCount: comments.filter(comment => comment.isApproved).length,
+      ...(poem.deletedAt && { purgeAt: purgeAt(poem.deletedAt) })
+    };
+    return { ...shaped, copyrightNotice: copyrightNoticeOf(shaped) };
+  }
+
+  matches(poem, filters) {
+    if (poem.deletedAt) return false;
+    const visibilities = filters.visibilities || ['public'];
+    if (!visibilities.includes(poem.visibility)) return false;
+    if (filters.author && poem.author !== String(filters.author)) return false;
+    if (filters.authors && !filters.authors.map(String).includes(poem.author)) return false;
+    if (filters.mood && poem.mood !== filters.mood) return false;
+    if (filters.style && poem.style !== filters.style) return false;
+    if (filters.license && poem.license !== filters.license) return false;
+    if (filters.tag && !poem.tags.includes(filters.tag)) return false;
+    if (filters.featured && !poem.isFeatured) return false;
+
+    if (filters.text) {
+      const needle = filters.text.toLowerCase();
+      return [poem.title, poem.body, ...poem.tags].some(value => value && value.toLowerCase().includes(needle));
+    }
+
+    return true;
+  }
+
+  async create(poemData) {
+    const id = this.store.newId();
+    const now = new Date();
+    const poem = {
+      tags: [],
+      visibility: 'public',
+      ...poemData,
+      id,
+      author: String(poemData.author),
+      isPublished: true,
+      isFeatured: false,
+      views: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.store.poems.set(id, poem);
+    return this.toPoem(poem);
+  }
+
+  async findById(id) {
+    return this.toPoem(this.store.livePoem(id));
+  }
+
+  async findByIds(ids) {
+    return ids.map(id => this.store.livePoem(id)).filter(Boolean).map(poem => this.toPoem(poem));
+  }
+
+  async list(filters = {}, page = {}) {
+    const matches = Array.from(this.store.poems.values()).filter(poem => this.matches(poem, filters));
+    const result = pageArray('poems', matches, page);
+    return { ...result, poems: result.poems.map(poem => this.toPoem(poem)) };
+  }
+
+  async update(id, updates) {
+    const poem = this.store.livePoem(id);
+    if (!poem) return null;
+
+    Object.assign(poem, updates, { updatedAt: new Date() });
+    return this.toPoem(poem);
+  }
+
+  // Give the poem to another author; null unless fromAuthorId has it
+  async transfer(id, fromAuthorId, toAuthorId, contentHash) {
+    const poem = this.store.livePoem(id);
+    if (!poem || poem.author !== String(fromAuthorId)) return null;
+
+    Object.assign(poem, { author: String(toAuthorId), contentHash, updatedAt: new Date() });
+    return this.toPoem(poem);
+  }
+
+  // Set or clear (null) the license change waiting for the co-authors'
+  // approval; not an edit of the poem
+  async setPendingLicense(id, pendingLicense) {
+    const poem = this.store.livePoem(id);
+    if (!poem) return null;
+
+    poem.pendingLicense = pendingLicense;
+    return this.toPoem(poem);
+  }
+
+  // Move to the trash
+  async delete(id) {
+    const poem = this.store.livePoem(id);
+    if (!poem) return null;
+
+    poem.deletedAt = new Date();
+    return { deletedAt: poem.deletedAt, purgeAt: purgeAt(poem.deletedAt) };
+  }
+
+  // Null unless the poem is in this author's trash
+  async restore(id, authorId) {
+    const poem = this.store.poems.get(String(id));
+    if (!poem || !poem.deletedAt || poem.author !== String(authorId)) return null;
+
+    delete poem.deletedAt;
+    return this.toPoem(poem);
+  }
+
+  async listTrash(authorId, page = {}) {
+    const trashed = Array.from(this.store.poems.values())
+      .filter(poem => poem.deletedAt && poem.author === String(authorId));
+    const result = pageArray('poems', trashed, page, 'deletedAt');
+    return { ...result, poems: result.poems.map(poem => this.toPoem(poem)) };
+  }
+
+  async listExpiredTrash(cutoff, limit = 100) {
+    return Array.from(this.store.poems.values())
+      .filter(poem => poem.deletedAt && poem.deletedAt <= cutoff)
+      .sort((a, b) => a.deletedAt - b.deletedAt)
+      .slice(0, limit)
+      .map(poem => this.toPoem(poem));
+  }
+
+  // Remove a trashed poem for good, with its comments, likes, share links,
+  // access list, transfers, co-authors and invitations
+  async purge(id) {
+    const poemId = String(id);
+    const poem = this.store.poems.get(poemId);
+    if (!poem || !poem.deletedAt) return false;
+
+    Array.from(this.store.comments.values())
+      .filter(comment => comment.poemId === poemId)
+      .forEach(comment => this.store.comments.delete(comment.id));
+    Array.from(this.store.likes.entries())
+      .filter(([, like]) => like.poemId === poemId)
+      .forEach(([key]) => this.store.likes.delete(key));
+    Array.from(this.store.shareLinks.values())
+      .filter(link => link.poemId === poemId)
+      .forEach(link => this.store.shareLinks.delete(link.id));
+    Array.from(this.store.access.entries())
+      .filter(([, entry]) => entry.poemId === poemId)
+      .forEach(([key]) => this.store.access.delete(key));
+    Array.from(this.store.transfers.values())
+      .filter(transfer => transfer.poemId === poemId)
+      .forEach(transfer => this.store.transfers.delete(transfer.id));
+    Array.from(this.store.coAuthors.entries())
+      .filter(([, entry]) => entry.poemId === poemId)
+      .forEach(([key]) => this.store.coAuthors.delete(key));
+    Array.from(this.store.invitations.values())
+      .filter(invitation => invitation.poemId === poemId)
+      .forEach(invitation => this.store.invitations.delete(invitation.id));
+
+    return this.store.poems.delete(poemId);
+  }
+
+  async incrementViews(id) {
+    const poem = this.store.livePoem(id);
+    if (poem) poem.views += 1;
+  }
+
+  publicSince(since) {
+    return Array.from(this.store.poems.values())
+      .filter(poem => !poem.deletedAt && poem.visibility === 'public' && (!since || poem.createdAt >= since));
+  }
+
+  async popularTags({ text, since, limit = 10 } = {}) {
+    const needle = text ? text.toLowerCase() : null;
+    const tags = this.publicSince(since).flatMap(poem => poem.tags)
+      .filter(tag => !needle || tag.toLowerCase().includes(needle));
+    return countValues(tags, limit);
+  }
+
+  async popularMoods({ since, limit = 5 } = {}) {
+    return countValues(this.publicSince(since).map(poem => poem.mood), limit);
+  }
+
+  async titleSuggestions(text, limit = 5) {
+    const needle = text.toLowerCase();
+    return this.publicSince(null)
+      .filter(poem => poem.title.toLowerCase().includes(needle))
+      .slice(0, limit)
+      .map(poem => this.toPoem(poem));
+  }
+}
+
+module.exports = MemoryPoemRepository;
@@ -0,0 +1,87 @@
+const { authorSummary, newShareToken, hashShareToken, isLinkActive, shareLinkOf } = require('../common');
+
+class MemoryShareRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  findLink(token, poemId) {
+    const tokenHash = hashShareToken(token);
+    return Array.from(this.store.shareLinks.values())
+      .find(link => link.tokenHash === tokenHash && link.poemId === String(poemId)) || null;
+  }
+
+  // The token is only ever returned here
+  async createLink(poemId, createdBy, { expiresAt = null, maxViews = null } = {}) {
+    const token = newShareToken();
+    const link = {
+      id: this.store.newId(),
+      poemId: String(poemId),
+      tokenHash: hashShareToken(token),
+      createdBy: String(createdBy),
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      maxViews,
+      viewCount: 0,
+      revokedAt: null,
+      createdAt: new Date()
+    };
+    this.store.shareLinks.set(link.id, link);
+    return { link: shareLinkOf(link), token };
+  }
+
+  async listLinks(poemId) {
+    return Array.from(this.store.shareLinks.values())
+      .filter(link => link.poemId === String(poemId))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(shareLinkOf);
+  }
+
+  async revokeLink(poemId, linkId) {
+    const link = this.store.shareLinks.get(String(linkId));
+    if (!link || link.poemId !== String(poemId)) return null;
+
+    link.revokedAt = link.revokedAt || new Date();
+    return shareLinkOf(link);
+  }
+
+  // Check and count in the same tick, so no reader can take a link past its view limit
+  async redeemLink(token, poemId) {
+    const link = this.findLink(token, poemId);
+    if (!link || !isLinkActive(link)) return false;
+
+    link.viewCount += 1;
+    return true;
+  }
+
+  async checkLink(token, poemId) {
+    const link = this.findLink(token, poemId);
+    return !!link && isLinkActive(link);
+  }
+
+  async grantAccess(poemId, userId) {
+    const key = `${poemId}:${userId}`;
+    if (!this.store.access.has(key)) {
+      this.store.access.set(key, { poemId: String(poemId), userId: String(userId), grantedAt: new Date() });
+    }
+  }
+
+  async revokeAccess(poemId, userId) {
+    return this.store.access.delete(`${poemId}:${userId}`);
+  }
+
+  async listAccess(poemId) {
+    return Array.from(this.store.access.values())
+      .filter(entry => entry.poemId === String(poemId))
+      .sort((a, b) => a.grantedAt - b.grantedAt)
+      .map(entry => ({
+        user: authorSummary(this.store.users.get(entry.userId)) || { id: entry.userId, _id: entry.userId },
+        grantedAt: entry.grantedAt
+      }));
+  }
+
+  async hasAccess(poemId, userId) {
+    return this.store.access.has(`${poemId}:${userId}`);
+  }
+}
+
+module.exports = MemoryShareRepository;
@@ -0,0 +1,54 @@
+const { transferOf } = require('../common');
+
+class MemoryTransferRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async create(poemId, fromUserId, toUserId, expiresAt) {
+    const transfer = {
+      id: this.store.newId(),
+      poemId: String(poemId),
+      fromUserId: String(fromUserId),
+      toUserId: String(toUserId),
+      status: 'pending',
+      expiresAt: new Date(expiresAt),
+      resolvedAt: null,
+      createdAt: new Date()
+    };
+    this.store.transfers.set(transfer.id, transfer);
+    return transferOf(transfer);
+  }
+
+  async findById(id) {
+    const transfer = this.store.transfers.get(String(id));
+    return transfer ? transferOf(transfer) : null;
+  }
+
+  // The poem's transfer still waiting for an answer, if any
+  async findPending(poemId) {
+    return Array.from(this.store.transfers.values())
+      .map(transfer => transferOf(transfer))
+      .find(transfer => transfer.poemId === String(poemId) && transfer.status === 'pending') || null;
+  }
+
+  // Transfers to and from the user, newest first
+  async listForUser(userId) {
+    return Array.from(this.store.transfers.values())
+      .filter(transfer => transfer.fromUserId === String(userId) || transfer.toUserId === String(userId))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(transfer => transferOf(transfer));
+  }
+
+  // Settle a pending transfer as accepted, declined or cancelled; null if it
+  // was already settled or has expired
+  async resolve(id, status) {
+    const transfer = this.store.transfers.get(String(id));
+    if (!transfer || transferOf(transfer).status !== 'pending') return null;
+
+    Object.assign(transfer, { status, resolvedAt: new Date() });
+    return transferOf(transfer);
+  }
+}
+
+module.exports = MemoryTransferRepository;
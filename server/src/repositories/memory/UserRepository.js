@@ -0,0 +1,89 @@
+const { DEFAULT_SETTINGS, authorSummary, publicProfile, pageArray } = require('../common');
+
+class MemoryUserRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Stats are derived from the other collections rather than kept as counters
+  statsFor(userId) {
+    const poems = Array.from(this.store.poems.values()).filter(poem => poem.author === userId && !poem.deletedAt);
+    const poemIds = new Set(poems.map(poem => poem.id));
+
+    return {
+      poemsPublished: poems.length,
+      totalViews: poems.reduce((sum, poem) => sum + poem.views, 0),
+      totalLikes: Array.from(this.store.likes.values()).filter(like => poemIds.has(like.poemId)).length
+    };
+  }
+
+  toUser(user, { withPassword = false } = {}) {
+    if (!user) return null;
+
+    const { password, ...rest } = user;
+    return {
+      ...rest,
+      _id: user.id,
+      stats: this.statsFor(user.id),
+      ...(withPassword && { password })
+    };
+  }
+
+  async create(userData) {
+    const id = this.store.newId();
+    const user = {
+      id,
+      avatar: null,
+      bio: '',
+      ...userData,
+      email: String(userData.email).toLowerCase(),
+      settings: { ...DEFAULT_SETTINGS, ...userData.settings },
+      createdAt: new Date()
+    };
+    this.store.users.set(id, user);
+    return this.toUser(user);
+  }
+
+  async findById(id) {
+    return this.toUser(this.store.users.get(String(id)));
+  }
+
+  async findByLogin(login) {
+    const email = String(login).toLowerCase();
+    const user = Array.from(this.store.users.values()).find(candidate => candidate.email === email || candidate.username === login);
+    return this.toUser(user, { withPassword: true });
+  }
+
+  async findConflict({ email, username }) {
+    const users = Array.from(this.store.users.values());
+    if (users.some(user => user.email === String(email).toLowerCase())) return 'email';
+    if (users.some(user => user.username === username)) return 'username';
+    return null;
+  }
+
+  async search({ search, matchBio = false } = {}, page = {}) {
+    const needle = search ? search.toLowerCase() : null;
+    const matches = Array.from(this.store.users.values()).filter(user => {
+      if (user.settings.profileVisibility !== 'public') return false;
+      if (!needle) return true;
+      return [user.username, user.displayName, matchBio ? user.bio : null]
+        .some(value => value && value.toLowerCase().includes(needle));
+    });
+
+    const result = pageArray('users', matches, page);
+    return { ...result, users: result.users.map(user => publicProfile(this.toUser(user))) };
+  }
+
+  async topPoets(limit = 5) {
+    return Array.from(this.store.users.values())
+      .filter(user => user.settings.profileVisibility === 'public')
+      .map(user => ({ ...authorSummary(user), stats: this.statsFor(user.id) }))
+      .sort((a, b) => b.stats.poemsPublished - a.stats.poemsPublished)
+      .slice(0, limit);
+  }
+
+  // Stats are derived, so there are no counters to update
+  async incrementStats() {}
+}
+
+module.exports = MemoryUserRepository;
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Poem = require('../../models/Poem');
+const CoAuthorInvitation = require('../../models/CoAuthorInvitation');
+const { authorSummary, coAuthorOf, invitationOf } = require('../common');
+
+const AUTHOR_FIELDS = 'username displayName avatar bio';
+
+// Co-authors are embedded in the poem document (Poem.coAuthors); invitations
+// are documents of their own
+class MongoCoAuthorRepository {
+  toInvitation(doc) {
+    return doc && invitationOf({
+      id: doc.id,
+      poemId: String(doc.poem),
+      fromUserId: String(doc.from),
+      toUserId: String(doc.to),
+      role: doc.role,
+      share: doc.share,
+      status: doc.status,
+      expiresAt: doc.expiresAt,
+      resolvedAt: doc.resolvedAt,
+      createdAt: doc.createdAt
+    });
+  }
+
+  // In the order they joined
+  async list(poemId) {
+    if (!mongoose.isValidObjectId(poemId)) return [];
+
+    const poem = await Poem.findById(poemId).select('coAuthors').populate('coAuthors.user', AUTHOR_FIELDS);
+    if (!poem) return [];
+
+    return poem.coAuthors.filter(entry => entry.user).map(entry => coAuthorOf(
+      authorSummary({ id: entry.user.id, username: entry.user.username, displayName: entry.user.displayName, avatar: entry.user.avatar, bio: entry.user.bio }),
+      entry
+    ));
+  }
+
+  // Null if the user already is a co-author of the poem. One update, so
+  // accepting twice adds them once.
+  async add(poemId, userId, { role, share = null }) {
+    if (!mongoose.isValidObjectId(poemId)) return null;
+
+    const poem = await Poem.findOneAndUpdate(
+      { _id: poemId, 'coAuthors.user': { $ne: userId } },
+      { $push: { coAuthors: { user: userId, role, share } } },
+      { new: true }
+    );
+    if (!poem) return null;
+
+    return (await this.list(poemId)).find(coAuthor => coAuthor.user.id === String(userId)) || null;
+  }
+
+  // The co-author removed ({ role, share }), or null if there was none
+  async remove(poemId, userId) {
+    if (!mongoose.isValidObjectId(poemId) || !mongoose.isValidObjectId(userId)) return null;
+
+    const poem = await Poem.findOneAndUpdate(
+      { _id: poemId, 'coAuthors.user': userId },
+      { $pull: { coAuthors: { user: userId } } }
+    );
+    const entry = poem && poem.coAuthors.find(coAuthor => String(coAuthor.user) === String(userId));
+    return entry ? { role: entry.role, share: entry.share } : null;
+  }
+
+  async invite(poemId, fromUserId, toUserId, { role, share = null }, expiresAt) {
+    return this.toInvitation(await CoAuthorInvitation.create({ poem: poemId, from: fromUserId, to: toUserId, role, share, expiresAt }));
+  }
+
+  async findInvitation(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.toInvitation(await CoAuthorInvitation.findById(id));
+  }
+
+  // Invitations to the poem still waiting for an answer, oldest first
+  async listPendingInvitations(poemId) {
+    if (!mongoose.isValidObjectId(poemId)) return [];
+    const invitations = await CoAuthorInvitation.find({ poem: poemId, status: 'pending', expiresAt: { $gt: new Date() } })
+      .sort({ createdAt: 1, _id: 1 });
+    return invitations.map(invitation => this.toInvitation(invitation));
+  }
+
+  // Invitations to and from the user, newest first
+  async listInvitationsForUser(userId) {
+    if (!mongoose.isValidObjectId(userId)) return [];
+    const invitations = await CoAuthorInvitation.find({ $or: [{ from: userId }, { to: userId }] }).sort({ createdAt: -1, _id: -1 });
+    return invitations.map(invitation => this.toInvitation(invitation));
+  }
+
+  // Settle a pending invitation as accepted, declined or cancelled; null if
+  // it was already settled or has expired. One update, so it is settled once.
+  async resolveInvitation(id, status) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.toInvitation(await CoAuthorInvitation.findOneAndUpdate(
+      { _id: id, status: 'pending', expiresAt: { $gt: new Date() } },
+      { status, resolvedAt: new Date() },
+      { new: true }
+    ));
+  }
+}
+
+module.exports = MongoCoAuthorRepository;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Poem = require('../../models/Poem');
+const { authorSummary } = require('../common');
+
+// Comments are embedded in the poem document
+class MongoCommentRepository {
+  toComment(comment) {
+    const author = comment.author && comment.author.username
+      ? authorSummary({ id: comment.author.id, username: comment.author.username, displayName: comment.author.displayName, avatar: comment.author.avatar })
+      : { id: String(comment.author), _id: String(comment.author) };
+
+    return {
+      id: comment.id,
+      _id: comment.id,
+      author,
+      content: comment.content,
+      timestamp: comment.timestamp,
+      isApproved: comment.isApproved
+    };
+  }
+
+  async add(poemId, authorId, content) {
+    if (!mongoose.isValidObjectId(poemId)) return null;
+
+    const poem = await Poem.findOne({ _id: poemId, deletedAt: null });
+    if (!poem) return null;
+
+    poem.comments.push({ author: authorId, content });
+    await poem.save();
+
+    const comments = await this.listForPoem(poemId);
+    return comments[comments.length - 1];
+  }
+
+  async listForPoem(poemId) {
+    if (!mongoose.isValidObjectId(poemId)) return [];
+
+    const poem = await Poem.findById(poemId)
+      .select('comments')
+      .populate('comments.author', 'username displayName avatar');
+    return poem ? poem.comments.map(comment => this.toComment(comment)) : [];
+  }
+}
+
+module.exports = MongoCommentRepository;
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const { decodeCursor, parseLimit, mongoAfter, pageEnvelope } = require('../../utils/cursor');
+const { authorSummary } = require('../common');
+
+// Follows are stored as id arrays on both users
+class MongoFollowRepository {
+  // Follow the user, or unfollow if already following. Null if either user is missing.
+  async toggle(followerId, followeeId) {
+    if (!mongoose.isValidObjectId(followeeId)) return null;
+
+    const [follower, followee] = await Promise.all([User.findById(followerId), User.findById(followeeId)]);
+    if (!follower || !followee) return null;
+
+    const following = !follower.following.some(id => id.toString() === String(followeeId));
+
+    if (following) {
+      follower.following.push(followeeId);
+      followee.followers.push(followerId);
+    } else {
+      follower.following = follower.following.filter(id => id.toString() !== String(followeeId));
+      followee.followers = followee.followers.filter(id => id.toString() !== String(followerId));
+    }
+
+    await follower.save();
+    await followee.save();
+
+    return { following, followerCount: followee.followers.length };
+  }
+
+  async listUsers(userId, field, page) {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId).select(field) : null;
+    const ids = user ? user[field] : [];
+
+    const after = decodeCursor(page.cursor, page.scope);
+    const limit = parseLimit(page.limit, page.defaultLimit);
+    const users = await User.find({ _id: { $in: ids }, ...mongoAfter(after) })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const result = pageEnvelope(field, users, limit, page.scope);
+    return {
+      ...result,
+      [field]: result[field].map(doc => authorSummary({
+        id: doc.id, username: doc.username, displayName: doc.displayName, avatar: doc.avatar, bio: doc.bio
+      }))
+    };
+  }
+
+  async followers(userId, page = {}) {
+    return this.listUsers(userId, 'followers', page);
+  }
+
+  async following(userId, page = {}) {
+    return this.listUsers(userId, 'following', page);
+  }
+
+  async followingIds(userId) {
+    const user = await User.findById(userId).select('following');
+    return user ? user.following.map(id => id.toString()) : [];
+  }
+
+  async counts(userId) {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId).select('followers following') : null;
+    return {
+      followers: user ? user.followers.length : 0,
+      following: user ? user.following.length : 0
+    };
+  }
+}
+
+module.exports = MongoFollowRepository;
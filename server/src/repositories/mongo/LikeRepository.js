@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Poem = require('../../models/Poem');
+const User = require('../../models/User');
+
+// Likes are embedded in the poem document; the author's totalLikes counter follows them
+class MongoLikeRepository {
+  // Like the poem, or unlike it if the user already had. Null if the poem is missing or trashed.
+  async toggle(poemId, userId) {
+    if (!mongoose.isValidObjectId(poemId)) return null;
+
+    const poem = await Poem.findOne({ _id: poemId, deletedAt: null });
+    if (!poem) return null;
+
+    const liked = !poem.likes.some(like => like.user.toString() === String(userId));
+
+    if (liked) {
+      poem.likes.push({ user: userId });
+    } else {
+      poem.likes = poem.likes.filter(like => like.user.toString() !== String(userId));
+    }
+
+    await poem.save();
+    await User.findByIdAndUpdate(poem.author, { $inc: { 'stats.totalLikes': liked ? 1 : -1 } });
+
+    return { liked, likeCount: poem.likes.length };
+  }
+}
+
+module.exports = MongoLikeRepository;
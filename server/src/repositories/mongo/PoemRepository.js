@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const Poem = require('../../models/Poem');
+const User = require('../../models/User');
+const ShareLink = require('../../models/ShareLink');
+const CoAuthorInvitation = require('../../models/CoAuthorInvitation');
+const PoemTransfer = require('../../models/PoemTransfer');
+const { decodeCursor, parseLimit, mongoAfter, pageEnvelope } = require('../../utils/cursor');
+const { authorSummary, coAuthorOf } = require('../common');
+const { copyrightNoticeOf } = require('../../utils/authorship');
+const { purgeAt } = require('../../utils/trash');
+const { escapeRegex } = require('./UserRepository');
+
+const AUTHOR_FIELDS = 'username displayName avatar bio';
+
+// The author and co-authors, as toPoem() summarizes them
+const PEOPLE = [
+  { path: 'author', select: AUTHOR_FIELDS },
+  { path: 'coAuthors.user', select: AUTHOR_FIELDS }
+];
+
+const summaryOf = (user) => (user && user.username
+  ? authorSummary({ id: user.id, username: user.username, displayName: user.displayName, avatar: user.avatar, bio: user.bio })
+  : { id: String(user), _id: String(user) });
+
+// Matches poems that are not in the trash (deletedAt null or missing)
+const LIVE = { deletedAt: null };
+
+// Poems stored as Mongoose documents. Likes and comments are embedded in the
+// poem document; author stats are kept as counters on the user.
+class MongoPoemRepository {
+  toPoem(doc) {
+    if (!doc) return null;
+
+    const pendingLicense = doc.pendingLicense && doc.pendingLicense.license ? {
+      license: doc.pendingLicense.license,
+      proposedBy: doc.pendingLicense.proposedBy,
+      proposedAt: doc.pendingLicense.proposedAt,
+      approvals: [...doc.pendingLicense.approvals]
+    } : null;
+
+    const poem = {
+      id: doc.id,
+      _id: doc.id,
+      title: doc.title,
+      body: doc.body,
+      bodyDocument: doc.bodyDocument || null,
+      excerpt: doc.excerpt,
+      author: summaryOf(doc.author),
+      coAuthors: (doc.coAuthors || []).filter(entry => entry.user).map(entry => coAuthorOf(summaryOf(entry.user), entry)),
+      license: doc.license,
+      pendingLicense,
+      tags: doc.tags,
+      mood: doc.mood,
+      style: doc.style,
+      visibility: doc.visibility,
+      isPublished: doc.isPublished,
+      isFeatured: doc.isFeatured,
+      views: doc.views,
+      likeCount: doc.likes.length,
+      commentCount: doc.comments.filter(comment => comment.isApproved).length,
+      contentHash: doc.contentHash,
+      vectorId: doc.vectorId,
+      copyrightYear: doc.copyrightYear,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+      ...(doc.deletedAt && { deletedAt: doc.deletedAt, purgeAt: purgeAt(doc.deletedAt) })
+    };
+    return { ...poem, copyrightNotice: copyrightNoticeOf(poem) };
+  }
+
+  buildQuery(filters = {}) {
+    const query = { ...LIVE, isPublished: true, visibility: { $in: filters.visibilities || ['public'] } };
+
+    if (filters.author) query.author = filters.author;
+    if (filters.authors) query.author = { $in: filters.authors };
+    if (filters.mood) query.mood = filters.mood;
+    if (filters.style) query.style = filters.style;
+    if (filters.license) query.license = filters.license;
+    if (filters.tag) query.tags = { $in: [filters.tag] };
+    if (filters.featured) query.isFeatured = true;
+    if (filters.text) {
+      const pattern = new RegExp(escapeRegex(filters.text), 'i');
+      query.$or = [{ title: pattern }, { body: pattern }, { tags: { $in: [pattern] } }];
+    }
+
+    return query;
+  }
+
+  async create(poemData) {
+    const poem = new Poem(poemData);
+    await poem.save();
+
+    await User.findByIdAndUpdate(poemData.author, { $inc: { 'stats.poemsPublished': 1 } });
+
+    return this.findById(poem.id);
+  }
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.toPoem(await Poem.findOne({ _id: id, ...LIVE }).populate(PEOPLE));
+  }
+
+  async findByIds(ids) {
+    const poems = await Poem.find({ _id: { $in: ids.filter(id => mongoose.isValidObjectId(id)) }, ...LIVE })
+      .populate(PEOPLE);
+    return poems.map(poem => this.toPoem(poem));
+  }
+
+  // Newest first by (createdAt, id); page = { cursor, limit, scope, defaultLimit }
+  async list(filters = {}, page = {}) {
+    const after = decodeCursor(page.cursor, page.scope);
+    const limit = parseLimit(page.limit, page.defaultLimit);
+    const query = { $and: [this.buildQuery(filters), mongoAfter(after)] };
+
+    const poems = await Poem.find(query)
+      .populate(PEOPLE)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const result = pageEnvelope('poems', poems, limit, page.scope);
+    return { ...result, poems: result.poems.map(poem => this.toPoem(poem)) };
+  }
+
+  async update(id, updates) {
+    const poem = await Poem.findOneAndUpdate({ _id: id, ...LIVE }, updates, { new: true, runValidators: true })
+      .populate(PEOPLE);
+    return this.toPoem(poem);
+  }
+
+  // Give the poem to another author, moving it between their stats; null
+  // unless fromAuthorId has it
+  async transfer(id, fromAuthorId, toAuthorId, contentHash) {
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    const poem = await Poem.findOneAndUpdate({ _id: id, author: fromAuthorId, ...LIVE }, { author: toAuthorId, contentHash });
+    if (!poem) return null;
+
+    await User.findByIdAndUpdate(fromAuthorId, { $inc: { 'stats.poemsPublished': -1 } });
+    await User.findByIdAndUpdate(toAuthorId, { $inc: { 'stats.poemsPublished': 1 } });
+    return this.findById(id);
+  }
+
+  // Set or clear (null) the license change waiting for the co-authors'
+  // approval; not an edit of the poem
+  async setPendingLicense(id, pendingLicense) {
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    const poem = await Poem.findOneAndUpdate({ _id: id, ...LIVE }, { pendingLicense }, { new: true })
+      .populate(PEOPLE);
+    return this.toPoem(poem);
+  }
+
+  // Move to the trash; the poem stops counting towards the author's stats
+  async delete(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    const deletedAt = new Date();
+    const poem = await Poem.findOneAndUpdate({ _id: id, ...LIVE }, { deletedAt });
+    if (!poem) return null;
+
+    await User.findByIdAndUpdate(poem.author, { $inc: { 'stats.poemsPublished': -1 } });
+    return { deletedAt, purgeAt: purgeAt(deletedAt) };
+  }
+
+  // Null unless the poem is in this author's trash
+  async restore(id, authorId) {
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    const poem = await Poem.findOneAndUpdate({ _id: id, author: authorId, deletedAt: { $ne: null } }, { deletedAt: null });
+    if (!poem) return null;
+
+    await User.findByIdAndUpdate(poem.author, { $inc: { 'stats.poemsPublished': 1 } });
+    return this.findById(id);
+  }
+
+  // Most recently deleted first
+  async listTrash(authorId, page = {}) {
+    const after = decodeCursor(page.cursor, page.scope);
+    const limit = parseLimit(page.limit, page.defaultLimit);
+    const query = { author: authorId, deletedAt: { $ne: null } };
+
+    if (after) {
+      const at = new Date(after.createdAt);
+      query.$or = [
+        { deletedAt: { $lt: at } },
+        { deletedAt: at, _id: { $lt: after.id } }
+      ];
+    }
+
+    const poems = await Poem.find(query)
+      .populate(PEOPLE)
+      .sort({ deletedAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const result = pageEnvelope('poems', poems, limit, page.scope,
+      poem => ({ createdAt: poem.deletedAt.toISOString(), id: poem.id }));
+    return { ...result, poems: result.poems.map(poem => this.toPoem(poem)) };
+  }
+
+  async listExpiredTrash(cutoff, limit = 100) {
+    const poems = await Poem.find({ deletedAt: { $ne: null, $lte: cutoff } })
+      .populate(PEOPLE)
+      .sort({ deletedAt: 1 })
+      .limit(limit);
+    return poems.map(poem => this.toPoem(poem));
+  }
+
+  // Remove a trashed poem for good; its likes, comments, access list and
+  // co-authors are embedded and go with it, its share links, transfers and
+  // co-author invitations are removed here
+  async purge(id) {
+    const poem = await Poem.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+    if (poem) {
+      await ShareLink.deleteMany({ poem: poem._id });
+      await CoAuthorInvitation.deleteMany({ poem: poem._id });
+      await PoemTransfer.deleteMany({ poem: poem._id });
+    }
+    return !!poem;
+  }
+
+  async incrementViews(id) {
+    const poem = await Poem.findOneAndUpdate({ _id: id, ...LIVE }, { $inc: { views: 1 } });
+    if (poem) {
+      await User.findByIdAndUpdate(poem.author, { $inc: { 'stats.totalViews': 1 } });
+    }
+  }
+
+  async popularTags({ text, since, limit = 10 } = {}) {
+    const match = { ...LIVE, isPublished: true, visibility: 'public' };
+    if (since) match.createdAt = { $gte: since };
+
+    return Poem.aggregate([
+      { $match: match },
+      { $unwind: '$tags' },
+      ...(text ? [{ $match: { tags: { $regex: escapeRegex(text), $options: 'i' } } }] : []),
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: limit }
+    ]);
+  }
+
+  async popularMoods({ since, limit = 5 } = {}) {
+    const match = { ...LIVE, isPublished: true, visibility: 'public' };
+    if (since) match.createdAt = { $gte: since };
+
+    return Poem.aggregate([
+      { $match: match },
+      { $group: { _id: '$mood', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+      { $limit: limit }
+    ]);
+  }
+
+  async titleSuggestions(text, limit = 5) {
+    const poems = await Poem.find({
+      title: { $regex: escapeRegex(text), $options: 'i' },
+      ...LIVE,
+      isPublished: true,
+      visibility: 'public'
+    })
+      .populate(PEOPLE)
+      .limit(limit);
+    return poems.map(poem => this.toPoem(poem));
+  }
+}
+
+module.exports = MongoPoemRepository;
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Poem = require('../../models/Poem');
+const ShareLink = require('../../models/ShareLink');
+const { authorSummary, newShareToken, hashShareToken, shareLinkOf } = require('../common');
+
+// Share links are their own collection; access lists are embedded in the poem
+// document as sharedWith
+class MongoShareRepository {
+  toLink(doc) {
+    return shareLinkOf({
+      id: doc.id,
+      poemId: String(doc.poem),
+      expiresAt: doc.expiresAt,
+      maxViews: doc.maxViews,
+      viewCount: doc.viewCount,
+      revokedAt: doc.revokedAt,
+      createdAt: doc.createdAt
+    });
+  }
+
+  // The token is only ever returned here
+  async createLink(poemId, createdBy, { expiresAt = null, maxViews = null } = {}) {
+    const token = newShareToken();
+    const link = await ShareLink.create({
+      poem: poemId,
+      tokenHash: hashShareToken(token),
+      createdBy,
+      expiresAt,
+      maxViews
+    });
+    return { link: this.toLink(link), token };
+  }
+
+  async listLinks(poemId) {
+    if (!mongoose.isValidObjectId(poemId)) return [];
+    const links = await ShareLink.find({ poem: poemId }).sort({ createdAt: -1, _id: -1 });
+    return links.map(link => this.toLink(link));
+  }
+
+  async revokeLink(poemId, linkId) {
+    if (!mongoose.isValidObjectId(linkId)) return null;
+
+    await ShareLink.updateOne({ _id: linkId, poem: poemId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    const link = await ShareLink.findOne({ _id: linkId, poem: poemId });
+    return link ? this.toLink(link) : null;
+  }
+
+  // Conditions that keep a link usable, checked in the same query that counts the view
+  activeQuery(token, poemId) {
+    const now = new Date();
+    return {
+      tokenHash: hashShareToken(token),
+      poem: poemId,
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ maxViews: null }, { $expr: { $lt: ['$viewCount', '$maxViews'] } }] }
+      ]
+    };
+  }
+
+  async redeemLink(token, poemId) {
+    if (!mongoose.isValidObjectId(poemId)) return false;
+    const link = await ShareLink.findOneAndUpdate(this.activeQuery(token, poemId), { $inc: { viewCount: 1 } });
+    return !!link;
+  }
+
+  async checkLink(token, poemId) {
+    if (!mongoose.isValidObjectId(poemId)) return false;
+    return !!(await ShareLink.exists(this.activeQuery(token, poemId)));
+  }
+
+  async grantAccess(poemId, userId) {
+    await Poem.updateOne(
+      { _id: poemId, 'sharedWith.user': { $ne: userId } },
+      { $push: { sharedWith: { user: userId } } }
+    );
+  }
+
+  async revokeAccess(poemId, userId) {
+    if (!mongoose.isValidObjectId(poemId) || !mongoose.isValidObjectId(userId)) return false;
+    const result = await Poem.updateOne({ _id: poemId }, { $pull: { sharedWith: { user: userId } } });
+    return result.modifiedCount > 0;
+  }
+
+  async listAccess(poemId) {
+    if (!mongoose.isValidObjectId(poemId)) return [];
+
+    const poem = await Poem.findById(poemId).select('sharedWith').populate('sharedWith.user', 'username displayName avatar bio');
+    if (!poem) return [];
+
+    return poem.sharedWith.map(entry => ({
+      user: entry.user && entry.user.username
+        ? authorSummary({ id: entry.user.id, username: entry.user.username, displayName: entry.user.displayName, avatar: entry.user.avatar, bio: entry.user.bio })
+        : { id: String(entry.user), _id: String(entry.user) },
+      grantedAt: entry.grantedAt
+    }));
+  }
+
+  async hasAccess(poemId, userId) {
+    if (!mongoose.isValidObjectId(poemId) || !mongoose.isValidObjectId(userId)) return false;
+    return !!(await Poem.exists({ _id: poemId, 'sharedWith.user': userId }));
+  }
+}
+
+module.exports = MongoShareRepository;
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const PoemTransfer = require('../../models/PoemTransfer');
+const { transferOf } = require('../common');
+
+class MongoTransferRepository {
+  toTransfer(doc) {
+    return doc && transferOf({
+      id: doc.id,
+      poemId: String(doc.poem),
+      fromUserId: String(doc.from),
+      toUserId: String(doc.to),
+      status: doc.status,
+      expiresAt: doc.expiresAt,
+      resolvedAt: doc.resolvedAt,
+      createdAt: doc.createdAt
+    });
+  }
+
+  async create(poemId, fromUserId, toUserId, expiresAt) {
+    return this.toTransfer(await PoemTransfer.create({ poem: poemId, from: fromUserId, to: toUserId, expiresAt }));
+  }
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.toTransfer(await PoemTransfer.findById(id));
+  }
+
+  // The poem's transfer still waiting for an answer, if any
+  async findPending(poemId) {
+    if (!mongoose.isValidObjectId(poemId)) return null;
+    return this.toTransfer(await PoemTransfer.findOne({ poem: poemId, status: 'pending', expiresAt: { $gt: new Date() } }));
+  }
+
+  // Transfers to and from the user, newest first
+  async listForUser(userId) {
+    if (!mongoose.isValidObjectId(userId)) return [];
+    const transfers = await PoemTransfer.find({ $or: [{ from: userId }, { to: userId }] }).sort({ createdAt: -1, _id: -1 });
+    return transfers.map(transfer => this.toTransfer(transfer));
+  }
+
+  // Settle a pending transfer as accepted, declined or cancelled; null if it
+  // was already settled or has expired. One update, so it is settled once.
+  async resolve(id, status) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.toTransfer(await PoemTransfer.findOneAndUpdate(
+      { _id: id, status: 'pending', expiresAt: { $gt: new Date() } },
+      { status, resolvedAt: new Date() },
+      { new: true }
+    ));
+  }
+}
+
+module.exports = MongoTransferRepository;
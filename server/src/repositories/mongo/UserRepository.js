@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const { decodeCursor, parseLimit, mongoAfter, pageEnvelope } = require('../../utils/cursor');
+const { authorSummary, publicProfile } = require('../common');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Users stored as Mongoose documents
+class MongoUserRepository {
+  toUser(doc, { withPassword = false } = {}) {
+    if (!doc) return null;
+
+    return {
+      id: doc.id,
+      _id: doc.id,
+      username: doc.username,
+      email: doc.email,
+      displayName: doc.displayName,
+      bio: doc.bio,
+      avatar: doc.avatar,
+      website: doc.website,
+      location: doc.location,
+      defaultLicense: doc.defaultLicense,
+      role: doc.role,
+      settings: doc.settings,
+      stats: doc.stats,
+      profile: doc.profile,
+      createdAt: doc.createdAt,
+      ...(withPassword && { password: doc.password })
+    };
+  }
+
+  async create(userData) {
+    const user = new User(userData);
+    await user.save();
+    return this.toUser(user);
+  }
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.toUser(await User.findById(id));
+  }
+
+  // Sign-in lookup by email or username; the only lookup that returns the password hash
+  async findByLogin(login) {
+    const user = await User.findOne({ $or: [{ email: String(login).toLowerCase() }, { username: login }] });
+    return this.toUser(user, { withPassword: true });
+  }
+
+  // Which of email/username is already taken, if either
+  async findConflict({ email, username }) {
+    const existing = await User.findOne({ $or: [{ email: String(email).toLowerCase() }, { username }] });
+    if (!existing) return null;
+    return existing.email === String(email).toLowerCase() ? 'email' : 'username';
+  }
+
+  async search({ search, matchBio = false } = {}, page = {}) {
+    const after = decodeCursor(page.cursor, page.scope);
+    const limit = parseLimit(page.limit, page.defaultLimit);
+    const query = { $and: [{ 'settings.profileVisibility': 'public' }, mongoAfter(after)] };
+
+    if (search) {
+      const pattern = { $regex: escapeRegex(search), $options: 'i' };
+      query.$and.push({
+        $or: [
+          { username: pattern },
+          { displayName: pattern },
+          ...(matchBio ? [{ bio: pattern }] : [])
+        ]
+      });
+    }
+
+    const users = await User.find(query).sort({ createdAt: -1, _id: -1 }).limit(limit + 1);
+    const result = pageEnvelope('users', users, limit, page.scope);
+    return { ...result, users: result.users.map(user => publicProfile(this.toUser(user))) };
+  }
+
+  async topPoets(limit = 5) {
+    const users = await User.find({ 'settings.profileVisibility': 'public' })
+      .sort({ 'stats.poemsPublished': -1 })
+      .limit(limit);
+    return users.map(user => ({ ...authorSummary(this.toUser(user)), stats: user.stats }));
+  }
+
+  async incrementStats(id, changes) {
+    const inc = {};
+    Object.entries(changes).forEach(([field, amount]) => { inc[`stats.${field}`] = amount; });
+    await User.findByIdAndUpdate(id, { $inc: inc });
+  }
+}
+
+MongoUserRepository.escapeRegex = escapeRegex;
+
+module.exports = MongoUserRepository;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { coAuthorOf, invitationOf } = require('../common');
+
+const sqlTime = (date) => new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+
+// Co-authors and their invitations; see migrations/013_poem_coauthors.js
+class SqliteCoAuthorRepository {
+  constructor(storage, users) {
+    this.storage = storage;
+    this.users = users;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  fromInvitationRow(row) {
+    return row && invitationOf({
+      id: row.id,
+      poemId: row.poem_id,
+      fromUserId: row.from_user_id,
+      toUserId: row.to_user_id,
+      role: row.role,
+      share: row.share,
+      status: row.status,
+      expiresAt: new Date(row.expires_at),
+      resolvedAt: row.resolved_at && new Date(row.resolved_at),
+      createdAt: new Date(row.created_at)
+    });
+  }
+
+  // In the order they joined
+  async list(poemId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const authors = new Map();
+    return this.storage.coAuthorsOf(String(poemId))
+      .map(coAuthor => coAuthorOf(this.users.summaryFor(coAuthor.userId, authors), coAuthor));
+  }
+
+  // Null if the user already is a co-author of the poem
+  async add(poemId, userId, { role, share = null }) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const added = this.db.prepare('INSERT OR IGNORE INTO poem_coauthors (poem_id, user_id, role, share) VALUES (?, ?, ?, ?)')
+      .run(String(poemId), String(userId), role, share).changes > 0;
+    if (!added) return null;
+
+    return (await this.list(poemId)).find(coAuthor => coAuthor.user.id === String(userId)) || null;
+  }
+
+  // The co-author removed ({ role, share }), or null if there was none
+  async remove(poemId, userId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const row = this.db.prepare('DELETE FROM poem_coauthors WHERE poem_id = ? AND user_id = ? RETURNING role, share')
+      .get(String(poemId), String(userId));
+    return row ? { role: row.role, share: row.share } : null;
+  }
+
+  async invite(poemId, fromUserId, toUserId, { role, share = null }, expiresAt) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const id = crypto.randomUUID();
+    this.db.prepare(`
+      INSERT INTO poem_coauthor_invitations (id, poem_id, from_user_id, to_user_id, role, share, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(id, String(poemId), String(fromUserId), String(toUserId), role, share, sqlTime(expiresAt));
+
+    return this.findInvitation(id);
+  }
+
+  async findInvitation(id) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.fromInvitationRow(this.db.prepare('SELECT * FROM poem_coauthor_invitations WHERE id = ?').get(String(id))) || null;
+  }
+
+  // Invitations to the poem still waiting for an answer, oldest first
+  async listPendingInvitations(poemId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.db.prepare(`
+      SELECT * FROM poem_coauthor_invitations WHERE poem_id = ? AND status = 'pending' AND expires_at > ?
+      ORDER BY created_at, id
+    `).all(String(poemId), sqlTime(new Date())).map(row => this.fromInvitationRow(row));
+  }
+
+  // Invitations to and from the user, newest first
+  async listInvitationsForUser(userId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.db.prepare(`
+      SELECT * FROM poem_coauthor_invitations WHERE from_user_id = ? OR to_user_id = ? ORDER BY created_at DESC, id DESC
+    `).all(String(userId), String(userId)).map(row => this.fromInvitationRow(row));
+  }
+
+  // Settle a pending invitation as accepted, declined or cancelled; null if
+  // it was already settled or has expired. One statement, so it is settled once.
+  async resolveInvitation(id, status) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.fromInvitationRow(this.db.prepare(`
+      UPDATE poem_coauthor_invitations SET status = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending' AND expires_at > ?
+      RETURNING *
+    `).get(status, String(id), sqlTime(new Date()))) || null;
+  }
+}
+
+module.exports = SqliteCoAuthorRepository;
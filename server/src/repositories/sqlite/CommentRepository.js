@@ -0,0 +1,50 @@
+const crypto = require('crypto');
+
+// Comments in EncryptedPermanentStorage, encrypted with the commenter's data
+// key. Forgetting a user removes their comments along with everything else.
+class SqliteCommentRepository {
+  constructor(storage, users) {
+    this.storage = storage;
+    this.users = users;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  toComment(row, authors) {
+    const data = this.storage.decryptOrSkip(row.encrypted_data, 'poem_comments', row.id);
+    if (!data) return null;
+
+    return {
+      id: row.id,
+      _id: row.id,
+      author: this.users.summaryFor(row.author_id, authors),
+      content: data.content,
+      timestamp: new Date(row.created_at),
+      isApproved: row.is_approved === 1
+    };
+  }
+
+  async add(poemId, authorId, content) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    if (!this.db.prepare('SELECT 1 FROM poems WHERE id = ? AND deleted_at IS NULL').get(String(poemId))) return null;
+
+    const id = Date.now().toString() + crypto.randomBytes(4).toString('hex');
+    this.db.prepare(`
+      INSERT INTO poem_comments (id, poem_id, author_id, encrypted_data) VALUES (?, ?, ?, ?)
+    `).run(id, String(poemId), String(authorId), this.storage.encrypt({ content }, 'poem_comments', id, String(authorId)));
+
+    return this.toComment(this.db.prepare('SELECT * FROM poem_comments WHERE id = ?').get(id), new Map());
+  }
+
+  async listForPoem(poemId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const rows = this.db.prepare('SELECT * FROM poem_comments WHERE poem_id = ? ORDER BY created_at, id').all(String(poemId));
+    const authors = new Map();
+    return rows.map(row => this.toComment(row, authors)).filter(Boolean);
+  }
+}
+
+module.exports = SqliteCommentRepository;
@@ -0,0 +1,57 @@
+class SqliteFollowRepository {
+  constructor(storage, users) {
+    this.storage = storage;
+    this.users = users;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  async toggle(followerId, followeeId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const existing = this.db.prepare('SELECT COUNT(*) as count FROM users WHERE id IN (?, ?)').get(String(followerId), String(followeeId));
+    if (existing.count < 2) return null;
+
+    const following = this.db.transaction(() => {
+      const removed = this.db.prepare('DELETE FROM follows WHERE follower_id = ? AND followee_id = ?').run(String(followerId), String(followeeId));
+      if (removed.changes === 0) {
+        this.db.prepare('INSERT INTO follows (follower_id, followee_id) VALUES (?, ?)').run(String(followerId), String(followeeId));
+      }
+      return removed.changes === 0;
+    })();
+
+    return { following, followerCount: (await this.counts(followeeId)).followers };
+  }
+
+  async followers(userId, page = {}) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.users.pageUsers('followers', `
+      SELECT u.* FROM follows f JOIN users u ON u.id = f.follower_id WHERE f.followee_id = ?
+    `, [String(userId)], page, user => this.users.toSummary(user));
+  }
+
+  async following(userId, page = {}) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.users.pageUsers('following', `
+      SELECT u.* FROM follows f JOIN users u ON u.id = f.followee_id WHERE f.follower_id = ?
+    `, [String(userId)], page, user => this.users.toSummary(user));
+  }
+
+  async followingIds(userId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.db.prepare('SELECT followee_id FROM follows WHERE follower_id = ?').all(String(userId)).map(row => row.followee_id);
+  }
+
+  async counts(userId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM follows WHERE followee_id = ?) as followers,
+        (SELECT COUNT(*) FROM follows WHERE follower_id = ?) as following
+    `).get(String(userId), String(userId));
+  }
+}
+
+module.exports = SqliteFollowRepository;
@@ -0,0 +1,26 @@
+class SqliteLikeRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  async toggle(poemId, userId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    if (!this.db.prepare('SELECT 1 FROM poems WHERE id = ? AND deleted_at IS NULL').get(String(poemId))) return null;
+
+    return this.db.transaction(() => {
+      const removed = this.db.prepare('DELETE FROM poem_likes WHERE poem_id = ? AND user_id = ?').run(String(poemId), String(userId));
+      if (removed.changes === 0) {
+        this.db.prepare('INSERT INTO poem_likes (poem_id, user_id) VALUES (?, ?)').run(String(poemId), String(userId));
+      }
+
+      const { count } = this.db.prepare('SELECT COUNT(*) as count FROM poem_likes WHERE poem_id = ?').get(String(poemId));
+      return { liked: removed.changes === 0, likeCount: count };
+    })();
+  }
+}
+
+module.exports = SqliteLikeRepository;
@@ -0,0 +1,273 @@
+const { decodeCursor, parseLimit } = require('../../utils/cursor');
+const { excerptOf, coAuthorOf, countValues } = require('../common');
+const { copyrightNoticeOf } = require('../../utils/authorship');
+
+// Fields EncryptedPermanentStorage.updatePoem() accepts
+const EDITABLE_FIELDS = [
+  'title', 'body', 'bodyDocument', 'license', 'tags', 'mood', 'style', 'image', 'imageAlt', 'reading', 'readingTimings',
+  'contentType', 'metadata', 'visibility'
+];
+
+// Suggestions and trending decrypt recent public poems instead of querying
+// encrypted fields, so they only look this far back
+const AGGREGATE_WINDOW = 500;
+
+// Poems in EncryptedPermanentStorage. Mood, style, license and tag filters go
+// through the blind search index, since those fields are encrypted.
+class SqlitePoemRepository {
+  constructor(storage, users) {
+    this.storage = storage;
+    this.users = users;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  // Storage poem -> the shape every backend returns
+  toPoem(poem, authors = new Map()) {
+    if (!poem) return null;
+
+    const { metadata = {}, coAuthors = [], pendingLicense = null, ...rest } = poem;
+    const counts = this.db.prepare(`
+      SELECT
+        (SELECT COUNT(*) FROM poem_likes WHERE poem_id = ?) as likes,
+        (SELECT COUNT(*) FROM poem_comments WHERE poem_id = ? AND is_approved = 1) as comments
+    `).get(poem.id, poem.id);
+
+    const shaped = {
+      ...rest,
+      metadata,
+      excerpt: excerptOf(poem.body),
+      author: this.users.summaryFor(poem.author, authors),
+      coAuthors: coAuthors.map(coAuthor => coAuthorOf(this.users.summaryFor(coAuthor.userId, authors), coAuthor)),
+      pendingLicense,
+      isPublished: true,
+      isFeatured: false,
+      likeCount: counts.likes,
+      commentCount: counts.comments,
+      contentHash: metadata.contentHash
+    };
+    return { ...shaped, copyrightNotice: copyrightNoticeOf(shaped) };
+  }
+
+  // contentHash is derived by storage on every write (see
+  // EncryptedPermanentStorage.createPoem)
+  async create(poemData) {
+    const { contentHash, ...rest } = poemData;
+    const poem = await this.storage.createPoem({
+      ...rest,
+      author: String(poemData.author)
+    });
+    return this.findById(poem.id);
+  }
+
+  async findById(id) {
+    return this.toPoem(await this.storage.findPoemById(String(id)));
+  }
+
+  async findByIds(ids) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    if (ids.length === 0) return [];
+
+    const rows = this.db.prepare(`SELECT * FROM poems WHERE deleted_at IS NULL AND id IN (${ids.map(() => '?').join(', ')})`).all(...ids.map(String));
+    const authors = new Map();
+    return rows.map(row => {
+      const data = this.storage.decryptOrSkip(row.encrypted_data, 'poems', row.id);
+      return data ? this.toPoem(this.storage.mapPoemRow(row, data), authors) : null;
+    }).filter(Boolean);
+  }
+
+  // Newest first by (created_at, id); page = { cursor, limit, scope, defaultLimit }
+  async list(filters = {}, page = {}) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const after = decodeCursor(page.cursor, page.scope);
+    const limit = parseLimit(page.limit, page.defaultLimit);
+
+    // Nothing is featured in this backend
+    if (filters.featured) return { poems: [], count: 0, nextCursor: null };
+
+    const visibilities = filters.visibilities || ['public'];
+    let sql = `SELECT p.* FROM poems p WHERE p.deleted_at IS NULL AND p.visibility IN (${visibilities.map(() => '?').join(', ')})`;
+    const params = [...visibilities];
+
+    const authors = filters.authors || (filters.author ? [filters.author] : null);
+    if (authors) {
+      if (authors.length === 0) return { poems: [], count: 0, nextCursor: null };
+      sql += ` AND p.author_id IN (${authors.map(() => '?').join(', ')})`;
+      params.push(...authors.map(String));
+    }
+
+    const { words, tags, exact } = this.storage.searchIndex.tokensForQuery({
+      text: filters.text,
+      tags: filters.tag ? [filters.tag] : [],
+      mood: filters.mood,
+      style: filters.style,
+      license: filters.license
+    });
+    const hasToken = 'EXISTS (SELECT 1 FROM poem_search_tokens t WHERE t.poem_id = p.id AND t.token IN';
+
+    if (filters.text) {
+      sql += ` AND ${hasToken} (${words.map(() => '?').join(', ') || 'NULL'}))`;
+      params.push(...words);
+    }
+
+    [...tags, ...Object.values(exact)].forEach(token => {
+      sql += ` AND ${hasToken} (?))`;
+      params.push(token);
+    });
+
+    if (after) {
+      sql += ' AND (p.created_at < ? OR (p.created_at = ? AND p.id < ?))';
+      params.push(after.createdAt, after.createdAt, after.id);
+    }
+
+    sql += ' ORDER BY p.created_at DESC, p.id DESC LIMIT ?';
+    params.push(limit + 1);
+
+    const result = this.storage.poemPage(this.db.prepare(sql).all(...params), limit, page.scope);
+    const authorCache = new Map();
+    return { ...result, poems: result.poems.map(poem => this.toPoem(poem, authorCache)) };
+  }
+
+  // Every change goes through storage.updatePoem(), so it is kept as a revision.
+  // Fields this backend does not store (e.g. vectorId) are ignored.
+  async update(id, updates) {
+    const current = await this.storage.findPoemById(String(id));
+    if (!current) return null;
+
+    const changes = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) changes[field] = updates[field];
+    });
+
+    // A contentHash on its own only brings the stored hash up to date
+    if (Object.keys(changes).length === 0) {
+      return this.toPoem(updates.contentHash ? await this.storage.rehashPoem(current.id) : current);
+    }
+
+    return this.toPoem(await this.storage.updatePoem(current.id, current.author, changes));
+  }
+
+  // Earlier versions, newest first: storage keeps one per edit. Only this
+  // backend keeps revisions. Null for a missing poem.
+  async listRevisions(id) {
+    const current = await this.storage.findPoemById(String(id));
+    if (!current) return null;
+
+    return this.storage.listRevisions(current.id, current.author);
+  }
+
+  // A revision with the full version it holds; null if the poem has no such revision
+  async getRevision(id, revisionId) {
+    const current = await this.storage.findPoemById(String(id));
+    if (!current) return null;
+
+    const row = this.db.prepare('SELECT 1 FROM poem_revisions WHERE id = ? AND poem_id = ?').get(String(revisionId), current.id);
+    if (!row) return null;
+
+    return this.storage.getRevision(current.id, String(revisionId), current.author);
+  }
+
+  // Make a revision the current version; the version it replaces becomes a revision in turn
+  async restoreRevision(id, revisionId) {
+    const current = await this.storage.findPoemById(String(id));
+    if (!current || !(await this.getRevision(current.id, revisionId))) return null;
+
+    return this.toPoem(await this.storage.restoreRevision(current.id, String(revisionId), current.author));
+  }
+
+  // Give the poem to another author; null unless fromAuthorId has it. The
+  // hash is derived by storage, under the new author.
+  async transfer(id, fromAuthorId, toAuthorId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const row = this.db.prepare('SELECT 1 FROM poems WHERE id = ? AND author_id = ? AND deleted_at IS NULL')
+      .get(String(id), String(fromAuthorId));
+    if (!row) return null;
+
+    return this.toPoem(await this.storage.transferPoem(String(id), String(fromAuthorId), String(toAuthorId)));
+  }
+
+  // Set or clear (null) the license change waiting for the co-authors'
+  // approval; not an edit, so no revision is kept
+  async setPendingLicense(id, pendingLicense) {
+    return this.toPoem(await this.storage.setPendingLicense(String(id), pendingLicense));
+  }
+
+  // Move to the trash
+  async delete(id) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const row = this.db.prepare('SELECT author_id FROM poems WHERE id = ? AND deleted_at IS NULL').get(String(id));
+    if (!row) return null;
+
+    const { deletedAt, purgeAt } = await this.storage.deletePoem(String(id), row.author_id);
+    return { deletedAt, purgeAt };
+  }
+
+  // Null unless the poem is in this author's trash
+  async restore(id, authorId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const row = this.db.prepare(`
+      SELECT 1 FROM poems WHERE id = ? AND author_id = ? AND deleted_at IS NOT NULL
+    `).get(String(id), String(authorId));
+    if (!row) return null;
+
+    return this.toPoem(await this.storage.restorePoem(String(id), String(authorId)));
+  }
+
+  async listTrash(authorId, page = {}) {
+    const result = await this.storage.listTrash(String(authorId), page);
+    const authors = new Map();
+    return { ...result, poems: result.poems.map(poem => this.toPoem(poem, authors)) };
+  }
+
+  async listExpiredTrash(cutoff, limit = 100) {
+    const authors = new Map();
+    return (await this.storage.findExpiredTrash(cutoff, limit)).map(poem => this.toPoem(poem, authors));
+  }
+
+  async purge(id) {
+    return this.storage.purgePoem(String(id));
+  }
+
+  async incrementViews(id) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    this.db.prepare('UPDATE poems SET views = views + 1 WHERE id = ? AND deleted_at IS NULL').run(String(id));
+  }
+
+  // Recent public poems, decrypted, for the aggregate queries below
+  recentPublic(since) {
+    const sinceSql = since ? since.toISOString().replace('T', ' ').slice(0, 19) : '0000';
+    const rows = this.db.prepare(`
+      SELECT * FROM poems WHERE visibility = 'public' AND deleted_at IS NULL AND created_at >= ?
+      ORDER BY created_at DESC LIMIT ?
+    `).all(sinceSql, AGGREGATE_WINDOW);
+
+    return rows.map(row => this.storage.decryptOrSkip(row.encrypted_data, 'poems', row.id)).filter(Boolean);
+  }
+
+  async popularTags({ text, since, limit = 10 } = {}) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const needle = text ? text.toLowerCase() : null;
+    const tags = this.recentPublic(since).flatMap(poem => poem.tags || [])
+      .filter(tag => !needle || tag.toLowerCase().includes(needle));
+    return countValues(tags, limit);
+  }
+
+  async popularMoods({ since, limit = 5 } = {}) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return countValues(this.recentPublic(since).map(poem => poem.mood), limit);
+  }
+
+  async titleSuggestions(text, limit = 5) {
+    const page = await this.list({ text }, { limit, scope: 'suggestions' });
+    return page.poems.filter(poem => poem.title.toLowerCase().includes(text.toLowerCase()));
+  }
+}
+
+module.exports = SqlitePoemRepository;
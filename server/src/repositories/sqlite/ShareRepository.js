@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const { newShareToken, hashShareToken, shareLinkOf } = require('../common');
+
+const sqlTime = (date) => new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+
+// Share links (unlisted poems) and access lists (private poems). Link tokens
+// are stored as SHA-256 hashes only; see migrations/007_poem_sharing.js.
+class SqliteShareRepository {
+  constructor(storage, users) {
+    this.storage = storage;
+    this.users = users;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  fromRow(row) {
+    return shareLinkOf({
+      id: row.id,
+      poemId: row.poem_id,
+      expiresAt: row.expires_at && new Date(row.expires_at),
+      maxViews: row.max_views,
+      viewCount: row.view_count,
+      revokedAt: row.revoked_at && new Date(row.revoked_at),
+      createdAt: new Date(row.created_at)
+    });
+  }
+
+  // The token is only ever returned here
+  async createLink(poemId, createdBy, { expiresAt = null, maxViews = null } = {}) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const token = newShareToken();
+    const id = crypto.randomUUID();
+    this.db.prepare(`
+      INSERT INTO poem_share_links (id, poem_id, token_hash, created_by, expires_at, max_views)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, String(poemId), hashShareToken(token), String(createdBy), expiresAt ? sqlTime(expiresAt) : null, maxViews);
+
+    return { link: this.fromRow(this.db.prepare('SELECT * FROM poem_share_links WHERE id = ?').get(id)), token };
+  }
+
+  async listLinks(poemId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.db.prepare('SELECT * FROM poem_share_links WHERE poem_id = ? ORDER BY created_at DESC, id DESC')
+      .all(String(poemId))
+      .map(row => this.fromRow(row));
+  }
+
+  // Null if the poem has no such link; revoking twice keeps the first revocation time
+  async revokeLink(poemId, linkId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    this.db.prepare(`
+      UPDATE poem_share_links SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = ? AND poem_id = ?
+    `).run(String(linkId), String(poemId));
+
+    const row = this.db.prepare('SELECT * FROM poem_share_links WHERE id = ? AND poem_id = ?').get(String(linkId), String(poemId));
+    return row ? this.fromRow(row) : null;
+  }
+
+  // Check and count a view in one statement, so concurrent readers can never
+  // take a link past its view limit
+  async redeemLink(token, poemId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const row = this.db.prepare(`
+      UPDATE poem_share_links SET view_count = view_count + 1
+      WHERE token_hash = ? AND poem_id = ? AND revoked_at IS NULL
+        AND (expires_at IS NULL OR expires_at > ?)
+        AND (max_views IS NULL OR view_count < max_views)
+      RETURNING id
+    `).get(hashShareToken(token), String(poemId), sqlTime(new Date()));
+    return !!row;
+  }
+
+  // Like redeemLink() without counting a view
+  async checkLink(token, poemId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const row = this.db.prepare('SELECT * FROM poem_share_links WHERE token_hash = ? AND poem_id = ?')
+      .get(hashShareToken(token), String(poemId));
+    return !!row && this.fromRow(row).active;
+  }
+
+  async grantAccess(poemId, userId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    this.db.prepare('INSERT OR IGNORE INTO poem_access (poem_id, user_id) VALUES (?, ?)').run(String(poemId), String(userId));
+  }
+
+  // False if the user was not on the list
+  async revokeAccess(poemId, userId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.db.prepare('DELETE FROM poem_access WHERE poem_id = ? AND user_id = ?').run(String(poemId), String(userId)).changes > 0;
+  }
+
+  async listAccess(poemId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const authors = new Map();
+    return this.db.prepare('SELECT * FROM poem_access WHERE poem_id = ? ORDER BY granted_at, user_id')
+      .all(String(poemId))
+      .map(row => ({ user: this.users.summaryFor(row.user_id, authors), grantedAt: new Date(row.granted_at) }));
+  }
+
+  async hasAccess(poemId, userId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return !!this.db.prepare('SELECT 1 FROM poem_access WHERE poem_id = ? AND user_id = ?').get(String(poemId), String(userId));
+  }
+}
+
+module.exports = SqliteShareRepository;
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const { transferOf } = require('../common');
+
+const sqlTime = (date) => new Date(date).toISOString().replace('T', ' ').slice(0, 19);
+
+// Ownership transfers; see migrations/012_poem_transfers.js
+class SqliteTransferRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  fromRow(row) {
+    return row && transferOf({
+      id: row.id,
+      poemId: row.poem_id,
+      fromUserId: row.from_user_id,
+      toUserId: row.to_user_id,
+      status: row.status,
+      expiresAt: new Date(row.expires_at),
+      resolvedAt: row.resolved_at && new Date(row.resolved_at),
+      createdAt: new Date(row.created_at)
+    });
+  }
+
+  async create(poemId, fromUserId, toUserId, expiresAt) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const id = crypto.randomUUID();
+    this.db.prepare(`
+      INSERT INTO poem_transfers (id, poem_id, from_user_id, to_user_id, expires_at) VALUES (?, ?, ?, ?, ?)
+    `).run(id, String(poemId), String(fromUserId), String(toUserId), sqlTime(expiresAt));
+
+    return this.findById(id);
+  }
+
+  async findById(id) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.fromRow(this.db.prepare('SELECT * FROM poem_transfers WHERE id = ?').get(String(id))) || null;
+  }
+
+  // The poem's transfer still waiting for an answer, if any
+  async findPending(poemId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.fromRow(this.db.prepare(`
+      SELECT * FROM poem_transfers WHERE poem_id = ? AND status = 'pending' AND expires_at > ?
+    `).get(String(poemId), sqlTime(new Date()))) || null;
+  }
+
+  // Transfers to and from the user, newest first
+  async listForUser(userId) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.db.prepare(`
+      SELECT * FROM poem_transfers WHERE from_user_id = ? OR to_user_id = ? ORDER BY created_at DESC, id DESC
+    `).all(String(userId), String(userId)).map(row => this.fromRow(row));
+  }
+
+  // Settle a pending transfer as accepted, declined or cancelled; null if it
+  // was already settled or has expired. One statement, so it is settled once.
+  async resolve(id, status) {
+    if (!this.storage.initialized) await this.storage.initialize();
+    return this.fromRow(this.db.prepare(`
+      UPDATE poem_transfers SET status = ?, resolved_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'pending' AND expires_at > ?
+      RETURNING *
+    `).get(status, String(id), sqlTime(new Date()))) || null;
+  }
+}
+
+module.exports = SqliteTransferRepository;
@@ -0,0 +1,164 @@
+const { decodeCursor, parseLimit, pageEnvelope } = require('../../utils/cursor');
+const { DEFAULT_SETTINGS, authorSummary, publicProfile } = require('../common');
+
+// Users in EncryptedPermanentStorage. Every field lives in the encrypted
+// profile; usernames and emails are found through blind lookup tokens.
+class SqliteUserRepository {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  // Stats are derived from poems and likes rather than kept as counters
+  statsFor(userId) {
+    const poems = this.db.prepare('SELECT COUNT(*) as count, COALESCE(SUM(views), 0) as views FROM poems WHERE author_id = ? AND deleted_at IS NULL').get(userId);
+    const likes = this.db.prepare(`
+      SELECT COUNT(*) as count FROM poem_likes WHERE poem_id IN (SELECT id FROM poems WHERE author_id = ? AND deleted_at IS NULL)
+    `).get(userId);
+
+    return { poemsPublished: poems.count, totalViews: poems.views, totalLikes: likes.count };
+  }
+
+  toUser(user, { withPassword = false } = {}) {
+    if (!user) return null;
+
+    const profile = user.profile || {};
+    return {
+      id: user.id,
+      _id: user.id,
+      username: user.username,
+      email: user.email,
+      displayName: user.displayName,
+      bio: profile.bio || '',
+      avatar: profile.avatar || null,
+      website: profile.website,
+      location: profile.location,
+      settings: { ...DEFAULT_SETTINGS, ...profile.settings },
+      stats: this.statsFor(user.id),
+      profile,
+      createdAt: user.createdAt,
+      ...(withPassword && { password: user.password })
+    };
+  }
+
+  // Decrypts a users row into the shape storage.findUserById() returns
+  fromRow(row) {
+    const data = this.storage.decryptOrSkip(row.encrypted_data, 'users', row.id);
+    if (!data) return null;
+
+    return {
+      id: row.id,
+      username: data.username,
+      email: data.email,
+      displayName: data.displayName,
+      profile: data.profile || {},
+      createdAt: new Date(row.created_at)
+    };
+  }
+
+  async create(userData) {
+    const { username, email, password, displayName, profile, ...rest } = userData;
+    const user = await this.storage.createUser({
+      username,
+      email,
+      password,
+      displayName,
+      profile: { ...profile, ...rest }
+    });
+    return this.findById(user.id);
+  }
+
+  async findById(id) {
+    return this.toUser(await this.storage.findUserById(id));
+  }
+
+  async findByLogin(login) {
+    const user = await this.storage.findUserByEmail(login) || await this.storage.findUserByUsername(login);
+    return this.toUser(user, { withPassword: true });
+  }
+
+  async findConflict({ email, username }) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const { searchIndex } = this.storage;
+    const emailIndex = searchIndex.lookupToken('email', email);
+    const existing = this.db.prepare('SELECT email_index FROM users WHERE email_index = ? OR username_index = ?')
+      .get(emailIndex, searchIndex.lookupToken('username', username));
+    if (!existing) return null;
+    return existing.email_index === emailIndex ? 'email' : 'username';
+  }
+
+  toSummary(user) {
+    return user ? authorSummary({ ...user, avatar: user.profile.avatar, bio: user.profile.bio }) : null;
+  }
+
+  // Summaries for poem authors and commenters; missing or unreadable users
+  // come back as just their id
+  summaryFor(userId, cache = new Map()) {
+    if (!cache.has(userId)) {
+      const row = this.db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+      cache.set(userId, this.toSummary(row ? this.fromRow(row) : null) || { id: userId, _id: userId });
+    }
+    return cache.get(userId);
+  }
+
+  // Page through users rows newest first; rows are mapped after the cursor is
+  // taken, so users dropped by map (private or unreadable) never stall paging
+  pageUsers(key, sql, params, page, map) {
+    const after = decodeCursor(page.cursor, page.scope);
+    const limit = parseLimit(page.limit, page.defaultLimit);
+
+    let query = sql;
+    const queryParams = [...params];
+    if (after) {
+      query += ' AND (u.created_at < ? OR (u.created_at = ? AND u.id < ?))';
+      queryParams.push(after.createdAt, after.createdAt, after.id);
+    }
+    query += ' ORDER BY u.created_at DESC, u.id DESC LIMIT ?';
+    queryParams.push(limit + 1);
+
+    const rows = this.db.prepare(query).all(...queryParams);
+    const result = pageEnvelope(key, rows, limit, page.scope, row => ({ createdAt: row.created_at, id: row.id }));
+    const items = result[key].map(row => map(this.fromRow(row))).filter(Boolean);
+
+    return { ...result, [key]: items, count: items.length };
+  }
+
+  // Usernames are encrypted, so a search decrypts each page and keeps the
+  // matches; a page may come back short (or empty) with a cursor to the next
+  async search({ search } = {}, page = {}) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const text = search ? search.toLowerCase() : null;
+    return this.pageUsers('users', 'SELECT u.* FROM users u WHERE 1 = 1', [], page, user => {
+      if (text && !(user && String(user.username).toLowerCase().includes(text))) return null;
+
+      const mapped = this.toUser(user);
+      return mapped && mapped.settings.profileVisibility === 'public' ? publicProfile(mapped) : null;
+    });
+  }
+
+  async topPoets(limit = 5) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const rows = this.db.prepare(`
+      SELECT u.* FROM users u
+      LEFT JOIN poems p ON p.author_id = u.id AND p.deleted_at IS NULL
+      GROUP BY u.id
+      ORDER BY COUNT(p.id) DESC
+      LIMIT ?
+    `).all(limit);
+
+    return rows.map(row => this.toUser(this.fromRow(row)))
+      .filter(user => user && user.settings.profileVisibility === 'public')
+      .map(user => ({ ...authorSummary(user), stats: user.stats }));
+  }
+
+  // Stats are derived, so there are no counters to update
+  async incrementStats() {}
+}
+
+module.exports = SqliteUserRepository;
@@ -1,20 +1,10 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const { auth } = require('../middleware/auth');
-const SimpleUserService = require('../services/SimpleUserService');
+const { auth, JWT_SECRET } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Helper function to get user service (MongoDB or simple store)
-const getUserService = () => {
-  if (global.simpleStore) {
-    return new SimpleUserService();
-  }
-  return User; // Use Mongoose model
-};
-
 // Register
 router.post('/register', async (req, res) => {
   try {
@@ -36,12 +26,10 @@ router.post('/register', async (req, res) => {
     }
 
     // Check if user already exists
-    const userService = getUserService();
-    const existingUser = await userService.findOne({
-      $or: [{ email }, { username }]
-    });
+    const { users } = req.app.locals.repositories;
+    const conflict = await users.findConflict({ email, username });
 
-    if (existingUser) {
+    if (conflict) {
       return res.status(400).json({
         success: false,
         message: 'User with this email or username already exists'
@@ -52,70 +40,44 @@ router.post('/register', async (req, res) => {
     const saltRounds = 12;
     const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-    // Create user using appropriate service
-    let user;
-    if (global.simpleStore) {
-      user = await userService.create({
-        username,
-        email,
-        password: hashedPassword,
-        displayName: displayName || username,
-        profile: {
-          bio: '',
-          location: '',
-          website: '',
-          joinedAt: new Date()
-        }
-      });
-    } else {
-      user = new User({
-        username,
-        email,
-        password: hashedPassword,
-        displayName: displayName || username,
-        profile: {
-          bio: '',
-          location: '',
-          website: '',
-          joinedAt: new Date()
-        }
-      });
-      await user.save();
-    }
+    // Create user
+    const user = await users.create({
+      username,
+      email,
+      password: hashedPassword,
+      displayName: displayName || username,
+      profile: {
+        bio: '',
+        location: '',
+        website: '',
+        joinedAt: new Date()
+      }
+    });
 
     // Generate JWT token
     const token = jwt.sign(
       { 
-        userId: user._id,
+        userId: user.id,
         username: user.username,
         email: user.email
       },
-      process.env.JWT_SECRET || 'poets-codex-secret-key',
+      JWT_SECRET,
       { expiresIn: '7d' }
     );
 
-    // Log registration to file ledger
-    const fileLedger = req.app.locals.fileLedger;
-    if (fileLedger) {
-      await fileLedger.appendEntry({
-        type: 'USER_REGISTERED',
-        userId: user._id?.toString() || user.id?.toString(),
-        username: user.username,
-        email: user.email,
-        timestamp: new Date().toISOString(),
-        metadata: {
-          userAgent: req.get('User-Agent'),
-          ip: req.ip
-        }
-      });
-    }
+    // Record the registration in the ledger (ids only: entries outlive crypto-shredding)
+    await req.app.locals.ledger?.record({
+      eventType: 'USER_REGISTERED',
+      authorId: user.id,
+      actorId: user.id
+    });
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
       token,
       user: {
-        id: user._id,
+        id: user.id,
         username: user.username,
         email: user.email,
         displayName: user.displayName,
@@ -145,11 +107,8 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Find user
-    const userService = getUserService();
-    const user = await userService.findOne({ 
-      $or: [{ email }, { username: email }] 
-    });
+    // Find user (by email or username)
+    const user = await req.app.locals.repositories.users.findByLogin(email);
 
     if (!user) {
       return res.status(400).json({
@@ -171,35 +130,27 @@ router.post('/login', async (req, res) => {
     // Generate JWT token
     const token = jwt.sign(
       { 
-        userId: user._id,
+        userId: user.id,
         username: user.username,
         email: user.email
       },
-      process.env.JWT_SECRET || 'poets-codex-secret-key',
+      JWT_SECRET,
       { expiresIn: '7d' }
     );
 
-    // Log login to file ledger
-    const fileLedger = req.app.locals.fileLedger;
-    if (fileLedger) {
-      await fileLedger.appendEntry({
-        type: 'USER_LOGIN',
-        userId: user._id?.toString() || user.id?.toString(),
-        username: user.username,
-        timestamp: new Date().toISOString(),
-        metadata: {
-          userAgent: req.get('User-Agent'),
-          ip: req.ip
-        }
-      });
-    }
+    // Record the login in the ledger
+    await req.app.locals.ledger?.record({
+      eventType: 'USER_LOGIN',
+      authorId: user.id,
+      actorId: user.id
+    });
 
     res.json({
       success: true,
       message: 'Login successful',
       token,
       user: {
-        id: user._id,
+        id: user.id,
         username: user.username,
         email: user.email,
         displayName: user.displayName,
@@ -219,19 +170,7 @@ router.post('/login', async (req, res) => {
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
-    const userService = getUserService();
-    let user;
-    
-    if (global.simpleStore) {
-      user = await userService.findById(req.user.userId);
-      // Remove password from response for simple store
-      if (user) {
-        const { password, ...userWithoutPassword } = user;
-        user = userWithoutPassword;
-      }
-    } else {
-      user = await User.findById(req.user.userId).select('-password');
-    }
+    const user = await req.app.locals.repositories.users.findById(req.user.id);
     
     if (!user) {
       return res.status(404).json({
@@ -243,7 +182,7 @@ router.get('/me', auth, async (req, res) => {
     res.json({
       success: true,
       user: {
-        id: user._id || user.id,
+        id: user.id,
         username: user.username,
         email: user.email,
         displayName: user.displayName,
@@ -263,20 +202,12 @@ router.get('/me', auth, async (req, res) => {
 // Logout (client-side removes token, but we log it)
 router.post('/logout', auth, async (req, res) => {
   try {
-    // Log logout to file ledger
-    const fileLedger = req.app.locals.fileLedger;
-    if (fileLedger) {
-      await fileLedger.appendEntry({
-        type: 'USER_LOGOUT',
-        userId: req.user.userId,
-        username: req.user.username,
-        timestamp: new Date().toISOString(),
-        metadata: {
-          userAgent: req.get('User-Agent'),
-          ip: req.ip
-        }
-      });
-    }
+    // Record the logout in the ledger
+    await req.app.locals.ledger?.record({
+      eventType: 'USER_LOGOUT',
+      authorId: req.user.id,
+      actorId: req.user.id
+    });
 
     res.json({
       success: true,
@@ -0,0 +1,41 @@
+const express = require('express');
+
+const router = express.Router();
+
+// Validate an authorship certificate (see services/LedgerService.js). Open to
+// anyone holding one: it reveals nothing the certificate does not already
+// carry. The poem text is optional; without it the content check is skipped.
+router.post('/validate', async (req, res) => {
+  try {
+    const { certificate, text } = req.body || {};
+    if (!certificate || typeof certificate !== 'object' || !certificate.poemId || !certificate.certificateHash) {
+      return res.status(400).json({ code: 'INVALID_CERTIFICATE', message: 'Send the certificate as issued, in a "certificate" field' });
+    }
+    if (text !== undefined && typeof text !== 'string') {
+      return res.status(400).json({ code: 'INVALID_TEXT', message: 'The poem text must be a string' });
+    }
+
+    const { ledgerService } = req.app.locals;
+    if (!ledgerService) {
+      return res.status(503).json({ message: 'The ledger is not available' });
+    }
+
+    const result = await ledgerService.validateCertificate(certificate, text);
+    if (result.code === 'LEDGER_BROKEN') {
+      return res.status(409).json({
+        code: 'LEDGER_BROKEN',
+        message: 'The ledger fails its integrity check; certificates cannot be validated against it',
+        sinks: result.chainBreak,
+        integrityCheck: result.integrityCheck,
+        checks: result.checks
+      });
+    }
+
+    res.json({ valid: result.isValid, integrityCheck: result.integrityCheck, checks: result.checks });
+  } catch (error) {
+    console.error('Validate certificate error:', error);
+    res.status(500).json({ message: 'Server error validating certificate' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { canReadPoem, isAuthor, isCoAuthor } = require('../utils/visibility');
+const { TOTAL_SHARE, sharesOf, creditsOf } = require('../utils/authorship');
+
+const router = express.Router();
+
+// Co-author invitations. The author invites a user with a role and share
+// (POST /api/poems/:id/coauthors/invitations) and the invitee accepts or
+// declines before it expires; the author may cancel it until then. Accepting
+// credits the invitee on the poem and writes a POEM_COAUTHOR_ADDED ledger
+// entry, which shows in the authorship history of both.
+
+// The invitation if the signed-in user is one of its parties; otherwise
+// sends a 404 and returns null
+const findOwnInvitation = async (req, res) => {
+  const invitation = await req.app.locals.repositories.coAuthors.findInvitation(req.params.id);
+  if (invitation && [invitation.fromUserId, invitation.toUserId].includes(req.user.id)) return invitation;
+
+  res.status(404).json({ message: 'Invitation not found' });
+  return null;
+};
+
+// 409 for an invitation that is no longer pending
+const notPending = (res, invitation) => res.status(409).json({
+  code: invitation.status === 'expired' ? 'INVITATION_EXPIRED' : 'INVITATION_SETTLED',
+  message: `This invitation has ${invitation.status === 'expired' ? 'expired' : `already been ${invitation.status}`}`
+});
+
+// Invitations to and from the signed-in user, newest first. The poem's title
+// is included while the user may read it, or is invited to it.
+router.get('/', auth, async (req, res) => {
+  try {
+    const { coAuthors, poems, users, shares } = req.app.locals.repositories;
+    const list = await coAuthors.listInvitationsForUser(req.user.id);
+
+    const people = new Map();
+    const personOf = async (id) => {
+      if (!people.has(id)) {
+        const user = await users.findById(id);
+        people.set(id, user && { id: user.id, username: user.username, displayName: user.displayName });
+      }
+      return people.get(id);
+    };
+
+    const result = [];
+    for (const invitation of list) {
+      const poem = await poems.findById(invitation.poemId);
+      const invited = invitation.status === 'pending' && invitation.toUserId === req.user.id;
+      const visible = poem && (invited || await canReadPoem(shares, poem, req.user));
+
+      result.push({
+        ...invitation,
+        poem: visible ? { id: poem.id, title: poem.title } : null,
+        from: await personOf(invitation.fromUserId),
+        to: await personOf(invitation.toUserId)
+      });
+    }
+
+    res.json({ invitations: result });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error fetching invitations' });
+  }
+});
+
+// Accept an invitation sent to the signed-in user
+router.post('/:id/accept', auth, async (req, res) => {
+  try {
+    const invitation = await findOwnInvitation(req, res);
+    if (!invitation) return;
+
+    if (invitation.toUserId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the invitee can accept this invitation' });
+    }
+    if (invitation.status !== 'pending') return notPending(res, invitation);
+
+    const { coAuthors, poems } = req.app.locals.repositories;
+
+    // The poem may have been deleted or given away since; shares are checked
+    // again so they never add up to more than 100
+    const poem = await poems.findById(invitation.poemId);
+    const unavailable = !poem || !isAuthor(poem, { id: invitation.fromUserId }) || isCoAuthor(poem, req.user);
+    if (unavailable || sharesOf(poem.coAuthors) + (invitation.share || 0) > TOTAL_SHARE) {
+      await coAuthors.resolveInvitation(invitation.id, 'cancelled');
+      return res.status(409).json({ code: 'POEM_UNAVAILABLE', message: 'The poem can no longer take this co-author' });
+    }
+
+    const accepted = await coAuthors.resolveInvitation(invitation.id, 'accepted');
+    if (!accepted) return notPending(res, await coAuthors.findInvitation(invitation.id));
+
+    const coAuthor = await coAuthors.add(poem.id, req.user.id, { role: invitation.role, share: invitation.share });
+    if (!coAuthor) {
+      return res.status(409).json({ code: 'ALREADY_COAUTHOR', message: 'You already co-author this poem' });
+    }
+
+    const credited = await poems.findById(poem.id);
+    await req.app.locals.ledger?.recordPoemEvent('POEM_COAUTHOR_ADDED', credited, req.user, {
+      invitationId: invitation.id,
+      coAuthorId: req.user.id,
+      role: invitation.role,
+      share: invitation.share,
+      invitedAt: new Date(invitation.createdAt).toISOString()
+    });
+
+    res.json({
+      message: 'Invitation accepted; you are credited on the poem',
+      invitation: accepted,
+      coAuthor,
+      credits: creditsOf(credited)
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error accepting invitation' });
+  }
+});
+
+// Settle an invitation without crediting anyone: the invitee declines, the
+// author cancels
+const settle = (status, party, verb) => async (req, res) => {
+  try {
+    const invitation = await findOwnInvitation(req, res);
+    if (!invitation) return;
+
+    if (invitation[party] !== req.user.id) {
+      return res.status(403).json({ message: `Only the ${party === 'toUserId' ? 'invitee' : 'author'} can ${verb} this invitation` });
+    }
+    if (invitation.status !== 'pending') return notPending(res, invitation);
+
+    const { coAuthors } = req.app.locals.repositories;
+    const settled = await coAuthors.resolveInvitation(invitation.id, status);
+    if (!settled) return notPending(res, await coAuthors.findInvitation(invitation.id));
+
+    res.json({ message: `Invitation ${status}`, invitation: settled });
+  } catch (error) {
+    console.error(`Invitation ${verb} error:`, error);
+    res.status(500).json({ message: `Server error trying to ${verb} invitation` });
+  }
+};
+
+router.post('/:id/decline', auth, settle('declined', 'toUserId', 'decline'));
+
+router.post('/:id/cancel', auth, settle('cancelled', 'fromUserId', 'cancel'));
+
+module.exports = router;
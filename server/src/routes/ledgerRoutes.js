@@ -0,0 +1,99 @@
+const express = require('express');
+
+const router = express.Router();
+
+const MAX_CHECKPOINTS = 100;
+
+// Signed checkpoint roots are public: they reveal nothing but hashes, and
+// authors need them to check their inclusion proofs (see
+// services/LedgerCheckpoints.js).
+const checkpointsOf = (req, res) => {
+  const checkpoints = req.app.locals.ledgerCheckpoints;
+  if (!checkpoints) {
+    res.status(503).json({ message: 'Ledger checkpoints are not available' });
+  }
+  return checkpoints;
+};
+
+// Published checkpoints, oldest first; ?since=<number> lists the ones after it
+router.get('/checkpoints', (req, res) => {
+  try {
+    const checkpoints = checkpointsOf(req, res);
+    if (!checkpoints) return;
+
+    const since = parseInt(req.query.since) || 0;
+    const page = checkpoints.list().filter(checkpoint => checkpoint.number > since);
+
+    res.json({
+      checkpoints: page.slice(0, MAX_CHECKPOINTS),
+      hasMore: page.length > MAX_CHECKPOINTS
+    });
+  } catch (error) {
+    console.error('Get checkpoints error:', error);
+    res.status(500).json({ message: 'Server error fetching checkpoints' });
+  }
+});
+
+router.get('/checkpoints/latest', (req, res) => {
+  try {
+    const checkpoints = checkpointsOf(req, res);
+    if (!checkpoints) return;
+
+    const checkpoint = checkpoints.latest();
+    if (!checkpoint) {
+      return res.status(404).json({ message: 'No checkpoint has been published yet' });
+    }
+
+    res.json({ checkpoint });
+  } catch (error) {
+    console.error('Get latest checkpoint error:', error);
+    res.status(500).json({ message: 'Server error fetching checkpoint' });
+  }
+});
+
+router.get('/checkpoints/:number', (req, res) => {
+  try {
+    const checkpoints = checkpointsOf(req, res);
+    if (!checkpoints) return;
+
+    const checkpoint = checkpoints.find(parseInt(req.params.number));
+    if (!checkpoint) {
+      return res.status(404).json({ message: 'Checkpoint not found' });
+    }
+
+    res.json({ checkpoint });
+  } catch (error) {
+    console.error('Get checkpoint error:', error);
+    res.status(500).json({ message: 'Server error fetching checkpoint' });
+  }
+});
+
+// Entry counts, integrity, checkpoint and timestamp status. Public like the
+// checkpoints: counts and hashes only.
+router.get('/stats', async (req, res) => {
+  try {
+    const { ledgerService, ledgerCheckpoints, ledgerTimestamps } = req.app.locals;
+    if (!ledgerService) {
+      return res.status(503).json({ message: 'The ledger is not available' });
+    }
+
+    const stats = await ledgerService.getLedgerStats();
+    // As of the last integrity check; valid is null until one has finished
+    const chainBreak = ledgerService.findChainBreak();
+    const integrityCheck = ledgerService.lastIntegrityCheck();
+
+    res.json({
+      ...stats,
+      integrity: chainBreak
+        ? { valid: false, code: 'LEDGER_BROKEN', sinks: chainBreak, ...integrityCheck }
+        : { valid: integrityCheck ? true : null, ...integrityCheck },
+      checkpoints: ledgerCheckpoints?.getStatus() || null,
+      timestamps: ledgerTimestamps?.getStatus() || null
+    });
+  } catch (error) {
+    console.error('Get ledger stats error:', error);
+    res.status(500).json({ message: 'Server error fetching ledger stats' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,162 @@
 const express = require('express');
+const multer = require('multer');
+const { isDeepStrictEqual } = require('util');
 const { body, validationResult } = require('express-validator');
-const Poem = require('../models/Poem');
-const User = require('../models/User');
 const { auth, optionalAuth } = require('../middleware/auth');
-const crypto = require('crypto');
+const EncryptedUploadStore = require('../services/EncryptedUploadStore');
+const { VISIBILITIES, canReadPoem, isAuthor, isCoAuthor } = require('../utils/visibility');
+const { sanitizeSource, parsePoem, presentPoem } = require('../utils/poemFormat');
+const { lineCountOf, parseReadingTimings } = require('../utils/readingTimings');
+const { contentHashOf } = require('../utils/poemHash');
+const { pageResponse } = require('../utils/cursor');
+const {
+  COAUTHOR_ROLES,
+  TOTAL_SHARE,
+  sharesOf,
+  creditsOf,
+  needsLicenseApproval,
+  licenseProposal,
+  awaitingApproval
+} = require('../utils/authorship');
 
 const router = express.Router();
 
-// Helper function to generate content hash
-const generateContentHash = (title, body, author) => {
-  return crypto.createHash('sha256').update(`${title}${body}${author}`).digest('hex');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TRANSFER_DAYS = 7;
+const MAX_TRANSFER_DAYS = 30;
+const DEFAULT_INVITATION_DAYS = 14;
+const MAX_INVITATION_DAYS = 30;
+
+// What PUT /:id may change. Authorship, counters, hashes and timestamps are
+// the server's; co-authors, license approvals and transfers have routes of
+// their own, and so do readings. A new image comes as the multipart "image" file.
+const EDITABLE_FIELDS = ['title', 'body', 'license', 'tags', 'mood', 'style', 'visibility', 'imageAlt', 'contentType'];
+
+// Images and readings are stored where the app keeps uploads
+// (app.locals.uploads, an EncryptedUploadStore); elsewhere they are refused
+// with a 501. Files are kept in memory and encrypted before they are written,
+// so no plaintext copy ever hits the disk. The client's MIME type is only a
+// first filter; ImagePipeline and AudioPipeline check what the file really is.
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+const MAX_AUDIO_BYTES = parseInt(process.env.MAX_AUDIO_FILE_SIZE) || 25 * 1024 * 1024;
+const IMAGE_ALT_MAX_LENGTH = 1000;
+
+// multer's single(field) for files whose MIME type starts with kind, with
+// upload errors answered as 400 (413 when too large)
+const acceptFile = (kind, field, label, maxBytes) => {
+  const uploader = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+    fileFilter: (req, file, cb) => (
+      file.mimetype.startsWith(`${kind}/`) ? cb(null, true) : cb(new Error(`Only ${kind} files are allowed`))
+    )
+  }).single(field);
+
+  return (req, res, next) => uploader(req, res, (error) => {
+    if (!error) return next();
+
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `${label} must be at most ${maxBytes} bytes` });
+    }
+    res.status(400).json({ message: error.message });
+  });
+};
+
+const acceptImage = acceptFile('image', 'image', 'Images', MAX_UPLOAD_BYTES);
+const acceptAudio = acceptFile('audio', 'audio', 'Recordings', MAX_AUDIO_BYTES);
+
+// Multipart forms send arrays as JSON text
+const fromFormField = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
+
+// The app's upload store; otherwise sends a 501 and returns null
+const requireUploads = (req, res) => {
+  const { uploads } = req.app.locals;
+  if (!uploads) res.status(501).json({ code: 'UPLOADS_UNAVAILABLE', message: 'This server does not store uploads' });
+  return uploads || null;
+};
+
+// 400 for an upload or timings the pipelines refuse; false for any other error
+const sendMediaError = (res, error) => {
+  if (!['INVALID_IMAGE', 'INVALID_AUDIO', 'INVALID_TIMINGS'].includes(error.code)) return false;
+
+  res.status(400).json({ code: error.code, message: error.message });
+  return true;
+};
+
+// The poem if the reader may see it, otherwise null (answered with a 404 so
+// ids of unlisted and private poems cannot be probed). Share tokens come as
+// ?share=, or in the body for likes and comments.
+const findReadablePoem = async (req, { redeem = false } = {}) => {
+  const { poems, shares } = req.app.locals.repositories;
+  const poem = await poems.findById(req.params.id);
+  if (!poem) return null;
+
+  const shareToken = req.query.share || (req.body && req.body.share);
+  return await canReadPoem(shares, poem, req.user, { shareToken, redeem }) ? poem : null;
+};
+
+// The poem if the signed-in user wrote it; otherwise sends a 404 (or a 403
+// when the user may read it) and returns null
+const findOwnPoem = async (req, res, action) => {
+  const poem = await req.app.locals.repositories.poems.findById(req.params.id);
+
+  if (poem && isAuthor(poem, req.user)) return poem;
+
+  if (poem && await canReadPoem(req.app.locals.repositories.shares, poem, req.user)) {
+    res.status(403).json({ message: `Not authorized to ${action} this poem` });
+  } else {
+    res.status(404).json({ message: 'Poem not found' });
+  }
+  return null;
+};
+
+// The poem if the signed-in user wrote or co-wrote it; otherwise like findOwnPoem()
+const findCreditedPoem = async (req, res, action) => {
+  const poem = await req.app.locals.repositories.poems.findById(req.params.id);
+
+  if (poem && (isAuthor(poem, req.user) || isCoAuthor(poem, req.user))) return poem;
+
+  if (poem && await canReadPoem(req.app.locals.repositories.shares, poem, req.user)) {
+    res.status(403).json({ message: `Not authorized to ${action} this poem` });
+  } else {
+    res.status(404).json({ message: 'Poem not found' });
+  }
+  return null;
 };
 
-// Create poem
-router.post('/', auth, [
+// Apply the poem's pending license once everyone it credits has approved it;
+// returns the poem as it is now
+const settleLicense = async (req, poem) => {
+  if (!poem.pendingLicense || awaitingApproval(poem).length > 0) return poem;
+
+  const { poems } = req.app.locals.repositories;
+  const { license, proposedBy, approvals } = poem.pendingLicense;
+  await poems.update(poem.id, { license });
+  const updated = await poems.setPendingLicense(poem.id, null);
+
+  await req.app.locals.ledger?.recordPoemEvent('POEM_LICENSE_CHANGED', updated, req.user, {
+    license,
+    previousLicense: poem.license,
+    proposedBy,
+    approvedBy: approvals
+  });
+
+  return updated;
+};
+
+// Create poem: JSON, or a multipart form with an optional "image" file
+router.post('/', auth, acceptImage, [
   body('title').isLength({ min: 1, max: 200 }).trim().escape(),
-  body('body').isLength({ min: 1, max: 10000 }).trim(),
-  body('license').isIn([
+  // Not trimmed: leading indentation is part of the poem (see utils/poemFormat.js)
+  body('body').customSanitizer(sanitizeSource).isLength({ min: 1, max: 10000 }),
+  body('license').optional().isIn([
     'All Rights Reserved',
     'CC BY 4.0',
     'CC BY-SA 4.0', 
@@ -26,9 +166,12 @@ router.post('/', auth, [
     'CC BY-NC-ND 4.0',
     'CC0 1.0'
   ]),
-  body('tags').optional().isArray(),
+  body('tags').optional().customSanitizer(fromFormField).isArray(),
   body('mood').optional().isIn(['melancholic', 'joyful', 'contemplative', 'passionate', 'dark', 'hopeful', 'nostalgic', 'rebellious', 'peaceful', 'intense']),
-  body('style').optional().isIn(['free-verse', 'sonnet', 'haiku', 'limerick', 'ballad', 'epic', 'lyric', 'narrative', 'prose-poetry', 'experimental'])
+  body('style').optional().isIn(['free-verse', 'sonnet', 'haiku', 'limerick', 'ballad', 'epic', 'lyric', 'narrative', 'prose-poetry', 'experimental']),
+  body('visibility').optional().isIn(VISIBILITIES),
+  body('imageAlt').optional().isString().isLength({ max: IMAGE_ALT_MAX_LENGTH }),
+  body('contentType').optional().isString().isLength({ min: 1, max: 50 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -36,89 +179,84 @@ router.post('/', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, body, license, tags, mood, style, visibility = 'public' } = req.body;
+    const { title, body, license, tags, mood, style, visibility = 'public', imageAlt, contentType } = req.body;
+
+    let image = null;
+    if (req.file) {
+      const uploads = requireUploads(req, res);
+      if (!uploads) return;
+      image = await uploads.saveImage(req.file.buffer, req.user.id);
+    }
 
     // Generate content hash for protection
-    const contentHash = generateContentHash(title, body, req.user.id);
+    const contentHash = contentHashOf(title, body, req.user.id);
 
-    // Create poem
-    const poem = new Poem({
+    // Create poem (author stats are updated by the repository)
+    const { poems } = req.app.locals.repositories;
+    let poem = await poems.create({
       title,
       body,
+      bodyDocument: parsePoem(body),
       author: req.user.id,
-      license: license || req.user.defaultLicense,
+      license: license || req.user.defaultLicense || 'All Rights Reserved',
       tags: tags || [],
       mood: mood || 'contemplative',
       style: style || 'free-verse',
       visibility,
+      image: image ? image.url : null,
+      imageAlt: image ? imageAlt || '' : '',
+      contentType: contentType || 'poetry',
       contentHash
     });
+    if (image) req.app.locals.uploads.attach(image.id, poem.id);
 
-    await poem.save();
-
-    // Update user stats
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { 'stats.poemsPublished': 1 }
+    // Record the authorship event (the ledger publishes it on the event bus)
+    await req.app.locals.ledger?.recordPoemEvent('POEM_CREATED', poem, req.user, {
+      license: poem.license,
+      visibility: poem.visibility
     });
 
-    // Publish event and write file ledger
-    req.app.locals.eventBus?.publish({ type: 'POEM_CREATED', poemId: poem._id.toString(), authorId: req.user.id });
-    req.app.locals.fileLedger?.append(poem._id.toString(), 'POEM_CREATED', { title, license, authorId: req.user.id });
-
-    // Create ledger entry if service is available
-    if (req.app.locals.ledgerService) {
-      try {
-        await req.app.locals.ledgerService.createPoemEntry(poem);
-      } catch (ledgerError) {
-        console.error('Ledger creation error:', ledgerError);
-        // Continue even if ledger fails
-      }
-    }
-
     // Index in vector database if available
     if (req.app.locals.vectorService) {
       try {
         const vectorId = await req.app.locals.vectorService.indexPoem(
-          poem._id,
+          poem.id,
           title,
           body,
           {
             author: req.user.displayName || req.user.username,
-            license,
+            license: poem.license,
             tags,
             mood,
             style,
             createdAt: poem.createdAt
           }
         );
-        poem.vectorId = vectorId;
-        await poem.save();
+        poem = await poems.update(poem.id, { vectorId });
       } catch (vectorError) {
         console.error('Vector indexing error:', vectorError);
         // Continue even if vector indexing fails
       }
     }
 
-    const populatedPoem = await Poem.findById(poem._id)
-      .populate('author', 'username displayName avatar')
-      .exec();
-
     res.status(201).json({
+      success: true,
       message: 'Poem created successfully',
-      poem: populatedPoem
+      poem: presentPoem(poem, req.app.locals.uploads)
     });
   } catch (error) {
+    if (sendMediaError(res, error)) return;
     console.error('Poem creation error:', error);
     res.status(500).json({ message: 'Server error creating poem' });
   }
 });
 
-// Get all poems (public feed)
+// Get all poems (public feed), newest first, paged with ?cursor=
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const { 
-      page = 1, 
-      limit = 10, 
+      cursor,
+      limit,
       mood, 
       style, 
       author, 
@@ -127,79 +265,116 @@ router.get('/', optionalAuth, async (req, res) => {
       featured
     } = req.query;
 
-    const query = { 
-      isPublished: true, 
-      visibility: 'public' 
+    // Text search narrows the feed; order stays by date so cursors are stable
+    const filters = {
+      mood,
+      style,
+      author,
+      tag,
+      text: search,
+      featured: featured === 'true'
     };
 
-    // Add filters
-    if (mood) query.mood = mood;
-    if (style) query.style = style;
-    if (author) query.author = author;
-    if (tag) query.tags = { $in: [tag] };
-    if (featured === 'true') query.isFeatured = true;
-    if (search) {
-      query.$text = { $search: search };
+    const page = await req.app.locals.repositories.poems.list(filters, {
+      cursor,
+      limit,
+      defaultLimit: 10,
+      scope: `poems:${JSON.stringify([mood, style, author, tag, search, featured])}`
+    });
+
+    res.json(pageResponse(page, { poems: page.poems.map(poem => presentPoem(poem, req.app.locals.uploads)) }));
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Get poems error:', error);
+    res.status(500).json({ message: 'Server error fetching poems' });
+  }
+});
+
+// Get the signed-in author's trash, most recently deleted first
+router.get('/trash', auth, async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+
+    const page = await req.app.locals.repositories.poems.listTrash(req.user.id, {
+      cursor,
+      limit,
+      scope: `trash:${req.user.id}`
+    });
+
+    res.json(pageResponse(page, { poems: page.poems.map(poem => presentPoem(poem, req.app.locals.uploads)) }));
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
     }
+    console.error('Get trash error:', error);
+    res.status(500).json({ message: 'Server error fetching trash' });
+  }
+});
+
+// Restore a poem from the trash
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const { poems } = req.app.locals.repositories;
 
-    const poems = await Poem.find(query)
-      .populate('author', 'username displayName avatar')
-      .sort(search ? { score: { $meta: 'textScore' } } : { createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
+    // Only the author can see a trashed poem, so anyone else gets a 404 too
+    const poem = await poems.restore(req.params.id, req.user.id);
+    if (!poem) {
+      return res.status(404).json({ message: 'Poem not found in trash' });
+    }
 
-    const total = await Poem.countDocuments(query);
+    await req.app.locals.ledger?.recordPoemEvent('POEM_RESTORED', poem, req.user);
 
     res.json({
-      poems,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalPoems: total
+      success: true,
+      message: 'Poem restored successfully',
+      poem: presentPoem(poem, req.app.locals.uploads)
     });
   } catch (error) {
-    console.error('Get poems error:', error);
-    res.status(500).json({ message: 'Server error fetching poems' });
+    console.error('Poem restore error:', error);
+    res.status(500).json({ message: 'Server error restoring poem' });
   }
 });
 
-// Get single poem
+// Get single poem. Unlisted poems need a share link (?share=<token>), private
+// ones a signed-in reader on the access list; anyone else gets a 404.
 router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const poem = await Poem.findById(req.params.id)
-      .populate('author', 'username displayName avatar bio location')
-      .populate('comments.author', 'username displayName avatar')
-      .exec();
+    const { poems, comments } = req.app.locals.repositories;
 
+    // Opening an unlisted poem through a share link counts against the link's views
+    const poem = await findReadablePoem(req, { redeem: true });
     if (!poem) {
       return res.status(404).json({ message: 'Poem not found' });
     }
 
-    // Check if user can view this poem
-    if (poem.visibility === 'private' && (!req.user || poem.author._id.toString() !== req.user.id)) {
-      return res.status(403).json({ message: 'Not authorized to view this poem' });
-    }
-
-    // Increment view count
-    poem.views += 1;
-    await poem.save();
+    // Increment view count (and the author's total views)
+    await poems.incrementViews(poem.id);
 
-    // Update user total views
-    await User.findByIdAndUpdate(poem.author._id, {
-      $inc: { 'stats.totalViews': 1 }
+    res.json({
+      success: true,
+      poem: {
+        ...presentPoem(poem, req.app.locals.uploads),
+        views: poem.views + 1,
+        comments: await comments.listForPoem(poem.id)
+      }
     });
-
-    res.json(poem);
   } catch (error) {
+    if (error.code === 'RECORD_TAMPERED') {
+      return res.status(500).json({ code: error.code, message: 'Poem failed its integrity check' });
+    }
     console.error('Get poem error:', error);
     res.status(500).json({ message: 'Server error fetching poem' });
   }
 });
 
-// Update poem
-router.put('/:id', auth, [
+// Update poem: JSON, or a multipart form with an optional "image" file that
+// replaces the poem's image. On the sqlite backend the replaced version is
+// kept as a revision.
+router.put('/:id', auth, acceptImage, [
   body('title').optional().isLength({ min: 1, max: 200 }).trim().escape(),
-  body('body').optional().isLength({ min: 1, max: 10000 }).trim(),
+  body('body').optional().customSanitizer(sanitizeSource).isLength({ min: 1, max: 10000 }),
   body('license').optional().isIn([
     'All Rights Reserved',
     'CC BY 4.0',
@@ -210,8 +385,12 @@ router.put('/:id', auth, [
     'CC BY-NC-ND 4.0',
     'CC0 1.0'
   ]),
-  body('tags').optional().isArray(),
-  body('visibility').optional().isIn(['public', 'unlisted', 'private'])
+  body('tags').optional().customSanitizer(fromFormField).isArray(),
+  body('mood').optional().isIn(['melancholic', 'joyful', 'contemplative', 'passionate', 'dark', 'hopeful', 'nostalgic', 'rebellious', 'peaceful', 'intense']),
+  body('style').optional().isIn(['free-verse', 'sonnet', 'haiku', 'limerick', 'ballad', 'epic', 'lyric', 'narrative', 'prose-poetry', 'experimental']),
+  body('visibility').optional().isIn(VISIBILITIES),
+  body('imageAlt').optional().isString().isLength({ max: IMAGE_ALT_MAX_LENGTH }),
+  body('contentType').optional().isString().isLength({ min: 1, max: 50 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -219,49 +398,78 @@ router.put('/:id', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const poem = await Poem.findById(req.params.id);
-    if (!poem) {
-      return res.status(404).json({ message: 'Poem not found' });
+    const unknown = Object.keys(req.body).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        code: 'FIELD_NOT_EDITABLE',
+        message: `These fields cannot be edited: ${unknown.join(', ')}`
+      });
     }
 
-    // Check ownership
-    if (poem.author.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to edit this poem' });
-    }
+    const { poems } = req.app.locals.repositories;
+    const poem = await findOwnPoem(req, res, 'edit');
+    if (!poem) return;
+
+    // Values the poem already has are not changes: they are neither written
+    // nor listed in the ledger entry
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && !isDeepStrictEqual(req.body[field], poem[field])) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    // On a co-authored poem a new license waits until every co-author
+    // approves it; the rest of the edit goes ahead
+    const proposal = needsLicenseApproval(poem, updates.license) ? licenseProposal(updates.license, req.user.id) : null;
+    if (proposal) delete updates.license;
 
-    const updates = req.body;
-    
     // Update content hash if title or body changed
     if (updates.title || updates.body) {
       const newTitle = updates.title || poem.title;
       const newBody = updates.body || poem.body;
-      updates.contentHash = generateContentHash(newTitle, newBody, req.user.id);
+      updates.contentHash = contentHashOf(newTitle, newBody, req.user.id);
     }
+    if (updates.body) {
+      updates.bodyDocument = parsePoem(updates.body);
 
-    const updatedPoem = await Poem.findByIdAndUpdate(
-      req.params.id,
-      updates,
-      { new: true, runValidators: true }
-    ).populate('author', 'username displayName avatar');
-
-    // Create ledger entry for update
-    if (req.app.locals.ledgerService) {
-      try {
-        await req.app.locals.ledgerService.updatePoemEntry(updatedPoem);
-      } catch (ledgerError) {
-        console.error('Ledger update error:', ledgerError);
+      // Line timings point into the body; once its lines shift they are
+      // wrong, so they are dropped and the author sets them again
+      if (poem.readingTimings?.length && lineCountOf(poem.body) !== lineCountOf(updates.body)) {
+        updates.readingTimings = [];
       }
     }
 
-    // Publish event and write file ledger
-    req.app.locals.eventBus?.publish({ type: 'POEM_UPDATED', poemId: updatedPoem._id.toString(), authorId: req.user.id });
-    req.app.locals.fileLedger?.append(updatedPoem._id.toString(), 'POEM_UPDATED', { updates });
+    // If the update is refused, the upload stays unattached and is swept
+    let image = null;
+    if (req.file) {
+      const uploads = requireUploads(req, res);
+      if (!uploads) return;
+      image = await uploads.saveImage(req.file.buffer, req.user.id);
+      updates.image = image.url;
+      // The old image's description does not carry over to a new image
+      if (updates.imageAlt === undefined && poem.imageAlt) updates.imageAlt = '';
+    }
+
+    let updatedPoem = poem;
+    if (Object.keys(updates).length > 0) {
+      updatedPoem = await poems.update(poem.id, updates);
+      if (image) req.app.locals.uploads.attach(image.id, poem.id);
+
+      // The ledger notes which fields changed, never their content
+      await req.app.locals.ledger?.recordPoemEvent('POEM_UPDATED', updatedPoem, req.user, {
+        fields: Object.keys(updates).filter(field => !['contentHash', 'bodyDocument', 'readingTimings'].includes(field))
+      });
+    }
+    if (proposal) {
+      updatedPoem = await poems.setPendingLicense(poem.id, proposal);
+    }
 
     // Update vector index if content changed
     if ((updates.title || updates.body) && req.app.locals.vectorService && poem.vectorId) {
       try {
         await req.app.locals.vectorService.indexPoem(
-          poem._id,
+          poem.id,
           updatedPoem.title,
           updatedPoem.body,
           {
@@ -279,10 +487,15 @@ router.put('/:id', auth, [
     }
 
     res.json({
-      message: 'Poem updated successfully',
-      poem: updatedPoem
+      success: true,
+      message: proposal
+        ? 'Poem updated; the new license applies once every co-author approves it'
+        : 'Poem updated successfully',
+      poem: presentPoem(updatedPoem, req.app.locals.uploads),
+      ...(proposal && { awaitingApproval: awaitingApproval(updatedPoem) })
     });
   } catch (error) {
+    if (sendMediaError(res, error)) return;
     console.error('Poem update error:', error);
     res.status(500).json({ message: 'Server error updating poem' });
   }
@@ -291,73 +504,369 @@ router.put('/:id', auth, [
 // Delete poem
 router.delete('/:id', auth, async (req, res) => {
   try {
-    const poem = await Poem.findById(req.params.id);
+    const { poems } = req.app.locals.repositories;
+    const poem = await findOwnPoem(req, res, 'delete');
+    if (!poem) return;
+
+    // Moves the poem to the trash; TrashPurgeJob removes it (and its vector
+    // index entry) for good once the retention period is over
+    const trashed = await poems.delete(poem.id);
+
+    await req.app.locals.ledger?.recordPoemEvent('POEM_DELETED', poem, req.user, { purgeAt: trashed.purgeAt });
+
+    res.json({
+      success: true,
+      message: 'Poem moved to trash',
+      deletedAt: trashed.deletedAt,
+      purgeAt: trashed.purgeAt
+    });
+  } catch (error) {
+    console.error('Poem deletion error:', error);
+    res.status(500).json({ message: 'Server error deleting poem' });
+  }
+});
+
+// The repository's revision methods (sqlite only); otherwise sends a 501 and
+// returns null
+const requireRevisions = (req, res) => {
+  const { poems } = req.app.locals.repositories;
+  if (!poems.listRevisions) {
+    res.status(501).json({ code: 'REVISIONS_UNAVAILABLE', message: 'This server does not keep poem revisions' });
+    return null;
+  }
+  return poems;
+};
+
+// List a poem's revisions, newest first (author only: earlier drafts are never public)
+router.get('/:id/revisions', auth, async (req, res) => {
+  try {
+    const poems = requireRevisions(req, res);
+    if (!poems) return;
+
+    const poem = await findOwnPoem(req, res, 'view revisions of');
+    if (!poem) return;
+
+    res.json({ success: true, revisions: await poems.listRevisions(poem.id) });
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({ message: 'Server error listing revisions' });
+  }
+});
+
+// Get a single revision (author only)
+router.get('/:id/revisions/:revisionId', auth, async (req, res) => {
+  try {
+    const poems = requireRevisions(req, res);
+    if (!poems) return;
+
+    const poem = await findOwnPoem(req, res, 'view revisions of');
+    if (!poem) return;
+
+    const revision = await poems.getRevision(poem.id, req.params.revisionId);
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({ success: true, revision });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ message: 'Server error fetching revision' });
+  }
+});
+
+// Restore a revision as the current version (author only). Restoring is
+// itself an edit, so the version it replaces becomes a revision in turn.
+router.post('/:id/revisions/:revisionId/restore', auth, async (req, res) => {
+  try {
+    const poems = requireRevisions(req, res);
+    if (!poems) return;
+
+    const poem = await findOwnPoem(req, res, 'edit');
+    if (!poem) return;
+
+    const restored = await poems.restoreRevision(poem.id, req.params.revisionId);
+    if (!restored) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    await req.app.locals.ledger?.recordPoemEvent('POEM_UPDATED', restored, req.user, { restoredRevision: req.params.revisionId });
+
+    res.json({
+      success: true,
+      message: 'Revision restored successfully',
+      poem: presentPoem(restored, req.app.locals.uploads)
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({ message: 'Server error restoring revision' });
+  }
+});
+
+// The duration in seconds of the poem's reading, null without one
+const readingDurationOf = async (uploads, poem) => {
+  const recording = poem.reading ? await uploads.find(EncryptedUploadStore.idFromUrl(poem.reading)) : null;
+  return recording ? recording.durationMs / 1000 : null;
+};
+
+// Add or replace the author's reading of a poem: multipart "audio" plus
+// optional "timings" (JSON, see utils/readingTimings.js). The replaced
+// recording is kept for the revision that still plays it.
+router.post('/:id/reading', auth, acceptAudio, async (req, res) => {
+  try {
+    const uploads = requireUploads(req, res);
+    if (!uploads) return;
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'An audio file is required' });
+    }
+
+    const poem = await findOwnPoem(req, res, 'edit');
+    if (!poem) return;
+
+    // If the timings are refused, the recording stays unattached and is swept
+    const recording = await uploads.saveAudio(req.file.buffer, req.user.id);
+    const readingTimings = req.body.timings === undefined
+      ? []
+      : parseReadingTimings(req.body.timings, { body: poem.body, duration: recording.durationMs / 1000 });
+
+    const updated = await req.app.locals.repositories.poems.update(poem.id, { reading: recording.url, readingTimings });
+    uploads.attach(recording.id, updated.id);
+    await req.app.locals.ledger?.recordPoemEvent('POEM_UPDATED', updated, req.user, { fields: ['reading', 'readingTimings'] });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reading added successfully',
+      poem: presentPoem(updated, uploads)
+    });
+  } catch (error) {
+    if (sendMediaError(res, error)) return;
+    console.error('Add reading error:', error);
+    res.status(500).json({ message: 'Server error adding reading' });
+  }
+});
+
+// Replace the line timings of a poem's reading; [] removes them
+router.put('/:id/reading/timings', auth, async (req, res) => {
+  try {
+    const uploads = requireUploads(req, res);
+    if (!uploads) return;
+
+    const poem = await findOwnPoem(req, res, 'edit');
+    if (!poem) return;
+
+    const duration = await readingDurationOf(uploads, poem);
+    if (duration === null) {
+      return res.status(404).json({ message: 'Poem has no reading' });
+    }
+
+    const updated = await req.app.locals.repositories.poems.update(poem.id, {
+      readingTimings: parseReadingTimings(req.body.timings, { body: poem.body, duration })
+    });
+    await req.app.locals.ledger?.recordPoemEvent('POEM_UPDATED', updated, req.user, { fields: ['readingTimings'] });
+
+    res.json({
+      success: true,
+      message: 'Reading timings updated successfully',
+      poem: presentPoem(updated, uploads)
+    });
+  } catch (error) {
+    if (sendMediaError(res, error)) return;
+    console.error('Update reading timings error:', error);
+    res.status(500).json({ message: 'Server error updating reading timings' });
+  }
+});
+
+// Remove the reading from the current version of a poem
+router.delete('/:id/reading', auth, async (req, res) => {
+  try {
+    const uploads = requireUploads(req, res);
+    if (!uploads) return;
+
+    const poem = await findOwnPoem(req, res, 'edit');
+    if (!poem) return;
+
+    if (!poem.reading) {
+      return res.status(404).json({ message: 'Poem has no reading' });
+    }
+
+    const updated = await req.app.locals.repositories.poems.update(poem.id, { reading: null, readingTimings: [] });
+    await req.app.locals.ledger?.recordPoemEvent('POEM_UPDATED', updated, req.user, { fields: ['reading', 'readingTimings'] });
+
+    res.json({
+      success: true,
+      message: 'Reading removed successfully',
+      poem: presentPoem(updated, uploads)
+    });
+  } catch (error) {
+    console.error('Remove reading error:', error);
+    res.status(500).json({ message: 'Server error removing reading' });
+  }
+});
+
+// 202 for a ledger entry newer than the latest checkpoint: the proof or
+// certificate can be fetched once the next scheduled checkpoint has run, at
+// nextCheckpointAt (also sent as Retry-After, in seconds). Checkpoints are not
+// built on request, so readers cannot make the server sign one per call.
+const notYetCheckpointed = (res, ledgerCheckpoints, message) => {
+  const next = ledgerCheckpoints?.nextCheckpointAt() || null;
+  if (next) res.set('Retry-After', String(Math.max(1, Math.ceil((next.getTime() - Date.now()) / 1000))));
+
+  return res.status(202).json({
+    code: 'NOT_YET_CHECKPOINTED',
+    message,
+    nextCheckpointAt: next && next.toISOString(),
+    checkpointIntervalMinutes: ledgerCheckpoints ? ledgerCheckpoints.intervalMs / 60000 : null
+  });
+};
+
+// Inclusion proof for the poem's creation entry: the entry itself, its audit
+// path and the signed checkpoint whose root it leads to (see
+// services/LedgerCheckpoints.js). Readable by whoever can read the poem.
+// Until the entry is checkpointed, answers 202 (see notYetCheckpointed).
+router.get('/:id/inclusion-proof', optionalAuth, async (req, res) => {
+  try {
+    const poem = await findReadablePoem(req);
     if (!poem) {
       return res.status(404).json({ message: 'Poem not found' });
     }
 
-    // Check ownership
-    if (poem.author.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to delete this poem' });
+    const { ledger, ledgerCheckpoints } = req.app.locals;
+    if (!ledger || !ledgerCheckpoints) {
+      return res.status(503).json({ message: 'Ledger checkpoints are not available' });
     }
 
-    // Remove from vector database
-    if (req.app.locals.vectorService && poem.vectorId) {
-      try {
-        await req.app.locals.vectorService.deletePoem(poem._id);
-      } catch (vectorError) {
-        console.error('Vector deletion error:', vectorError);
-      }
+    const [entry] = await ledger.getEntries({ poemId: poem.id, eventType: 'POEM_CREATED' });
+    if (!entry) {
+      return res.status(404).json({ code: 'NO_LEDGER_ENTRY', message: 'Poem has no creation entry in the ledger' });
     }
 
-    await Poem.findByIdAndDelete(req.params.id);
+    const proof = await ledgerCheckpoints.proveInclusion(entry.id);
+    if (!proof) {
+      return notYetCheckpointed(res, ledgerCheckpoints, 'The creation entry will be included in the next checkpoint');
+    }
 
-    // Update user stats
-    await User.findByIdAndUpdate(req.user.id, {
-      $inc: { 'stats.poemsPublished': -1 }
+    res.json({
+      poemId: poem.id,
+      entry,
+      proof: {
+        algorithm: 'RFC 6962 sha256',
+        leafIndex: proof.leafIndex,
+        treeSize: proof.treeSize,
+        leafHash: proof.leafHash,
+        auditPath: proof.auditPath
+      },
+      checkpoint: proof.checkpoint
     });
+  } catch (error) {
+    console.error('Get inclusion proof error:', error);
+    res.status(500).json({ message: 'Server error building inclusion proof' });
+  }
+});
 
-    // Publish event and write file ledger
-    req.app.locals.eventBus?.publish({ type: 'POEM_DELETED', poemId: req.params.id, authorId: req.user.id });
-    req.app.locals.fileLedger?.append(req.params.id, 'POEM_DELETED', {});
+// HTTP status for each LedgerService error code
+const LEDGER_ERROR_STATUS = {
+  NO_LEDGER_ENTRY: 404,
+  CONTENT_MISMATCH: 409,
+  LEDGER_BROKEN: 409
+};
 
-    res.json({ message: 'Poem deleted successfully' });
+// Chain breaks come from the last integrity check, sent along with its age
+// as integrityCheck (see LedgerService.lastIntegrityCheck)
+const ledgerBroken = (res, ledgerService, chainBreak) => res.status(409).json({
+  code: 'LEDGER_BROKEN',
+  message: 'The ledger fails its integrity check; its history cannot be trusted',
+  sinks: chainBreak,
+  integrityCheck: ledgerService.lastIntegrityCheck()
+});
+
+// Authorship history: the poem's ledger entries, oldest first, with the users
+// they name. Readable by whoever can read the poem.
+router.get('/:id/history', optionalAuth, async (req, res) => {
+  try {
+    const poem = await findReadablePoem(req);
+    if (!poem) {
+      return res.status(404).json({ message: 'Poem not found' });
+    }
+
+    const { ledgerService, repositories } = req.app.locals;
+    if (!ledgerService) {
+      return res.status(503).json({ message: 'The ledger is not available' });
+    }
+
+    const chainBreak = ledgerService.findChainBreak();
+    if (chainBreak) return ledgerBroken(res, ledgerService, chainBreak);
+
+    const history = await ledgerService.getAuthorshipHistory(poem.id);
+
+    // Users that were deleted since keep their ids only
+    const users = new Map();
+    for (const id of new Set(history.flatMap(entry => [entry.authorId, entry.actorId]).filter(Boolean))) {
+      const user = await repositories.users.findById(id);
+      users.set(id, user && { id: user.id, username: user.username, displayName: user.displayName });
+    }
+
+    res.json({
+      poemId: poem.id,
+      integrityCheck: ledgerService.lastIntegrityCheck(),
+      history: history.map(entry => ({
+        ...entry,
+        author: users.get(entry.authorId) || null,
+        actor: users.get(entry.actorId) || null
+      }))
+    });
   } catch (error) {
-    console.error('Poem deletion error:', error);
-    res.status(500).json({ message: 'Server error deleting poem' });
+    console.error('Get poem history error:', error);
+    res.status(500).json({ message: 'Server error fetching poem history' });
   }
 });
 
-// Like/Unlike poem
-router.post('/:id/like', auth, async (req, res) => {
+// Signed authorship certificate for the poem's current content, verifiable
+// offline (see utils/certificateVerifier.js). Readable by whoever can read the poem.
+// Until the latest content's entry is checkpointed, answers 202 (see notYetCheckpointed).
+router.get('/:id/certificate', optionalAuth, async (req, res) => {
   try {
-    const poem = await Poem.findById(req.params.id);
+    const poem = await findReadablePoem(req);
     if (!poem) {
       return res.status(404).json({ message: 'Poem not found' });
     }
 
-    const existingLike = poem.likes.find(like => like.user.toString() === req.user.id);
+    const { ledgerService } = req.app.locals;
+    if (!ledgerService) {
+      return res.status(503).json({ message: 'The ledger is not available' });
+    }
 
-    if (existingLike) {
-      // Unlike
-      poem.likes = poem.likes.filter(like => like.user.toString() !== req.user.id);
-      await User.findByIdAndUpdate(poem.author, {
-        $inc: { 'stats.totalLikes': -1 }
-      });
-    } else {
-      // Like
-      poem.likes.push({ user: req.user.id });
-      await User.findByIdAndUpdate(poem.author, {
-        $inc: { 'stats.totalLikes': 1 }
-      });
+    const certificate = await ledgerService.generateAuthorshipCertificate(poem);
+    res.json({ certificate, integrityCheck: ledgerService.lastIntegrityCheck() });
+  } catch (error) {
+    if (error.code === 'LEDGER_BROKEN') return ledgerBroken(res, req.app.locals.ledgerService, error.chainBreak);
+    if (error.code === 'NOT_YET_CHECKPOINTED') {
+      return notYetCheckpointed(res, req.app.locals.ledgerCheckpoints, error.message);
+    }
+    if (LEDGER_ERROR_STATUS[error.code]) {
+      return res.status(LEDGER_ERROR_STATUS[error.code]).json({ code: error.code, message: error.message });
+    }
+    console.error('Get poem certificate error:', error);
+    res.status(500).json({ message: 'Server error generating certificate' });
+  }
+});
+
+// Like/Unlike poem
+router.post('/:id/like', auth, async (req, res) => {
+  try {
+    if (!(await findReadablePoem(req))) {
+      return res.status(404).json({ message: 'Poem not found' });
     }
 
-    await poem.save();
+    // Likes if not yet liked, unlikes otherwise
+    const result = await req.app.locals.repositories.likes.toggle(req.params.id, req.user.id);
+    if (!result) {
+      return res.status(404).json({ message: 'Poem not found' });
+    }
 
     res.json({
-      message: existingLike ? 'Poem unliked' : 'Poem liked',
-      likeCount: poem.likes.length,
-      isLiked: !existingLike
+      message: result.liked ? 'Poem liked' : 'Poem unliked',
+      likeCount: result.likeCount,
+      isLiked: result.liked
     });
   } catch (error) {
     console.error('Like poem error:', error);
@@ -375,25 +884,19 @@ router.post('/:id/comments', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const poem = await Poem.findById(req.params.id);
-    if (!poem) {
+    if (!(await findReadablePoem(req))) {
       return res.status(404).json({ message: 'Poem not found' });
     }
 
-    poem.comments.push({
-      author: req.user.id,
-      content: req.body.content
-    });
-
-    await poem.save();
-
-    const updatedPoem = await Poem.findById(req.params.id)
-      .populate('comments.author', 'username displayName avatar')
-      .exec();
+    const { comments } = req.app.locals.repositories;
+    const comment = await comments.add(req.params.id, req.user.id, req.body.content);
+    if (!comment) {
+      return res.status(404).json({ message: 'Poem not found' });
+    }
 
     res.status(201).json({
       message: 'Comment added successfully',
-      comments: updatedPoem.comments
+      comments: await comments.listForPoem(req.params.id)
     });
   } catch (error) {
     console.error('Add comment error:', error);
@@ -401,38 +904,362 @@ router.post('/:id/comments', auth, [
   }
 });
 
-// Get user's poems
-router.get('/user/:userId', optionalAuth, async (req, res) => {
+// Create a share link for an unlisted poem. The token is only shown in this
+// response; readers open the poem with GET /api/poems/:id?share=<token>.
+router.post('/:id/share-links', auth, [
+  body('expiresAt').optional({ nullable: true }).isISO8601(),
+  body('maxViews').optional({ nullable: true }).isInt({ min: 1 })
+], async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const { userId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    const query = { 
-      author: userId,
-      isPublished: true
-    };
+    const poem = await findOwnPoem(req, res, 'share');
+    if (!poem) return;
 
-    // If not the author, only show public poems
-    if (!req.user || req.user.id !== userId) {
-      query.visibility = 'public';
+    if (poem.visibility !== 'unlisted') {
+      return res.status(400).json({ message: 'Only unlisted poems can be shared by link' });
+    }
+
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+    if (expiresAt && expiresAt <= new Date()) {
+      return res.status(400).json({ message: 'expiresAt must be in the future' });
+    }
+
+    const { link, token } = await req.app.locals.repositories.shares.createLink(poem.id, req.user.id, {
+      expiresAt,
+      maxViews: req.body.maxViews ? parseInt(req.body.maxViews) : null
+    });
+
+    res.status(201).json({
+      message: 'Share link created',
+      link: { ...link, token }
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ message: 'Server error creating share link' });
+  }
+});
+
+// List a poem's share links, revoked and expired ones included
+router.get('/:id/share-links', auth, async (req, res) => {
+  try {
+    const poem = await findOwnPoem(req, res, 'share');
+    if (!poem) return;
+
+    res.json({ links: await req.app.locals.repositories.shares.listLinks(poem.id) });
+  } catch (error) {
+    console.error('Get share links error:', error);
+    res.status(500).json({ message: 'Server error fetching share links' });
+  }
+});
+
+// Revoke a share link
+router.delete('/:id/share-links/:linkId', auth, async (req, res) => {
+  try {
+    const poem = await findOwnPoem(req, res, 'share');
+    if (!poem) return;
+
+    const link = await req.app.locals.repositories.shares.revokeLink(poem.id, req.params.linkId);
+    if (!link) {
+      return res.status(404).json({ message: 'Share link not found' });
+    }
+
+    res.json({ message: 'Share link revoked', link });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ message: 'Server error revoking share link' });
+  }
+});
+
+// Users who may read the poem while it is private
+router.get('/:id/access', auth, async (req, res) => {
+  try {
+    const poem = await findOwnPoem(req, res, 'share');
+    if (!poem) return;
+
+    res.json({ access: await req.app.locals.repositories.shares.listAccess(poem.id) });
+  } catch (error) {
+    console.error('Get access list error:', error);
+    res.status(500).json({ message: 'Server error fetching access list' });
+  }
+});
+
+// Add a user to the access list
+router.put('/:id/access/:userId', auth, async (req, res) => {
+  try {
+    const poem = await findOwnPoem(req, res, 'share');
+    if (!poem) return;
+
+    const { users, shares } = req.app.locals.repositories;
+    const user = await users.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await shares.grantAccess(poem.id, user.id);
+
+    res.json({
+      message: 'Access granted',
+      access: await shares.listAccess(poem.id)
+    });
+  } catch (error) {
+    console.error('Grant access error:', error);
+    res.status(500).json({ message: 'Server error granting access' });
+  }
+});
+
+// Remove a user from the access list
+router.delete('/:id/access/:userId', auth, async (req, res) => {
+  try {
+    const poem = await findOwnPoem(req, res, 'share');
+    if (!poem) return;
+
+    const { shares } = req.app.locals.repositories;
+    if (!(await shares.revokeAccess(poem.id, req.params.userId))) {
+      return res.status(404).json({ message: 'User is not on the access list' });
+    }
+
+    res.json({
+      message: 'Access revoked',
+      access: await shares.listAccess(poem.id)
+    });
+  } catch (error) {
+    console.error('Revoke access error:', error);
+    res.status(500).json({ message: 'Server error revoking access' });
+  }
+});
+
+// Offer the poem to another user, who has expiresInDays (default 7) to
+// accept it (see routes/transferRoutes.js). One transfer per poem at a time.
+router.post('/:id/transfers', auth, [
+  body('toUserId').isString().notEmpty(),
+  body('expiresInDays').optional().isInt({ min: 1, max: MAX_TRANSFER_DAYS })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const poem = await findOwnPoem(req, res, 'transfer');
+    if (!poem) return;
+
+    const { users, transfers } = req.app.locals.repositories;
+    const recipient = await users.findById(req.body.toUserId);
+    if (!recipient) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (recipient.id === req.user.id) {
+      return res.status(400).json({ message: 'You already own this poem' });
+    }
+
+    if (await transfers.findPending(poem.id)) {
+      return res.status(409).json({
+        code: 'TRANSFER_PENDING',
+        message: 'This poem already has a transfer waiting for an answer; cancel it first'
+      });
     }
 
-    const poems = await Poem.find(query)
-      .populate('author', 'username displayName avatar')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
+    const days = req.body.expiresInDays ? parseInt(req.body.expiresInDays) : DEFAULT_TRANSFER_DAYS;
+    const transfer = await transfers.create(poem.id, req.user.id, recipient.id, new Date(Date.now() + days * DAY_MS));
+
+    res.status(201).json({ message: 'Transfer offered', transfer });
+  } catch (error) {
+    console.error('Create transfer error:', error);
+    res.status(500).json({ message: 'Server error offering transfer' });
+  }
+});
 
-    const total = await Poem.countDocuments(query);
+// Who the poem credits: its co-authors, each one's share and the author's
+// (see utils/authorship.js). The author also sees the invitations still
+// waiting for an answer.
+router.get('/:id/coauthors', optionalAuth, async (req, res) => {
+  try {
+    const poem = await findReadablePoem(req);
+    if (!poem) {
+      return res.status(404).json({ message: 'Poem not found' });
+    }
 
+    const { coAuthors } = req.app.locals.repositories;
     res.json({
-      poems,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalPoems: total
+      author: poem.author,
+      coAuthors: poem.coAuthors,
+      credits: creditsOf(poem),
+      pendingLicense: poem.pendingLicense,
+      ...(isAuthor(poem, req.user) && { invitations: await coAuthors.listPendingInvitations(poem.id) })
     });
   } catch (error) {
+    console.error('Get co-authors error:', error);
+    res.status(500).json({ message: 'Server error fetching co-authors' });
+  }
+});
+
+// Invite a user to co-author the poem with a role and an optional share (a
+// percentage); they have expiresInDays (default 14) to accept it (see
+// routes/invitationRoutes.js). Shares of co-authors and pending invitations
+// together stay within 100.
+router.post('/:id/coauthors/invitations', auth, [
+  body('userId').isString().notEmpty(),
+  body('role').optional().isIn(COAUTHOR_ROLES),
+  body('share').optional({ nullable: true }).isFloat({ min: 0.01, max: TOTAL_SHARE }),
+  body('expiresInDays').optional().isInt({ min: 1, max: MAX_INVITATION_DAYS })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const poem = await findOwnPoem(req, res, 'invite co-authors to');
+    if (!poem) return;
+
+    const { users, coAuthors } = req.app.locals.repositories;
+    const invitee = await users.findById(req.body.userId);
+    if (!invitee) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (invitee.id === req.user.id) {
+      return res.status(400).json({ message: 'You are already the author of this poem' });
+    }
+    if (isCoAuthor(poem, invitee)) {
+      return res.status(409).json({ code: 'ALREADY_COAUTHOR', message: 'This user already co-authors the poem' });
+    }
+
+    const pending = await coAuthors.listPendingInvitations(poem.id);
+    if (pending.some(invitation => invitation.toUserId === invitee.id)) {
+      return res.status(409).json({
+        code: 'INVITATION_PENDING',
+        message: 'This user already has an invitation waiting for an answer'
+      });
+    }
+
+    const share = req.body.share == null ? null : parseFloat(req.body.share);
+    if (share !== null && sharesOf(poem.coAuthors) + sharesOf(pending) + share > TOTAL_SHARE) {
+      return res.status(400).json({
+        code: 'SHARES_EXCEED_TOTAL',
+        message: `Co-authors' shares would add up to more than ${TOTAL_SHARE}%`
+      });
+    }
+
+    const days = req.body.expiresInDays ? parseInt(req.body.expiresInDays) : DEFAULT_INVITATION_DAYS;
+    const invitation = await coAuthors.invite(poem.id, req.user.id, invitee.id, {
+      role: req.body.role || 'co-author',
+      share
+    }, new Date(Date.now() + days * DAY_MS));
+
+    res.status(201).json({ message: 'Invitation sent', invitation });
+  } catch (error) {
+    console.error('Invite co-author error:', error);
+    res.status(500).json({ message: 'Server error inviting co-author' });
+  }
+});
+
+// Remove a co-author: the author removes anyone, a co-author only themselves
+router.delete('/:id/coauthors/:userId', auth, async (req, res) => {
+  try {
+    const poem = await findCreditedPoem(req, res, 'change the co-authors of');
+    if (!poem) return;
+
+    if (!isAuthor(poem, req.user) && req.params.userId !== req.user.id) {
+      return res.status(403).json({ message: 'Co-authors can only remove themselves' });
+    }
+
+    const { poems, coAuthors } = req.app.locals.repositories;
+    const removed = await coAuthors.remove(poem.id, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({ message: 'User is not a co-author of this poem' });
+    }
+
+    let updated = await poems.findById(poem.id);
+    await req.app.locals.ledger?.recordPoemEvent('POEM_COAUTHOR_REMOVED', updated, req.user, {
+      coAuthorId: req.params.userId,
+      role: removed.role,
+      share: removed.share
+    });
+
+    // A pending license may have been waiting on them alone
+    updated = await settleLicense(req, updated);
+
+    res.json({ message: 'Co-author removed', coAuthors: updated.coAuthors, credits: creditsOf(updated) });
+  } catch (error) {
+    console.error('Remove co-author error:', error);
+    res.status(500).json({ message: 'Server error removing co-author' });
+  }
+});
+
+// Approve the poem's pending license change; the last approval applies it
+router.post('/:id/license/approve', auth, async (req, res) => {
+  try {
+    const poem = await findCreditedPoem(req, res, 'approve the license of');
+    if (!poem) return;
+
+    if (!poem.pendingLicense) {
+      return res.status(409).json({ code: 'NO_PENDING_LICENSE', message: 'No license change is waiting for approval' });
+    }
+
+    const { poems } = req.app.locals.repositories;
+    const approvals = [...new Set([...poem.pendingLicense.approvals, req.user.id])];
+    const approved = await poems.setPendingLicense(poem.id, { ...poem.pendingLicense, approvals });
+    const updated = await settleLicense(req, approved);
+
+    res.json({
+      message: updated.pendingLicense ? 'Approval recorded' : `License changed to ${updated.license}`,
+      license: updated.license,
+      pendingLicense: updated.pendingLicense,
+      awaitingApproval: awaitingApproval(updated)
+    });
+  } catch (error) {
+    console.error('Approve license error:', error);
+    res.status(500).json({ message: 'Server error approving license' });
+  }
+});
+
+// Turn down the poem's pending license change (or withdraw it, as the one
+// who proposed it); the license stays as it is
+router.post('/:id/license/reject', auth, async (req, res) => {
+  try {
+    const poem = await findCreditedPoem(req, res, 'reject the license of');
+    if (!poem) return;
+
+    if (!poem.pendingLicense) {
+      return res.status(409).json({ code: 'NO_PENDING_LICENSE', message: 'No license change is waiting for approval' });
+    }
+
+    await req.app.locals.repositories.poems.setPendingLicense(poem.id, null);
+
+    res.json({ message: 'License change rejected', license: poem.license, pendingLicense: null });
+  } catch (error) {
+    console.error('Reject license error:', error);
+    res.status(500).json({ message: 'Server error rejecting license' });
+  }
+});
+
+// Get user's poems
+router.get('/user/:userId', optionalAuth, async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+    const { userId } = req.params;
+
+    // If not the author, only show public poems
+    const isAuthor = req.user && req.user.id === userId;
+    const page = await req.app.locals.repositories.poems.list({
+      author: userId,
+      visibilities: isAuthor ? ['public', 'unlisted', 'private'] : ['public']
+    }, {
+      cursor,
+      limit,
+      defaultLimit: 10,
+      scope: `author:${userId}`
+    });
+
+    res.json(pageResponse(page, { poems: page.poems.map(poem => presentPoem(poem, req.app.locals.uploads)) }));
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Get user poems error:', error);
     res.status(500).json({ message: 'Server error fetching user poems' });
   }
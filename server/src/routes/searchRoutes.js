@@ -1,7 +1,7 @@
 const express = require('express');
-const Poem = require('../models/Poem');
-const User = require('../models/User');
 const { optionalAuth } = require('../middleware/auth');
+const { presentPoem } = require('../utils/poemFormat');
+const { pageResponse } = require('../utils/cursor');
 
 const router = express.Router();
 
@@ -11,8 +11,8 @@ router.get('/', optionalAuth, async (req, res) => {
     const { 
       q: query, 
       type = 'all', 
-      page = 1, 
-      limit = 10,
+      cursor,
+      limit,
       mood,
       style,
       license
@@ -22,88 +22,40 @@ router.get('/', optionalAuth, async (req, res) => {
       return res.status(400).json({ message: 'Search query is required' });
     }
 
+    // Each section is a page envelope (see utils/cursor.js); type=all returns
+    // the first few of each, and a section's nextCursor continues it with
+    // type=poems or type=users
+    const { poems, users } = req.app.locals.repositories;
     const results = {};
+    const pageFor = (section) => ({
+      cursor: type === section ? cursor : undefined,
+      limit: type === 'all' ? 5 : limit,
+      defaultLimit: 10,
+      scope: `search:${section}:${JSON.stringify([query, mood, style, license])}`
+    });
 
     if (type === 'all' || type === 'poems') {
       // Search poems
-      const poemQuery = {
-        $and: [
-          {
-            isPublished: true,
-            visibility: 'public'
-          },
-          {
-            $or: [
-              { title: { $regex: query, $options: 'i' } },
-              { body: { $regex: query, $options: 'i' } },
-              { tags: { $in: [new RegExp(query, 'i')] } }
-            ]
-          }
-        ]
-      };
-
-      // Add additional filters
-      if (mood) poemQuery.$and.push({ mood });
-      if (style) poemQuery.$and.push({ style });
-      if (license) poemQuery.$and.push({ license });
-
-      const poems = await Poem.find(poemQuery)
-        .populate('author', 'username displayName avatar')
-        .sort({ createdAt: -1 })
-        .limit(type === 'poems' ? limit * 1 : 5)
-        .skip(type === 'poems' ? (page - 1) * limit : 0);
-
-      const poemCount = await Poem.countDocuments(poemQuery);
-
-      results.poems = {
-        items: poems,
-        total: poemCount,
-        ...(type === 'poems' && {
-          currentPage: page,
-          totalPages: Math.ceil(poemCount / limit)
-        })
-      };
+      const page = await poems.list({ text: query, mood, style, license }, pageFor('poems'));
+      results.poems = pageResponse(page, { poems: page.poems.map(poem => presentPoem(poem, req.app.locals.uploads)) });
     }
 
     if (type === 'all' || type === 'users') {
       // Search users
-      const userQuery = {
-        $and: [
-          { 'settings.profileVisibility': 'public' },
-          {
-            $or: [
-              { username: { $regex: query, $options: 'i' } },
-              { displayName: { $regex: query, $options: 'i' } },
-              { bio: { $regex: query, $options: 'i' } }
-            ]
-          }
-        ]
-      };
-
-      const users = await User.find(userQuery)
-        .select('username displayName avatar bio location stats')
-        .sort({ 'stats.poemsPublished': -1 })
-        .limit(type === 'users' ? limit * 1 : 5)
-        .skip(type === 'users' ? (page - 1) * limit : 0);
-
-      const userCount = await User.countDocuments(userQuery);
-
-      results.users = {
-        items: users,
-        total: userCount,
-        ...(type === 'users' && {
-          currentPage: page,
-          totalPages: Math.ceil(userCount / limit)
-        })
-      };
+      const page = await users.search({ search: query, matchBio: true }, pageFor('users'));
+      results.users = pageResponse(page);
     }
 
     res.json({
+      success: true,
       query,
       type,
       results
     });
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Search error:', error);
     res.status(500).json({ message: 'Server error during search' });
   }
@@ -131,18 +83,14 @@ router.get('/semantic', optionalAuth, async (req, res) => {
 
         // Get full poem data for the results
         const poemIds = vectorResults.map(result => result.id);
-        const poems = await Poem.find({
-          _id: { $in: poemIds },
-          isPublished: true,
-          visibility: 'public'
-        })
-        .populate('author', 'username displayName avatar');
+        const poems = (await req.app.locals.repositories.poems.findByIds(poemIds))
+          .filter(poem => poem.isPublished && poem.visibility === 'public');
 
         // Map poems with their similarity scores
         semanticResults = poems.map(poem => {
-          const vectorResult = vectorResults.find(vr => vr.id === poem._id.toString());
+          const vectorResult = vectorResults.find(vr => vr.id === poem.id);
           return {
-            ...poem.toJSON(),
+            ...poem,
             similarityScore: vectorResult ? vectorResult.score : 0
           };
         });
@@ -158,24 +106,10 @@ router.get('/semantic', optionalAuth, async (req, res) => {
 
     // Fallback to regular text search if vector search isn't available or failed
     if (semanticResults.length === 0) {
-      const poems = await Poem.find({
-        $and: [
-          { isPublished: true, visibility: 'public' },
-          {
-            $or: [
-              { title: { $regex: query, $options: 'i' } },
-              { body: { $regex: query, $options: 'i' } },
-              { tags: { $in: [new RegExp(query, 'i')] } }
-            ]
-          }
-        ]
-      })
-      .populate('author', 'username displayName avatar')
-      .sort({ createdAt: -1 })
-      .limit(limit);
+      const { poems } = await req.app.locals.repositories.poems.list({ text: query }, { limit });
 
       semanticResults = poems.map(poem => ({
-        ...poem.toJSON(),
+        ...poem,
         similarityScore: 0.5 // Default score for text search
       }));
     }
@@ -201,18 +135,12 @@ router.get('/suggestions', async (req, res) => {
       return res.json({ suggestions: [] });
     }
 
+    const { poems, users } = req.app.locals.repositories;
     const suggestions = [];
 
     if (type === 'all' || type === 'tags') {
       // Get popular tags that match the query
-      const tagResults = await Poem.aggregate([
-        { $match: { isPublished: true, visibility: 'public' } },
-        { $unwind: '$tags' },
-        { $match: { tags: { $regex: query, $options: 'i' } } },
-        { $group: { _id: '$tags', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 5 }
-      ]);
+      const tagResults = await poems.popularTags({ text: query, limit: 5 });
 
       suggestions.push(...tagResults.map(tag => ({
         type: 'tag',
@@ -223,43 +151,24 @@ router.get('/suggestions', async (req, res) => {
 
     if (type === 'all' || type === 'users') {
       // Get users that match the query
-      const users = await User.find({
-        $and: [
-          { 'settings.profileVisibility': 'public' },
-          {
-            $or: [
-              { username: { $regex: query, $options: 'i' } },
-              { displayName: { $regex: query, $options: 'i' } }
-            ]
-          }
-        ]
-      })
-      .select('username displayName avatar')
-      .limit(5);
-
-      suggestions.push(...users.map(user => ({
+      const matches = await users.search({ search: query }, { limit: 5 });
+
+      suggestions.push(...matches.users.map(user => ({
         type: 'user',
         value: user.displayName || user.username,
-        id: user._id,
+        id: user.id,
         avatar: user.avatar
       })));
     }
 
     if (type === 'all' || type === 'titles') {
       // Get poem titles that match the query
-      const poems = await Poem.find({
-        title: { $regex: query, $options: 'i' },
-        isPublished: true,
-        visibility: 'public'
-      })
-      .select('title author')
-      .populate('author', 'username displayName')
-      .limit(5);
-
-      suggestions.push(...poems.map(poem => ({
+      const titles = await poems.titleSuggestions(query, 5);
+
+      suggestions.push(...titles.map(poem => ({
         type: 'title',
         value: poem.title,
-        id: poem._id,
+        id: poem.id,
         author: poem.author.displayName || poem.author.username
       })));
     }
@@ -278,26 +187,15 @@ router.get('/suggestions', async (req, res) => {
 router.get('/trending', async (req, res) => {
   try {
     const { type = 'all' } = req.query;
+    const { poems, users } = req.app.locals.repositories;
     const trending = {};
 
+    // Trends cover the last 30 days
+    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+
     if (type === 'all' || type === 'tags') {
       // Get most used tags in the last 30 days
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-
-      const trendingTags = await Poem.aggregate([
-        {
-          $match: {
-            isPublished: true,
-            visibility: 'public',
-            createdAt: { $gte: thirtyDaysAgo }
-          }
-        },
-        { $unwind: '$tags' },
-        { $group: { _id: '$tags', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 10 }
-      ]);
+      const trendingTags = await poems.popularTags({ since: thirtyDaysAgo, limit: 10 });
 
       trending.tags = trendingTags.map(tag => ({
         name: tag._id,
@@ -307,18 +205,7 @@ router.get('/trending', async (req, res) => {
 
     if (type === 'all' || type === 'moods') {
       // Get trending moods
-      const trendingMoods = await Poem.aggregate([
-        {
-          $match: {
-            isPublished: true,
-            visibility: 'public',
-            createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
-          }
-        },
-        { $group: { _id: '$mood', count: { $sum: 1 } } },
-        { $sort: { count: -1 } },
-        { $limit: 5 }
-      ]);
+      const trendingMoods = await poems.popularMoods({ since: thirtyDaysAgo, limit: 5 });
 
       trending.moods = trendingMoods.map(mood => ({
         name: mood._id,
@@ -328,14 +215,7 @@ router.get('/trending', async (req, res) => {
 
     if (type === 'all' || type === 'poets') {
       // Get most active poets
-      const activePoets = await User.find({
-        'settings.profileVisibility': 'public'
-      })
-      .select('username displayName avatar stats')
-      .sort({ 'stats.poemsPublished': -1 })
-      .limit(5);
-
-      trending.poets = activePoets;
+      trending.poets = await users.topPoets(5);
     }
 
     res.json(trending);
@@ -0,0 +1,162 @@
+const express = require('express');
+const { auth } = require('../middleware/auth');
+const { canReadPoem, isAuthor, isCoAuthor } = require('../utils/visibility');
+const { formatPoem } = require('../utils/poemFormat');
+const { contentHashOf } = require('../utils/poemHash');
+
+const router = express.Router();
+
+// Ownership transfers. The author offers a poem (POST /api/poems/:id/transfers)
+// and the recipient accepts or declines it before it expires; the author may
+// cancel it until then. Accepting makes the recipient the poem's author and
+// writes a POEM_TRANSFERRED ledger entry naming both, which shows in the
+// authorship history of each.
+
+// The transfer if the signed-in user is one of its parties; otherwise sends a
+// 404 and returns null
+const findOwnTransfer = async (req, res) => {
+  const transfer = await req.app.locals.repositories.transfers.findById(req.params.id);
+  if (transfer && [transfer.fromUserId, transfer.toUserId].includes(req.user.id)) return transfer;
+
+  res.status(404).json({ message: 'Transfer not found' });
+  return null;
+};
+
+// 409 for a transfer that is no longer pending
+const notPending = (res, transfer) => res.status(409).json({
+  code: transfer.status === 'expired' ? 'TRANSFER_EXPIRED' : 'TRANSFER_SETTLED',
+  message: `This transfer has ${transfer.status === 'expired' ? 'expired' : `already been ${transfer.status}`}`
+});
+
+// Transfers to and from the signed-in user, newest first. The poem's title is
+// included while the user may read it, or has it on offer.
+router.get('/', auth, async (req, res) => {
+  try {
+    const { transfers, poems, users, shares } = req.app.locals.repositories;
+    const list = await transfers.listForUser(req.user.id);
+
+    const people = new Map();
+    const personOf = async (id) => {
+      if (!people.has(id)) {
+        const user = await users.findById(id);
+        people.set(id, user && { id: user.id, username: user.username, displayName: user.displayName });
+      }
+      return people.get(id);
+    };
+
+    const result = [];
+    for (const transfer of list) {
+      const poem = await poems.findById(transfer.poemId);
+      const offered = transfer.status === 'pending' && transfer.toUserId === req.user.id;
+      const visible = poem && (offered || await canReadPoem(shares, poem, req.user));
+
+      result.push({
+        ...transfer,
+        poem: visible ? { id: poem.id, title: poem.title } : null,
+        from: await personOf(transfer.fromUserId),
+        to: await personOf(transfer.toUserId)
+      });
+    }
+
+    res.json({ transfers: result });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({ message: 'Server error fetching transfers' });
+  }
+});
+
+// Accept a transfer offered to the signed-in user
+router.post('/:id/accept', auth, async (req, res) => {
+  try {
+    const transfer = await findOwnTransfer(req, res);
+    if (!transfer) return;
+
+    if (transfer.toUserId !== req.user.id) {
+      return res.status(403).json({ message: 'Only the recipient can accept this transfer' });
+    }
+    if (transfer.status !== 'pending') return notPending(res, transfer);
+
+    const { transfers, poems, coAuthors } = req.app.locals.repositories;
+
+    // The poem may have been deleted since it was offered
+    const poem = await poems.findById(transfer.poemId);
+    if (!poem || !isAuthor(poem, { id: transfer.fromUserId })) {
+      await transfers.resolve(transfer.id, 'cancelled');
+      return res.status(409).json({ code: 'POEM_UNAVAILABLE', message: 'The poem is no longer available to transfer' });
+    }
+
+    // The poem moves before the offer is settled, so a move that fails leaves
+    // the offer pending to try again. The content hash covers the author, so
+    // it changes with them.
+    const moved = await poems.transfer(poem.id, transfer.fromUserId, req.user.id, contentHashOf(poem.title, poem.body, req.user.id));
+    if (!moved) {
+      return res.status(409).json({ code: 'POEM_UNAVAILABLE', message: 'The poem is no longer available to transfer' });
+    }
+
+    // If the offer was cancelled or expired meanwhile, the poem goes back
+    const moveBack = () => poems.transfer(poem.id, req.user.id, transfer.fromUserId, poem.contentHash);
+    let accepted;
+    try {
+      accepted = await transfers.resolve(transfer.id, 'accepted');
+    } catch (error) {
+      await moveBack();
+      throw error;
+    }
+    if (!accepted) {
+      await moveBack();
+      return notPending(res, await transfers.findById(transfer.id));
+    }
+
+    // A co-author who takes the poem over is credited as its author instead
+    let transferred = moved;
+    if (isCoAuthor(poem, req.user)) {
+      await coAuthors.remove(poem.id, req.user.id);
+      transferred = await poems.findById(poem.id);
+    }
+
+    await req.app.locals.ledger?.recordPoemEvent('POEM_TRANSFERRED', transferred, req.user, {
+      transferId: transfer.id,
+      fromAuthorId: transfer.fromUserId,
+      toAuthorId: transfer.toUserId,
+      offeredAt: new Date(transfer.createdAt).toISOString()
+    });
+
+    res.json({
+      message: 'Transfer accepted; the poem is yours',
+      transfer: accepted,
+      poem: formatPoem(transferred)
+    });
+  } catch (error) {
+    console.error('Accept transfer error:', error);
+    res.status(500).json({ message: 'Server error accepting transfer' });
+  }
+});
+
+// Settle a transfer without moving the poem: the recipient declines, the
+// author cancels
+const settle = (status, party, verb) => async (req, res) => {
+  try {
+    const transfer = await findOwnTransfer(req, res);
+    if (!transfer) return;
+
+    if (transfer[party] !== req.user.id) {
+      return res.status(403).json({ message: `Only the ${party === 'toUserId' ? 'recipient' : 'author'} can ${verb} this transfer` });
+    }
+    if (transfer.status !== 'pending') return notPending(res, transfer);
+
+    const { transfers } = req.app.locals.repositories;
+    const settled = await transfers.resolve(transfer.id, status);
+    if (!settled) return notPending(res, await transfers.findById(transfer.id));
+
+    res.json({ message: `Transfer ${status}`, transfer: settled });
+  } catch (error) {
+    console.error(`Transfer ${verb} error:`, error);
+    res.status(500).json({ message: `Server error trying to ${verb} transfer` });
+  }
+};
+
+router.post('/:id/decline', auth, settle('declined', 'toUserId', 'decline'));
+
+router.post('/:id/cancel', auth, settle('cancelled', 'fromUserId', 'cancel'));
+
+module.exports = router;
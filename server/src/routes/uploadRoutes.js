@@ -0,0 +1,85 @@
+const express = require('express');
+const { pipeline } = require('stream');
+const { optionalAuth } = require('../middleware/auth');
+const { canReadPoem } = require('../utils/visibility');
+
+const router = express.Router();
+
+// A single "bytes=" range of a Range header, as inclusive offsets into a file
+// of the given size. Returns null to send the whole file (no header, several
+// ranges or one that does not parse) and false if the range is unsatisfiable.
+const parseByteRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (!match[1] && !match[2])) return null;
+
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    const length = parseInt(match[2]);
+    return length > 0 && size > 0 ? { start: Math.max(0, size - length), end: size - 1 } : false;
+  }
+
+  const start = parseInt(match[1]);
+  const end = match[2] ? parseInt(match[2]) : Infinity;
+  if (end < start) return null;
+  return start < size ? { start, end: Math.min(end, size - 1) } : false;
+};
+
+// Stream an uploaded image, reading or waveform (app.locals.uploads, an
+// EncryptedUploadStore). It can be read by whoever can read its poem (share
+// tokens work as ?share=), or only by its uploader while it has no poem yet;
+// anyone else gets a 404. Single byte ranges are honoured so players can seek.
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const { uploads, repositories } = req.app.locals;
+    if (!uploads) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    const file = await uploads.find(req.params.id);
+    const poem = file && file.poemId ? await repositories.poems.findById(file.poemId) : null;
+
+    let readable = false;
+    if (file && !file.poemId) {
+      readable = !!req.user && req.user.id === file.authorId;
+    } else if (poem) {
+      readable = await canReadPoem(repositories.shares, poem, req.user, { shareToken: req.query.share });
+    }
+
+    if (!readable) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+
+    const range = parseByteRange(req.headers.range, file.size);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${file.size}`);
+      return res.status(416).json({ message: 'Requested range not satisfiable' });
+    }
+
+    // Fails here, before any header is sent, if the file was tampered with
+    const stream = await uploads.openReadStream(file, range);
+
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Length': range ? range.end - range.start + 1 : file.size,
+      'Accept-Ranges': 'bytes',
+      'X-Content-Type-Options': 'nosniff',
+      // Only uploads of public poems may sit in shared caches
+      'Cache-Control': poem && poem.visibility === 'public' ? 'public, max-age=86400' : 'private, no-store'
+    });
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${file.size}`);
+    }
+
+    pipeline(stream, res, (error) => {
+      if (error) console.error('Stream upload error:', error.message);
+    });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    if (error.code === 'RECORD_TAMPERED') {
+      return res.status(500).json({ code: error.code, message: 'Upload failed its integrity check' });
+    }
+    res.status(500).json({ message: 'Server error streaming upload' });
+  }
+});
+
+module.exports = router;
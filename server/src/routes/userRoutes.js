@@ -1,41 +1,44 @@
 const express = require('express');
-const User = require('../models/User');
-const Poem = require('../models/Poem');
 const { auth, optionalAuth } = require('../middleware/auth');
+const { presentPoem } = require('../utils/poemFormat');
+const { pageResponse } = require('../utils/cursor');
 
 const router = express.Router();
 
+// Private profiles are only visible to their owner
+const canViewProfile = (user, viewer) => (
+  user.settings.profileVisibility !== 'private' || (viewer && viewer.id === user.id)
+);
+
 // Get user profile
 router.get('/:userId', optionalAuth, async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId)
-      .select('-password -email')
-      .populate('followers', 'username displayName avatar')
-      .populate('following', 'username displayName avatar');
+    const { users, poems, follows } = req.app.locals.repositories;
+    const user = await users.findById(req.params.userId);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Check if profile is private
-    if (user.settings.profileVisibility === 'private' && 
-        (!req.user || req.user.id !== user.id.toString())) {
+    if (!canViewProfile(user, req.user)) {
       return res.status(403).json({ message: 'Profile is private' });
     }
 
     // Get recent poems
-    const recentPoems = await Poem.find({
-      author: user._id,
-      isPublished: true,
-      visibility: req.user && req.user.id === user.id.toString() ? { $in: ['public', 'unlisted', 'private'] } : 'public'
-    })
-    .select('title excerpt createdAt views likeCount mood style')
-    .sort({ createdAt: -1 })
-    .limit(5);
+    const isOwner = req.user && req.user.id === user.id;
+    const recent = await poems.list({
+      author: user.id,
+      visibilities: isOwner ? ['public', 'unlisted', 'private'] : ['public']
+    }, { limit: 5 });
+
+    const { email, ...profile } = user;
 
     res.json({
-      user,
-      recentPoems
+      user: { ...profile, ...(isOwner && { email }), ...(await follows.counts(user.id)) },
+      recentPoems: recent.poems.map(({ id, title, excerpt, createdAt, views, likeCount, mood, style }) => (
+        { id, _id: id, title, excerpt, createdAt, views, likeCount, mood, style }
+      ))
     });
   } catch (error) {
     console.error('Get user profile error:', error);
@@ -46,32 +49,20 @@ router.get('/:userId', optionalAuth, async (req, res) => {
 // Search users
 router.get('/', async (req, res) => {
   try {
-    const { search, page = 1, limit = 10 } = req.query;
-
-    let query = { 'settings.profileVisibility': 'public' };
-    
-    if (search) {
-      query.$or = [
-        { username: { $regex: search, $options: 'i' } },
-        { displayName: { $regex: search, $options: 'i' } }
-      ];
-    }
+    const { search, cursor, limit } = req.query;
 
-    const users = await User.find(query)
-      .select('username displayName avatar bio location stats')
-      .sort({ 'stats.poemsPublished': -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await User.countDocuments(query);
-
-    res.json({
-      users,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalUsers: total
+    const page = await req.app.locals.repositories.users.search({ search }, {
+      cursor,
+      limit,
+      defaultLimit: 10,
+      scope: `users:${search || ''}`
     });
+
+    res.json(pageResponse(page));
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Search users error:', error);
     res.status(500).json({ message: 'Server error searching users' });
   }
@@ -86,32 +77,16 @@ router.post('/:userId/follow', auth, async (req, res) => {
       return res.status(400).json({ message: 'Cannot follow yourself' });
     }
 
-    const userToFollow = await User.findById(userId);
-    const currentUser = await User.findById(req.user.id);
+    const result = await req.app.locals.repositories.follows.toggle(req.user.id, userId);
 
-    if (!userToFollow) {
+    if (!result) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const isFollowing = currentUser.following.includes(userId);
-
-    if (isFollowing) {
-      // Unfollow
-      currentUser.following = currentUser.following.filter(id => id.toString() !== userId);
-      userToFollow.followers = userToFollow.followers.filter(id => id.toString() !== req.user.id);
-    } else {
-      // Follow
-      currentUser.following.push(userId);
-      userToFollow.followers.push(req.user.id);
-    }
-
-    await currentUser.save();
-    await userToFollow.save();
-
     res.json({
-      message: isFollowing ? 'User unfollowed' : 'User followed',
-      isFollowing: !isFollowing,
-      followerCount: userToFollow.followers.length
+      message: result.following ? 'User followed' : 'User unfollowed',
+      isFollowing: result.following,
+      followerCount: result.followerCount
     });
   } catch (error) {
     console.error('Follow user error:', error);
@@ -119,94 +94,123 @@ router.post('/:userId/follow', auth, async (req, res) => {
   }
 });
 
-// Get user's followers
-router.get('/:userId/followers', optionalAuth, async (req, res) => {
+// Followers or following of a user, one page at a time
+const listConnections = (key) => async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId)
-      .populate('followers', 'username displayName avatar bio')
-      .select('followers settings');
+    const { cursor, limit } = req.query;
+    const { users, follows } = req.app.locals.repositories;
+    const user = await users.findById(req.params.userId);
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Check privacy
-    if (user.settings.profileVisibility === 'private' && 
-        (!req.user || req.user.id !== user.id.toString())) {
+    if (!canViewProfile(user, req.user)) {
       return res.status(403).json({ message: 'Profile is private' });
     }
 
-    res.json({
-      followers: user.followers,
-      count: user.followers.length
-    });
+    const page = await follows[key](user.id, { cursor, limit, scope: `${key}:${user.id}` });
+    const counts = await follows.counts(user.id);
+
+    res.json(pageResponse(page, { total: counts[key] }));
   } catch (error) {
-    console.error('Get followers error:', error);
-    res.status(500).json({ message: 'Server error fetching followers' });
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error(`Get ${key} error:`, error);
+    res.status(500).json({ message: `Server error fetching ${key}` });
   }
-});
+};
 
-// Get user's following
-router.get('/:userId/following', optionalAuth, async (req, res) => {
+// Get user's poems, newest first; only the author sees their unlisted and
+// private ones
+router.get('/:userId/poems', optionalAuth, async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId)
-      .populate('following', 'username displayName avatar bio')
-      .select('following settings');
-
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    // Check privacy
-    if (user.settings.profileVisibility === 'private' && 
-        (!req.user || req.user.id !== user.id.toString())) {
-      return res.status(403).json({ message: 'Profile is private' });
-    }
+    const { cursor, limit } = req.query;
+    const { userId } = req.params;
 
-    res.json({
-      following: user.following,
-      count: user.following.length
+    const isAuthor = req.user && req.user.id === userId;
+    const page = await req.app.locals.repositories.poems.list({
+      author: userId,
+      visibilities: isAuthor ? ['public', 'unlisted', 'private'] : ['public']
+    }, {
+      cursor,
+      limit,
+      defaultLimit: 10,
+      scope: `author:${userId}`
     });
+
+    res.json(pageResponse(page, { poems: page.poems.map(poem => presentPoem(poem, req.app.locals.uploads)) }));
   } catch (error) {
-    console.error('Get following error:', error);
-    res.status(500).json({ message: 'Server error fetching following' });
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Get user poems error:', error);
+    res.status(500).json({ message: 'Server error fetching user poems' });
   }
 });
 
+// Get user's followers
+router.get('/:userId/followers', optionalAuth, listConnections('followers'));
+
+// Get user's following
+router.get('/:userId/following', optionalAuth, listConnections('following'));
+
 // Get feed for authenticated user
 router.get('/feed/me', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-
-    const user = await User.findById(req.user.id).select('following');
-    
-    // Get poems from followed users
-    const poems = await Poem.find({
-      author: { $in: user.following },
-      isPublished: true,
-      visibility: 'public'
-    })
-    .populate('author', 'username displayName avatar')
-    .sort({ createdAt: -1 })
-    .limit(limit * 1)
-    .skip((page - 1) * limit);
-
-    const total = await Poem.countDocuments({
-      author: { $in: user.following },
-      isPublished: true,
-      visibility: 'public'
+    const { cursor, limit } = req.query;
+    const { poems, follows } = req.app.locals.repositories;
+
+    // Get poems from followed users; new poems land before the cursor, so
+    // paging further never repeats or skips one
+    const page = await poems.list({
+      authors: await follows.followingIds(req.user.id)
+    }, {
+      cursor,
+      limit,
+      defaultLimit: 10,
+      scope: `feed:${req.user.id}`
     });
 
-    res.json({
-      poems,
-      currentPage: page,
-      totalPages: Math.ceil(total / limit),
-      totalPoems: total
-    });
+    res.json(pageResponse(page, { poems: page.poems.map(poem => presentPoem(poem, req.app.locals.uploads)) }));
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Get feed error:', error);
     res.status(500).json({ message: 'Server error fetching feed' });
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// The signed-in user's authorship history from the ledger, oldest first:
+// events about the poems they wrote at the time, including poems they
+// received, and the transfers of poems they gave away
+router.get('/authorship-history/me', auth, async (req, res) => {
+  try {
+    const { ledgerService } = req.app.locals;
+    if (!ledgerService) {
+      return res.status(503).json({ message: 'The ledger is not available' });
+    }
+
+    // As of the last integrity check, sent with its age
+    const chainBreak = ledgerService.findChainBreak();
+    const integrityCheck = ledgerService.lastIntegrityCheck();
+    if (chainBreak) {
+      return res.status(409).json({
+        code: 'LEDGER_BROKEN',
+        message: 'The ledger fails its integrity check; its history cannot be trusted',
+        sinks: chainBreak,
+        integrityCheck
+      });
+    }
+
+    res.json({ integrityCheck, history: await ledgerService.getAuthorHistory(req.user.id) });
+  } catch (error) {
+    console.error('Get authorship history error:', error);
+    res.status(500).json({ message: 'Server error fetching authorship history' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+
+const router = express.Router();
+
+// The ledger's public signing keys, retired ones included, as a JWK set (see
+// services/SigningKeyring.js). Anyone can check ledger entries, checkpoints
+// and authorship certificates against it without asking the server.
+router.get('/jwks.json', (req, res) => {
+  try {
+    const signingKeys = req.app.locals.ledger?.signingKeys;
+    if (!signingKeys) {
+      return res.status(503).json({ message: 'Signing keys are not available' });
+    }
+
+    // Keys only change on rotation, which takes a restart
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(signingKeys.getPublicKeySet());
+  } catch (error) {
+    console.error('Get signing keys error:', error);
+    res.status(500).json({ message: 'Server error fetching signing keys' });
+  }
+});
+
+module.exports = router;
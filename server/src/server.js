@@ -13,13 +13,25 @@ const authRoutes = require('./routes/auth');
 const poemRoutes = require('./routes/poemRoutes');
 const userRoutes = require('./routes/userRoutes');
 const searchRoutes = require('./routes/searchRoutes');
+const ledgerRoutes = require('./routes/ledgerRoutes');
+const certificateRoutes = require('./routes/certificateRoutes');
+const transferRoutes = require('./routes/transferRoutes');
+const invitationRoutes = require('./routes/invitationRoutes');
+const wellKnownRoutes = require('./routes/wellKnownRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
 
 // Import services
 const VectorService = require('./services/VectorService');
 const LedgerService = require('./services/LedgerService');
-const FileBasedLedger = require('./services/FileBasedLedger');
+const Ledger = require('./services/Ledger');
+const LedgerCheckpoints = require('./services/LedgerCheckpoints');
+const LedgerTimestamps = require('./services/LedgerTimestamps');
+const ContentHashMigration = require('./services/ContentHashMigration');
 const EventBus = require('./services/EventBus');
-const FileLedger = require('./services/FileLedger');
+const TrashPurgeJob = require('./services/TrashPurgeJob');
+const IntegrityMonitor = require('./services/IntegrityMonitor');
+const EncryptedPermanentStorage = require('./services/EncryptedPermanentStorage');
+const { createRepositories } = require('./repositories');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -49,14 +61,28 @@ app.use(express.urlencoded({ extended: true }));
 let redis;
 let vectorService;
 let ledgerService;
-let fileLedger;
+let ledger;
+let ledgerCheckpoints;
+let ledgerTimestamps;
 let mongoMemory;
+let permanentStorage;
+let trashPurgeJob;
+let integrityMonitor;
 
 const initializeServices = async () => {
   try {
-    // MongoDB connection: try env URI first; if missing or fails, fallback to in-memory
+    // STORAGE_BACKEND=sqlite serves the routes from the encrypted SQLite store;
+    // otherwise MongoDB, falling back to in-memory repositories without it
+    let backend = process.env.STORAGE_BACKEND || 'mongo';
     const mongoUri = process.env.MONGODB_URI;
-    if (mongoUri) {
+
+    if (backend === 'sqlite') {
+      permanentStorage = new EncryptedPermanentStorage();
+      await permanentStorage.initialize();
+    } else if (backend === 'memory') {
+      console.log('📚 Simple in-memory store initialized (no disk required)');
+    } else if (mongoUri) {
+      // MongoDB connection: try env URI first; if it fails, fallback to in-memory
       try {
         await mongoose.connect(mongoUri);
         console.log('📚 MongoDB connected successfully');
@@ -69,12 +95,8 @@ const initializeServices = async () => {
           console.log('📚 MongoDB (in-memory) connected for development');
         } catch (memoryError) {
           console.warn('⚠️ In-memory MongoDB failed (likely disk space), using basic storage mode. Error:', memoryError?.message);
-          // Skip MongoDB initialization - we'll use a simple in-memory store
-          global.simpleStore = {
-            users: new Map(),
-            poems: new Map(),
-            sessions: new Map()
-          };
+          // Skip MongoDB initialization - the routes run on the in-memory repositories
+          backend = 'memory';
           console.log('📚 Simple in-memory store initialized (no disk required)');
         }
       }
@@ -86,16 +108,14 @@ const initializeServices = async () => {
         console.log('📚 MongoDB (in-memory) connected for development');
       } catch (memoryError) {
         console.warn('⚠️ In-memory MongoDB failed (likely disk space), using basic storage mode. Error:', memoryError?.message);
-        // Skip MongoDB initialization - we'll use a simple in-memory store
-        global.simpleStore = {
-          users: new Map(),
-          poems: new Map(),
-          sessions: new Map()
-        };
+        // Skip MongoDB initialization - the routes run on the in-memory repositories
+        backend = 'memory';
         console.log('📚 Simple in-memory store initialized (no disk required)');
       }
     }
 
+    app.locals.repositories = createRepositories(backend, { storage: permanentStorage });
+
     // Redis connection (optional)
     if (process.env.REDIS_URL) {
       redis = new Redis(process.env.REDIS_URL);
@@ -110,19 +130,46 @@ const initializeServices = async () => {
     await vectorService.initialize();
     console.log('🧠 Vector database initialized');
 
-    // Initialize Ledger Service
-    ledgerService = new LedgerService();
-    console.log('🔒 Ledger service initialized');
+    // Authorship ledger: every event goes through app.locals.ledger, which
+    // writes it to the backend's database and ledger.jsonl and then publishes
+    // it on the event bus.
+    const eventBus = new EventBus(redis);
+    ledger = Ledger.createLedger(backend, { storage: permanentStorage, eventBus });
+    await ledger.initialize();
+
+    // Signed Merkle roots over the ledger, for authors' inclusion proofs
+    ledgerCheckpoints = new LedgerCheckpoints(ledger);
+    ledgerCheckpoints.initialize();
+    ledgerCheckpoints.start();
+
+    // RFC 3161 timestamps of new entries' content hashes, when TSA_URL is set
+    ledgerTimestamps = new LedgerTimestamps(ledger);
+    ledgerTimestamps.initialize();
+    ledgerTimestamps.start();
 
-    // Initialize File-based Ledger (unconventional path)
-    fileLedger = new FileBasedLedger();
-    await fileLedger.initialize();
+    // Rehash poems hashed under an earlier canonical form (see utils/poemHash.js)
+    await new ContentHashMigration(app.locals.repositories.poems, ledger).run();
+
+    // Ledger integrity for /api/health and the ledger routes, checked on a
+    // timer rather than per request
+    integrityMonitor = new IntegrityMonitor({ ledger });
+    integrityMonitor.start();
+
+    // Authorship verification and certificates, read back from the ledger
+    ledgerService = new LedgerService(ledger, ledgerCheckpoints, ledgerTimestamps, integrityMonitor);
 
     // Make services available globally
     app.locals.redis = redis;
+    app.locals.eventBus = eventBus;
     app.locals.vectorService = vectorService;
     app.locals.ledgerService = ledgerService;
-    app.locals.fileLedger = fileLedger;
+    app.locals.ledger = ledger;
+    app.locals.ledgerCheckpoints = ledgerCheckpoints;
+    app.locals.ledgerTimestamps = ledgerTimestamps;
+
+    // Purge poems that outlived their time in the trash
+    trashPurgeJob = new TrashPurgeJob(app.locals.repositories.poems, { vectorService, ledger });
+    trashPurgeJob.start();
 
   } catch (error) {
     console.error('Service initialization error:', error);
@@ -133,20 +180,35 @@ const initializeServices = async () => {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/poems', poemRoutes);
+app.use('/api/uploads', uploadRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/certificates', certificateRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
-// Health check endpoint
+// Health check endpoint. Ledger integrity (where each copy first breaks, if it
+// does; see utils/ledgerEntry.js) comes from the last IntegrityMonitor run,
+// with its age.
 app.get('/api/health', (req, res) => {
+  const integrity = integrityMonitor?.getStatus() || null;
+  const lastCheck = integrity?.lastCheck;
+
   res.json({
-    status: 'healthy',
+    status: lastCheck && !lastCheck.ok ? 'degraded' : 'healthy',
     timestamp: new Date().toISOString(),
     services: {
+      storage: app.locals.repositories?.backend,
       mongodb: mongoose.connection.readyState === 1,
       redis: redis?.status === 'ready',
       vector: vectorService?.isReady,
-      ledger: ledgerService?.isReady,
-      fileLedger: fileLedger?.isReady
+      ledger: ledger && ledger.getStatus(),
+      integrity,
+      ledgerCheckpoints: ledgerCheckpoints?.getStatus(),
+      ledgerTimestamps: ledgerTimestamps?.getStatus(),
+      ledgerService: ledgerService?.isReady
     }
   });
 });
@@ -178,7 +240,12 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  if (trashPurgeJob) trashPurgeJob.stop();
+  if (integrityMonitor) integrityMonitor.stop();
+  if (ledgerCheckpoints) ledgerCheckpoints.stop();
+  if (ledgerTimestamps) ledgerTimestamps.stop();
   await mongoose.connection.close();
+  if (permanentStorage) permanentStorage.close();
   if (mongoMemory) await mongoMemory.stop();
   if (redis) redis.disconnect();
   process.exit(0);
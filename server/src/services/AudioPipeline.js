@@ -0,0 +1,158 @@
+const { spawn } = require('child_process');
+
+// Validates uploaded poem readings and precomputes their waveforms.
+//
+// The container is decided by the file's magic bytes (MP3, M4A/MP4, Ogg,
+// Opus, WAV, FLAC and WebM are accepted), then the whole file is decoded with
+// ffmpeg to mono PCM, fed through stdin so no plaintext copy is written to
+// disk. Decoding proves the audio is playable and gives its exact duration,
+// which must lie between AUDIO_MIN_DURATION_SECONDS (default 1) and
+// AUDIO_MAX_DURATION_SECONDS (default 900). M4A files whose index sits at the
+// end of the file cannot be decoded from a stream and are refused.
+//
+// The waveform is produced in the JSON format of BBC audiowaveform (version 2,
+// one channel, 8-bit min/max pairs), which players such as peaks.js and
+// wavesurfer.js read directly.
+const SAMPLE_RATE = 8000;
+const WAVEFORM_POINTS = 1000;
+const DECODE_TIMEOUT_MS = 60 * 1000;
+
+const ffmpegPath = () => process.env.FFMPEG_PATH || require('@ffmpeg-installer/ffmpeg').path;
+
+const startsWith = (buffer, bytes, offset = 0) => (
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte)
+);
+
+const ascii = (text) => Array.from(Buffer.from(text, 'ascii'));
+
+const invalidAudio = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_AUDIO';
+  return error;
+};
+
+class AudioPipeline {
+  constructor(options = {}) {
+    this.minDuration = options.minDuration ?? (parseFloat(process.env.AUDIO_MIN_DURATION_SECONDS) || 1);
+    this.maxDuration = options.maxDuration || parseFloat(process.env.AUDIO_MAX_DURATION_SECONDS) || 900;
+  }
+
+  // MIME type from the file's leading bytes, or null if it is not an accepted recording
+  static sniff(buffer) {
+    if (startsWith(buffer, ascii('ID3'))) return 'audio/mpeg';
+    // MPEG audio frame sync: 11 set bits, layer bits not "reserved"
+    if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0 && (buffer[1] & 0x06) !== 0) return 'audio/mpeg';
+    if (startsWith(buffer, ascii('ftyp'), 4)) return 'audio/mp4';
+    if (startsWith(buffer, ascii('OggS'))) return 'audio/ogg';
+    if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WAVE'), 8)) return 'audio/wav';
+    if (startsWith(buffer, ascii('fLaC'))) return 'audio/flac';
+    if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) return 'audio/webm';
+    return null;
+  }
+
+  // Resolves to { mimeType, duration (seconds), waveform }. Rejects with code
+  // INVALID_AUDIO for anything that is not a usable recording.
+  async process(buffer) {
+    const mimeType = AudioPipeline.sniff(buffer);
+    if (!mimeType) {
+      throw invalidAudio('Only MP3, M4A, Ogg, Opus, WAV, FLAC and WebM recordings are allowed');
+    }
+
+    const samples = await this.decode(buffer);
+    const duration = samples.length / SAMPLE_RATE;
+
+    if (duration < this.minDuration) {
+      throw invalidAudio(`Recordings must be at least ${this.minDuration} seconds long`);
+    }
+    if (duration > this.maxDuration) {
+      throw invalidAudio(`Recordings must be at most ${this.maxDuration} seconds long`);
+    }
+
+    return { mimeType, duration, waveform: AudioPipeline.waveform(samples) };
+  }
+
+  // Whole recording as mono 16-bit samples at SAMPLE_RATE. Decoding stops
+  // early, and the recording is refused, once it runs past maxDuration.
+  decode(buffer) {
+    const maxBytes = Math.ceil((this.maxDuration + 1) * SAMPLE_RATE) * 2;
+
+    return new Promise((resolve, reject) => {
+      const ffmpeg = spawn(ffmpegPath(), [
+        '-hide_banner', '-loglevel', 'error',
+        '-i', 'pipe:0',
+        '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE),
+        '-f', 's16le', 'pipe:1'
+      ], { stdio: ['pipe', 'pipe', 'pipe'] });
+
+      const chunks = [];
+      let bytes = 0;
+      let stderr = '';
+      let failure = null;
+
+      const stop = (error) => {
+        failure = failure || error;
+        ffmpeg.kill('SIGKILL');
+      };
+      const timer = setTimeout(() => stop(invalidAudio('Recording took too long to decode')), DECODE_TIMEOUT_MS);
+
+      ffmpeg.stdout.on('data', (chunk) => {
+        bytes += chunk.length;
+        if (bytes > maxBytes) return stop(invalidAudio(`Recordings must be at most ${this.maxDuration} seconds long`));
+        chunks.push(chunk);
+      });
+      ffmpeg.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-2000);
+      });
+      // ffmpeg may stop reading early, e.g. on a file it cannot parse
+      ffmpeg.stdin.on('error', () => {});
+
+      ffmpeg.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      ffmpeg.on('close', (code) => {
+        clearTimeout(timer);
+        if (failure) return reject(failure);
+        if (code !== 0 || bytes === 0) {
+          if (stderr) console.error('Audio decode failed:', stderr.trim());
+          return reject(invalidAudio('Recording could not be decoded'));
+        }
+
+        const pcm = Buffer.concat(chunks);
+        resolve(new Int16Array(pcm.buffer, pcm.byteOffset, Math.floor(pcm.length / 2)));
+      });
+
+      ffmpeg.stdin.end(buffer);
+    });
+  }
+
+  // audiowaveform JSON: min/max of each run of samples_per_pixel samples,
+  // scaled to 8 bits
+  static waveform(samples) {
+    const samplesPerPixel = Math.max(1, Math.ceil(samples.length / WAVEFORM_POINTS));
+    const data = [];
+
+    for (let offset = 0; offset < samples.length; offset += samplesPerPixel) {
+      let min = 0;
+      let max = 0;
+      const end = Math.min(offset + samplesPerPixel, samples.length);
+      for (let index = offset; index < end; index++) {
+        if (samples[index] < min) min = samples[index];
+        if (samples[index] > max) max = samples[index];
+      }
+      data.push(Math.max(-128, Math.round(min / 256)), Math.min(127, Math.round(max / 256)));
+    }
+
+    return {
+      version: 2,
+      channels: 1,
+      sample_rate: SAMPLE_RATE,
+      samples_per_pixel: samplesPerPixel,
+      bits: 8,
+      length: data.length / 2,
+      data
+    };
+  }
+}
+
+module.exports = AudioPipeline;
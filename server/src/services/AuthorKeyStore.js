@@ -0,0 +1,237 @@
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+// Per-author data keys for envelope encryption.
+//
+// Every author's profile and poems are encrypted with their own random 256-bit
+// data key. The data key is stored wrapped (encrypted) by the keyring's master
+// key, in a keystore file kept apart from poets_codex.db. Destroying an author's
+// wrapped key ("crypto-shredding") makes every copy of their encrypted rows
+// unreadable, including the ones inside database backups, because backups
+// never contain the keystore.
+//
+// Destroyed keys leave a tombstone so a read of shredded data reports
+// KEY_DESTROYED instead of looking like corruption, and so no new key is ever
+// issued for a forgotten author id.
+const KEY_PREFIX = 'author.';
+
+class AuthorKeyStore {
+  constructor(keyring) {
+    this.keyring = keyring;
+    this.db = null;
+    this.dbPath = null;
+    this.cache = new Map();
+  }
+
+  initialize(dbPath) {
+    this.dbPath = dbPath;
+    const dir = path.dirname(dbPath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    // Overwrite deleted content instead of leaving it in free pages
+    this.db.pragma('secure_delete = ON');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS author_keys (
+        author_id TEXT PRIMARY KEY,
+        wrapped_key TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        destroyed_at DATETIME
+      )
+    `);
+
+    // Keys resolve as "author.<authorId>" through the keyring
+    this.keyring.setKeyResolver(keyId => this.resolve(keyId));
+  }
+
+  static keyIdFor(authorId) {
+    return `${KEY_PREFIX}${authorId}`;
+  }
+
+  // SQL expression for keyIdFor() applied to an author id column
+  static keyIdSql(authorIdColumn) {
+    return `'${KEY_PREFIX}' || ${authorIdColumn}`;
+  }
+
+  static authorIdOf(keyId) {
+    return keyId && keyId.startsWith(KEY_PREFIX) ? keyId.slice(KEY_PREFIX.length) : null;
+  }
+
+  resolve(keyId) {
+    const authorId = AuthorKeyStore.authorIdOf(keyId);
+    return authorId ? this.getKey(authorId) : null;
+  }
+
+  wrap(authorId, key) {
+    return this.keyring.encrypt({ key: key.toString('base64') }, { table: 'author_keys', id: authorId });
+  }
+
+  unwrap(authorId, wrappedKey) {
+    return Buffer.from(this.keyring.decrypt(wrappedKey, { table: 'author_keys', id: authorId }).key, 'base64');
+  }
+
+  // Unwrapped data key for an author, or an error if it was destroyed
+  getKey(authorId) {
+    if (this.cache.has(authorId)) return this.cache.get(authorId);
+
+    const row = this.db.prepare('SELECT * FROM author_keys WHERE author_id = ?').get(authorId);
+    if (!row) return null;
+
+    if (row.destroyed_at) {
+      const error = new Error(`Data key for author ${authorId} was destroyed on ${row.destroyed_at}`);
+      error.code = 'KEY_DESTROYED';
+      throw error;
+    }
+
+    const key = this.unwrap(authorId, row.wrapped_key);
+    this.cache.set(authorId, key);
+    return key;
+  }
+
+  // Data key id for an author, generating the key on first use
+  ensureKey(authorId) {
+    if (this.getKey(authorId)) return AuthorKeyStore.keyIdFor(authorId);
+
+    const key = crypto.randomBytes(32);
+    this.db.prepare('INSERT INTO author_keys (author_id, wrapped_key) VALUES (?, ?)')
+      .run(authorId, this.wrap(authorId, key));
+    this.cache.set(authorId, key);
+
+    return AuthorKeyStore.keyIdFor(authorId);
+  }
+
+  isDestroyed(authorId) {
+    const row = this.db.prepare('SELECT destroyed_at FROM author_keys WHERE author_id = ?').get(authorId);
+    return !!(row && row.destroyed_at);
+  }
+
+  // Every row as a keystore export holds it: live keys still wrapped by the
+  // master key, destroyed keys as tombstones only
+  exportRows() {
+    const rows = this.db.prepare('SELECT * FROM author_keys ORDER BY author_id').all();
+    return {
+      keys: rows.filter(row => !row.destroyed_at)
+        .map(row => ({ authorId: row.author_id, wrappedKey: row.wrapped_key, createdAt: row.created_at })),
+      tombstones: rows.filter(row => row.destroyed_at)
+        .map(row => ({ authorId: row.author_id, destroyedAt: row.destroyed_at }))
+    };
+  }
+
+  // Load exported rows. Every key must unwrap under the current keyring before
+  // anything is written. A tombstone always wins, here or in the export, so a
+  // forgotten author's key never comes back.
+  importRows({ keys = [], tombstones = [] }) {
+    const unreadable = keys.filter(({ authorId, wrappedKey }) => {
+      try {
+        this.unwrap(authorId, wrappedKey);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+    if (unreadable.length > 0) {
+      const error = new Error(`${unreadable.length} exported key(s) cannot be unwrapped with the current master keys`);
+      error.code = 'KEY_UNAVAILABLE';
+      throw error;
+    }
+
+    const insertKey = this.db.prepare(`
+      INSERT INTO author_keys (author_id, wrapped_key, created_at) VALUES (?, ?, ?)
+      ON CONFLICT(author_id) DO NOTHING
+    `);
+    const insertTombstone = this.db.prepare(`
+      INSERT INTO author_keys (author_id, wrapped_key, destroyed_at) VALUES (?, NULL, ?)
+      ON CONFLICT(author_id) DO UPDATE SET wrapped_key = NULL, destroyed_at = COALESCE(author_keys.destroyed_at, excluded.destroyed_at)
+    `);
+
+    const imported = this.db.transaction(() => ({
+      keys: keys.reduce((sum, row) => sum + insertKey.run(row.authorId, row.wrappedKey, row.createdAt).changes, 0),
+      tombstones: tombstones.reduce((sum, row) => sum + insertTombstone.run(row.authorId, row.destroyedAt).changes, 0)
+    }))();
+    this.cache.clear();
+
+    return imported;
+  }
+
+  // Ids of every author whose key was destroyed
+  listDestroyed() {
+    return this.db.prepare('SELECT author_id FROM author_keys WHERE destroyed_at IS NOT NULL').all().map(row => row.author_id);
+  }
+
+  // Crypto-shred: drop the wrapped key and keep only a tombstone
+  destroyKey(authorId) {
+    const result = this.db.prepare(`
+      INSERT INTO author_keys (author_id, wrapped_key, destroyed_at)
+      VALUES (?, NULL, CURRENT_TIMESTAMP)
+      ON CONFLICT(author_id) DO UPDATE SET wrapped_key = NULL, destroyed_at = CURRENT_TIMESTAMP
+    `).run(authorId);
+    this.cache.delete(authorId);
+
+    // Push the overwritten pages out of the WAL so the old key bytes do not linger
+    this.db.pragma('wal_checkpoint(TRUNCATE)');
+
+    return result.changes > 0;
+  }
+
+  // Live data keys not yet wrapped by the active master key
+  countPendingRewrap() {
+    const prefix = this.keyring.prefixFor(this.keyring.activeKeyId);
+    return this.db.prepare(`
+      SELECT COUNT(*) as count FROM author_keys
+      WHERE wrapped_key IS NOT NULL AND substr(wrapped_key, 1, ?) != ?
+    `).get(prefix.length, prefix).count;
+  }
+
+  // Re-wrap every live data key with the keyring's active master key.
+  // Cheap compared to re-encrypting rows: only the 32-byte keys change.
+  rewrapAll() {
+    const prefix = this.keyring.prefixFor(this.keyring.activeKeyId);
+    const rows = this.db.prepare(`
+      SELECT author_id, wrapped_key FROM author_keys
+      WHERE wrapped_key IS NOT NULL AND substr(wrapped_key, 1, ?) != ?
+    `).all(prefix.length, prefix);
+
+    const update = this.db.prepare('UPDATE author_keys SET wrapped_key = ? WHERE author_id = ? AND wrapped_key = ?');
+    let rewrapped = 0;
+    this.db.transaction(() => {
+      rows.forEach(row => {
+        try {
+          const key = this.unwrap(row.author_id, row.wrapped_key);
+          rewrapped += update.run(this.wrap(row.author_id, key), row.author_id, row.wrapped_key).changes;
+        } catch (error) {
+          // Usually a master key missing from the keyring; the other keys still move on
+          console.error(`❌ Could not re-wrap data key for author ${row.author_id}:`, error.message);
+        }
+      });
+    })();
+
+    return rewrapped;
+  }
+
+  getStats() {
+    const row = this.db.prepare(`
+      SELECT
+        SUM(CASE WHEN destroyed_at IS NULL THEN 1 ELSE 0 END) as active,
+        SUM(CASE WHEN destroyed_at IS NOT NULL THEN 1 ELSE 0 END) as destroyed
+      FROM author_keys
+    `).get();
+
+    return { active: row.active || 0, destroyed: row.destroyed || 0 };
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.cache.clear();
+  }
+}
+
+module.exports = AuthorKeyStore;
@@ -0,0 +1,68 @@
+// Periodic encrypted backups for the production server.
+//
+// Enabled with BACKUP_INTERVAL_HOURS. On start, a backup is taken right away
+// if the newest archive is older than one interval, so restarts do not push
+// the schedule back indefinitely.
+class BackupScheduler {
+  constructor(backupService, options = {}) {
+    this.backupService = backupService;
+    this.intervalMs = options.intervalMs || (parseFloat(process.env.BACKUP_INTERVAL_HOURS) || 0) * 60 * 60 * 1000;
+    this.timer = null;
+    this.isRunning = false;
+    this.lastResult = null;
+  }
+
+  get isEnabled() {
+    return this.intervalMs > 0;
+  }
+
+  start() {
+    if (!this.isEnabled || this.timer) return;
+
+    const latest = this.backupService.listBackups().slice(-1)[0];
+    const age = latest ? Date.now() - new Date(latest.manifest.createdAt).getTime() : Infinity;
+    if (age >= this.intervalMs) {
+      this.runOnce();
+    }
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Never keep the process alive just for backups
+    this.timer.unref();
+
+    console.log(`💾 Backups scheduled every ${this.intervalMs / 3600000}h into ${this.backupService.backupDir}`);
+  }
+
+  async runOnce() {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    try {
+      const { manifest } = await this.backupService.createBackup();
+      this.lastResult = { ok: true, backupId: manifest.backupId, at: manifest.createdAt };
+    } catch (error) {
+      console.error('❌ Scheduled backup failed:', error);
+      this.lastResult = { ok: false, error: error.message, at: new Date().toISOString() };
+    } finally {
+      this.isRunning = false;
+    }
+
+    return this.lastResult;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled,
+      intervalHours: this.intervalMs / 3600000,
+      lastBackup: this.lastResult
+    };
+  }
+}
+
+module.exports = BackupScheduler;
@@ -0,0 +1,478 @@
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const MigrationRunner = require('./MigrationRunner');
+const KeyRotationJob = require('./KeyRotationJob');
+const EncryptedPermanentStorage = require('./EncryptedPermanentStorage');
+
+// Encrypted, verifiable backups of poets_codex.db.
+//
+// A backup is a consistent online snapshot taken with SQLite's backup API,
+// encrypted with a random AES-256-GCM archive key. The archive key is wrapped
+// by the storage keyring's active master key, so master key rotation does not
+// strand old archives as long as retired keys stay in the keyring.
+//
+// Archive layout (<backupId>.pcbak):
+//   POETS-CODEX-BACKUP 1\n
+//   {"manifest": {...}, "wrappedKey": "...", "nonce": "...", "tag": "..."}\n
+//   <ciphertext>
+//
+// The manifest (hashes, row counts, schema version) is authenticated as GCM
+// associated data, so editing it makes the archive fail to decrypt.
+//
+// The author keystore is deliberately not part of a backup: destroying an
+// author's data key makes their rows in every existing archive unreadable,
+// and a full restore drops those rows rather than bring them back.
+//
+// Without the keystore no archive can be decrypted, so every backup also
+// refreshes a keystore export (KEYSTORE_EXPORT_PATH, by default
+// poets_codex_keys.export.json in the backup directory). It holds the live
+// authors' data keys, still wrapped by the master key, and a tombstone for
+// each forgotten author; it is replaced each time, never kept per backup, so
+// a shredded key does not survive in it. After losing the data disk, import
+// it (backup.js import-keys) before restoring.
+//
+// An older copy of the export still holds the keys of authors forgotten since
+// it was written, so old copies are key material and must be destroyed like
+// the keys themselves. An export older than the newest tombstone in the live
+// keystore is refused on import.
+const MAGIC = 'POETS-CODEX-BACKUP 1';
+const EXTENSION = '.pcbak';
+const KEYSTORE_EXPORT_FORMAT = 'POETS-CODEX-KEYSTORE 1';
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+class BackupService {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.backupDir = options.backupDir || process.env.BACKUP_DIR || path.join(path.dirname(storage.dbPath), 'backups');
+    this.retention = options.retention || parseInt(process.env.BACKUP_RETENTION) || 14;
+    this.keyStoreExportPath = options.keyStoreExportPath || process.env.KEYSTORE_EXPORT_PATH
+      || path.join(this.backupDir, 'poets_codex_keys.export.json');
+  }
+
+  get keyring() {
+    return this.storage.keyring;
+  }
+
+  tempPath(label) {
+    return path.join(os.tmpdir(), `poets_codex-${label}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.db`);
+  }
+
+  removeDatabaseFiles(dbPath) {
+    ['', '-wal', '-shm', '-journal'].forEach(suffix => fs.rmSync(`${dbPath}${suffix}`, { force: true }));
+  }
+
+  // Row counts for every table in a database file
+  countRows(db) {
+    const tables = db.prepare(`
+      SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name
+    `).all();
+
+    return tables.reduce((counts, { name }) => {
+      counts[name] = db.prepare(`SELECT COUNT(*) as count FROM "${name}"`).get().count;
+      return counts;
+    }, {});
+  }
+
+  async createBackup() {
+    if (!this.storage.initialized) await this.storage.initialize();
+    fs.mkdirSync(this.backupDir, { recursive: true });
+
+    const createdAt = new Date();
+    const backupId = `backup-${createdAt.toISOString().replace(/[:.]/g, '-')}`;
+    const snapshotPath = this.tempPath('snapshot');
+
+    try {
+      // Consistent snapshot while the server keeps reading and writing
+      await this.storage.db.backup(snapshotPath);
+
+      const snapshot = new Database(snapshotPath, { readonly: true });
+      const tables = this.countRows(snapshot);
+      const schemaVersion = new MigrationRunner(snapshot).getApplied().slice(-1)[0]?.version || 0;
+      snapshot.close();
+
+      const plaintext = fs.readFileSync(snapshotPath);
+      const archiveKey = crypto.randomBytes(32);
+      const nonce = crypto.randomBytes(12);
+
+      const manifest = {
+        backupId,
+        createdAt: createdAt.toISOString(),
+        schemaVersion,
+        database: {
+          bytes: plaintext.length,
+          sha256: sha256(plaintext)
+        },
+        tables,
+        masterKeyId: this.keyring.activeKeyId
+      };
+
+      const cipher = crypto.createCipheriv('aes-256-gcm', archiveKey, nonce);
+      cipher.setAAD(Buffer.from(JSON.stringify(manifest), 'utf8'));
+      const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+      const header = {
+        manifest: { ...manifest, archive: { sha256: sha256(ciphertext) } },
+        wrappedKey: this.keyring.encrypt({ key: archiveKey.toString('base64') }, { table: 'backups', id: backupId }),
+        nonce: nonce.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64')
+      };
+
+      // Write then rename, so a crash never leaves a half-written archive
+      const archivePath = path.join(this.backupDir, `${backupId}${EXTENSION}`);
+      const partialPath = `${archivePath}.partial`;
+      fs.writeFileSync(partialPath, Buffer.concat([
+        Buffer.from(`${MAGIC}\n${JSON.stringify(header)}\n`, 'utf8'),
+        ciphertext
+      ]));
+      fs.renameSync(partialPath, archivePath);
+
+      console.log(`💾 Backup created: ${archivePath}`);
+      this.applyRetention();
+      const keyStoreExportPath = this.exportKeyStore();
+
+      return { archivePath, manifest: header.manifest, keyStoreExportPath };
+    } finally {
+      this.removeDatabaseFiles(snapshotPath);
+    }
+  }
+
+  // Write the keystore export (see the top of this file). Also called after
+  // an author is forgotten, so their key leaves the export straight away.
+  exportKeyStore(exportPath = this.keyStoreExportPath) {
+    const { keys, tombstones } = this.storage.openKeyStore().exportRows();
+    const contents = {
+      format: KEYSTORE_EXPORT_FORMAT,
+      exportedAt: new Date().toISOString(),
+      keys,
+      tombstones
+    };
+
+    fs.mkdirSync(path.dirname(exportPath), { recursive: true });
+    const partialPath = `${exportPath}.partial`;
+    fs.writeFileSync(partialPath, `${JSON.stringify(contents, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(partialPath, exportPath);
+
+    console.log(`🔑 Keystore exported: ${keys.length} key(s), ${tombstones.length} tombstone(s) to ${exportPath}`);
+    return exportPath;
+  }
+
+  // Load a keystore export into the keystore, e.g. on a new data disk before
+  // restoring. Keys already there and tombstones are kept. An export written
+  // before an author was forgotten here is refused.
+  importKeyStore(exportPath) {
+    const contents = JSON.parse(fs.readFileSync(exportPath, 'utf8'));
+    if (contents.format !== KEYSTORE_EXPORT_FORMAT) {
+      throw new Error(`${exportPath} is not a Poets Codex keystore export`);
+    }
+
+    // Every export written since a tombstone carries it (timestamps only have
+    // second precision, so the tombstones are compared instead)
+    const keyStore = this.storage.openKeyStore();
+    const exported = new Set((contents.tombstones || []).map(row => row.authorId));
+    const missing = keyStore.listDestroyed().filter(authorId => !exported.has(authorId));
+    if (missing.length > 0) {
+      const error = new Error(`${exportPath} (exported at ${contents.exportedAt}) predates ${missing.length} forgotten author(s) in the keystore; use a newer export`);
+      error.code = 'KEYSTORE_EXPORT_OUTDATED';
+      throw error;
+    }
+
+    const imported = keyStore.importRows(contents);
+    console.log(`🔑 Keystore imported from ${exportPath}:`, imported);
+    return { exportedAt: contents.exportedAt, ...imported };
+  }
+
+  readArchive(archivePath) {
+    const buffer = fs.readFileSync(archivePath);
+    const magicEnd = buffer.indexOf('\n');
+    const headerEnd = buffer.indexOf('\n', magicEnd + 1);
+
+    if (magicEnd === -1 || headerEnd === -1 || buffer.slice(0, magicEnd).toString('utf8') !== MAGIC) {
+      throw new Error(`${archivePath} is not a Poets Codex backup archive`);
+    }
+
+    return {
+      header: JSON.parse(buffer.slice(magicEnd + 1, headerEnd).toString('utf8')),
+      ciphertext: buffer.slice(headerEnd + 1)
+    };
+  }
+
+  listBackups() {
+    if (!fs.existsSync(this.backupDir)) return [];
+
+    return fs.readdirSync(this.backupDir)
+      .filter(file => file.endsWith(EXTENSION))
+      .map(file => {
+        const archivePath = path.join(this.backupDir, file);
+        try {
+          return { archivePath, manifest: this.readArchive(archivePath).header.manifest };
+        } catch (error) {
+          console.error(`⚠️ Skipping unreadable backup ${file}:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.manifest.createdAt.localeCompare(b.manifest.createdAt));
+  }
+
+  // Point-in-time: the newest backup taken at or before the given time
+  findBackupAt(time) {
+    const at = new Date(time);
+    if (isNaN(at.getTime())) {
+      throw new Error(`Invalid point in time "${time}"`);
+    }
+
+    const candidates = this.listBackups().filter(backup => new Date(backup.manifest.createdAt) <= at);
+    if (candidates.length === 0) {
+      throw new Error(`No backup found at or before ${at.toISOString()}`);
+    }
+
+    return candidates[candidates.length - 1];
+  }
+
+  applyRetention() {
+    const backups = this.listBackups();
+    const expired = backups.slice(0, Math.max(0, backups.length - this.retention));
+
+    expired.forEach(backup => {
+      fs.rmSync(backup.archivePath, { force: true });
+      console.log(`🧹 Removed old backup ${path.basename(backup.archivePath)}`);
+    });
+  }
+
+  // Decrypt an archive to a temporary database file and check it against its
+  // manifest. The caller owns (and must remove) the returned file.
+  decryptToFile(archivePath) {
+    const { header, ciphertext } = this.readArchive(archivePath);
+    const { archive, ...manifest } = header.manifest;
+    const checks = [];
+
+    checks.push({ check: 'archive hash', ok: sha256(ciphertext) === archive.sha256 });
+
+    let plaintext;
+    try {
+      const { key } = this.keyring.decrypt(header.wrappedKey, { table: 'backups', id: manifest.backupId });
+      const decipher = crypto.createDecipheriv('aes-256-gcm', Buffer.from(key, 'base64'), Buffer.from(header.nonce, 'base64'));
+      decipher.setAAD(Buffer.from(JSON.stringify(manifest), 'utf8'));
+      decipher.setAuthTag(Buffer.from(header.tag, 'base64'));
+      plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+      checks.push({ check: 'decryption and manifest authentication', ok: true });
+    } catch (error) {
+      checks.push({ check: 'decryption and manifest authentication', ok: false, error: error.message });
+      return { manifest: header.manifest, checks, valid: false, dbPath: null };
+    }
+
+    checks.push({ check: 'database hash', ok: sha256(plaintext) === manifest.database.sha256 });
+
+    const dbPath = this.tempPath('restore');
+    fs.writeFileSync(dbPath, plaintext);
+
+    const db = new Database(dbPath, { readonly: true });
+    const integrity = db.pragma('integrity_check', { simple: true });
+    const counts = this.countRows(db);
+    db.close();
+
+    checks.push({ check: 'sqlite integrity_check', ok: integrity === 'ok', error: integrity === 'ok' ? undefined : integrity });
+    Object.entries(manifest.tables).forEach(([table, expected]) => {
+      checks.push({ check: `row count ${table}`, ok: counts[table] === expected, expected, actual: counts[table] });
+    });
+
+    return {
+      manifest: header.manifest,
+      checks,
+      valid: checks.every(check => check.ok),
+      dbPath
+    };
+  }
+
+  verifyBackup(archivePath) {
+    const result = this.decryptToFile(archivePath);
+    if (result.dbPath) this.removeDatabaseFiles(result.dbPath);
+
+    const { dbPath, ...report } = result;
+    return report;
+  }
+
+  invalidBackupError(result) {
+    const failed = result.checks.filter(check => !check.ok).map(check => check.check).join(', ');
+    const error = new Error(`Backup failed verification: ${failed}`);
+    error.code = 'BACKUP_INVALID';
+    error.checks = result.checks;
+    return error;
+  }
+
+  // Bring a decrypted copy up to the current schema and drop every author
+  // whose data key has been destroyed since the backup was taken, so a
+  // restore never brings a forgotten author's rows (or their usernames,
+  // emails and titles, plaintext in backups taken before migration 014) back.
+  // Returns the ids of the authors dropped.
+  removeForgottenAuthors(dbPath) {
+    const forgotten = this.storage.openKeyStore().listDestroyed();
+    const copy = new Database(dbPath);
+
+    try {
+      new MigrationRunner(copy).migrate();
+
+      const removed = copy.transaction(() => forgotten.filter(authorId => (
+        copy.prepare('SELECT 1 FROM users WHERE id = ?').get(authorId)
+          || copy.prepare('SELECT 1 FROM poems WHERE author_id = ? LIMIT 1').get(authorId)
+      )).map(authorId => {
+        EncryptedPermanentStorage.removeAuthorRows(copy, authorId);
+        return authorId;
+      }))();
+
+      // Leave no deleted rows behind in free pages
+      if (removed.length > 0) copy.exec('VACUUM');
+      return removed;
+    } finally {
+      copy.close();
+    }
+  }
+
+  // Every remaining user row of a decrypted copy must decrypt with the
+  // current keystore; otherwise the restore would swap a readable database
+  // for one nobody can read (usually: the keystore export was not imported)
+  checkDecryptable(dbPath) {
+    const copy = new Database(dbPath, { readonly: true });
+
+    try {
+      const rows = copy.prepare('SELECT id, encrypted_data FROM users').all();
+      const unreadable = rows.filter(row => {
+        try {
+          this.keyring.decrypt(row.encrypted_data, { table: 'users', id: row.id });
+          return false;
+        } catch (error) {
+          return true;
+        }
+      });
+
+      return {
+        check: 'decryptable with the current keystore',
+        ok: unreadable.length === 0,
+        ...(unreadable.length > 0 && { error: `${unreadable.length} of ${rows.length} users cannot be decrypted; import the keystore export first` })
+      };
+    } finally {
+      copy.close();
+    }
+  }
+
+  // Replace the whole database with a backup. Only safe while the server is
+  // stopped; the current file is kept next to it as <name>.pre-restore-<time>.
+  restoreDatabase(archivePath, targetPath = this.storage.dbPath) {
+    const result = this.decryptToFile(archivePath);
+
+    try {
+      if (!result.valid) throw this.invalidBackupError(result);
+
+      const forgottenAuthors = this.removeForgottenAuthors(result.dbPath);
+      if (forgottenAuthors.length > 0) {
+        console.log(`🗑️ Left out ${forgottenAuthors.length} forgotten author(s) from the restore`);
+      }
+
+      const decryptable = this.checkDecryptable(result.dbPath);
+      result.checks.push(decryptable);
+      if (!decryptable.ok) {
+        const error = this.invalidBackupError(result);
+        error.message += ` (${decryptable.error})`;
+        error.code = 'KEYSTORE_MISMATCH';
+        throw error;
+      }
+
+      let previousPath = null;
+      if (fs.existsSync(targetPath)) {
+        // Fold the WAL into the main file so the kept copy is complete
+        const current = new Database(targetPath);
+        current.pragma('wal_checkpoint(TRUNCATE)');
+        current.close();
+
+        previousPath = `${targetPath}.pre-restore-${Date.now()}`;
+        fs.renameSync(targetPath, previousPath);
+        this.removeDatabaseFiles(targetPath);
+      }
+
+      fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+      fs.copyFileSync(result.dbPath, targetPath);
+      console.log(`♻️ Restored ${path.basename(archivePath)} to ${targetPath}`);
+
+      return { manifest: result.manifest, checks: result.checks, targetPath, previousPath, forgottenAuthors };
+    } finally {
+      if (result.dbPath) this.removeDatabaseFiles(result.dbPath);
+    }
+  }
+
+  // Copy one author's rows from a backup into the live database. Existing rows
+  // are left alone unless overwrite is set, so this brings back deleted poems
+  // without undoing later edits.
+  async restoreAuthor(archivePath, authorId, options = {}) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    if (this.storage.authorKeys.isDestroyed(authorId)) {
+      const error = new Error(`Author ${authorId} was forgotten; their backed-up data cannot be decrypted`);
+      error.code = 'KEY_DESTROYED';
+      throw error;
+    }
+
+    const result = this.decryptToFile(archivePath);
+    const db = this.storage.db;
+
+    try {
+      if (!result.valid) throw this.invalidBackupError(result);
+
+      // Bring an older backup up to the current schema before copying from
+      // it, encrypting the plaintext an older schema kept in lookup columns
+      const copy = new Database(result.dbPath);
+      try {
+        new MigrationRunner(copy).migrate();
+        this.storage.sealLookupColumns(copy, authorId);
+      } finally {
+        copy.close();
+      }
+
+      db.prepare('ATTACH DATABASE ? AS backup').run(result.dbPath);
+      try {
+        const restored = db.transaction(() => {
+          const counts = {};
+
+          KeyRotationJob.ROTATION_TABLES.forEach(table => {
+            const owner = KeyRotationJob.OWNER_COLUMNS[table];
+            const columns = db.prepare(`PRAGMA main.table_info(${table})`).all().map(column => column.name);
+            const columnList = columns.map(column => `"${column}"`).join(', ');
+            // An upsert rather than INSERT OR REPLACE, which would delete the
+            // live row and trip foreign keys from its revisions
+            const onConflict = options.overwrite
+              ? `DO UPDATE SET ${columns.filter(column => column !== 'id').map(column => `"${column}" = excluded."${column}"`).join(', ')}`
+              : 'DO NOTHING';
+
+            // Comments and revisions only come back if their poem exists
+            const poemExists = columns.includes('poem_id') ? 'AND poem_id IN (SELECT id FROM main.poems)' : '';
+
+            counts[table] = db.prepare(`
+              INSERT INTO main.${table} (${columnList})
+              SELECT ${columnList} FROM backup.${table} WHERE ${owner} = ? ${poemExists}
+              ON CONFLICT(id) ${onConflict}
+            `).run(authorId).changes;
+          });
+
+          return counts;
+        })();
+
+        // Restored poems need their blind index tokens back
+        this.storage.rebuildSearchIndex(authorId);
+
+        console.log(`♻️ Restored author ${authorId} from ${path.basename(archivePath)}:`, restored);
+        return { manifest: result.manifest, authorId, restored };
+      } finally {
+        db.prepare('DETACH DATABASE backup').run();
+      }
+    } finally {
+      if (result.dbPath) this.removeDatabaseFiles(result.dbPath);
+    }
+  }
+}
+
+BackupService.EXTENSION = EXTENSION;
+
+module.exports = BackupService;
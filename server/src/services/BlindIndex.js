@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+// Blind index for searching encrypted poems.
+//
+// Searchable values are stored as keyed HMAC tokens in poem_search_tokens, never
+// as plaintext. A token is HMAC-SHA256("<field>:<normalized value>") under the
+// index key, so the same word always maps to the same token and a search only
+// needs to compute the tokens for its query. Without the key the tokens cannot
+// be reversed or recomputed; what they do reveal is which poems share a value.
+//
+// Indexed fields:
+//   word     each distinct word of the title and body (case- and accent-insensitive)
+//   tag      each tag, matched exactly (case-insensitive)
+//   mood, style, license   matched exactly (case-insensitive)
+//
+// The same key derives the users.username_index and users.email_index lookup
+// tokens (lookupToken()), which match the exact value.
+//
+// The index key comes from SEARCH_INDEX_KEY, falling back to the storage
+// keyring's "default" secret. Changing it, or INDEX_VERSION, changes the
+// fingerprint; storage detects that through keyFingerprint() and rebuilds the
+// index and lookup tokens on startup.
+const TOKEN_BYTES = 16;
+const MIN_WORD_LENGTH = 2;
+const EXACT_FIELDS = ['mood', 'style', 'license'];
+const LOOKUP_FIELDS = ['username', 'email'];
+
+// Bumped when the tokens written for a poem change (2: title words)
+const INDEX_VERSION = 2;
+
+class BlindIndex {
+  constructor(keyring, secret = process.env.SEARCH_INDEX_KEY) {
+    const indexSecret = secret || keyring.getKeyEntry('default').secret;
+    this.key = crypto.scryptSync(indexSecret, 'poets-codex-search-index', 32);
+  }
+
+  static normalize(value) {
+    return String(value)
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .trim();
+  }
+
+  // Distinct words of a text, in order of first appearance
+  static words(text) {
+    if (!text) return [];
+
+    const words = BlindIndex.normalize(text).split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length >= MIN_WORD_LENGTH);
+
+    return Array.from(new Set(words));
+  }
+
+  token(field, value) {
+    return crypto.createHmac('sha256', this.key)
+      .update(`${field}:${value}`)
+      .digest()
+      .subarray(0, TOKEN_BYTES)
+      .toString('base64url');
+  }
+
+  // Identifies the index key and version without revealing the key
+  keyFingerprint() {
+    return this.token('index-key', `fingerprint:v${INDEX_VERSION}`);
+  }
+
+  // Token for a username or email, matched exactly as given
+  lookupToken(field, value) {
+    if (!LOOKUP_FIELDS.includes(field)) {
+      throw new Error(`Unknown lookup field "${field}"`);
+    }
+    return this.token(`lookup:${field}`, String(value));
+  }
+
+  // Every token for a decrypted poem
+  tokensForPoem(poem) {
+    const words = BlindIndex.words(`${poem.title || ''} ${poem.body || ''}`);
+    const tokens = words.map(word => this.token('word', word));
+
+    (poem.tags || []).forEach(tag => {
+      const value = BlindIndex.normalize(tag);
+      if (value) tokens.push(this.token('tag', value));
+    });
+
+    EXACT_FIELDS.forEach(field => {
+      const value = poem[field] ? BlindIndex.normalize(poem[field]) : '';
+      if (value) tokens.push(this.token(field, value));
+    });
+
+    return Array.from(new Set(tokens));
+  }
+
+  // Tokens for a search, grouped the way searchPoems() combines them
+  tokensForQuery(query = {}) {
+    const exact = {};
+    EXACT_FIELDS.forEach(field => {
+      const value = query[field] ? BlindIndex.normalize(query[field]) : '';
+      if (value) exact[field] = this.token(field, value);
+    });
+
+    const tags = (query.tags || [])
+      .map(tag => BlindIndex.normalize(tag))
+      .filter(Boolean)
+      .map(tag => this.token('tag', tag));
+
+    return {
+      words: BlindIndex.words(query.text).map(word => this.token('word', word)),
+      tags: Array.from(new Set(tags)),
+      exact
+    };
+  }
+}
+
+BlindIndex.EXACT_FIELDS = EXACT_FIELDS;
+BlindIndex.LOOKUP_FIELDS = LOOKUP_FIELDS;
+
+module.exports = BlindIndex;
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const { idOf } = require('../utils/ledgerEntry');
+const { CONTENT_HASH_VERSION, contentHashOf } = require('../utils/poemHash');
+const { VISIBILITIES } = require('../utils/visibility');
+
+// Poems fetched per page while walking the live poems
+const PAGE_SIZE = 50;
+
+// listExpiredTrash() cutoff that takes in every trashed poem
+const END_OF_TIME = new Date('9999-12-31T00:00:00Z');
+
+// Brings every poem's content hash up to the current CONTENT_HASH_VERSION
+// (see utils/poemHash.js), on any storage backend. Runs on startup.
+//
+// Every stored poem is walked, including ones from before the ledger, and its
+// stored contentHash is brought up to date in place, without recording an
+// edit. Ledger entries are never rewritten, so a poem the ledger has recorded
+// content for gets a POEM_REHASHED entry recording the new hash, with the one
+// it replaces in details.previousContentHash. That entry is what certificates
+// and verification use from then on.
+//
+// Poems in the trash cannot be updated; one whose hash is out of date, like a
+// recorded poem that could not be read, is tried again on the next start. The
+// version reached is kept in content-hash-version.json next to the ledger
+// once no poem was left out.
+class ContentHashMigration {
+  constructor(poems, ledger, options = {}) {
+    this.poems = poems;
+    this.ledger = ledger;
+    this.statePath = options.statePath || path.join(ledger.directory, 'content-hash-version.json');
+  }
+
+  // The version every poem has been brought up to; 0 before the first run
+  completedVersion() {
+    if (!fs.existsSync(this.statePath)) return 0;
+    return JSON.parse(fs.readFileSync(this.statePath, 'utf8')).version;
+  }
+
+  async run() {
+    if (this.completedVersion() >= CONTENT_HASH_VERSION) return null;
+
+    // The last hash recorded for each poem still around
+    const recorded = new Map();
+    (await this.ledger.getEntries()).forEach(entry => {
+      if (entry.eventType === 'POEM_PURGED') {
+        recorded.delete(entry.poemId);
+      } else if (entry.poemId && entry.contentHash) {
+        recorded.set(entry.poemId, entry.contentHash);
+      }
+    });
+
+    const result = { version: CONTENT_HASH_VERSION, rehashed: 0, unchanged: 0, skipped: 0 };
+    const visited = new Set();
+    let cursor = null;
+    do {
+      const page = await this.poems.list({ visibilities: VISIBILITIES }, { cursor, limit: PAGE_SIZE, scope: 'content-hash-migration' });
+      for (const poem of page.poems) {
+        visited.add(String(poem.id));
+        await this.rehash(poem, recorded.get(String(poem.id)), result);
+      }
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    // Recorded poems the walk did not reach: in the trash, or unreadable
+    for (const poemId of recorded.keys()) {
+      if (!visited.has(String(poemId))) result.skipped++;
+    }
+    (await this.poems.listExpiredTrash(END_OF_TIME, Number.MAX_SAFE_INTEGER)).forEach(poem => {
+      const id = String(poem.id);
+      if (!recorded.has(id) && poem.contentHash !== contentHashOf(poem.title, poem.body, idOf(poem.author))) {
+        result.skipped++;
+      }
+    });
+
+    if (result.skipped === 0) {
+      fs.writeFileSync(this.statePath, JSON.stringify({ version: CONTENT_HASH_VERSION, completedAt: new Date().toISOString() }) + '\n');
+    }
+    if (result.rehashed > 0 || result.skipped > 0) {
+      console.log(`🔏 Content hashes at version ${CONTENT_HASH_VERSION}: ${result.rehashed} poem(s) rehashed, ${result.skipped} left for the next start`);
+    }
+
+    return result;
+  }
+
+  // Store the poem's current-version hash, and record it in the ledger if
+  // the ledger has content recorded for the poem
+  async rehash(poem, previousContentHash, result) {
+    const contentHash = contentHashOf(poem.title, poem.body, idOf(poem.author));
+    const stale = poem.contentHash !== contentHash;
+    if (stale) {
+      await this.poems.update(poem.id, { contentHash });
+    }
+    if (!previousContentHash || previousContentHash === contentHash) {
+      result[stale ? 'rehashed' : 'unchanged']++;
+      return;
+    }
+
+    await this.ledger.recordPoemEvent('POEM_REHASHED', { ...poem, contentHash }, null, {
+      previousContentHash,
+      contentHashVersion: CONTENT_HASH_VERSION
+    });
+    result.rehashed++;
+  }
+}
+
+module.exports = ContentHashMigration;
@@ -1,13 +1,25 @@
 const Database = require('better-sqlite3');
-const CryptoJS = require('crypto-js');
 const bcrypt = require('bcryptjs');
 const path = require('path');
 const fs = require('fs');
+const StorageKeyring = require('./StorageKeyring');
+const KeyRotationJob = require('./KeyRotationJob');
+const AuthorKeyStore = require('./AuthorKeyStore');
+const MigrationRunner = require('./MigrationRunner');
+const BlindIndex = require('./BlindIndex');
+const { decodeCursor, parseLimit, pageEnvelope } = require('../utils/cursor');
+const { purgeAt } = require('../utils/trash');
+const { contentHashOf } = require('../utils/poemHash');
 
 class EncryptedPermanentStorage {
   constructor() {
     this.dbPath = path.join(__dirname, '../../data/poets_codex.db');
-    this.encryptionKey = process.env.STORAGE_ENCRYPTION_KEY || 'poets-codex-default-key-change-in-production';
+    this.keyStorePath = process.env.STORAGE_KEYSTORE_PATH || null;
+    this.keyring = new StorageKeyring();
+    this.authorKeys = new AuthorKeyStore(this.keyring);
+    this.keyRotation = new KeyRotationJob(this);
+    this.searchIndex = new BlindIndex(this.keyring);
+    this.integrityFailures = new Map();
     this.db = null;
     this.initialized = false;
   }
@@ -25,12 +37,30 @@ class EncryptedPermanentStorage {
       
       // Enable WAL mode for better performance
       this.db.pragma('journal_mode = WAL');
+
+      this.openKeyStore();
       
-      // Create tables if they don't exist
-      this.createTables();
+      // Bring the schema up to date (see server/src/migrations)
+      this.runMigrations();
+
+      // Rows in the unauthenticated CryptoJS formats are refused unless allowed
+      // (see StorageKeyring); upgrade-encryption rewrites them
+      const legacyRows = this.countLegacyRows();
+      if (legacyRows > 0 && !this.keyring.allowLegacy) {
+        console.error(`🚨 ${legacyRows} row(s) are in a legacy encryption format and cannot be read; run npm run storage:upgrade-encryption`);
+      }
+
+      // Encrypt plaintext a migration staged, before anything reads it
+      this.sealLookupColumns();
+
+      // Build (or rebuild after a key change) the blind search index
+      this.ensureSearchIndex();
       
       this.initialized = true;
       console.log('📚 Encrypted permanent storage initialized:', this.dbPath);
+
+      // Re-encrypt rows still under an older key (resumes an interrupted rotation)
+      this.keyRotation.start();
       
       return true;
     } catch (error) {
@@ -39,67 +69,188 @@ class EncryptedPermanentStorage {
     }
   }
 
-  createTables() {
-    // Users table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS users (
-        id TEXT PRIMARY KEY,
-        username TEXT UNIQUE NOT NULL,
-        email TEXT UNIQUE NOT NULL,
-        encrypted_data TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
+  // Wrapped per-author data keys live in their own file, never in
+  // poets_codex.db. Also opened on its own by tools that run while the server
+  // is stopped (see BackupService.restoreDatabase()).
+  openKeyStore() {
+    if (!this.authorKeys.db) {
+      this.authorKeys.initialize(this.keyStorePath || path.join(path.dirname(this.dbPath), 'poets_codex_keys.db'));
+    }
+    return this.authorKeys;
+  }
 
-    // Poems table
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS poems (
-        id TEXT PRIMARY KEY,
-        author_id TEXT NOT NULL,
-        encrypted_data TEXT NOT NULL,
-        title_plain TEXT NOT NULL,
-        visibility TEXT DEFAULT 'public',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (author_id) REFERENCES users (id)
-      )
-    `);
+  runMigrations() {
+    const result = new MigrationRunner(this.db).migrate();
+    if (result.applied.length > 0) {
+      console.log(`🧱 Database schema at version ${result.currentVersion}`);
+    }
+    return result;
+  }
 
-    // Create indexes for performance
-    this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-      CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
-      CREATE INDEX IF NOT EXISTS idx_poems_author ON poems(author_id);
-      CREATE INDEX IF NOT EXISTS idx_poems_visibility ON poems(visibility);
-      CREATE INDEX IF NOT EXISTS idx_poems_created ON poems(created_at);
-    `);
+  // Rebuild the search index and user lookup tokens if they were built with a
+  // different index key or version (or never built at all, e.g. right after
+  // the migration that created the index)
+  ensureSearchIndex() {
+    const fingerprint = this.searchIndex.keyFingerprint();
+    const stored = this.db.prepare("SELECT value FROM search_index_meta WHERE key = 'key_fingerprint'").get();
+    if (stored && stored.value === fingerprint) return;
+
+    const indexed = this.rebuildSearchIndex();
+    const users = this.rebuildLookupIndex();
+    this.db.prepare(`
+      INSERT INTO search_index_meta (key, value) VALUES ('key_fingerprint', ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value
+    `).run(fingerprint);
+    console.log(`🔎 Search index built for ${indexed} poems and ${users} users`);
+  }
+
+  // Recompute users.username_index and email_index from the encrypted profiles
+  rebuildLookupIndex() {
+    const rows = this.db.prepare('SELECT id, encrypted_data FROM users').all();
+    const update = this.db.prepare('UPDATE users SET username_index = ?, email_index = ? WHERE id = ?');
+
+    return this.db.transaction(() => {
+      let indexed = 0;
+      rows.forEach(row => {
+        const data = this.decryptOrSkip(row.encrypted_data, 'users', row.id);
+        if (!data || !data.username) return;
+
+        update.run(this.searchIndex.lookupToken('username', data.username), this.searchIndex.lookupToken('email', data.email), row.id);
+        indexed += 1;
+      });
+      return indexed;
+    })();
+  }
+
+  // Move the usernames, emails and titles that migrations/014 staged in
+  // unsealed_lookup_values into the encrypted rows, and replace usernames and
+  // emails with lookup tokens. Also run on a backup copy, for one author,
+  // before their rows are restored from it. A row that cannot be decrypted
+  // loses its staged value rather than keeping it in plaintext.
+  sealLookupColumns(db = this.db, authorId = null) {
+    const staged = authorId
+      ? db.prepare(`
+          SELECT * FROM unsealed_lookup_values
+          WHERE (table_name = 'users' AND row_id = ?)
+             OR (table_name = 'poems' AND row_id IN (SELECT id FROM poems WHERE author_id = ?))
+        `).all(authorId, authorId)
+      : db.prepare('SELECT * FROM unsealed_lookup_values').all();
+    if (staged.length === 0) return 0;
+
+    const rows = new Map();
+    staged.forEach(({ table_name: table, row_id: id, field, value }) => {
+      const key = `${table}/${id}`;
+      if (!rows.has(key)) rows.set(key, { table, id, fields: {} });
+      rows.get(key).fields[field] = value;
+    });
+
+    db.transaction(() => {
+      rows.forEach(({ table, id, fields }) => {
+        const row = db.prepare(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+        const data = row && this.decryptOrSkip(row.encrypted_data, table, id);
+        if (data) {
+          const owner = table === 'users' ? row.id : row.author_id;
+          db.prepare(`UPDATE ${table} SET encrypted_data = ? WHERE id = ?`)
+            .run(this.encrypt({ ...data, ...fields }, table, id, owner), id);
+        }
+        if (row && table === 'users') {
+          db.prepare('UPDATE users SET username_index = ?, email_index = ? WHERE id = ?')
+            .run(this.searchIndex.lookupToken('username', fields.username), this.searchIndex.lookupToken('email', fields.email), id);
+        }
+        db.prepare('DELETE FROM unsealed_lookup_values WHERE table_name = ? AND row_id = ?').run(table, id);
+      });
+    })();
+
+    // The replaced plaintext lingers in free pages (which backups copy) and
+    // the WAL until the file is rewritten
+    db.exec('VACUUM');
+    db.pragma('wal_checkpoint(TRUNCATE)');
+
+    console.log(`🔒 Sealed plaintext usernames, emails and titles of ${rows.size} records`);
+    return rows.size;
+  }
+
+  // Re-tokenize every poem, or only one author's poems
+  rebuildSearchIndex(authorId = null) {
+    const rows = authorId
+      ? this.db.prepare('SELECT id, encrypted_data FROM poems WHERE author_id = ?').all(authorId)
+      : this.db.prepare('SELECT id, encrypted_data FROM poems').all();
+
+    return this.db.transaction(() => {
+      let indexed = 0;
+      rows.forEach(row => {
+        // Poems that fail to decrypt stay unindexed and show up in getStats()
+        const data = this.decryptOrSkip(row.encrypted_data, 'poems', row.id);
+        if (!data) return;
+
+        this.indexPoem(row.id, data);
+        indexed += 1;
+      });
+      return indexed;
+    })();
+  }
+
+  // Replace a poem's search tokens; call inside the transaction that writes the poem
+  indexPoem(poemId, poem) {
+    this.db.prepare('DELETE FROM poem_search_tokens WHERE poem_id = ?').run(poemId);
+
+    const insert = this.db.prepare('INSERT INTO poem_search_tokens (poem_id, token) VALUES (?, ?)');
+    this.searchIndex.tokensForPoem(poem).forEach(token => insert.run(poemId, token));
   }
 
-  encrypt(data) {
-    const jsonString = JSON.stringify(data);
-    return CryptoJS.AES.encrypt(jsonString, this.encryptionKey).toString();
+  // Encrypts with the owning author's data key (created on first use). The
+  // ciphertext is bound to its table and row id, so it cannot be moved to
+  // another row undetected.
+  encrypt(data, table, id, authorId) {
+    return this.keyring.encrypt(data, { table, id }, this.authorKeys.ensureKey(authorId));
   }
 
-  decrypt(encryptedData) {
+  // Decrypts with whichever key the value was written under. Tampered or
+  // undecryptable rows are recorded for getStats() and the error is rethrown.
+  decrypt(encryptedData, table, id) {
     try {
-      const bytes = CryptoJS.AES.decrypt(encryptedData, this.encryptionKey);
-      const decryptedString = bytes.toString(CryptoJS.enc.Utf8);
-      return JSON.parse(decryptedString);
+      const data = this.keyring.decrypt(encryptedData, { table, id });
+      this.integrityFailures.delete(`${table}/${id}`);
+      return data;
+    } catch (error) {
+      this.recordIntegrityFailure(table, id, error);
+      throw error;
+    }
+  }
+
+  // List queries skip rows that fail to decrypt; they stay visible in getStats()
+  decryptOrSkip(encryptedData, table, id) {
+    try {
+      return this.decrypt(encryptedData, table, id);
     } catch (error) {
-      console.error('Decryption error:', error);
       return null;
     }
   }
 
+  recordIntegrityFailure(table, id, error) {
+    const key = `${table}/${id}`;
+    if (!this.integrityFailures.has(key)) {
+      console.error(`🚨 Encrypted record ${key} could not be read:`, error.message);
+    }
+    this.integrityFailures.set(key, {
+      table,
+      id,
+      code: error.code || 'DECRYPTION_FAILED',
+      message: error.message,
+      detectedAt: new Date().toISOString()
+    });
+  }
+
   // User methods
   async createUser(userData) {
     if (!this.initialized) await this.initialize();
     
     const userId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
     
-    // Prepare user data for encryption (exclude sensitive fields from plain storage)
+    // Everything is encrypted; username and email are found through lookup tokens
     const sensitiveData = {
+      username: userData.username,
+      email: userData.email,
       password: userData.password, // Already hashed
       displayName: userData.displayName,
       profile: userData.profile || {},
@@ -108,15 +259,20 @@ class EncryptedPermanentStorage {
     };
 
     // Encrypt sensitive data
-    const encryptedData = this.encrypt(sensitiveData);
+    const encryptedData = this.encrypt(sensitiveData, 'users', userId, userId);
 
     // Store in database
     const stmt = this.db.prepare(`
-      INSERT INTO users (id, username, email, encrypted_data)
+      INSERT INTO users (id, username_index, email_index, encrypted_data)
       VALUES (?, ?, ?, ?)
     `);
 
-    stmt.run(userId, userData.username, userData.email, encryptedData);
+    stmt.run(
+      userId,
+      this.searchIndex.lookupToken('username', userData.username),
+      this.searchIndex.lookupToken('email', userData.email),
+      encryptedData
+    );
 
     // Return user object (without sensitive data)
     return {
@@ -133,20 +289,19 @@ class EncryptedPermanentStorage {
   async findUserByEmail(email) {
     if (!this.initialized) await this.initialize();
     
-    const stmt = this.db.prepare('SELECT * FROM users WHERE email = ?');
-    const row = stmt.get(email);
+    const stmt = this.db.prepare('SELECT * FROM users WHERE email_index = ?');
+    const row = stmt.get(this.searchIndex.lookupToken('email', email));
     
     if (!row) return null;
 
     // Decrypt sensitive data
-    const decryptedData = this.decrypt(row.encrypted_data);
-    if (!decryptedData) return null;
+    const decryptedData = this.decrypt(row.encrypted_data, 'users', row.id);
 
     return {
       id: row.id,
       _id: row.id,
-      username: row.username,
-      email: row.email,
+      username: decryptedData.username,
+      email: decryptedData.email,
       password: decryptedData.password,
       displayName: decryptedData.displayName,
       profile: decryptedData.profile || {},
@@ -157,19 +312,18 @@ class EncryptedPermanentStorage {
   async findUserByUsername(username) {
     if (!this.initialized) await this.initialize();
     
-    const stmt = this.db.prepare('SELECT * FROM users WHERE username = ?');
-    const row = stmt.get(username);
+    const stmt = this.db.prepare('SELECT * FROM users WHERE username_index = ?');
+    const row = stmt.get(this.searchIndex.lookupToken('username', username));
     
     if (!row) return null;
 
-    const decryptedData = this.decrypt(row.encrypted_data);
-    if (!decryptedData) return null;
+    const decryptedData = this.decrypt(row.encrypted_data, 'users', row.id);
 
     return {
       id: row.id,
       _id: row.id,
-      username: row.username,
-      email: row.email,
+      username: decryptedData.username,
+      email: decryptedData.email,
       password: decryptedData.password,
       displayName: decryptedData.displayName,
       profile: decryptedData.profile || {},
@@ -185,14 +339,13 @@ class EncryptedPermanentStorage {
     
     if (!row) return null;
 
-    const decryptedData = this.decrypt(row.encrypted_data);
-    if (!decryptedData) return null;
+    const decryptedData = this.decrypt(row.encrypted_data, 'users', row.id);
 
     return {
       id: row.id,
       _id: row.id,
-      username: row.username,
-      email: row.email,
+      username: decryptedData.username,
+      email: decryptedData.email,
       displayName: decryptedData.displayName,
       profile: decryptedData.profile || {},
       createdAt: new Date(row.created_at)
@@ -206,136 +359,530 @@ class EncryptedPermanentStorage {
     const poemId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
     
     // Encrypt poem content and metadata
-    const encryptedData = this.encrypt({
+    const content = {
+      title: poemData.title,
       body: poemData.body,
+      bodyDocument: poemData.bodyDocument || null,
       license: poemData.license,
       tags: poemData.tags || [],
       mood: poemData.mood,
       style: poemData.style,
       image: poemData.image,
+      imageAlt: poemData.imageAlt || '',
+      reading: poemData.reading || null,
+      readingTimings: poemData.readingTimings || [],
       contentType: poemData.contentType || 'poetry',
-      metadata: poemData.metadata || {}
-    });
+      // Derived here, so every write path stores the hash the ledger records
+      metadata: { ...poemData.metadata, contentHash: contentHashOf(poemData.title, poemData.body, poemData.author) }
+    };
+    const encryptedData = this.encrypt(content, 'poems', poemId, poemData.author);
 
     const stmt = this.db.prepare(`
-      INSERT INTO poems (id, author_id, encrypted_data, title_plain, visibility)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT INTO poems (id, author_id, encrypted_data, visibility)
+      VALUES (?, ?, ?, ?)
     `);
 
-    stmt.run(poemId, poemData.author, encryptedData, poemData.title, poemData.visibility || 'public');
+    this.db.transaction(() => {
+      stmt.run(poemId, poemData.author, encryptedData, poemData.visibility || 'public');
+      this.indexPoem(poemId, content);
+    })();
 
     return {
       id: poemId,
       _id: poemId,
       ...poemData,
+      metadata: content.metadata,
       createdAt: new Date()
     };
   }
 
+  // Poems in the trash are only reachable through listTrash() and restorePoem()
   async findPoemById(id) {
     if (!this.initialized) await this.initialize();
     
-    const stmt = this.db.prepare('SELECT * FROM poems WHERE id = ?');
+    const stmt = this.db.prepare('SELECT * FROM poems WHERE id = ? AND deleted_at IS NULL');
     const row = stmt.get(id);
     
     if (!row) return null;
 
-    const decryptedData = this.decrypt(row.encrypted_data);
-    if (!decryptedData) return null;
+    const decryptedData = this.decrypt(row.encrypted_data, 'poems', row.id);
 
+    return this.mapPoemRow(row, decryptedData);
+  }
+
+  mapPoemRow(row, decryptedData) {
     return {
       id: row.id,
       _id: row.id,
-      title: row.title_plain,
       author: row.author_id,
+      coAuthors: this.coAuthorsOf(row.id),
       visibility: row.visibility,
+      views: row.views || 0,
       createdAt: new Date(row.created_at),
+      updatedAt: new Date(row.updated_at),
+      ...(row.deleted_at && { deletedAt: new Date(row.deleted_at), purgeAt: purgeAt(row.deleted_at) }),
       ...decryptedData
     };
   }
 
-  async findPoemsByAuthor(authorId) {
-    if (!this.initialized) await this.initialize();
-    
-    const stmt = this.db.prepare('SELECT * FROM poems WHERE author_id = ? ORDER BY created_at DESC');
-    const rows = stmt.all(authorId);
-    
-    return rows.map(row => {
-      const decryptedData = this.decrypt(row.encrypted_data);
+  // A poem's co-authors in the order they joined, as { userId, role, share,
+  // joinedAt }. Kept in plain columns, like the access list; see
+  // migrations/013_poem_coauthors.js.
+  coAuthorsOf(poemId) {
+    return this.db.prepare('SELECT * FROM poem_coauthors WHERE poem_id = ? ORDER BY joined_at, user_id').all(poemId)
+      .map(row => ({ userId: row.user_id, role: row.role, share: row.share, joinedAt: new Date(row.joined_at) }));
+  }
+
+  // Turn limit + 1 poem rows into a { poems, count, nextCursor } page.
+  // Cursors hold the stored timestamp text so keyset comparisons stay exact;
+  // sortColumn is the column the rows are ordered by.
+  poemPage(rows, limit, scope, sortColumn = 'created_at') {
+    const page = pageEnvelope('rows', rows, limit, scope, row => ({
+      createdAt: row[sortColumn],
+      id: row.id,
+      rank: row.score
+    }));
+
+    const poems = page.rows.map(row => {
+      const decryptedData = this.decryptOrSkip(row.encrypted_data, 'poems', row.id);
       if (!decryptedData) return null;
       
-      return {
-        id: row.id,
-        _id: row.id,
-        title: row.title_plain,
-        author: row.author_id,
-        visibility: row.visibility,
-        createdAt: new Date(row.created_at),
-        ...decryptedData
-      };
+      return this.mapPoemRow(row, decryptedData);
     }).filter(Boolean);
+
+    return { poems, count: poems.length, nextCursor: page.nextCursor };
   }
 
-  async searchPoems(query = {}) {
+  // Newest first, one page at a time (options: cursor, limit)
+  // options.visibilities limits the page to those visibilities (default: all)
+  async findPoemsByAuthor(authorId, options = {}) {
     if (!this.initialized) await this.initialize();
     
-    let sql = 'SELECT * FROM poems WHERE visibility = "public"';
+    const visibilities = options.visibilities || ['public', 'unlisted', 'private'];
+    const scope = `author:${authorId}:${visibilities.join(',')}`;
+    const after = decodeCursor(options.cursor, scope);
+    const limit = parseLimit(options.limit);
+
+    let sql = `SELECT * FROM poems WHERE author_id = ? AND deleted_at IS NULL AND visibility IN (${visibilities.map(() => '?').join(', ')})`;
+    const params = [authorId, ...visibilities];
+
+    if (after) {
+      sql += ' AND (created_at < ? OR (created_at = ? AND id < ?))';
+      params.push(after.createdAt, after.createdAt, after.id);
+    }
+
+    sql += ' ORDER BY created_at DESC, id DESC LIMIT ?';
+    params.push(limit + 1);
+
+    return this.poemPage(this.db.prepare(sql).all(...params), limit, scope);
+  }
+
+  // Public poems matching a search. Free text matches words of the title and
+  // body (blind index); tags match if any of the
+  // given tags is present; mood, style and license must match exactly.
+  // Results are ranked by how many query tokens each poem matched, then
+  // newest first, and returned one page at a time (query.cursor, query.limit).
+  async searchPoems(query = {}) {
+    if (!this.initialized) await this.initialize();
+
+    // A cursor only continues the search it came from
+    const scope = `search:${JSON.stringify([query.text || query.title, query.tags, query.mood, query.style, query.license, query.author])}`;
+    const after = decodeCursor(query.cursor, scope);
+    const limit = parseLimit(query.limit, 50);
+
+    const text = query.text || query.title;
+    const { words, tags, exact } = this.searchIndex.tokensForQuery({ ...query, text });
+    const exactTokens = Object.values(exact);
+    const tokens = [...words, ...tags, ...exactTokens];
+    const placeholders = (list) => list.map(() => '?').join(', ');
+
     const params = [];
+    let sql = `
+      SELECT p.*, COUNT(t.token) as score
+      FROM poems p
+      LEFT JOIN poem_search_tokens t ON t.poem_id = p.id AND t.token IN (${placeholders(tokens) || 'NULL'})
+      WHERE p.visibility = 'public' AND p.deleted_at IS NULL
+    `;
+    params.push(...tokens);
 
     if (query.author) {
-      sql += ' AND author_id = ?';
+      sql += ' AND p.author_id = ?';
       params.push(query.author);
     }
 
-    if (query.title) {
-      sql += ' AND title_plain LIKE ?';
-      params.push(`%${query.title}%`);
+    sql += ' GROUP BY p.id';
+
+    const having = [];
+    if (text) {
+      having.push(`SUM(t.token IN (${placeholders(words) || 'NULL'})) > 0`);
+      params.push(...words);
     }
 
-    sql += ' ORDER BY created_at DESC LIMIT ?';
-    params.push(query.limit || 50);
+    if (tags.length > 0) {
+      having.push(`SUM(t.token IN (${placeholders(tags)})) > 0`);
+      params.push(...tags);
+    }
 
-    const stmt = this.db.prepare(sql);
-    const rows = stmt.all(...params);
-    
-    return rows.map(row => {
-      const decryptedData = this.decrypt(row.encrypted_data);
-      if (!decryptedData) return null;
-      
-      return {
-        id: row.id,
-        _id: row.id,
-        title: row.title_plain,
-        author: row.author_id,
-        visibility: row.visibility,
-        createdAt: new Date(row.created_at),
-        ...decryptedData
-      };
-    }).filter(Boolean);
+    if (exactTokens.length > 0) {
+      having.push(`SUM(t.token IN (${placeholders(exactTokens)})) = ?`);
+      params.push(...exactTokens, exactTokens.length);
+    }
+
+    if (after) {
+      having.push('(score < ? OR (score = ? AND (p.created_at < ? OR (p.created_at = ? AND p.id < ?))))');
+      params.push(after.rank, after.rank, after.createdAt, after.createdAt, after.id);
+    }
+
+    if (having.length > 0) {
+      sql += ` HAVING ${having.join(' AND ')}`;
+    }
+
+    sql += ' ORDER BY score DESC, p.created_at DESC, p.id DESC LIMIT ?';
+    params.push(limit + 1);
+
+    return this.poemPage(this.db.prepare(sql).all(...params), limit, scope);
   }
 
+  // Move a poem to its author's trash. It disappears from every read except
+  // listTrash() and can be brought back with restorePoem() until it is purged.
   async deletePoem(id, authorId) {
     if (!this.initialized) await this.initialize();
     
-    // First, verify the poem exists and belongs to the author
-    const poem = await this.findPoemById(id);
+    // First, verify the poem exists and belongs to the author. Reads the plain
+    // author column so a poem that fails its integrity check can still be removed.
+    const poem = this.db.prepare('SELECT author_id FROM poems WHERE id = ? AND deleted_at IS NULL').get(id);
     if (!poem) {
       throw new Error('Poem not found');
     }
     
-    if (poem.author !== authorId) {
+    if (poem.author_id !== authorId) {
       throw new Error('Unauthorized: You can only delete your own poems');
     }
     
-    // Delete the poem
-    const stmt = this.db.prepare('DELETE FROM poems WHERE id = ? AND author_id = ?');
-    const result = stmt.run(id, authorId);
+    const result = this.db.prepare(`
+      UPDATE poems SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND author_id = ? AND deleted_at IS NULL
+    `).run(id, authorId);
     
     if (result.changes === 0) {
       throw new Error('Failed to delete poem');
     }
     
-    return { success: true, message: 'Poem deleted successfully' };
+    const { deleted_at: deletedAt } = this.db.prepare('SELECT deleted_at FROM poems WHERE id = ?').get(id);
+    return {
+      success: true,
+      message: 'Poem moved to trash',
+      deletedAt: new Date(deletedAt),
+      purgeAt: purgeAt(deletedAt)
+    };
+  }
+
+  // Take a poem back out of the trash. Trashed poems are only visible to
+  // their author, so anyone else gets "not found" rather than "unauthorized".
+  async restorePoem(id, authorId) {
+    if (!this.initialized) await this.initialize();
+
+    const result = this.db.prepare(`
+      UPDATE poems SET deleted_at = NULL WHERE id = ? AND author_id = ? AND deleted_at IS NOT NULL
+    `).run(id, authorId);
+
+    if (result.changes === 0) {
+      throw new Error('Poem not found in trash');
+    }
+
+    return this.findPoemById(id);
+  }
+
+  // An author's trash, most recently deleted first (options: cursor, limit)
+  async listTrash(authorId, options = {}) {
+    if (!this.initialized) await this.initialize();
+
+    const scope = `trash:${authorId}`;
+    const after = decodeCursor(options.cursor, scope);
+    const limit = parseLimit(options.limit);
+
+    let sql = 'SELECT * FROM poems WHERE author_id = ? AND deleted_at IS NOT NULL';
+    const params = [authorId];
+
+    if (after) {
+      sql += ' AND (deleted_at < ? OR (deleted_at = ? AND id < ?))';
+      params.push(after.createdAt, after.createdAt, after.id);
+    }
+
+    sql += ' ORDER BY deleted_at DESC, id DESC LIMIT ?';
+    params.push(limit + 1);
+
+    return this.poemPage(this.db.prepare(sql).all(...params), limit, scope, 'deleted_at');
+  }
+
+  // Trashed poems deleted at or before the cutoff, oldest first. Poems that
+  // fail to decrypt are still listed (without their content) so they can be purged.
+  async findExpiredTrash(cutoff, limit = 100) {
+    if (!this.initialized) await this.initialize();
+
+    const rows = this.db.prepare(`
+      SELECT * FROM poems WHERE deleted_at IS NOT NULL AND deleted_at <= ?
+      ORDER BY deleted_at, id LIMIT ?
+    `).all(cutoff.toISOString().replace('T', ' ').slice(0, 19), limit);
+
+    return rows.map(row => this.mapPoemRow(row, this.decryptOrSkip(row.encrypted_data, 'poems', row.id) || {}));
+  }
+
+  // Permanently remove a trashed poem with its revision history, search
+  // tokens, comments, likes, share links, access list, transfers, co-authors
+  // and co-author invitations. Poems not in the trash are never purged.
+  async purgePoem(id) {
+    if (!this.initialized) await this.initialize();
+
+    const result = this.db.transaction(() => {
+      if (!this.db.prepare('SELECT 1 FROM poems WHERE id = ? AND deleted_at IS NOT NULL').get(id)) {
+        return { changes: 0 };
+      }
+
+      this.db.prepare('DELETE FROM poem_search_tokens WHERE poem_id = ?').run(id);
+      this.db.prepare('DELETE FROM poem_comments WHERE poem_id = ?').run(id);
+      this.db.prepare('DELETE FROM poem_likes WHERE poem_id = ?').run(id);
+      this.db.prepare('DELETE FROM poem_share_links WHERE poem_id = ?').run(id);
+      this.db.prepare('DELETE FROM poem_access WHERE poem_id = ?').run(id);
+      this.db.prepare('DELETE FROM poem_transfers WHERE poem_id = ?').run(id);
+      this.db.prepare('DELETE FROM poem_coauthors WHERE poem_id = ?').run(id);
+      this.db.prepare('DELETE FROM poem_coauthor_invitations WHERE poem_id = ?').run(id);
+      this.db.prepare('DELETE FROM poem_revisions WHERE poem_id = ?').run(id);
+      return this.db.prepare('DELETE FROM poems WHERE id = ?').run(id);
+    })();
+
+    return result.changes > 0;
+  }
+
+  // Ownership check on the plain author column, shared by edit and revision methods
+  getOwnedPoemRow(id, authorId, action = 'edit') {
+    const row = this.db.prepare('SELECT * FROM poems WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!row) {
+      throw new Error('Poem not found');
+    }
+
+    if (row.author_id !== authorId) {
+      throw new Error(`Unauthorized: You can only ${action} your own poems`);
+    }
+
+    return row;
+  }
+
+  // Update a poem in place, keeping its id and creation date. The version being
+  // replaced is stored as the next revision, so every edit can be undone.
+  async updatePoem(id, authorId, updates) {
+    if (!this.initialized) await this.initialize();
+
+    const row = this.getOwnedPoemRow(id, authorId);
+    const current = this.decrypt(row.encrypted_data, 'poems', row.id);
+
+    const editable = ['title', 'body', 'bodyDocument', 'license', 'tags', 'mood', 'style', 'image', 'imageAlt', 'reading', 'readingTimings', 'contentType', 'metadata', 'visibility'];
+    const changes = {};
+    editable.forEach(field => {
+      if (updates[field] !== undefined) changes[field] = updates[field];
+    });
+
+    if (Object.keys(changes).length === 0) {
+      throw new Error('No changes provided');
+    }
+
+    this.db.transaction(() => {
+      this.saveRevision(row, current);
+      this.writePoemVersion(row, { ...current, visibility: row.visibility, ...changes });
+    })();
+
+    return this.findPoemById(id);
+  }
+
+  // Hand a poem and its revisions to another author, re-encrypted under the
+  // new author's data key so they go with the new author if either account is
+  // forgotten. Images and readings stay under the key of whoever uploaded them.
+  async transferPoem(id, fromAuthorId, toAuthorId) {
+    if (!this.initialized) await this.initialize();
+
+    const row = this.getOwnedPoemRow(id, fromAuthorId, 'transfer');
+    const current = this.decrypt(row.encrypted_data, 'poems', row.id);
+    const revisions = this.db.prepare('SELECT * FROM poem_revisions WHERE poem_id = ?').all(id);
+
+    this.db.transaction(() => {
+      const metadata = { ...current.metadata, contentHash: contentHashOf(current.title, current.body, toAuthorId) };
+      this.db.prepare('UPDATE poems SET author_id = ?, encrypted_data = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+        .run(toAuthorId, this.encrypt({ ...current, metadata }, 'poems', row.id, toAuthorId), row.id);
+
+      revisions.forEach(revision => {
+        const data = this.decrypt(revision.encrypted_data, 'poem_revisions', revision.id);
+        this.db.prepare('UPDATE poem_revisions SET author_id = ?, encrypted_data = ? WHERE id = ?')
+          .run(toAuthorId, this.encrypt(data, 'poem_revisions', revision.id, toAuthorId), revision.id);
+      });
+    })();
+
+    return this.findPoemById(id);
+  }
+
+  // Snapshot the current version of a poem into poem_revisions
+  saveRevision(row, current) {
+    const { next } = this.db.prepare(`
+      SELECT COALESCE(MAX(revision_number), 0) + 1 as next FROM poem_revisions WHERE poem_id = ?
+    `).get(row.id);
+    const revisionId = `${row.id}-r${next}`;
+
+    const snapshot = {
+      ...current,
+      visibility: row.visibility,
+      // When this version was written (creation or the previous edit)
+      versionDate: row.updated_at
+    };
+
+    this.db.prepare(`
+      INSERT INTO poem_revisions (id, poem_id, author_id, revision_number, encrypted_data)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(revisionId, row.id, row.author_id, next, this.encrypt(snapshot, 'poem_revisions', revisionId, row.author_id));
+
+    return revisionId;
+  }
+
+  writePoemVersion(row, version) {
+    const content = {
+      title: version.title,
+      body: version.body,
+      bodyDocument: version.bodyDocument || null,
+      license: version.license,
+      tags: version.tags || [],
+      mood: version.mood,
+      style: version.style,
+      image: version.image,
+      imageAlt: version.imageAlt || '',
+      reading: version.reading || null,
+      readingTimings: version.readingTimings || [],
+      contentType: version.contentType || 'poetry',
+      metadata: { ...version.metadata, contentHash: contentHashOf(version.title, version.body, row.author_id) },
+      // Not part of the edit; carried over from the current version
+      pendingLicense: version.pendingLicense || null
+    };
+    const encryptedData = this.encrypt(content, 'poems', row.id, row.author_id);
+
+    this.db.prepare(`
+      UPDATE poems
+      SET encrypted_data = ?, visibility = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(encryptedData, version.visibility || 'public', row.id);
+    this.indexPoem(row.id, content);
+  }
+
+  // Store a poem's contentHash as the current hashing computes it, without
+  // recording an edit; for when the hashing changed rather than the poem
+  // (see services/ContentHashMigration.js). Returns the poem.
+  async rehashPoem(id) {
+    if (!this.initialized) await this.initialize();
+
+    const row = this.db.prepare('SELECT * FROM poems WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!row) return null;
+
+    const data = this.decrypt(row.encrypted_data, 'poems', row.id);
+    const contentHash = contentHashOf(data.title, data.body, row.author_id);
+    if (data.metadata?.contentHash !== contentHash) {
+      const metadata = { ...data.metadata, contentHash };
+      this.db.prepare('UPDATE poems SET encrypted_data = ? WHERE id = ?')
+        .run(this.encrypt({ ...data, metadata }, 'poems', row.id, row.author_id), row.id);
+    }
+
+    return this.findPoemById(id);
+  }
+
+  // Set or clear (null) the license change waiting for the co-authors'
+  // approval (see utils/authorship.js), without recording an edit. Returns
+  // the poem.
+  async setPendingLicense(id, pendingLicense) {
+    if (!this.initialized) await this.initialize();
+
+    const row = this.db.prepare('SELECT * FROM poems WHERE id = ? AND deleted_at IS NULL').get(id);
+    if (!row) return null;
+
+    const data = this.decrypt(row.encrypted_data, 'poems', row.id);
+    this.db.prepare('UPDATE poems SET encrypted_data = ? WHERE id = ?')
+      .run(this.encrypt({ ...data, pendingLicense }, 'poems', row.id, row.author_id), row.id);
+
+    return this.findPoemById(id);
+  }
+
+  // Point a poem and its revisions from one image URL to another without
+  // recording an edit; for when the image moved rather than changed
+  replacePoemImage(poemId, fromImage, toImage) {
+    const rows = [
+      ...this.db.prepare("SELECT id, author_id, encrypted_data, 'poems' as source FROM poems WHERE id = ?").all(poemId),
+      ...this.db.prepare("SELECT id, author_id, encrypted_data, 'poem_revisions' as source FROM poem_revisions WHERE poem_id = ?").all(poemId)
+    ];
+
+    return this.db.transaction(() => {
+      let replaced = 0;
+
+      rows.forEach(row => {
+        const data = this.decryptOrSkip(row.encrypted_data, row.source, row.id);
+        if (!data || data.image !== fromImage) return;
+
+        this.db.prepare(`UPDATE ${row.source} SET encrypted_data = ? WHERE id = ?`)
+          .run(this.encrypt({ ...data, image: toImage }, row.source, row.id, row.author_id), row.id);
+        replaced += 1;
+      });
+
+      return replaced;
+    })();
+  }
+
+  // Revision methods (author only: earlier drafts are never public)
+  async listRevisions(poemId, authorId) {
+    if (!this.initialized) await this.initialize();
+
+    this.getOwnedPoemRow(poemId, authorId, 'view revisions of');
+
+    const rows = this.db.prepare(`
+      SELECT * FROM poem_revisions WHERE poem_id = ? ORDER BY revision_number DESC
+    `).all(poemId);
+
+    return rows.map(row => {
+      const decryptedData = this.decryptOrSkip(row.encrypted_data, 'poem_revisions', row.id);
+      if (!decryptedData) return null;
+
+      return {
+        id: row.id,
+        revisionNumber: row.revision_number,
+        title: decryptedData.title,
+        versionDate: decryptedData.versionDate ? new Date(decryptedData.versionDate) : null,
+        replacedAt: new Date(row.created_at)
+      };
+    }).filter(Boolean);
+  }
+
+  async getRevision(poemId, revisionId, authorId) {
+    if (!this.initialized) await this.initialize();
+
+    this.getOwnedPoemRow(poemId, authorId, 'view revisions of');
+
+    const row = this.db.prepare('SELECT * FROM poem_revisions WHERE id = ? AND poem_id = ?').get(revisionId, poemId);
+    if (!row) {
+      throw new Error('Revision not found');
+    }
+
+    const { versionDate, ...version } = this.decrypt(row.encrypted_data, 'poem_revisions', row.id);
+
+    return {
+      id: row.id,
+      poemId: row.poem_id,
+      revisionNumber: row.revision_number,
+      versionDate: versionDate ? new Date(versionDate) : null,
+      replacedAt: new Date(row.created_at),
+      ...version
+    };
+  }
+
+  // Restoring is itself an edit: the current version becomes a new revision.
+  // A co-authored poem keeps its license, which only changes once every
+  // co-author approves.
+  async restoreRevision(poemId, revisionId, authorId) {
+    const revision = await this.getRevision(poemId, revisionId, authorId);
+    const { id, poemId: _poemId, revisionNumber, versionDate, replacedAt, ...version } = revision;
+    if (this.coAuthorsOf(poemId).length > 0) delete version.license;
+
+    return this.updatePoem(poemId, authorId, version);
   }
 
   // Statistics
@@ -343,21 +890,169 @@ class EncryptedPermanentStorage {
     if (!this.initialized) await this.initialize();
     
     const userCount = this.db.prepare('SELECT COUNT(*) as count FROM users').get();
-    const poemCount = this.db.prepare('SELECT COUNT(*) as count FROM poems').get();
+    const poemCount = this.db.prepare('SELECT COUNT(*) as count FROM poems WHERE deleted_at IS NULL').get();
+    const trashCount = this.db.prepare('SELECT COUNT(*) as count FROM poems WHERE deleted_at IS NOT NULL').get();
     
     return {
       users: userCount.count,
       poems: poemCount.count,
-      storage: 'encrypted_sqlite'
+      trashedPoems: trashCount.count,
+      storage: 'encrypted_sqlite',
+      encryption: {
+        format: 'aes-256-gcm',
+        activeKeyId: this.keyring.activeKeyId,
+        keyIds: this.keyring.getKeyIds(),
+        authorKeys: this.authorKeys.getStats(),
+        legacyRows: this.countLegacyRows(),
+        rotation: this.keyRotation.getProgress()
+      },
+      integrity: {
+        failedRecords: this.integrityFailures.size,
+        failures: Array.from(this.integrityFailures.values()).slice(-20)
+      }
+    };
+  }
+
+  // Rows still in the unauthenticated CryptoJS format
+  countLegacyRows() {
+    return KeyRotationJob.ROTATION_TABLES.reduce((sum, table) => {
+      const row = this.db.prepare(`SELECT COUNT(*) as count FROM ${table} WHERE substr(encrypted_data, 1, 3) != 'v2:'`).get();
+      return sum + row.count;
+    }, 0);
+  }
+
+  // Decrypt every row and record the ones that fail, so tampering shows up in
+  // getStats() without waiting for someone to request the affected record.
+  // Rows are read in rowid batches, yielding to the event loop between them.
+  // Failures of rows that no longer exist are dropped, so after a run the
+  // failures are exactly the rows that are unreadable now (IntegrityMonitor
+  // runs this on start, so a restart does not lose them).
+  async verifyIntegrity({ batchSize = 500 } = {}) {
+    if (!this.initialized) await this.initialize();
+
+    const startedAt = new Date().toISOString();
+    const seen = new Set();
+    let checked = 0;
+
+    for (const table of KeyRotationJob.ROTATION_TABLES) {
+      let lastRowid = 0;
+      for (;;) {
+        // The storage may have been closed while we were waiting between batches
+        if (!this.db) return null;
+
+        const rows = this.db.prepare(`
+          SELECT rowid, id, encrypted_data FROM ${table} WHERE rowid > ? ORDER BY rowid LIMIT ?
+        `).all(lastRowid, batchSize);
+        if (rows.length === 0) break;
+
+        rows.forEach(row => {
+          this.decryptOrSkip(row.encrypted_data, table, row.id);
+          seen.add(`${table}/${row.id}`);
+        });
+        checked += rows.length;
+        lastRowid = rows[rows.length - 1].rowid;
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
+
+    for (const [key, failure] of this.integrityFailures) {
+      if (!seen.has(key) && failure.detectedAt < startedAt) this.integrityFailures.delete(key);
+    }
+
+    return {
+      checked,
+      failedRecords: this.integrityFailures.size,
+      failures: Array.from(this.integrityFailures.values())
+    };
+  }
+
+  // One-shot upgrade of legacy CryptoJS rows to the AES-256-GCM envelope.
+  // Runs the rotation job to completion, which rewrites every row that is not
+  // already a v2 envelope under the active key.
+  async upgradeLegacyEncryption() {
+    if (!this.initialized) await this.initialize();
+
+    const before = this.countLegacyRows();
+    await this.keyRotation.start();
+
+    return {
+      legacyRowsBefore: before,
+      legacyRowsAfter: this.countLegacyRows(),
+      rotation: this.keyRotation.getProgress(),
+      integrity: {
+        failedRecords: this.integrityFailures.size,
+        failures: Array.from(this.integrityFailures.values())
+      }
     };
   }
 
+  // Re-encrypt all rows with the active key in the background.
+  // Safe to call while serving requests; resolves when the rotation finishes.
+  async rotateEncryptionKey() {
+    if (!this.initialized) await this.initialize();
+    return this.keyRotation.start();
+  }
+
+  // Right to be forgotten: destroy the author's data key, then remove their
+  // rows. Copies of those rows in backups stay encrypted under the destroyed
+  // key and can no longer be read; usernames, emails and titles are encrypted
+  // too, and the lookup tokens left in plain columns cannot be reversed. A
+  // full restore drops the rows again (see BackupService.restoreDatabase()).
+  async forgetAuthor(authorId) {
+    if (!this.initialized) await this.initialize();
+
+    const user = this.db.prepare('SELECT id FROM users WHERE id = ?').get(authorId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    this.authorKeys.destroyKey(authorId);
+
+    const removed = this.db.transaction(() => EncryptedPermanentStorage.removeAuthorRows(this.db, authorId))();
+
+    console.log(`🗑️ Forgot author ${authorId}: data key destroyed, ${removed.poems} poems removed`);
+
+    return {
+      success: true,
+      authorId,
+      keyDestroyed: true,
+      poemsRemoved: removed.poems,
+      poemIds: removed.poemIds
+    };
+  }
+
+  // Delete every row of an author, and of their poems, from a database at the
+  // current schema version. Call inside a transaction.
+  static removeAuthorRows(db, authorId) {
+    db.prepare(`
+      DELETE FROM unsealed_lookup_values
+      WHERE (table_name = 'users' AND row_id = ?) OR (table_name = 'poems' AND row_id IN (SELECT id FROM poems WHERE author_id = ?))
+    `).run(authorId, authorId);
+    ['poem_search_tokens', 'poem_comments', 'poem_likes', 'poem_share_links', 'poem_access', 'poem_transfers', 'poem_coauthors', 'poem_coauthor_invitations'].forEach(table => {
+      db.prepare(`DELETE FROM ${table} WHERE poem_id IN (SELECT id FROM poems WHERE author_id = ?)`).run(authorId);
+    });
+    db.prepare('DELETE FROM poem_comments WHERE author_id = ?').run(authorId);
+    db.prepare('DELETE FROM poem_likes WHERE user_id = ?').run(authorId);
+    db.prepare('DELETE FROM poem_access WHERE user_id = ?').run(authorId);
+    db.prepare('DELETE FROM poem_transfers WHERE to_user_id = ?').run(authorId);
+    db.prepare('DELETE FROM poem_coauthors WHERE user_id = ?').run(authorId);
+    db.prepare('DELETE FROM poem_coauthor_invitations WHERE to_user_id = ?').run(authorId);
+    db.prepare('DELETE FROM follows WHERE follower_id = ? OR followee_id = ?').run(authorId, authorId);
+    db.prepare('DELETE FROM poem_revisions WHERE author_id = ?').run(authorId);
+    const poemIds = db.prepare('SELECT id FROM poems WHERE author_id = ?').all(authorId).map(row => row.id);
+    const poems = db.prepare('DELETE FROM poems WHERE author_id = ?').run(authorId).changes;
+    db.prepare('DELETE FROM users WHERE id = ?').run(authorId);
+    return { poems, poemIds };
+  }
+
   close() {
     if (this.db) {
       this.db.close();
       this.db = null;
       this.initialized = false;
     }
+    this.authorKeys.close();
   }
 }
 
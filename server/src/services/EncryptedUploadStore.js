@@ -0,0 +1,440 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const ImagePipeline = require('./ImagePipeline');
+const AudioPipeline = require('./AudioPipeline');
+
+// Uploaded images and audio readings, encrypted at rest with the uploading author's data key
+// (see AuthorKeyStore), so forgetting an author shreds their images too.
+//
+// Files are sealed in 64 KiB chunks, each with AES-256-GCM under its own
+// nonce, so an upload can be streamed back without decrypting it all first
+// and every chunk is authenticated before it is sent. Every chunk but the
+// last holds exactly CHUNK_SIZE bytes, so a byte range is served by seeking
+// straight to the chunk it starts in. A chunk's associated
+// data binds it to the upload id, key id, its position and whether it is the
+// last chunk, so chunks cannot be reordered, swapped between files or cut off
+// at the end without detection.
+//
+// File layout (<dir>/<id>.enc):
+//   "PCU1" | key id length (u16) | key id | chunk...
+//   chunk: nonce (12) | ciphertext length (u32) | ciphertext | tag (16)
+//
+// Uploader, MIME type, size, dimensions, duration and owning poem are kept in
+// poem_uploads. Images are saved as the renditions ImagePipeline makes: the
+// original plus derived rows pointing at it through parent_id. Readings are
+// saved the same way, with the waveform AudioPipeline computes as their one
+// derived row. An upload
+// belongs to its poem for as long as the poem exists, because older revisions
+// may still show it; UploadSweeper removes it after that.
+const MAGIC = Buffer.from('PCU1');
+const CHUNK_SIZE = 64 * 1024;
+const NONCE_BYTES = 12;
+const TAG_BYTES = 16;
+const CHUNK_STRIDE = NONCE_BYTES + 4 + CHUNK_SIZE + TAG_BYTES;
+
+// Files written by the plaintext disk storage used before uploads were encrypted
+const LEGACY_FILE_PATTERN = /^poem-\d+-\d+(\.[A-Za-z0-9]+)?$/;
+
+const sqlTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+class EncryptedUploadStore {
+  constructor(storage, dir, options = {}) {
+    this.storage = storage;
+    this.dir = dir;
+    this.images = options.images || new ImagePipeline();
+    this.audio = options.audio || new AudioPipeline();
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  async initialize() {
+    if (!this.storage.initialized) await this.storage.initialize();
+    await fs.promises.mkdir(this.dir, { recursive: true });
+  }
+
+  // URL poems store in their image field
+  static urlFor(id) {
+    return `/api/uploads/${id}`;
+  }
+
+  // Upload id from a URL made by urlFor(), or null
+  static idFromUrl(url) {
+    const match = typeof url === 'string' && url.match(/^\/api\/uploads\/([A-Za-z0-9-]+)$/);
+    return match ? match[1] : null;
+  }
+
+  filePath(id) {
+    return path.join(this.dir, `${id}.enc`);
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      url: EncryptedUploadStore.urlFor(row.id),
+      poemId: row.poem_id,
+      authorId: row.author_id,
+      variant: row.variant,
+      parentId: row.parent_id,
+      mimeType: row.mime_type,
+      size: row.size,
+      width: row.width,
+      height: row.height,
+      durationMs: row.duration_ms,
+      createdAt: new Date(row.created_at)
+    };
+  }
+
+  keyFor(keyId) {
+    const entry = this.storage.keyring.getKeyEntry(keyId);
+    if (!entry) {
+      const error = new Error(`Storage key "${keyId}" is not available`);
+      error.code = 'KEY_UNAVAILABLE';
+      throw error;
+    }
+    return entry.key;
+  }
+
+  associatedData(id, keyId, index, last) {
+    return Buffer.from(`uploads|${id}|${keyId}|${index}|${last ? 1 : 0}`, 'utf8');
+  }
+
+  // Header and chunks for a whole file; always at least one (possibly empty)
+  // chunk, so a file cut down to its header is detected too
+  seal(buffer, id, keyId) {
+    const key = this.keyFor(keyId);
+    const keyIdBytes = Buffer.from(keyId, 'utf8');
+    const header = Buffer.alloc(2);
+    header.writeUInt16BE(keyIdBytes.length);
+
+    const parts = [MAGIC, header, keyIdBytes];
+    const chunkCount = Math.max(1, Math.ceil(buffer.length / CHUNK_SIZE));
+
+    for (let index = 0; index < chunkCount; index++) {
+      const nonce = crypto.randomBytes(NONCE_BYTES);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce);
+      cipher.setAAD(this.associatedData(id, keyId, index, index === chunkCount - 1));
+
+      const ciphertext = Buffer.concat([
+        cipher.update(buffer.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE)),
+        cipher.final()
+      ]);
+      const length = Buffer.alloc(4);
+      length.writeUInt32BE(ciphertext.length);
+
+      parts.push(nonce, length, ciphertext, cipher.getAuthTag());
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  static tamperError(id, reason) {
+    const error = new Error(`Encrypted upload ${id} failed integrity check: ${reason}`);
+    error.code = 'RECORD_TAMPERED';
+    return error;
+  }
+
+  // Encrypt and store an upload for the given author. It stays unattached
+  // until attach() links it to the poem it was uploaded for.
+  async save(buffer, { authorId, mimeType, variant = 'original', parentId = null, width = null, height = null, durationMs = null }) {
+    await this.initialize();
+
+    const id = crypto.randomUUID();
+    const keyId = this.storage.authorKeys.ensureKey(authorId);
+    const file = this.filePath(id);
+
+    // Written under a temporary name first so a crash never leaves half a file
+    await fs.promises.writeFile(`${file}.tmp`, this.seal(buffer, id, keyId));
+    await fs.promises.rename(`${file}.tmp`, file);
+
+    this.db.prepare(`
+      INSERT INTO poem_uploads (id, author_id, variant, parent_id, mime_type, size, width, height, duration_ms)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(id, String(authorId), variant, parentId, mimeType, buffer.length, width, height, durationMs);
+
+    return this.find(id);
+  }
+
+  // Validate, clean and store an uploaded image with its derived renditions.
+  // Resolves to the original; rejects with code INVALID_IMAGE (nothing is
+  // stored then) if the file is not an acceptable image.
+  async saveImage(buffer, authorId) {
+    const [original, ...derived] = await this.images.process(buffer);
+    const describe = ({ name, mimeType, width, height }) => ({ authorId, variant: name, mimeType, width, height });
+
+    const upload = await this.save(original.buffer, describe(original));
+    for (const rendition of derived) {
+      await this.save(rendition.buffer, { ...describe(rendition), parentId: upload.id });
+    }
+
+    return upload;
+  }
+
+  // Validate and store an audio reading with its waveform. Resolves to the
+  // recording; rejects with code INVALID_AUDIO (nothing is stored then) if the
+  // file is not an acceptable recording.
+  async saveAudio(buffer, authorId) {
+    const { mimeType, duration, waveform } = await this.audio.process(buffer);
+
+    const upload = await this.save(buffer, { authorId, mimeType, durationMs: Math.round(duration * 1000) });
+    await this.save(Buffer.from(JSON.stringify(waveform)), {
+      authorId,
+      variant: 'waveform',
+      parentId: upload.id,
+      mimeType: 'application/json'
+    });
+
+    return upload;
+  }
+
+  // Links an upload and its derived renditions to their poem
+  attach(id, poemId) {
+    this.db.prepare('UPDATE poem_uploads SET poem_id = ? WHERE id = ? OR parent_id = ?').run(String(poemId), id, id);
+  }
+
+  // Every stored rendition of the image at imageUrl, largest first, as listed
+  // in poem responses
+  renditionsFor(imageUrl) {
+    const id = EncryptedUploadStore.idFromUrl(imageUrl);
+    if (!id) return [];
+
+    return this.db.prepare('SELECT * FROM poem_uploads WHERE id = ? OR parent_id = ? ORDER BY width DESC, id')
+      .all(id, id)
+      .map(row => ({
+        name: row.variant,
+        url: EncryptedUploadStore.urlFor(row.id),
+        mimeType: row.mime_type,
+        width: row.width,
+        height: row.height,
+        size: row.size
+      }));
+  }
+
+  // The reading at audioUrl with its waveform, as listed in poem responses
+  readingFor(audioUrl) {
+    const id = EncryptedUploadStore.idFromUrl(audioUrl);
+    if (!id) return null;
+
+    const rows = this.db.prepare('SELECT * FROM poem_uploads WHERE id = ? OR parent_id = ?').all(id, id);
+    const audio = rows.find(row => row.id === id);
+    const waveform = rows.find(row => row.variant === 'waveform');
+    if (!audio) return null;
+
+    return {
+      url: EncryptedUploadStore.urlFor(audio.id),
+      mimeType: audio.mime_type,
+      size: audio.size,
+      duration: audio.duration_ms / 1000,
+      waveformUrl: waveform ? EncryptedUploadStore.urlFor(waveform.id) : null
+    };
+  }
+
+  // A poem as routes return it: every stored rendition of its image, with
+  // their dimensions, and its reading with duration, waveform and line timings
+  withMedia({ readingTimings, ...poem }) {
+    const reading = poem.reading ? this.readingFor(poem.reading) : null;
+
+    return {
+      ...poem,
+      imageRenditions: this.renditionsFor(poem.image),
+      reading: reading && { ...reading, timings: readingTimings || [] }
+    };
+  }
+
+  async find(id) {
+    if (!this.storage.initialized) await this.storage.initialize();
+
+    const row = this.db.prepare('SELECT * FROM poem_uploads WHERE id = ?').get(String(id));
+    return row ? this.fromRow(row) : null;
+  }
+
+  // Decrypted contents as a stream. The header and first chunk are checked
+  // before this resolves, so a missing key or a tampered file is reported
+  // while a proper error response can still be sent; a later chunk that fails
+  // authentication ends the stream with an error before it is emitted.
+  //
+  // With a range ({ start, end }, inclusive byte offsets within the upload)
+  // only those bytes are sent, and only the chunks holding them are read.
+  async openReadStream(upload, range = null) {
+    const start = range ? range.start : 0;
+    const end = range ? range.end : Infinity;
+    const firstChunk = Math.floor(start / CHUNK_SIZE);
+    const chunks = this.decryptChunks(upload, firstChunk);
+    const first = await chunks.next();
+
+    return Readable.from((async function* () {
+      let offset = firstChunk * CHUNK_SIZE;
+
+      try {
+        for (let next = first; !next.done; next = await chunks.next()) {
+          const plaintext = next.value;
+          yield plaintext.subarray(Math.max(0, start - offset), Math.max(0, end + 1 - offset));
+
+          offset += plaintext.length;
+          if (offset > end) break;
+        }
+      } finally {
+        // Closes the file if the reader goes away early
+        await chunks.return();
+      }
+    })());
+  }
+
+  async *decryptChunks(upload, firstChunk = 0) {
+    const handle = await fs.promises.open(this.filePath(upload.id), 'r');
+
+    try {
+      const { size } = await handle.stat();
+      let position = 0;
+
+      const read = async (length) => {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, position);
+        if (bytesRead !== length) throw EncryptedUploadStore.tamperError(upload.id, 'truncated file');
+        position += length;
+        return buffer;
+      };
+
+      if (!(await read(MAGIC.length)).equals(MAGIC)) {
+        throw EncryptedUploadStore.tamperError(upload.id, 'unknown file format');
+      }
+      const keyId = (await read((await read(2)).readUInt16BE(0))).toString('utf8');
+      const key = this.keyFor(keyId);
+      position += firstChunk * CHUNK_STRIDE;
+
+      for (let index = firstChunk; index === firstChunk || position < size; index++) {
+        const nonce = await read(NONCE_BYTES);
+        const ciphertext = await read((await read(4)).readUInt32BE(0));
+        const tag = await read(TAG_BYTES);
+
+        let plaintext;
+        try {
+          const decipher = crypto.createDecipheriv('aes-256-gcm', key, nonce);
+          decipher.setAAD(this.associatedData(upload.id, keyId, index, position >= size));
+          decipher.setAuthTag(tag);
+          plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+        } catch (error) {
+          throw EncryptedUploadStore.tamperError(upload.id, 'authentication failed');
+        }
+        if (position < size && plaintext.length !== CHUNK_SIZE) {
+          throw EncryptedUploadStore.tamperError(upload.id, 'short chunk');
+        }
+
+        if (plaintext.length > 0) yield plaintext;
+      }
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async remove(id) {
+    this.db.prepare('DELETE FROM poem_uploads WHERE id = ?').run(id);
+    await fs.promises.rm(this.filePath(id), { force: true });
+  }
+
+  // Called when a poem is purged; its uploads go with it
+  async removeForPoem(poemId) {
+    const rows = this.db.prepare('SELECT id FROM poem_uploads WHERE poem_id = ?').all(String(poemId));
+    for (const row of rows) {
+      await this.remove(row.id);
+    }
+    return rows.length;
+  }
+
+  // Uploads whose poem no longer exists (trashed poems still do), and uploads
+  // never attached to a poem that are older than the cutoff
+  findOrphans(cutoff, limit = 100) {
+    return this.db.prepare(`
+      SELECT * FROM poem_uploads
+      WHERE (poem_id IS NULL AND created_at <= ?)
+         OR (poem_id IS NOT NULL AND poem_id NOT IN (SELECT id FROM poems))
+      ORDER BY created_at, id LIMIT ?
+    `).all(sqlTime(cutoff), limit).map(row => this.fromRow(row));
+  }
+
+  // Files in the uploads directory that no upload row accounts for: leftovers
+  // of interrupted writes and legacy plaintext images no poem points at.
+  // Only files last modified before the cutoff are returned, so a save in
+  // progress is never mistaken for one.
+  async findStrayFiles(cutoff) {
+    const known = new Set(this.db.prepare('SELECT id FROM poem_uploads').all().map(row => `${row.id}.enc`));
+    const names = await fs.promises.readdir(this.dir);
+    const strays = [];
+
+    for (const name of names) {
+      const isOurs = name.endsWith('.enc') || name.endsWith('.enc.tmp') || LEGACY_FILE_PATTERN.test(name);
+      if (!isOurs || known.has(name)) continue;
+
+      const stats = await fs.promises.stat(path.join(this.dir, name)).catch(() => null);
+      if (stats && stats.isFile() && stats.mtime <= cutoff) strays.push(name);
+    }
+
+    return strays;
+  }
+
+  async removeStrayFile(name) {
+    await fs.promises.rm(path.join(this.dir, path.basename(name)), { force: true });
+  }
+
+  // One-off upgrade for images uploaded before uploads were encrypted: every
+  // "/uploads/<file>" a poem or one of its revisions points at goes through
+  // saveImage() under the poem author's key, the poem and revisions are
+  // repointed to the encrypted copy and the plaintext file is deleted.
+  async importLegacyFiles() {
+    await this.initialize();
+
+    const references = new Map();
+    const collect = (rows, table) => rows.forEach(row => {
+      const data = this.storage.decryptOrSkip(row.encrypted_data, table, row.id);
+      if (data && typeof data.image === 'string' && data.image.startsWith('/uploads/') && !references.has(data.image)) {
+        references.set(data.image, { poemId: row.poem_id, authorId: row.author_id });
+      }
+    });
+
+    collect(this.db.prepare('SELECT id, id as poem_id, author_id, encrypted_data FROM poems').all(), 'poems');
+    collect(this.db.prepare('SELECT id, poem_id, author_id, encrypted_data FROM poem_revisions').all(), 'poem_revisions');
+
+    let imported = 0;
+    for (const [image, { poemId, authorId }] of references) {
+      const file = path.join(this.dir, path.basename(image));
+      if (!fs.existsSync(file)) continue;
+
+      try {
+        const upload = await this.saveImage(await fs.promises.readFile(file), authorId);
+        this.attach(upload.id, poemId);
+        this.storage.replacePoemImage(poemId, image, upload.url);
+        await fs.promises.rm(file, { force: true });
+        imported += 1;
+      } catch (error) {
+        console.error(`❌ Could not encrypt legacy upload ${image}:`, error.message);
+      }
+    }
+
+    if (imported > 0) {
+      console.log(`🖼️ Encrypted ${imported} legacy upload(s)`);
+    }
+    return imported;
+  }
+
+  getStats() {
+    const stats = this.db.prepare(`
+      SELECT COUNT(*) as count, COALESCE(SUM(size), 0) as bytes,
+             SUM(CASE WHEN variant = 'original' AND mime_type LIKE 'image/%' THEN 1 ELSE 0 END) as images,
+             SUM(CASE WHEN variant = 'original' AND mime_type LIKE 'audio/%' THEN 1 ELSE 0 END) as readings,
+             SUM(CASE WHEN poem_id IS NULL THEN 1 ELSE 0 END) as unattached
+      FROM poem_uploads
+    `).get();
+    return {
+      files: stats.count,
+      images: stats.images || 0,
+      readings: stats.readings || 0,
+      bytes: stats.bytes,
+      unattached: stats.unattached || 0
+    };
+  }
+}
+
+module.exports = EncryptedUploadStore;
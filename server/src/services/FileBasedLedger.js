@@ -1,10 +1,21 @@
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { verifyChain } = require('../utils/ledgerEntry');
 
+// Ledger sink writing one canonical entry per line to ledger.jsonl (see
+// services/Ledger.js). Lines written before the canonical format (with a
+// "type" instead of an "eventType") are kept as legacy entries: they are not
+// part of the chain but are still checked against their own hashes.
+//
+// Each entry carries its sequence number and the previous entry's hash, so
+// verifyIntegrity() finds lines that were deleted, added, moved or cut off,
+// not just edited, and reports the line where the file first goes wrong.
 class FileBasedLedger {
-  constructor() {
-    this.ledgerPath = process.env.LEDGER_PATH || './data/ledger.jsonl';
+  constructor(ledgerPath = process.env.LEDGER_PATH || './data/ledger.jsonl') {
+    this.name = 'jsonl';
+    this.ledgerPath = ledgerPath;
+    this.ids = new Set();
     this.isReady = false;
   }
 
@@ -13,14 +24,17 @@ class FileBasedLedger {
       // Ensure ledger directory exists
       const ledgerDir = path.dirname(this.ledgerPath);
       await fs.mkdir(ledgerDir, { recursive: true });
-      
+
       // Create ledger file if it doesn't exist
       try {
         await fs.access(this.ledgerPath);
       } catch {
         await fs.writeFile(this.ledgerPath, '');
       }
-      
+
+      const { entries } = await this.readLines();
+      this.ids = new Set(entries.map(entry => entry.id));
+
       this.isReady = true;
       console.log(`📄 File-based ledger initialized: ${this.ledgerPath}`);
     } catch (error) {
@@ -29,93 +43,133 @@ class FileBasedLedger {
     }
   }
 
-  async appendEntry(entry) {
-    if (!this.isReady) return null;
+  // Entries, legacy entries and lines that are not JSON (a write cut short),
+  // each with the 1-based line numbers they were read from
+  async readLines() {
+    const content = await fs.readFile(this.ledgerPath, 'utf8');
+    const result = { entries: [], entryLines: [], legacy: [], legacyLines: [], corruptLines: [] };
 
-    try {
-      const timestamp = new Date().toISOString();
-      const ledgerEntry = {
-        ...entry,
-        timestamp,
-        entryHash: crypto.createHash('sha256').update(JSON.stringify(entry) + timestamp).digest('hex')
-      };
+    content.split('\n').forEach((text, index) => {
+      if (!text.trim()) return;
 
-      const line = JSON.stringify(ledgerEntry) + '\n';
-      await fs.appendFile(this.ledgerPath, line);
-      
-      console.log(`📄 Appended ledger entry: ${ledgerEntry.entryHash}`);
-      return ledgerEntry;
-    } catch (error) {
-      console.error('Error appending to ledger:', error);
-      return null;
-    }
+      let line;
+      try {
+        line = JSON.parse(text);
+      } catch {
+        result.corruptLines.push(index + 1);
+        return;
+      }
+
+      if (line.eventType) {
+        result.entries.push(line);
+        result.entryLines.push(index + 1);
+      } else {
+        result.legacy.push(line);
+        result.legacyLines.push(index + 1);
+      }
+    });
+
+    return result;
+  }
+
+  async write(entry) {
+    if (!this.isReady) throw new Error('File ledger is not available');
+    if (this.ids.has(entry.id)) return;
+
+    await fs.appendFile(this.ledgerPath, JSON.stringify(entry) + '\n');
+    this.ids.add(entry.id);
   }
 
   async getEntries(filter = {}) {
     if (!this.isReady) return [];
 
-    try {
-      const content = await fs.readFile(this.ledgerPath, 'utf8');
-      const lines = content.trim().split('\n').filter(line => line);
-      
-      let entries = lines.map(line => JSON.parse(line));
-      
-      // Apply filters
-      if (filter.poemId) {
-        entries = entries.filter(entry => entry.poemId === filter.poemId);
-      }
-      if (filter.authorId) {
-        entries = entries.filter(entry => entry.authorId === filter.authorId);
-      }
-      if (filter.eventType) {
-        entries = entries.filter(entry => entry.eventType === filter.eventType);
-      }
-      
-      return entries;
-    } catch (error) {
-      console.error('Error reading ledger:', error);
-      return [];
+    let { entries } = await this.readLines();
+
+    // Apply filters
+    if (filter.poemId) {
+      entries = entries.filter(entry => entry.poemId === String(filter.poemId));
+    }
+    if (filter.authorId) {
+      entries = entries.filter(entry => entry.authorId === String(filter.authorId));
+    }
+    if (filter.eventType) {
+      entries = entries.filter(entry => entry.eventType === filter.eventType);
     }
+
+    return entries;
+  }
+
+  async lastEntry() {
+    const entries = await this.getEntries();
+    return entries.length > 0 ? entries[entries.length - 1] : null;
   }
 
-  async verifyIntegrity() {
-    if (!this.isReady) return false;
+  // The chain report of utils/ledgerEntry.js verifyChain(), with brokenAt.line
+  // the line of the file where it breaks. expectedHead is the last entry the
+  // ledger wrote here, so lines cut off the end are found too.
+  async verifyIntegrity({ expectedHead = null } = {}) {
+    if (!this.isReady) {
+      return { valid: false, checkedEntries: 0, lastGoodSequence: 0, brokenAt: null, error: 'File ledger is not available' };
+    }
 
     try {
-      const entries = await this.getEntries();
-      
-      for (const entry of entries) {
+      const { entries, entryLines, legacy, legacyLines, corruptLines } = await this.readLines();
+      let report = verifyChain(entries, { expectedHead });
+      if (report.brokenAt) {
+        report.brokenAt.line = report.brokenAt.index < entryLines.length ? entryLines[report.brokenAt.index] : null;
+      }
+
+      // A line that does not parse comes before anything found after it
+      const [corruptLine] = corruptLines;
+      if (corruptLine && !(report.brokenAt && report.brokenAt.line && report.brokenAt.line < corruptLine)) {
+        const before = entryLines.filter(line => line < corruptLine).length;
+        report = {
+          valid: false,
+          checkedEntries: entries.length,
+          lastGoodSequence: before > 0 ? entries[before - 1].sequence || before : 0,
+          brokenAt: { index: before, line: corruptLine, kind: 'corrupt', message: `Line ${corruptLine} is not a ledger entry` }
+        };
+      }
+
+      const tamperedLegacy = legacy.findIndex(entry => {
         const { entryHash, timestamp, ...entryData } = entry;
-        const expectedHash = crypto.createHash('sha256').update(JSON.stringify(entryData) + timestamp).digest('hex');
-        
-        if (entryHash !== expectedHash) {
-          console.error(`Ledger integrity check failed for entry: ${entryHash}`);
-          return false;
-        }
+        return entryHash !== crypto.createHash('sha256').update(JSON.stringify(entryData) + timestamp).digest('hex');
+      });
+      if (tamperedLegacy !== -1) {
+        report = {
+          ...report,
+          valid: false,
+          legacyBrokenAt: { line: legacyLines[tamperedLegacy], kind: 'modified', message: `Legacy line ${legacyLines[tamperedLegacy]} does not match its hash` }
+        };
       }
-      
-      return true;
+
+      if (!report.valid) {
+        const { message, line } = report.brokenAt || report.legacyBrokenAt;
+        console.error(`Ledger integrity check failed at line ${line}: ${message} (last good sequence ${report.lastGoodSequence})`);
+      }
+      return report;
     } catch (error) {
       console.error('Error verifying ledger integrity:', error);
-      return false;
+      return { valid: false, checkedEntries: 0, lastGoodSequence: 0, brokenAt: null, error: error.message };
     }
   }
 
-  async getStats() {
+  async getStats(options = {}) {
     if (!this.isReady) return { totalEntries: 0 };
 
     try {
-      const entries = await this.getEntries();
+      const { entries, legacy } = await this.readLines();
       const eventTypes = {};
-      
+
       entries.forEach(entry => {
         eventTypes[entry.eventType] = (eventTypes[entry.eventType] || 0) + 1;
       });
-      
+
       return {
         totalEntries: entries.length,
+        legacyEntries: legacy.length,
         eventTypes,
-        integrityValid: await this.verifyIntegrity()
+        integrity: await this.verifyIntegrity(options)
       };
     } catch (error) {
       console.error('Error getting ledger stats:', error);
@@ -124,4 +178,4 @@ class FileBasedLedger {
   }
 }
 
-module.exports = FileBasedLedger;
\ No newline at end of file
+module.exports = FileBasedLedger;
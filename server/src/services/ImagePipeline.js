@@ -0,0 +1,118 @@
+const sharp = require('sharp');
+
+// Turns an uploaded file into the renditions that get stored and served.
+//
+// The file type is decided by its magic bytes, never by the name or MIME
+// type the client sent, and only JPEG, PNG, GIF and WebP are accepted. Every
+// rendition is re-encoded from the decoded pixels: EXIF orientation is applied
+// first, then all metadata (EXIF with GPS position, XMP, comments) is left
+// behind. Alongside the full-size original, "medium" and "thumbnail"
+// renditions are made for images larger than those sizes.
+//
+// Images wider or taller than IMAGE_MAX_DIMENSION pixels (default 6000) are
+// refused before they are decoded.
+const FORMATS = {
+  'image/jpeg': { sharpFormat: 'jpeg', options: { quality: 85, mozjpeg: true } },
+  'image/png': { sharpFormat: 'png', options: { compressionLevel: 9 } },
+  'image/gif': { sharpFormat: 'gif', options: {} },
+  'image/webp': { sharpFormat: 'webp', options: { quality: 85 } }
+};
+
+// Largest side of each derived rendition, biggest first
+const DERIVATIVES = [
+  { name: 'medium', size: 1024 },
+  { name: 'thumbnail', size: 320 }
+];
+
+const startsWith = (buffer, bytes, offset = 0) => (
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte)
+);
+
+const ascii = (text) => Array.from(Buffer.from(text, 'ascii'));
+
+const invalidImage = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_IMAGE';
+  return error;
+};
+
+class ImagePipeline {
+  constructor(options = {}) {
+    this.maxDimension = options.maxDimension || parseInt(process.env.IMAGE_MAX_DIMENSION) || 6000;
+  }
+
+  // MIME type from the file's leading bytes, or null if it is not an accepted image
+  static sniff(buffer) {
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+    if (startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a'))) return 'image/gif';
+    if (startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8)) return 'image/webp';
+    return null;
+  }
+
+  // Resolves to [{ name, buffer, mimeType, width, height }], original first.
+  // Rejects with code INVALID_IMAGE for anything that is not a usable image.
+  async process(buffer) {
+    const mimeType = ImagePipeline.sniff(buffer);
+    if (!mimeType) {
+      throw invalidImage('Only JPEG, PNG, GIF and WebP images are allowed');
+    }
+
+    const animated = mimeType === 'image/gif' || mimeType === 'image/webp';
+    const input = () => sharp(buffer, {
+      animated,
+      // Refuses decompression bombs before any pixels are decoded
+      limitInputPixels: this.maxDimension * this.maxDimension
+    });
+
+    let metadata;
+    try {
+      metadata = await input().metadata();
+    } catch (error) {
+      throw invalidImage('Image could not be read');
+    }
+
+    // Animated images report the height of all frames stacked
+    const width = metadata.width;
+    const height = metadata.pageHeight || metadata.height;
+    if (ImagePipeline.formatOf(metadata.format) !== mimeType || !width || !height) {
+      throw invalidImage('Image could not be read');
+    }
+    if (width > this.maxDimension || height > this.maxDimension) {
+      throw invalidImage(`Images must be at most ${this.maxDimension}×${this.maxDimension} pixels`);
+    }
+
+    const { sharpFormat, options } = FORMATS[mimeType];
+    const render = async (name, size) => {
+      let image = input().rotate();
+      if (size) image = image.resize(size, size, { fit: 'inside', withoutEnlargement: true });
+
+      const { data, info } = await image.toFormat(sharpFormat, options).toBuffer({ resolveWithObject: true });
+      return { name, buffer: data, mimeType, width: info.width, height: info.pageHeight || info.height };
+    };
+
+    try {
+      const renditions = [await render('original')];
+      const longestSide = Math.max(renditions[0].width, renditions[0].height);
+
+      for (const derivative of DERIVATIVES) {
+        if (longestSide > derivative.size) {
+          renditions.push(await render(derivative.name, derivative.size));
+        }
+      }
+
+      return renditions;
+    } catch (error) {
+      throw invalidImage('Image could not be processed');
+    }
+  }
+
+  static formatOf(sharpFormat) {
+    const entry = Object.entries(FORMATS).find(([, format]) => format.sharpFormat === sharpFormat);
+    return entry ? entry[0] : null;
+  }
+}
+
+ImagePipeline.DERIVATIVES = DERIVATIVES;
+
+module.exports = ImagePipeline;
@@ -0,0 +1,99 @@
+// Periodic integrity checks, so GET /api/health and the ledger routes (through
+// LedgerService.findChainBreak) answer from the last result instead of doing
+// work that grows with the corpus on every request.
+//
+// Each run re-verifies every copy of the ledger chain (options.ledger, see
+// services/Ledger.js) and, with encrypted storage (options.storage), decrypts
+// every stored record (EncryptedPermanentStorage.verifyIntegrity) and takes
+// its statistics, so records that fail authentication are reported whether
+// or not anyone has read them since the last restart. getStatus() returns the
+// last result and its age.
+//
+// Runs on start and then every INTEGRITY_CHECK_INTERVAL_MINUTES (default 15).
+class IntegrityMonitor {
+  constructor(options = {}) {
+    this.ledger = options.ledger || null;
+    this.storage = options.storage || null;
+    this.intervalMs = options.intervalMs || (parseFloat(process.env.INTEGRITY_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+    this.timer = null;
+    this.isRunning = false;
+    this.lastResult = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Never keep the process alive just for checks
+    this.timer.unref();
+
+    console.log(`🩺 Integrity checked every ${this.intervalMs / 60000} minutes`);
+  }
+
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    try {
+      const ledger = this.ledger?.isReady ? await this.ledger.verifyIntegrity() : null;
+      const storage = this.storage ? await this.checkStorage() : null;
+
+      if (ledger && !ledger.valid) console.error('🚨 Ledger integrity check failed');
+      if (storage?.integrity.failedRecords > 0) {
+        console.error(`🚨 ${storage.integrity.failedRecords} encrypted record(s) failed their integrity check`);
+      }
+
+      this.lastResult = {
+        ok: (!ledger || ledger.valid) && !(storage?.integrity.failedRecords > 0),
+        at: now.toISOString(),
+        ledger,
+        storage
+      };
+    } catch (error) {
+      console.error('❌ Integrity check failed to run:', error);
+      this.lastResult = { ok: false, at: now.toISOString(), error: error.message };
+    } finally {
+      this.isRunning = false;
+    }
+
+    return this.lastResult;
+  }
+
+  // Storage statistics, with the integrity section from a full verification
+  async checkStorage() {
+    const verification = await this.storage.verifyIntegrity();
+    const stats = await this.storage.getStats();
+    if (!verification) return stats;
+
+    return {
+      ...stats,
+      integrity: {
+        checked: verification.checked,
+        failedRecords: verification.failedRecords,
+        failures: verification.failures.slice(-20)
+      }
+    };
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // The last result with its age; null results until the first run finishes
+  getStatus() {
+    return {
+      intervalMinutes: this.intervalMs / 60000,
+      running: this.isRunning,
+      lastCheck: this.lastResult && {
+        ...this.lastResult,
+        ageSeconds: Math.round((Date.now() - new Date(this.lastResult.at).getTime()) / 1000)
+      }
+    };
+  }
+}
+
+module.exports = IntegrityMonitor;
@@ -0,0 +1,229 @@
+const AuthorKeyStore = require('./AuthorKeyStore');
+
+// Online key rotation for EncryptedPermanentStorage.
+//
+// Runs in two phases:
+//   1. users, poems, poem_revisions and poem_comments rows that are not a v2 envelope under
+//      their author's data key are re-encrypted. This upgrades legacy CryptoJS
+//      rows and rows written under a master key before per-author keys existed.
+//   2. author data keys that are not wrapped by the active master key are
+//      re-wrapped, which is all a master key rotation needs once every row is
+//      under an author key.
+//
+// Rows are walked in rowid order, one batch per transaction. The batch's
+// re-encrypted rows and the checkpoint (table + last rowid) are committed
+// together, so a crash never loses progress and a restart resumes from the
+// last committed batch. Between batches the job yields to the event loop so
+// the server keeps answering requests while it runs.
+const ROTATION_TABLES = ['users', 'poems', 'poem_revisions', 'poem_comments'];
+
+// Column holding the id of the author whose data key encrypts the row
+const OWNER_COLUMNS = {
+  users: 'id',
+  poems: 'author_id',
+  poem_revisions: 'author_id',
+  poem_comments: 'author_id'
+};
+
+const KEYS_PHASE = 'author_keys';
+
+class KeyRotationJob {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.batchSize = options.batchSize || parseInt(process.env.KEY_ROTATION_BATCH_SIZE) || 200;
+    this.pauseMs = options.pauseMs ?? (parseInt(process.env.KEY_ROTATION_PAUSE_MS) || 0);
+    this.isRunning = false;
+    this.promise = null;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  get keyring() {
+    return this.storage.keyring;
+  }
+
+  get authorKeys() {
+    return this.storage.authorKeys;
+  }
+
+  // Latest rotation record, used by getStats()
+  getLatest() {
+    return this.db.prepare('SELECT * FROM key_rotations ORDER BY id DESC LIMIT 1').get() || null;
+  }
+
+  getRunning() {
+    return this.db.prepare("SELECT * FROM key_rotations WHERE status = 'running' ORDER BY id DESC LIMIT 1").get() || null;
+  }
+
+  // SQL expression for the prefix a row's value has once it is up to date
+  targetPrefixSql(table) {
+    return this.keyring.prefixSql(AuthorKeyStore.keyIdSql(OWNER_COLUMNS[table]));
+  }
+
+  // Rows in a table that are not yet encrypted with their author's data key
+  countPending(table) {
+    const prefix = this.targetPrefixSql(table);
+    return this.db.prepare(`
+      SELECT COUNT(*) as count FROM ${table}
+      WHERE substr(encrypted_data, 1, length(${prefix})) != ${prefix}
+    `).get().count;
+  }
+
+  // Start (or resume) bringing every row and data key up to date with the
+  // active master key. Returns the running promise so callers can await it.
+  start() {
+    if (this.promise) return this.promise;
+
+    const targetKeyId = this.keyring.activeKeyId;
+    let rotation = this.getRunning();
+
+    if (rotation && rotation.target_key_id !== targetKeyId) {
+      // The active key changed while an older rotation was unfinished; the new
+      // rotation below picks up everything the old one had not reached.
+      this.db.prepare(`
+        UPDATE key_rotations SET status = 'superseded', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(rotation.id);
+      rotation = null;
+    }
+
+    if (!rotation) {
+      const rowsTotal = ROTATION_TABLES.reduce((sum, table) => sum + this.countPending(table), 0)
+        + this.authorKeys.countPendingRewrap();
+      if (rowsTotal === 0) return Promise.resolve(null);
+
+      const result = this.db.prepare(`
+        INSERT INTO key_rotations (target_key_id, status, current_table, last_rowid, rows_total)
+        VALUES (?, 'running', ?, 0, ?)
+      `).run(targetKeyId, ROTATION_TABLES[0], rowsTotal);
+      rotation = this.db.prepare('SELECT * FROM key_rotations WHERE id = ?').get(result.lastInsertRowid);
+      console.log(`🔑 Key rotation started: ${rowsTotal} rows/keys to update for master key "${targetKeyId}"`);
+    } else {
+      console.log(`🔑 Resuming key rotation to "${targetKeyId}" at ${rotation.current_table} rowid ${rotation.last_rowid}`);
+    }
+
+    this.isRunning = true;
+    this.promise = this.run(rotation)
+      .catch(error => {
+        console.error('❌ Key rotation failed:', error);
+        this.db.prepare(`
+          UPDATE key_rotations SET status = 'failed', error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(error.message, rotation.id);
+        return null;
+      })
+      .finally(() => {
+        this.isRunning = false;
+        this.promise = null;
+      });
+
+    return this.promise;
+  }
+
+  async run(rotation) {
+    const phases = [...ROTATION_TABLES, KEYS_PHASE];
+    let phaseIndex = Math.max(phases.indexOf(rotation.current_table), 0);
+    let lastRowid = rotation.last_rowid;
+
+    while (phaseIndex < ROTATION_TABLES.length) {
+      // The storage may have been closed while we were waiting between batches
+      if (!this.db) return null;
+
+      const table = phases[phaseIndex];
+      const rows = this.db.prepare(`
+        SELECT rowid, id, ${OWNER_COLUMNS[table]} as owner_id, encrypted_data
+        FROM ${table} WHERE rowid > ? ORDER BY rowid LIMIT ?
+      `).all(lastRowid, this.batchSize);
+
+      if (rows.length === 0) {
+        phaseIndex += 1;
+        lastRowid = 0;
+        this.db.prepare(`
+          UPDATE key_rotations SET current_table = ?, last_rowid = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).run(phases[phaseIndex], rotation.id);
+        continue;
+      }
+
+      this.rotateBatch(rotation.id, table, rows);
+      lastRowid = rows[rows.length - 1].rowid;
+
+      await new Promise(resolve => setTimeout(resolve, this.pauseMs));
+    }
+
+    if (!this.db) return null;
+
+    // Data keys live in the keystore; re-wrapping is idempotent, so a crash
+    // during this phase simply repeats it on resume.
+    const rewrapped = this.authorKeys.rewrapAll();
+
+    this.db.prepare(`
+      UPDATE key_rotations
+      SET status = 'completed', current_table = NULL, rows_rotated = rows_rotated + ?,
+          completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(rewrapped, rotation.id);
+    console.log(`🔑 Key rotation to "${rotation.target_key_id}" completed`);
+
+    return this.db.prepare('SELECT * FROM key_rotations WHERE id = ?').get(rotation.id);
+  }
+
+  rotateBatch(rotationId, table, rows) {
+    const update = this.db.prepare(`UPDATE ${table} SET encrypted_data = ? WHERE rowid = ? AND encrypted_data = ?`);
+    const checkpoint = this.db.prepare(`
+      UPDATE key_rotations
+      SET last_rowid = ?, rows_rotated = rows_rotated + ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `);
+
+    this.db.transaction(() => {
+      let rotated = 0;
+
+      rows.forEach(row => {
+        const targetKeyId = AuthorKeyStore.keyIdFor(row.owner_id);
+        if (row.encrypted_data.startsWith(this.keyring.prefixFor(targetKeyId))) return;
+
+        // Rows that fail to decrypt are left untouched and reported by getStats()
+        const data = this.storage.decryptOrSkip(row.encrypted_data, table, row.id);
+        if (!data) return;
+
+        try {
+          const encrypted = this.storage.encrypt(data, table, row.id, row.owner_id);
+          // Matching on the old ciphertext keeps a concurrent write from being overwritten
+          rotated += update.run(encrypted, row.rowid, row.encrypted_data).changes;
+        } catch (error) {
+          // e.g. KEY_DESTROYED for a row restored after its author was forgotten
+          this.storage.recordIntegrityFailure(table, row.id, error);
+        }
+      });
+
+      checkpoint.run(rows[rows.length - 1].rowid, rotated, rotationId);
+    })();
+  }
+
+  // Progress summary for getStats()
+  getProgress() {
+    const rotation = this.getLatest();
+    if (!rotation) return null;
+
+    return {
+      id: rotation.id,
+      targetKeyId: rotation.target_key_id,
+      status: rotation.status,
+      currentTable: rotation.current_table,
+      rowsRotated: rotation.rows_rotated,
+      rowsTotal: rotation.rows_total,
+      percentComplete: rotation.rows_total
+        ? Math.min(100, Math.round((rotation.rows_rotated / rotation.rows_total) * 100))
+        : 100,
+      error: rotation.error || undefined,
+      startedAt: rotation.started_at,
+      updatedAt: rotation.updated_at,
+      completedAt: rotation.completed_at
+    };
+  }
+}
+
+KeyRotationJob.ROTATION_TABLES = ROTATION_TABLES;
+KeyRotationJob.OWNER_COLUMNS = OWNER_COLUMNS;
+
+module.exports = KeyRotationJob;
@@ -0,0 +1,235 @@
+const path = require('path');
+const { buildEntry, headOf, verifyChain } = require('../utils/ledgerEntry');
+const FileBasedLedger = require('./FileBasedLedger');
+const SigningKeyring = require('./SigningKeyring');
+const { creditsOf } = require('../utils/authorship');
+
+// The authorship ledger: one hash chain of canonical entries (see
+// utils/ledgerEntry.js) written to one or more sinks.
+//
+// The first sink is the primary. The chain head is read from it on start, and
+// reads and stats go to it; integrity checks cover every sink. Every entry is written to every
+// sink, in chain order, exactly once: sinks ignore an entry id they already
+// hold, a sink whose write fails keeps a backlog that is retried before the
+// next entry, and on start a sink that fell behind is caught up from the
+// primary.
+//
+// Sinks implement initialize(), write(entry), getEntries(filter) (in chain
+// order, filter by poemId, authorId, eventType) and lastEntry(), and may
+// implement verifyIntegrity({ expectedHead }) to add checks of their own to
+// verifyChain() (see utils/ledgerEntry.js).
+//
+// Each entry's hash is signed with the active key of signingKeys (see
+// services/SigningKeyring.js), if the ledger has one.
+//
+// record() is the only way entries are written. Routes and jobs call it after
+// the change they record has been stored; entries are appended one at a time
+// so concurrent requests never fork the chain.
+class Ledger {
+  constructor(sinks, options = {}) {
+    if (!sinks.length) throw new Error('The ledger needs at least one sink');
+
+    this.sinks = sinks;
+    this.primary = sinks[0];
+    this.signingKeys = options.signingKeys || null;
+    this.eventBus = options.eventBus || null;
+    // Where files that go with the ledger (checkpoints) are kept
+    this.directory = options.directory || process.cwd();
+    this.backlogs = new Map(sinks.map(sink => [sink, []]));
+    this.listeners = [];
+    this.head = null;
+    this.queue = Promise.resolve();
+    this.isReady = false;
+  }
+
+  async initialize() {
+    this.signingKeys?.initialize();
+    for (const sink of this.sinks) {
+      await sink.initialize();
+    }
+
+    // { entryHash, sequence } of the last entry appended
+    this.head = headOf(await this.primary.getEntries());
+
+    for (const sink of this.sinks.slice(1)) {
+      await this.catchUp(sink);
+    }
+
+    this.isReady = true;
+    console.log(`🔒 Ledger initialized (${this.sinks.map(sink => sink.name).join(', ')})`);
+  }
+
+  // Copy the primary's entries after the sink's last one, or every entry the
+  // sink lacks if it has none of the primary's
+  async catchUp(sink) {
+    const entries = await this.primary.getEntries();
+    const last = await sink.lastEntry();
+    const lastIndex = last ? entries.findIndex(entry => entry.id === last.id) : -1;
+
+    let missing = entries.slice(lastIndex + 1);
+    if (lastIndex === -1 && last) {
+      const held = new Set((await sink.getEntries()).map(entry => entry.id));
+      missing = entries.filter(entry => !held.has(entry.id));
+    }
+
+    for (const entry of missing) {
+      await sink.write(entry);
+    }
+    if (missing.length > 0) {
+      console.log(`🔒 Caught up ${missing.length} ledger entr${missing.length === 1 ? 'y' : 'ies'} on ${sink.name}`);
+    }
+  }
+
+  // Append an event ({ eventType, poemId, authorId, actorId, contentHash,
+  // details }) and resolve to its entry. Rejects only if the event is invalid;
+  // sink failures are logged and retried.
+  record(event) {
+    const result = this.queue.then(() => this.append(event));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // record() for an event about a poem, as routes store it: poem.author may be
+  // an id or an author summary, and actor is the signed-in user. A poem's
+  // co-authors are credited in details.coAuthors ({ userId, role, share }).
+  recordPoemEvent(eventType, poem, actor, details = {}) {
+    const [, ...coAuthors] = creditsOf(poem);
+
+    return this.record({
+      eventType,
+      poemId: poem.id,
+      authorId: poem.author,
+      actorId: actor,
+      contentHash: poem.contentHash || poem.metadata?.contentHash,
+      details: coAuthors.length > 0 ? { ...details, coAuthors } : details
+    });
+  }
+
+  async append(event) {
+    const entry = buildEntry(event, this.head);
+    if (this.signingKeys) entry.signature = this.signingKeys.sign(entry.entryHash);
+    this.head = { entryHash: entry.entryHash, sequence: entry.sequence };
+
+    this.backlogs.forEach(backlog => backlog.push(entry));
+    await this.flush();
+
+    this.eventBus?.publish({
+      type: entry.eventType,
+      entryId: entry.id,
+      poemId: entry.poemId,
+      authorId: entry.authorId
+    });
+    this.listeners.forEach(listener => listener(entry));
+    return entry;
+  }
+
+  // Call listener(entry) after each entry is written. Listeners must not
+  // throw or wait: they run inside the append queue.
+  onAppend(listener) {
+    this.listeners.push(listener);
+  }
+
+  async flush() {
+    for (const [sink, backlog] of this.backlogs) {
+      while (backlog.length > 0) {
+        try {
+          await sink.write(backlog[0]);
+          backlog.shift();
+        } catch (error) {
+          console.error(`Ledger write to ${sink.name} failed (${backlog.length} pending):`, error.message);
+          break;
+        }
+      }
+    }
+  }
+
+  async getEntries(filter = {}) {
+    return this.primary.getEntries(filter);
+  }
+
+  // The head a sink should end at: the ledger's, or for a sink with writes
+  // pending, the entry before the first of them
+  expectedHeadOf(sink) {
+    const [pending] = this.backlogs.get(sink);
+    return pending
+      ? (pending.previousHash && { entryHash: pending.previousHash, sequence: pending.sequence - 1 })
+      : this.head;
+  }
+
+  // Check every sink's copy of the chain. Runs between appends, so a sink
+  // that ends short of the head it was last given has been truncated.
+  verifyIntegrity() {
+    const result = this.queue.then(async () => {
+      const sinks = {};
+      for (const sink of this.sinks) {
+        const expectedHead = this.expectedHeadOf(sink);
+        sinks[sink.name] = sink.verifyIntegrity
+          ? await sink.verifyIntegrity({ expectedHead })
+          : verifyChain(await sink.getEntries(), { expectedHead });
+      }
+
+      return {
+        valid: Object.values(sinks).every(report => report.valid),
+        sinks
+      };
+    });
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async getStats() {
+    const entries = await this.primary.getEntries();
+    const eventTypes = {};
+    entries.forEach(entry => {
+      eventTypes[entry.eventType] = (eventTypes[entry.eventType] || 0) + 1;
+    });
+
+    return {
+      totalEntries: entries.length,
+      eventTypes,
+      sinks: this.sinks.map(sink => ({
+        name: sink.name,
+        ready: sink.isReady,
+        pendingWrites: this.backlogs.get(sink).length
+      }))
+    };
+  }
+
+  getStatus() {
+    return {
+      ready: this.isReady,
+      head: this.head,
+      signingKey: this.signingKeys?.getStatus(),
+      sinks: this.sinks.map(sink => ({ name: sink.name, pendingWrites: this.backlogs.get(sink).length }))
+    };
+  }
+}
+
+// The ledger for a storage backend (see repositories/index.js): its database
+// as primary sink, plus ledger.jsonl next to it as a portable copy. The
+// in-memory backend keeps only the JSONL file, so its ledger survives restarts.
+// Entries are signed with the keyring kept in the same directory.
+const createLedger = (backend, options = {}) => {
+  const jsonl = new FileBasedLedger(options.ledgerPath || process.env.LEDGER_PATH ||
+    (options.storage ? path.join(path.dirname(options.storage.dbPath), 'ledger.jsonl') : undefined));
+  const sinks = [jsonl];
+
+  if (backend === 'sqlite') {
+    const SqliteLedgerSink = require('./SqliteLedgerSink');
+    sinks.unshift(new SqliteLedgerSink(options.storage));
+  } else if (backend === 'mongo') {
+    const MongoLedgerSink = require('./MongoLedgerSink');
+    sinks.unshift(new MongoLedgerSink());
+  }
+
+  const directory = path.dirname(jsonl.ledgerPath);
+  return new Ledger(sinks, {
+    signingKeys: options.signingKeys || new SigningKeyring({ directory }),
+    eventBus: options.eventBus,
+    directory
+  });
+};
+
+Ledger.createLedger = createLedger;
+
+module.exports = Ledger;
@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { canonicalJson, verifyChain } = require('../utils/ledgerEntry');
+const { leafHash, rootOf, auditPath } = require('../utils/merkle');
+
+// Signed Merkle checkpoints of the ledger (see utils/merkle.js).
+//
+// Every LEDGER_CHECKPOINT_INTERVAL_MINUTES (default 60) the entries appended
+// since the last checkpoint are batched into a Merkle tree, and its root is
+// signed and appended to ledger-checkpoints.jsonl, which is published at
+// /api/ledger/checkpoints. Each checkpoint also names the root before it, so
+// the checkpoints form a chain of their own.
+//
+// An inclusion proof for an entry is its leaf index and audit path in its
+// batch's tree. With the proof, the entry and a published root, anyone can
+// check that the entry was committed, without seeing any other entry.
+//
+// Roots are signed with the ledger's signing keys (see
+// services/SigningKeyring.js). Checkpoints made before the keyring were signed
+// with the key in LEDGER_CHECKPOINT_KEY_PATH (default ledger_checkpoint_key.pem
+// next to the ledger) and name its public key instead of a key id; that key is
+// published as retired so they still verify.
+class LedgerCheckpoints {
+  constructor(ledger, options = {}) {
+    this.ledger = ledger;
+    this.logPath = options.logPath || process.env.LEDGER_CHECKPOINT_PATH ||
+      path.join(ledger.directory, 'ledger-checkpoints.jsonl');
+    this.keyPath = options.keyPath || process.env.LEDGER_CHECKPOINT_KEY_PATH ||
+      path.join(path.dirname(this.logPath), 'ledger_checkpoint_key.pem');
+    this.intervalMs = options.intervalMs || (parseFloat(process.env.LEDGER_CHECKPOINT_INTERVAL_MINUTES) || 60) * 60 * 1000;
+    this.timer = null;
+    this.startedAt = null;
+    this.isRunning = false;
+    this.lastResult = null;
+  }
+
+  initialize() {
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    if (!fs.existsSync(this.logPath)) fs.writeFileSync(this.logPath, '');
+
+    if (fs.existsSync(this.keyPath)) {
+      this.ledger.signingKeys.importRetiredKey(fs.readFileSync(this.keyPath));
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.runOnce();
+    this.startedAt = Date.now();
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Never keep the process alive just for checkpoints
+    this.timer.unref();
+
+    console.log(`🌳 Ledger checkpoints every ${this.intervalMs / 60000} minutes into ${this.logPath}`);
+  }
+
+  async runOnce() {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    try {
+      const checkpoint = await this.createCheckpoint();
+      this.lastResult = {
+        ok: true,
+        checkpoint: checkpoint ? checkpoint.number : null,
+        at: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('❌ Ledger checkpoint failed:', error.message);
+      this.lastResult = { ok: false, error: error.message, at: new Date().toISOString() };
+    } finally {
+      this.isRunning = false;
+    }
+
+    return this.lastResult;
+  }
+
+  list() {
+    return fs.readFileSync(this.logPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  latest() {
+    return this.list().slice(-1)[0] || null;
+  }
+
+  find(number) {
+    return this.list().find(checkpoint => checkpoint.number === number) || null;
+  }
+
+  // The ledger's entries, each with its sequence (entries from before
+  // sequence numbers count by position)
+  async sequencedEntries() {
+    return (await this.ledger.getEntries()).map((entry, index) => ({ ...entry, sequence: entry.sequence || index + 1 }));
+  }
+
+  // Checkpoint the entries appended since the last checkpoint. Returns null if
+  // there are none, and refuses to sign over a chain that does not verify.
+  async createCheckpoint(now = new Date()) {
+    const entries = await this.sequencedEntries();
+    const previous = this.latest();
+    const fromSequence = previous ? previous.toSequence + 1 : 1;
+    if (entries.length < fromSequence) return null;
+
+    const chain = verifyChain(await this.ledger.getEntries());
+    if (!chain.valid) {
+      const error = new Error(`Ledger chain is broken at sequence ${chain.lastGoodSequence + 1} (${chain.brokenAt.kind}); not checkpointing`);
+      error.code = 'LEDGER_BROKEN';
+      throw error;
+    }
+
+    const batch = entries.slice(fromSequence - 1);
+    const body = {
+      number: previous ? previous.number + 1 : 1,
+      fromSequence,
+      toSequence: fromSequence + batch.length - 1,
+      treeSize: batch.length,
+      rootHash: rootOf(batch.map(entry => leafHash(entry.entryHash))),
+      previousRootHash: previous ? previous.rootHash : null,
+      createdAt: now.toISOString()
+    };
+
+    const checkpoint = { ...body, signature: this.ledger.signingKeys.sign(canonicalJson(body)) };
+
+    fs.appendFileSync(this.logPath, JSON.stringify(checkpoint) + '\n');
+    console.log(`🌳 Ledger checkpoint ${checkpoint.number}: entries ${body.fromSequence}-${body.toSequence}, root ${body.rootHash}`);
+    return checkpoint;
+  }
+
+  // Inclusion proof for a ledger entry, or null if no checkpoint covers it yet
+  async proveInclusion(entryId) {
+    const entries = await this.sequencedEntries();
+    const entry = entries.find(candidate => candidate.id === entryId);
+    if (!entry) return null;
+
+    const checkpoint = this.list().find(candidate => (
+      candidate.fromSequence <= entry.sequence && entry.sequence <= candidate.toSequence
+    ));
+    if (!checkpoint) return null;
+
+    const leaves = entries
+      .slice(checkpoint.fromSequence - 1, checkpoint.toSequence)
+      .map(batchEntry => leafHash(batchEntry.entryHash));
+    const leafIndex = entry.sequence - checkpoint.fromSequence;
+
+    return {
+      checkpoint,
+      leafIndex,
+      treeSize: checkpoint.treeSize,
+      leafHash: leaves[leafIndex],
+      auditPath: auditPath(leaves, leafIndex)
+    };
+  }
+
+  // When the next scheduled checkpoint runs, or null if none is scheduled
+  nextCheckpointAt(now = Date.now()) {
+    if (!this.timer) return null;
+
+    const runs = Math.floor((now - this.startedAt) / this.intervalMs) + 1;
+    return new Date(this.startedAt + runs * this.intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    const latest = this.latest();
+    const next = this.nextCheckpointAt();
+    return {
+      intervalMinutes: this.intervalMs / 60000,
+      nextCheckpointAt: next && next.toISOString(),
+      latest: latest && { number: latest.number, toSequence: latest.toSequence, rootHash: latest.rootHash, createdAt: latest.createdAt },
+      lastRun: this.lastResult
+    };
+  }
+}
+
+module.exports = LedgerCheckpoints;
@@ -1,183 +1,115 @@
 const crypto = require('crypto');
-const LedgerEntry = require('../models/LedgerEntry');
+const { canonicalJson, idOf } = require('../utils/ledgerEntry');
+const { verifyCertificate } = require('../utils/certificateVerifier');
+const { CONTENT_HASH_VERSION, contentHashOf } = require('../utils/poemHash');
+const { creditsOf } = require('../utils/authorship');
 
+// Reads, verifies and certifies authorship from the ledger (services/Ledger.js)
+// on any storage backend. Entries are written by the ledger, never here.
+//
+// Certificates are signed with the ledger's signing keys (see
+// services/SigningKeyring.js): certificateHash is the sha256 of the canonical
+// JSON of every other field, and signature is over certificateHash. Each
+// certificate also carries the ledger entry for the poem's current content,
+// its inclusion proof and the signed checkpoint it leads to, so anyone holding
+// the key set from /.well-known/jwks.json can check it offline (see
+// utils/certificateVerifier.js). With a timestamp authority configured (see
+// services/LedgerTimestamps.js) it carries the entry's RFC 3161 token too.
+// Co-authored poems are certified with every author's credit (see
+// utils/authorship.js).
+//
+// Whether the chain is intact comes from the last IntegrityMonitor run
+// (integrity): verifying rereads every entry in every sink and waits its turn
+// behind appends, so no request runs it.
 class LedgerService {
-  constructor() {
+  constructor(ledger, checkpoints, timestamps = null, integrity = null) {
+    this.ledger = ledger;
+    this.checkpoints = checkpoints;
+    this.timestamps = timestamps;
+    this.integrity = integrity;
+    this.signingKeys = ledger.signingKeys;
     this.isReady = true;
   }
 
-  // Generate a cryptographic hash for content
-  generateContentHash(content) {
-    return crypto.createHash('sha256').update(content).digest('hex');
+  // Hash of a certificate's fields, less the hash and signature themselves
+  hashCertificate(certificate) {
+    const { certificateHash, signature, ...fields } = certificate;
+    return crypto.createHash('sha256').update(canonicalJson(fields)).digest('hex');
   }
 
-  // Generate a block hash using previous hash + content + timestamp
-  generateBlockHash(contentHash, previousHash, timestamp, authorId) {
-    const data = `${previousHash || '0'}${contentHash}${timestamp}${authorId}`;
-    return crypto.createHash('sha256').update(data).digest('hex');
+  // When the chain was last checked, as { at, ageSeconds }, or null before
+  // the first check has finished
+  lastIntegrityCheck() {
+    const lastCheck = this.integrity?.getStatus().lastCheck;
+    return lastCheck?.ledger ? { at: lastCheck.at, ageSeconds: lastCheck.ageSeconds } : null;
   }
 
-  // Generate a digital signature (simplified version)
-  generateSignature(data, privateKey = 'poets-codex-secret') {
-    return crypto.createHmac('sha256', privateKey).update(data).digest('hex');
-  }
+  // null if every copy of the ledger verified at the last check (or none has
+  // run yet), otherwise where each broken copy first breaks:
+  // { [sink]: { kind, sequence, lastGoodSequence, message } }
+  findChainBreak() {
+    const integrity = this.integrity?.getStatus().lastCheck?.ledger;
+    if (!integrity || integrity.valid) return null;
 
-  // Create a new ledger entry for poem creation
-  async createPoemEntry(poemData) {
-    try {
-      const { _id: poemId, title, body, author, license } = poemData;
-      const timestamp = new Date();
-      
-      // Generate content hash
-      const contentHash = this.generateContentHash(`${title}${body}${author}${timestamp.toISOString()}`);
-      
-      // Get the previous entry to chain the blocks
-      const previousEntry = await LedgerEntry.findOne()
-        .sort({ createdAt: -1 })
-        .select('blockHash');
-      
-      const previousHash = previousEntry ? previousEntry.blockHash : null;
-      
-      // Generate block hash
-      const blockHash = this.generateBlockHash(contentHash, previousHash, timestamp.toISOString(), author);
-      
-      // Generate signature
-      const signatureData = `${contentHash}${blockHash}${timestamp.toISOString()}`;
-      const signature = this.generateSignature(signatureData);
-      
-      // Create ledger entry
-      const ledgerEntry = new LedgerEntry({
-        eventType: 'POEM_CREATED',
-        poemId,
-        authorId: author,
-        contentHash,
-        previousHash,
-        blockHash,
-        metadata: {
-          title,
-          originalTimestamp: timestamp,
-          license,
-          wordCount: `${title} ${body}`.split(' ').length
-        },
-        signature,
-        witnessNodes: [
-          {
-            nodeId: 'primary-node',
-            signature: this.generateSignature(`witness-${blockHash}`),
-            timestamp
-          }
-        ]
+    const sinks = {};
+    Object.entries(integrity.sinks)
+      .filter(([, report]) => !report.valid)
+      .forEach(([name, report]) => {
+        const brokenAt = report.brokenAt || report.legacyBrokenAt || {};
+        sinks[name] = {
+          kind: brokenAt.kind || 'unavailable',
+          sequence: brokenAt.sequence ?? null,
+          lastGoodSequence: report.lastGoodSequence,
+          message: brokenAt.message || report.error
+        };
       });
-
-      await ledgerEntry.save();
-      console.log(`🔒 Created ledger entry for poem: ${poemId}`);
-      
-      return ledgerEntry;
-    } catch (error) {
-      console.error('Error creating poem ledger entry:', error);
-      throw error;
-    }
+    return sinks;
   }
 
-  // Create ledger entry for poem updates
-  async updatePoemEntry(poemData, previousVersion) {
+  // Verify the authorship of a poem (as the repositories return it): its
+  // ledger chain is intact and its last recorded content hash is the hash of
+  // its text as it is now, recomputed rather than read from poem.contentHash.
+  // Failures carry a code: NO_LEDGER_ENTRY, LEDGER_BROKEN or CONTENT_MISMATCH.
+  async verifyAuthorship(poem) {
     try {
-      const { _id: poemId, title, body, author, license } = poemData;
-      const timestamp = new Date();
-      
-      // Generate new content hash
-      const contentHash = this.generateContentHash(`${title}${body}${author}${timestamp.toISOString()}`);
-      
-      // Get the latest entry for this poem
-      const previousEntry = await LedgerEntry.findOne({ poemId })
-        .sort({ createdAt: -1 })
-        .select('blockHash contentHash');
-      
-      if (!previousEntry) {
-        throw new Error('No previous ledger entry found for poem update');
-      }
-      
-      // Generate block hash
-      const blockHash = this.generateBlockHash(contentHash, previousEntry.blockHash, timestamp.toISOString(), author);
-      
-      // Generate signature
-      const signatureData = `${contentHash}${blockHash}${timestamp.toISOString()}`;
-      const signature = this.generateSignature(signatureData);
-      
-      // Create update ledger entry
-      const ledgerEntry = new LedgerEntry({
-        eventType: 'POEM_UPDATED',
-        poemId,
-        authorId: author,
-        contentHash,
-        previousHash: previousEntry.blockHash,
-        blockHash,
-        metadata: {
-          title,
-          originalTimestamp: timestamp,
-          license,
-          wordCount: `${title} ${body}`.split(' ').length,
-          previousVersion: previousEntry.contentHash
-        },
-        signature,
-        witnessNodes: [
-          {
-            nodeId: 'primary-node',
-            signature: this.generateSignature(`witness-${blockHash}`),
-            timestamp
-          }
-        ]
-      });
-
-      await ledgerEntry.save();
-      console.log(`🔒 Created update ledger entry for poem: ${poemId}`);
-      
-      return ledgerEntry;
-    } catch (error) {
-      console.error('Error creating poem update ledger entry:', error);
-      throw error;
-    }
-  }
+      const entries = await this.ledger.getEntries({ poemId: poem.id });
 
-  // Verify the authorship of a poem
-  async verifyAuthorship(poemId, currentContent) {
-    try {
-      const currentHash = this.generateContentHash(currentContent);
-      
-      // Get all ledger entries for this poem
-      const entries = await LedgerEntry.getAuthorshipChain(poemId);
-      
       if (entries.length === 0) {
         return {
           isValid: false,
+          code: 'NO_LEDGER_ENTRY',
           reason: 'No ledger entries found'
         };
       }
 
-      // Verify chain integrity
-      const chainValid = await LedgerEntry.verifyChainIntegrity(poemId);
-      if (!chainValid) {
+      const chainBreak = this.findChainBreak();
+      if (chainBreak) {
         return {
           isValid: false,
-          reason: 'Ledger chain integrity compromised'
+          code: 'LEDGER_BROKEN',
+          reason: 'Ledger chain integrity compromised',
+          chainBreak
         };
       }
 
-      // Get the latest entry
-      const latestEntry = entries[entries.length - 1];
-      
-      // Verify current content matches latest hash
-      const contentMatches = latestEntry.contentHash === currentHash;
-      
+      // The last entry that recorded the poem's content
+      const contentEntry = [...entries].reverse().find(entry => entry.contentHash) || null;
+      const contentHash = contentHashOf(poem.title, poem.body, idOf(poem.author));
+      const contentMatches = !!contentEntry && contentEntry.contentHash === contentHash;
+
       return {
-        isValid: contentMatches && chainValid,
+        isValid: contentMatches,
+        code: contentMatches ? null : 'CONTENT_MISMATCH',
+        reason: contentMatches ? null : 'The poem does not match its last recorded content',
         originalAuthor: entries[0].authorId,
-        creationDate: entries[0].createdAt,
-        lastModified: latestEntry.createdAt,
+        creationDate: entries[0].timestamp,
+        lastModified: entries[entries.length - 1].timestamp,
         totalModifications: entries.length - 1,
+        contentHash,
+        contentEntry,
         entries: entries.map(entry => ({
           eventType: entry.eventType,
-          timestamp: entry.createdAt,
+          timestamp: entry.timestamp,
           author: entry.authorId,
           contentHash: entry.contentHash
         }))
@@ -188,59 +120,112 @@ class LedgerService {
     }
   }
 
+  // A ledger entry as authorship history lists it, with its trusted timestamp
+  historyEntryOf(entry) {
+    return {
+      entryId: entry.id,
+      sequence: entry.sequence,
+      eventType: entry.eventType,
+      poemId: entry.poemId,
+      timestamp: entry.timestamp,
+      authorId: entry.authorId,
+      actorId: entry.actorId,
+      contentHash: entry.contentHash,
+      details: entry.details,
+      entryHash: entry.entryHash,
+      trustedTimestamp: this.timestamps?.find(entry.id)?.genTime || null
+    };
+  }
+
   // Get authorship history for a poem
   async getAuthorshipHistory(poemId) {
     try {
-      const entries = await LedgerEntry.getAuthorshipChain(poemId);
-      
-      return entries.map(entry => ({
-        eventType: entry.eventType,
-        timestamp: entry.createdAt,
-        author: {
-          id: entry.authorId._id,
-          username: entry.authorId.username,
-          displayName: entry.authorId.displayName
-        },
-        metadata: entry.metadata,
-        blockHash: entry.blockHash,
-        isVerified: entry.isVerified
-      }));
+      const entries = await this.ledger.getEntries({ poemId });
+      return entries.map(entry => this.historyEntryOf(entry));
     } catch (error) {
       console.error('Error getting authorship history:', error);
       throw error;
     }
   }
 
-  // Generate proof of authorship certificate
-  async generateAuthorshipCertificate(poemId) {
+  // Get a user's authorship history: events about the poems they wrote or
+  // co-wrote at the time, plus the transfers of poems they gave away and
+  // their leaving a poem as co-author
+  async getAuthorHistory(userId) {
     try {
-      const verification = await this.verifyAuthorship(poemId);
-      
+      const id = String(userId);
+      const entries = await this.ledger.getEntries();
+      return entries
+        .filter(entry => entry.poemId && (
+          entry.authorId === id ||
+          (entry.details.coAuthors || []).some(coAuthor => coAuthor.userId === id) ||
+          (entry.eventType === 'POEM_TRANSFERRED' && entry.details.fromAuthorId === id) ||
+          (entry.eventType === 'POEM_COAUTHOR_REMOVED' && entry.details.coAuthorId === id)
+        ))
+        .map(entry => this.historyEntryOf(entry));
+    } catch (error) {
+      console.error('Error getting author history:', error);
+      throw error;
+    }
+  }
+
+  // Generate proof of authorship certificate. Fails with code NOT_YET_CHECKPOINTED
+  // until the entry for the poem's current content is in a checkpoint.
+  async generateAuthorshipCertificate(poem) {
+    try {
+      const verification = await this.verifyAuthorship(poem);
+
       if (!verification.isValid) {
-        throw new Error('Cannot generate certificate for invalid authorship');
+        const error = new Error(`Cannot generate certificate: ${verification.reason}`);
+        error.code = verification.code;
+        error.chainBreak = verification.chainBreak;
+        throw error;
+      }
+
+      const proof = await this.checkpoints.proveInclusion(verification.contentEntry.id);
+      if (!proof) {
+        const error = new Error('The poem\'s latest ledger entry will be included in the next checkpoint');
+        error.code = 'NOT_YET_CHECKPOINTED';
+        throw error;
       }
 
+      // Timestamps are requested after the entry is written; try once more if
+      // it has none yet
+      let timestamp = null;
+      if (this.timestamps?.enabled) {
+        timestamp = await this.timestamps.stamp(verification.contentEntry);
+      }
+
+      // Only JSON values, so the certificate hashes the same once it has been sent
       const certificate = {
-        poemId,
         certificateId: crypto.randomUUID(),
         issuedAt: new Date().toISOString(),
+        poemId: String(poem.id),
+        title: poem.title,
+        authorId: idOf(poem.author),
+        // Everyone the poem credits, the author first
+        authors: creditsOf(poem),
+        contentHash: verification.contentHash,
+        contentHashVersion: CONTENT_HASH_VERSION,
         originalAuthor: verification.originalAuthor,
         creationDate: verification.creationDate,
-        lastVerified: new Date().toISOString(),
         chainLength: verification.entries.length,
-        certificateHash: '',
-        digitalSignature: ''
+        entry: verification.contentEntry,
+        inclusionProof: {
+          leafIndex: proof.leafIndex,
+          treeSize: proof.treeSize,
+          auditPath: proof.auditPath
+        },
+        checkpoint: proof.checkpoint,
+        trustedTimestamp: timestamp && {
+          authority: timestamp.authority,
+          genTime: timestamp.genTime,
+          token: timestamp.token
+        }
       };
 
-      // Generate certificate hash and signature
-      const certificateData = JSON.stringify({
-        ...certificate,
-        certificateHash: undefined,
-        digitalSignature: undefined
-      });
-      
-      certificate.certificateHash = this.generateContentHash(certificateData);
-      certificate.digitalSignature = this.generateSignature(certificateData);
+      certificate.certificateHash = this.hashCertificate(certificate);
+      certificate.signature = this.signingKeys.sign(certificate.certificateHash);
 
       return certificate;
     } catch (error) {
@@ -249,34 +234,45 @@ class LedgerService {
     }
   }
 
-  // Validate a certificate
-  async validateCertificate(certificate) {
+  // Validate a certificate: the offline checks (text optional), plus that its
+  // entry is still in the ledger and the ledger is intact (code LEDGER_BROKEN
+  // and chainBreak if it is not)
+  async validateCertificate(certificate, text) {
     try {
-      const certificateData = JSON.stringify({
-        ...certificate,
-        certificateHash: undefined,
-        digitalSignature: undefined
+      const { checks } = verifyCertificate({
+        certificate,
+        text,
+        keySet: this.signingKeys.getPublicKeySet(),
+        tsaCertificates: this.timestamps?.trustedCertificates
+      });
+
+      if (certificate.entry) {
+        const [stored] = (await this.ledger.getEntries({ poemId: certificate.poemId }))
+          .filter(entry => entry.id === certificate.entry.id);
+        checks.push({
+          check: 'Ledger entry is still in the ledger',
+          ok: !!stored && stored.entryHash === certificate.entry.entryHash,
+          detail: stored ? null : 'no entry with this id'
+        });
+      }
+
+      // Not failed, only unknown, until the first integrity check finishes
+      const chainBreak = this.findChainBreak();
+      const integrityCheck = this.lastIntegrityCheck();
+      checks.push({
+        check: 'Ledger chain is intact',
+        ok: integrityCheck ? !chainBreak : null,
+        detail: !integrityCheck
+          ? 'the ledger has not been checked yet'
+          : `as of the integrity check ${integrityCheck.ageSeconds}s ago${chainBreak ? ': the ledger fails it' : ''}`
       });
-      
-      const expectedHash = this.generateContentHash(certificateData);
-      const expectedSignature = this.generateSignature(certificateData);
-      
-      const hashValid = certificate.certificateHash === expectedHash;
-      const signatureValid = certificate.digitalSignature === expectedSignature;
-      
-      // Also verify the poem still exists and matches
-      const currentVerification = await this.verifyAuthorship(certificate.poemId);
-      
+
       return {
-        isValid: hashValid && signatureValid && currentVerification.isValid,
-        certificateIntegrity: hashValid && signatureValid,
-        poemIntegrity: currentVerification.isValid,
-        details: {
-          hashMatch: hashValid,
-          signatureMatch: signatureValid,
-          poemExists: !!currentVerification,
-          chainIntact: currentVerification.isValid
-        }
+        isValid: checks.every(check => check.ok !== false),
+        code: chainBreak ? 'LEDGER_BROKEN' : null,
+        chainBreak,
+        integrityCheck,
+        checks
       };
     } catch (error) {
       console.error('Error validating certificate:', error);
@@ -287,27 +283,17 @@ class LedgerService {
   // Get ledger statistics
   async getLedgerStats() {
     try {
-      const stats = await LedgerEntry.aggregate([
-        {
-          $group: {
-            _id: '$eventType',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-
-      const totalEntries = await LedgerEntry.countDocuments();
-      const uniquePoems = await LedgerEntry.distinct('poemId').then(poems => poems.length);
-      const uniqueAuthors = await LedgerEntry.distinct('authorId').then(authors => authors.length);
+      const entries = await this.ledger.getEntries();
+      const eventTypes = {};
+      entries.forEach(entry => {
+        eventTypes[entry.eventType] = (eventTypes[entry.eventType] || 0) + 1;
+      });
 
       return {
-        totalEntries,
-        uniquePoems,
-        uniqueAuthors,
-        eventTypes: stats.reduce((acc, stat) => {
-          acc[stat._id] = stat.count;
-          return acc;
-        }, {})
+        totalEntries: entries.length,
+        uniquePoems: new Set(entries.map(entry => entry.poemId).filter(Boolean)).size,
+        uniqueAuthors: new Set(entries.map(entry => entry.authorId).filter(Boolean)).size,
+        eventTypes
       };
     } catch (error) {
       console.error('Error getting ledger stats:', error);
@@ -316,4 +302,4 @@ class LedgerService {
   }
 }
 
-module.exports = LedgerService;
\ No newline at end of file
+module.exports = LedgerService;
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const LocalTimestampAuthority = require('./LocalTimestampAuthority');
+const { buildRequest, createNonce, parseResponse, splitPemBundle, verifyToken } = require('../utils/timestamp');
+
+// RFC 3161 timestamps of ledger entries (see utils/timestamp.js).
+//
+// The content hash of every new entry that has one is sent to the timestamp
+// authority at TSA_URL ("local" for the built-in stand-in, see
+// services/LocalTimestampAuthority.js), and the signed token is appended to
+// ledger-timestamps.jsonl next to the ledger, keyed by entry id:
+//
+//   { entryId, contentHash, authority, genTime, serialNumber, token }   token is base64
+//
+// Entries are timestamped after they are written, so an authority that is
+// slow or down never holds up the ledger; entries still without a token are
+// retried every TSA_RETRY_INTERVAL_MINUTES. Tokens are verified before they
+// are kept, against the CA certificates in TSA_CA_CERTS if it is set (the
+// stand-in's own certificate is always trusted).
+class LedgerTimestamps {
+  constructor(ledger, options = {}) {
+    this.ledger = ledger;
+    this.url = options.url || process.env.TSA_URL || null;
+    this.logPath = options.logPath || process.env.LEDGER_TIMESTAMP_PATH ||
+      path.join(ledger.directory, 'ledger-timestamps.jsonl');
+    this.caPath = options.caPath || process.env.TSA_CA_CERTS || null;
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.TSA_TIMEOUT_MS) || 10000;
+    this.intervalMs = options.intervalMs || (parseFloat(process.env.TSA_RETRY_INTERVAL_MINUTES) || 5) * 60 * 1000;
+    this.local = null;
+    this.trustedCertificates = [];
+    this.records = new Map();
+    this.inFlight = new Set();
+    this.timer = null;
+    this.isRunning = false;
+    this.lastResult = null;
+  }
+
+  get enabled() {
+    return !!this.url;
+  }
+
+  initialize() {
+    if (!this.enabled) {
+      console.warn('⚠️ TSA_URL not set. Ledger entries will not be timestamped.');
+      return;
+    }
+
+    if (this.caPath) {
+      this.trustedCertificates = splitPemBundle(fs.readFileSync(this.caPath, 'utf8'));
+    }
+    if (this.url === 'local') {
+      this.local = new LocalTimestampAuthority({ directory: path.dirname(this.logPath) });
+      this.local.initialize();
+      this.trustedCertificates.push(this.local.certificate.toString());
+    }
+
+    fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+    if (!fs.existsSync(this.logPath)) fs.writeFileSync(this.logPath, '');
+    this.records = new Map(this.list().map(record => [record.entryId, record]));
+
+    // Timestamp each new entry as soon as it is written
+    this.ledger.onAppend(entry => {
+      if (entry.contentHash) this.stamp(entry).catch(() => {});
+    });
+  }
+
+  start() {
+    if (!this.enabled || this.timer) return;
+
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    this.timer.unref();
+
+    console.log(`🕰️ Ledger entries timestamped by ${this.url === 'local' ? 'the local stand-in authority' : this.url}`);
+  }
+
+  // Timestamp every entry that should have a token and does not
+  async runOnce() {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    try {
+      const pending = (await this.ledger.getEntries())
+        .filter(entry => entry.contentHash && !this.records.has(entry.id));
+      let stamped = 0;
+      for (const entry of pending) {
+        if (await this.stamp(entry)) stamped++;
+      }
+      this.lastResult = { ok: stamped === pending.length, stamped, pending: pending.length - stamped, at: new Date().toISOString() };
+    } catch (error) {
+      console.error('❌ Ledger timestamping failed:', error.message);
+      this.lastResult = { ok: false, error: error.message, at: new Date().toISOString() };
+    } finally {
+      this.isRunning = false;
+    }
+
+    return this.lastResult;
+  }
+
+  // Request, verify and keep a token for an entry. Resolves to the record, or
+  // null if the authority could not be reached or its token did not verify.
+  async stamp(entry) {
+    if (this.records.has(entry.id)) return this.records.get(entry.id);
+    if (this.inFlight.has(entry.id)) return null;
+    this.inFlight.add(entry.id);
+
+    try {
+      const nonce = createNonce();
+      const token = parseResponse(await this.send(buildRequest(entry.contentHash, { nonce })));
+      const result = verifyToken(token, { hash: entry.contentHash, nonce, trustedCertificates: this.trustedCertificates });
+      if (!result.valid) {
+        throw new Error(`Timestamp token rejected: ${result.reason}`);
+      }
+
+      const record = {
+        entryId: entry.id,
+        contentHash: entry.contentHash,
+        authority: this.url,
+        genTime: result.genTime,
+        serialNumber: result.serialNumber,
+        token: token.toString('base64')
+      };
+      fs.appendFileSync(this.logPath, JSON.stringify(record) + '\n');
+      this.records.set(entry.id, record);
+      return record;
+    } catch (error) {
+      console.error(`Timestamping ledger entry ${entry.sequence} failed:`, error.message);
+      return null;
+    } finally {
+      this.inFlight.delete(entry.id);
+    }
+  }
+
+  // POST a DER TimeStampReq and return the DER TimeStampResp
+  async send(request) {
+    if (this.local) return this.local.respond(request);
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/timestamp-query' },
+      body: request,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Timestamp authority answered HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  list() {
+    return fs.readFileSync(this.logPath, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  // The timestamp record of an entry, or null
+  find(entryId) {
+    return this.records.get(entryId) || null;
+  }
+
+  // Check a token against a content hash with this server's trusted certificates
+  verify(token, contentHash) {
+    return verifyToken(token, { hash: contentHash, trustedCertificates: this.trustedCertificates });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      authority: this.url,
+      timestampedEntries: this.records.size,
+      lastRun: this.lastResult
+    };
+  }
+}
+
+module.exports = LedgerTimestamps;
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const der = require('../utils/der');
+const { OID, parseRequest } = require('../utils/timestamp');
+
+// A stand-in RFC 3161 timestamp authority for development and tests (TSA_URL
+// "local", or server/scripts/local-tsa.js over HTTP). It answers timestamp
+// requests exactly as a real TSA does, signing with an ECDSA P-256 key and a
+// self-signed timestamping certificate kept in local_tsa_key.pem and
+// local_tsa_cert.pem, created on first start.
+//
+// Its tokens prove nothing to anyone else: the clock and the key are ours.
+// Production deployments point TSA_URL at a real authority.
+
+// The example policy of OpenSSL's TSA configuration; this authority has no real one
+const POLICY = '1.2.3.4.1';
+const VALIDITY_YEARS = 10;
+
+class LocalTimestampAuthority {
+  constructor(options = {}) {
+    const directory = options.directory || process.cwd();
+    this.keyPath = options.keyPath || path.join(directory, 'local_tsa_key.pem');
+    this.certificatePath = options.certificatePath || path.join(directory, 'local_tsa_cert.pem');
+    this.privateKey = null;
+    this.certificate = null;
+  }
+
+  initialize() {
+    if (fs.existsSync(this.keyPath) && fs.existsSync(this.certificatePath)) {
+      this.privateKey = crypto.createPrivateKey(fs.readFileSync(this.keyPath));
+      this.certificate = new crypto.X509Certificate(fs.readFileSync(this.certificatePath));
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.keyPath), { recursive: true });
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    this.privateKey = privateKey;
+    this.certificate = new crypto.X509Certificate(this.createCertificate());
+
+    fs.writeFileSync(this.keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    fs.writeFileSync(this.certificatePath, this.certificate.toString());
+    console.log(`🕰️ Created local timestamp authority certificate: ${this.certificatePath}`);
+  }
+
+  // Self-signed X.509 certificate, for timestamping only
+  createCertificate(now = new Date()) {
+    const name = der.sequence(der.set(der.sequence(der.oid('2.5.4.3'), der.utf8String('Public Codex local timestamp authority'))));
+    const notAfter = new Date(now);
+    notAfter.setUTCFullYear(notAfter.getUTCFullYear() + VALIDITY_YEARS);
+
+    const tbs = der.sequence(
+      der.explicit(0, der.integer(2)),
+      der.integer(BigInt(`0x${crypto.randomBytes(8).toString('hex')}`)),
+      der.sequence(der.oid(OID.ecdsaWithSHA256)),
+      name,
+      der.sequence(der.utcTime(now), der.utcTime(notAfter)),
+      name,
+      crypto.createPublicKey(this.privateKey).export({ type: 'spki', format: 'der' }),
+      der.explicit(3, der.sequence(
+        // Extended key usage, critical: timeStamping only (RFC 3161 section 2.3)
+        der.sequence(der.oid('2.5.29.37'), der.boolean(true), der.octetString(der.sequence(der.oid(OID.timeStamping))))
+      ))
+    );
+
+    return der.sequence(
+      tbs,
+      der.sequence(der.oid(OID.ecdsaWithSHA256)),
+      der.bitString(crypto.sign('sha256', tbs, this.privateKey))
+    );
+  }
+
+  // Answer a DER TimeStampReq with a DER TimeStampResp
+  respond(requestBytes, now = new Date()) {
+    let request;
+    try {
+      request = parseRequest(requestBytes);
+    } catch (error) {
+      // rejection, badDataFormat (bit 5)
+      return der.sequence(der.sequence(der.integer(2), der.bitString(Buffer.from([0x04]))));
+    }
+
+    const tstInfo = der.sequence(
+      der.integer(1),
+      der.oid(POLICY),
+      request.messageImprint,
+      der.integer(BigInt(`0x${crypto.randomBytes(16).toString('hex')}`)),
+      der.generalizedTime(now),
+      ...(request.nonce !== null ? [der.integer(request.nonce)] : [])
+    );
+
+    const certificate = this.certificate.raw;
+    const tbsFields = der.decode(certificate).children[0].children;
+    const [, serialNumber, , issuer] = tbsFields;
+
+    const attribute = (type, value) => der.sequence(der.oid(type), der.set(value));
+    const signedAttributes = der.set(
+      attribute(OID.contentType, der.oid(OID.tstInfo)),
+      attribute(OID.messageDigest, der.octetString(crypto.createHash('sha256').update(tstInfo).digest())),
+      attribute(OID.signingCertificateV2, der.sequence(der.sequence(der.sequence(
+        der.octetString(crypto.createHash('sha256').update(certificate).digest())
+      ))))
+    );
+
+    const signerInfo = der.sequence(
+      der.integer(1),
+      der.sequence(issuer.raw, serialNumber.raw),
+      der.sequence(der.oid(OID.sha256)),
+      // Stored as [0] IMPLICIT, signed as the SET
+      Buffer.concat([Buffer.from([0xa0]), signedAttributes.subarray(1)]),
+      der.sequence(der.oid(OID.ecdsaWithSHA256)),
+      der.octetString(crypto.sign('sha256', signedAttributes, this.privateKey))
+    );
+
+    const signedData = der.sequence(
+      der.integer(3),
+      der.set(der.sequence(der.oid(OID.sha256))),
+      der.sequence(der.oid(OID.tstInfo), der.explicit(0, der.octetString(tstInfo))),
+      ...(request.certReq ? [der.explicit(0, certificate)] : []),
+      der.set(signerInfo)
+    );
+
+    return der.sequence(
+      der.sequence(der.integer(0)),
+      der.sequence(der.oid(OID.signedData), der.explicit(0, signedData))
+    );
+  }
+}
+
+module.exports = LocalTimestampAuthority;
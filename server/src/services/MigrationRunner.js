@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+
+// Ordered, transactional schema migrations for poets_codex.db.
+//
+// Migrations live in server/src/migrations as "<version>_<name>.js" and export
+// an up(db) function. Each one runs in its own transaction together with the
+// schema_version row that records it, so a failing migration leaves the
+// database exactly as it was before that migration started.
+//
+// Applied migrations must not be edited: a checksum of the file is stored and
+// status() reports any migration whose file has changed since it was applied.
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class MigrationRunner {
+  constructor(db, migrationsDir = MIGRATIONS_DIR) {
+    this.db = db;
+    this.migrationsDir = migrationsDir;
+  }
+
+  ensureVersionTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        checksum TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  // All migration files, sorted by version
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .map(file => {
+        const match = file.match(FILE_PATTERN);
+        if (!match) return null;
+
+        const filePath = path.join(this.migrationsDir, file);
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          file,
+          checksum: crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex'),
+          filePath
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file}, ${migration.file}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  getApplied() {
+    this.ensureVersionTable();
+    return this.db.prepare('SELECT * FROM schema_version ORDER BY version').all();
+  }
+
+  getCurrentVersion() {
+    this.ensureVersionTable();
+    return this.db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_version').get().version;
+  }
+
+  getPending() {
+    const applied = new Set(this.getApplied().map(row => row.version));
+    return this.loadMigrations().filter(migration => !applied.has(migration.version));
+  }
+
+  status() {
+    const applied = new Map(this.getApplied().map(row => [row.version, row]));
+
+    return {
+      currentVersion: this.getCurrentVersion(),
+      migrations: this.loadMigrations().map(migration => {
+        const row = applied.get(migration.version);
+        return {
+          version: migration.version,
+          name: migration.name,
+          status: row ? 'applied' : 'pending',
+          appliedAt: row ? row.applied_at : null,
+          // The file changed after it was applied
+          modified: row ? row.checksum !== migration.checksum : false
+        };
+      })
+    };
+  }
+
+  // Apply every pending migration in order. Stops at the first failure; the
+  // failing migration is rolled back and the error is rethrown.
+  migrate() {
+    const pending = this.getPending();
+    const applied = [];
+
+    pending.forEach(migration => {
+      const { up } = require(migration.filePath);
+      if (typeof up !== 'function') {
+        throw new Error(`Migration ${migration.file} does not export up(db)`);
+      }
+
+      try {
+        this.db.transaction(() => {
+          up(this.db);
+          this.db.prepare('INSERT INTO schema_version (version, name, checksum) VALUES (?, ?, ?)')
+            .run(migration.version, migration.name, migration.checksum);
+        })();
+      } catch (error) {
+        error.message = `Migration ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+
+      console.log(`🧱 Applied migration ${migration.file}`);
+      applied.push({ version: migration.version, name: migration.name });
+    });
+
+    return {
+      applied,
+      currentVersion: this.getCurrentVersion()
+    };
+  }
+}
+
+MigrationRunner.MIGRATIONS_DIR = MIGRATIONS_DIR;
+
+module.exports = MigrationRunner;
@@ -0,0 +1,55 @@
+const LedgerEntry = require('../models/LedgerEntry');
+
+// Ledger sink for the MongoDB backend: one LedgerEntry document per canonical
+// entry (see services/Ledger.js). Documents from before the canonical format
+// have no entryId and are left out of the chain.
+class MongoLedgerSink {
+  constructor() {
+    this.name = 'mongo';
+    this.isReady = false;
+  }
+
+  async initialize() {
+    await LedgerEntry.init();
+    this.isReady = true;
+  }
+
+  async write(entry) {
+    try {
+      await LedgerEntry.create({
+        entryId: entry.id,
+        sequence: entry.sequence,
+        eventType: entry.eventType,
+        poemId: entry.poemId,
+        authorId: entry.authorId,
+        actorId: entry.actorId,
+        contentHash: entry.contentHash,
+        previousHash: entry.previousHash,
+        blockHash: entry.entryHash,
+        details: entry.details,
+        timestamp: new Date(entry.timestamp),
+        signature: entry.signature
+      });
+    } catch (error) {
+      // Already written (a retried or caught-up entry)
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  async getEntries(filter = {}) {
+    const query = { entryId: { $exists: true } };
+    if (filter.poemId) query.poemId = filter.poemId;
+    if (filter.authorId) query.authorId = filter.authorId;
+    if (filter.eventType) query.eventType = filter.eventType;
+
+    const documents = await LedgerEntry.find(query).sort({ _id: 1 });
+    return documents.map(document => document.toLedgerEntry());
+  }
+
+  async lastEntry() {
+    const document = await LedgerEntry.findOne({ entryId: { $exists: true } }).sort({ _id: -1 });
+    return document ? document.toLedgerEntry() : null;
+  }
+}
+
+module.exports = MongoLedgerSink;
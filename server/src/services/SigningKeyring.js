@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ALGORITHM, publicJwkOf, verifySignature } = require('../utils/signatures');
+
+// Ed25519 keys that sign ledger entries, checkpoints and authorship
+// certificates (see utils/signatures.js for the signature format).
+//
+// Keys are kept in LEDGER_SIGNING_KEYS_PATH (default ledger_signing_keys.json
+// next to the ledger), created with one key on first start. Exactly one key
+// is active and signs; rotate() retires it and makes a new one active. A
+// retired key's private half is erased, but its public half stays in the
+// published key set for good, so everything it signed can still be checked.
+//
+// Keep this file out of public copies of the data directory, and never delete
+// it: signatures made with a key that is no longer published cannot be verified.
+class SigningKeyring {
+  constructor(options = {}) {
+    this.keysPath = options.keysPath || process.env.LEDGER_SIGNING_KEYS_PATH ||
+      path.join(options.directory || process.cwd(), 'ledger_signing_keys.json');
+    this.keys = [];
+    this.activeKey = null;
+  }
+
+  initialize() {
+    if (fs.existsSync(this.keysPath)) {
+      this.load();
+    } else {
+      fs.mkdirSync(path.dirname(this.keysPath), { recursive: true });
+      this.rotate();
+      console.log(`🔑 Created ledger signing key ${this.activeKey.kid}: ${this.keysPath}`);
+    }
+  }
+
+  load() {
+    const { keys } = JSON.parse(fs.readFileSync(this.keysPath, 'utf8'));
+    this.keys = keys;
+
+    const active = keys.filter(key => !key.retiredAt);
+    if (active.length !== 1 || !active[0].privateKey) {
+      throw new Error(`${this.keysPath} must hold exactly one active signing key`);
+    }
+    this.activeKey = { ...active[0], privateKey: crypto.createPrivateKey(active[0].privateKey) };
+  }
+
+  save() {
+    const tempPath = `${this.keysPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({ keys: this.keys }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.keysPath);
+  }
+
+  // Retire the active key and sign with a new one from now on. Returns the new key id.
+  rotate(now = new Date()) {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    const { kty, crv, x, kid } = publicJwkOf(privateKey);
+
+    this.keys = this.keys.map(key => (
+      key.retiredAt ? key : { ...key, privateKey: null, retiredAt: now.toISOString() }
+    ));
+    this.keys.push({
+      kid,
+      kty,
+      crv,
+      x,
+      createdAt: now.toISOString(),
+      retiredAt: null,
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    });
+    this.save();
+
+    this.activeKey = { ...this.keys[this.keys.length - 1], privateKey };
+    return kid;
+  }
+
+  // Publish the public half of a key that signed before this keyring existed
+  // (such as the old checkpoint key), as retired. Returns its key id.
+  importRetiredKey(pem, now = new Date()) {
+    const { kty, crv, x, kid } = publicJwkOf(crypto.createPrivateKey(pem));
+    if (!this.keys.some(key => key.kid === kid)) {
+      this.keys.unshift({ kid, kty, crv, x, createdAt: null, retiredAt: now.toISOString(), privateKey: null });
+      this.save();
+      console.log(`🔑 Published retired signing key ${kid}`);
+    }
+    return kid;
+  }
+
+  sign(data) {
+    return {
+      algorithm: ALGORITHM,
+      keyId: this.activeKey.kid,
+      value: crypto.sign(null, Buffer.from(data), this.activeKey.privateKey).toString('base64')
+    };
+  }
+
+  // { valid, keyId, reason } for a signature over data
+  verify(data, signature) {
+    return verifySignature(data, signature, this.getPublicKeySet());
+  }
+
+  // The JWK set published at /.well-known/jwks.json
+  getPublicKeySet() {
+    return {
+      keys: this.keys.map(({ kid, kty, crv, x, createdAt, retiredAt }) => ({
+        kty,
+        crv,
+        x,
+        kid,
+        use: 'sig',
+        alg: 'EdDSA',
+        createdAt,
+        retiredAt
+      }))
+    };
+  }
+
+  getStatus() {
+    return {
+      activeKeyId: this.activeKey && this.activeKey.kid,
+      keys: this.keys.length
+    };
+  }
+}
+
+module.exports = SigningKeyring;
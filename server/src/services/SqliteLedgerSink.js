@@ -0,0 +1,56 @@
+// Ledger sink for the SQLite server: canonical entries in the ledger_entries
+// table of poets_codex.db, so they are part of every database backup (see
+// services/Ledger.js and migrations/011_ledger_entries.js).
+class SqliteLedgerSink {
+  constructor(storage) {
+    this.name = 'sqlite';
+    this.storage = storage;
+    this.isReady = false;
+  }
+
+  get db() {
+    return this.storage.db;
+  }
+
+  async initialize() {
+    if (!this.storage.initialized) await this.storage.initialize();
+    this.isReady = !!this.db;
+  }
+
+  async write(entry) {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO ledger_entries (id, event_type, poem_id, author_id, entry_hash, entry)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(entry.id, entry.eventType, entry.poemId, entry.authorId, entry.entryHash, JSON.stringify(entry));
+  }
+
+  async getEntries(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.poemId) {
+      conditions.push('poem_id = ?');
+      params.push(String(filter.poemId));
+    }
+    if (filter.authorId) {
+      conditions.push('author_id = ?');
+      params.push(String(filter.authorId));
+    }
+    if (filter.eventType) {
+      conditions.push('event_type = ?');
+      params.push(filter.eventType);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT entry FROM ledger_entries ${where} ORDER BY position`)
+      .all(...params)
+      .map(row => JSON.parse(row.entry));
+  }
+
+  async lastEntry() {
+    const row = this.db.prepare('SELECT entry FROM ledger_entries ORDER BY position DESC LIMIT 1').get();
+    return row ? JSON.parse(row.entry) : null;
+  }
+}
+
+module.exports = SqliteLedgerSink;
@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const CryptoJS = require('crypto-js');
+
+// Versioned keyring for EncryptedPermanentStorage.
+//
+// Keys are configured as STORAGE_ENCRYPTION_KEYS="2025-01:secret,2025-06:other-secret"
+// and new data is always written with STORAGE_ACTIVE_KEY_ID (defaults to the last
+// key in the list). The legacy STORAGE_ENCRYPTION_KEY stays registered as "default"
+// so rows written before the keyring existed can still be read.
+//
+// Stored value formats:
+//   v2:<keyId>:<nonce>:<ciphertext>:<tag>  AES-256-GCM envelope (current)
+//   v1:<keyId>:<ciphertext>                CryptoJS passphrase encryption (legacy, opt-in read-only)
+//   <ciphertext>                           CryptoJS with the "default" key (legacy, opt-in read-only)
+//
+// v2 envelopes authenticate "<table>|<rowId>|<keyId>" as associated data, so a
+// ciphertext copied into another row or table fails to decrypt just like a
+// modified one does.
+//
+// Legacy values carry no associated data, so anyone who can write the database
+// could swap them between rows. They are refused unless legacy reads are
+// switched on (STORAGE_ALLOW_LEGACY_FORMATS=true, or options.allowLegacy), which
+// only server/scripts/upgrade-encryption.js should need.
+//
+// Key ids that are not configured here (e.g. per-author data keys, which
+// contain a ".") are looked up through the resolver set with setKeyResolver().
+const LEGACY_KEY_ID = 'default';
+const ENVELOPE_VERSION = 'v2';
+const LEGACY_VERSION = 'v1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const NONCE_BYTES = 12;
+
+class StorageKeyring {
+  constructor(options = {}) {
+    this.keys = new Map();
+    this.resolveKey = null;
+    this.allowLegacy = options.allowLegacy ?? process.env.STORAGE_ALLOW_LEGACY_FORMATS === 'true';
+
+    const legacyKey = options.legacyKey || process.env.STORAGE_ENCRYPTION_KEY || 'poets-codex-default-key-change-in-production';
+    this.addKey(LEGACY_KEY_ID, legacyKey);
+
+    const configured = options.keys || StorageKeyring.parseKeyList(process.env.STORAGE_ENCRYPTION_KEYS);
+    configured.forEach(({ id, secret }) => this.addKey(id, secret));
+
+    const lastConfigured = configured.length ? configured[configured.length - 1].id : LEGACY_KEY_ID;
+    this.activeKeyId = options.activeKeyId || process.env.STORAGE_ACTIVE_KEY_ID || lastConfigured;
+
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active storage key "${this.activeKeyId}" is not in the keyring`);
+    }
+  }
+
+  // Parse "id:secret,id:secret" (secrets may contain ':' but not ',')
+  static parseKeyList(value) {
+    if (!value) return [];
+
+    return value.split(',')
+      .map(part => part.trim())
+      .filter(Boolean)
+      .map(part => {
+        const separator = part.indexOf(':');
+        if (separator <= 0) {
+          throw new Error('STORAGE_ENCRYPTION_KEYS entries must look like "<keyId>:<secret>"');
+        }
+        return { id: part.slice(0, separator), secret: part.slice(separator + 1) };
+      });
+  }
+
+  addKey(id, secret) {
+    if (!KEY_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid storage key id "${id}" (use letters, digits, "-" or "_")`);
+    }
+    if (!secret) {
+      throw new Error(`Storage key "${id}" has an empty secret`);
+    }
+
+    this.keys.set(id, {
+      secret,
+      // 256-bit AES key derived from the configured secret, salted per key id
+      key: crypto.scryptSync(secret, `poets-codex-storage:${id}`, 32)
+    });
+  }
+
+  getKeyIds() {
+    return Array.from(this.keys.keys());
+  }
+
+  // resolver(keyId) returns a 32-byte key Buffer, null if unknown, or throws
+  setKeyResolver(resolver) {
+    this.resolveKey = resolver;
+  }
+
+  getKeyEntry(keyId) {
+    if (!keyId) return null;
+    if (this.keys.has(keyId)) return this.keys.get(keyId);
+
+    const key = this.resolveKey ? this.resolveKey(keyId) : null;
+    return key ? { key } : null;
+  }
+
+  // Prefix every current-format value encrypted with the given key starts with
+  prefixFor(keyId) {
+    return `${ENVELOPE_VERSION}:${keyId}:`;
+  }
+
+  // SQL expression for prefixFor() when the key id comes from a column expression
+  prefixSql(keyIdSql) {
+    return `'${ENVELOPE_VERSION}:' || ${keyIdSql} || ':'`;
+  }
+
+  // Envelope version of a stored value: 'v2', 'v1' or 'v0' (unprefixed legacy)
+  versionOf(value) {
+    if (value.startsWith(`${ENVELOPE_VERSION}:`)) return ENVELOPE_VERSION;
+    if (value.startsWith(`${LEGACY_VERSION}:`)) return LEGACY_VERSION;
+    return 'v0';
+  }
+
+  // Which key encrypted a stored value
+  keyIdOf(value) {
+    if (typeof value !== 'string') return null;
+
+    const version = this.versionOf(value);
+    if (version === 'v0') return LEGACY_KEY_ID;
+
+    const end = value.indexOf(':', version.length + 1);
+    return end === -1 ? null : value.slice(version.length + 1, end);
+  }
+
+  associatedData(context, keyId) {
+    return Buffer.from(`${context.table}|${context.id}|${keyId}`, 'utf8');
+  }
+
+  // context: { table, id } of the row the value is stored in
+  encrypt(data, context, keyId = this.activeKeyId) {
+    const entry = this.getKeyEntry(keyId);
+    if (!entry) {
+      throw new Error(`Unknown storage key "${keyId}"`);
+    }
+
+    const nonce = crypto.randomBytes(NONCE_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', entry.key, nonce);
+    cipher.setAAD(this.associatedData(context, keyId));
+
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [
+      ENVELOPE_VERSION,
+      keyId,
+      nonce.toString('base64url'),
+      ciphertext.toString('base64url'),
+      tag.toString('base64url')
+    ].join(':');
+  }
+
+  decrypt(value, context) {
+    const keyId = this.keyIdOf(value);
+    const entry = this.getKeyEntry(keyId);
+    if (!entry) {
+      const error = new Error(`Storage key "${keyId}" is not available`);
+      error.code = 'KEY_UNAVAILABLE';
+      throw error;
+    }
+
+    const version = this.versionOf(value);
+    if (version !== ENVELOPE_VERSION && !this.allowLegacy) {
+      const error = new Error(`Encrypted record ${context.table}/${context.id} is in the legacy ${version} format, which is not accepted`);
+      error.code = 'LEGACY_FORMAT_REFUSED';
+      throw error;
+    }
+    if (version !== ENVELOPE_VERSION && entry.secret) {
+      return this.decryptLegacy(version === 'v0' ? value : value.slice(`${LEGACY_VERSION}:${keyId}:`.length), entry.secret);
+    }
+
+    const parts = value.split(':');
+    if (parts.length !== 5) {
+      throw StorageKeyring.tamperError(context, 'malformed envelope');
+    }
+
+    try {
+      const [, , nonce, ciphertext, tag] = parts;
+      const decipher = crypto.createDecipheriv('aes-256-gcm', entry.key, Buffer.from(nonce, 'base64url'));
+      decipher.setAAD(this.associatedData(context, keyId));
+      decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+      const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw StorageKeyring.tamperError(context, 'authentication failed');
+    }
+  }
+
+  // CryptoJS passphrase format: unauthenticated, so a bad key or modified
+  // ciphertext usually surfaces as garbage that fails to parse.
+  decryptLegacy(ciphertext, secret) {
+    try {
+      const bytes = CryptoJS.AES.decrypt(ciphertext, secret);
+      return JSON.parse(bytes.toString(CryptoJS.enc.Utf8));
+    } catch (error) {
+      const decryptError = new Error('Legacy record could not be decrypted');
+      decryptError.code = 'DECRYPTION_FAILED';
+      throw decryptError;
+    }
+  }
+
+  static tamperError(context, reason) {
+    const error = new Error(`Encrypted record ${context.table}/${context.id} failed integrity check: ${reason}`);
+    error.code = 'RECORD_TAMPERED';
+    return error;
+  }
+}
+
+StorageKeyring.LEGACY_KEY_ID = LEGACY_KEY_ID;
+
+module.exports = StorageKeyring;
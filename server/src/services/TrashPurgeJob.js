@@ -0,0 +1,133 @@
+const { purgeCutoff, retentionDays } = require('../utils/trash');
+
+// Permanently removes poems that have been in the trash for longer than
+// TRASH_RETENTION_DAYS (see utils/trash.js).
+//
+// Each expired poem is purged from the database first, so a poem restored at
+// the last moment is never half-removed. Its vector index entry and uploaded
+// images (options.uploads, an EncryptedUploadStore) are removed afterwards, and a POEM_PURGED entry is recorded in the
+// ledger (options.ledger, see services/Ledger.js) so the deletion stays on record once the content is gone.
+//
+// Runs on start and then every TRASH_PURGE_INTERVAL_HOURS (default 6).
+const BATCH_SIZE = 100;
+
+class TrashPurgeJob {
+  constructor(poems, options = {}) {
+    this.poems = poems;
+    this.vectorService = options.vectorService || null;
+    this.ledger = options.ledger || null;
+    this.uploads = options.uploads || null;
+    this.intervalMs = options.intervalMs || (parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+    this.timer = null;
+    this.isRunning = false;
+    this.lastResult = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Never keep the process alive just for purging
+    this.timer.unref();
+
+    console.log(`🗑️ Trash purged after ${retentionDays()} days, checked every ${this.intervalMs / 3600000}h`);
+  }
+
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    let purged = 0;
+    let failed = 0;
+
+    try {
+      const cutoff = purgeCutoff(now);
+
+      // Batches until the trash holds nothing older than the cutoff. A batch
+      // that purges nothing (every poem failed) ends the run; those poems are
+      // retried on the next one.
+      for (;;) {
+        const batch = await this.poems.listExpiredTrash(cutoff, BATCH_SIZE);
+        let purgedInBatch = 0;
+
+        for (const poem of batch) {
+          try {
+            if (await this.purgeOne(poem)) purgedInBatch += 1;
+          } catch (error) {
+            console.error(`❌ Could not purge poem ${poem.id}:`, error.message);
+            failed += 1;
+          }
+        }
+
+        purged += purgedInBatch;
+        if (batch.length < BATCH_SIZE || purgedInBatch === 0) break;
+      }
+
+      if (purged > 0) {
+        console.log(`🗑️ Purged ${purged} poem(s) from the trash`);
+      }
+      this.lastResult = { ok: failed === 0, purged, failed, at: now.toISOString() };
+    } catch (error) {
+      console.error('❌ Trash purge failed:', error);
+      this.lastResult = { ok: false, purged, failed, error: error.message, at: now.toISOString() };
+    } finally {
+      this.isRunning = false;
+    }
+
+    return this.lastResult;
+  }
+
+  // Returns false if the poem left the trash (was restored) in the meantime
+  async purgeOne(poem) {
+    if (!(await this.poems.purge(poem.id))) return false;
+
+    if (this.vectorService?.isReady) {
+      try {
+        await this.vectorService.deletePoem(poem.id);
+      } catch (vectorError) {
+        console.error(`Vector deletion error for purged poem ${poem.id}:`, vectorError.message);
+      }
+    }
+
+    await this.removeUploads(poem.id);
+
+    await this.ledger?.record({
+      eventType: 'POEM_PURGED',
+      poemId: poem.id,
+      authorId: poem.author.id,
+      contentHash: poem.contentHash,
+      details: { deletedAt: poem.deletedAt }
+    });
+
+    return true;
+  }
+
+  // Anything left behind here is picked up by UploadSweeper
+  async removeUploads(poemId) {
+    if (!this.uploads) return;
+
+    try {
+      await this.uploads.removeForPoem(poemId);
+    } catch (error) {
+      console.error(`Could not remove uploads of poem ${poemId}:`, error.message);
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      retentionDays: retentionDays(),
+      intervalHours: this.intervalMs / 3600000,
+      lastRun: this.lastResult
+    };
+  }
+}
+
+module.exports = TrashPurgeJob;
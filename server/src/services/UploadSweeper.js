@@ -0,0 +1,102 @@
+// Removes uploads nobody can reach any more (see EncryptedUploadStore):
+//   - uploads whose poem no longer exists (purged, or its author forgotten)
+//   - uploads never attached to a poem, e.g. from a poem save that failed
+//   - files in the uploads directory without an upload row
+// The last two are only removed once they are UPLOAD_ORPHAN_GRACE_MINUTES
+// old (default 60), so an upload whose poem is still being saved is left alone.
+//
+// Runs on start and then every UPLOAD_SWEEP_INTERVAL_HOURS (default 24).
+const BATCH_SIZE = 100;
+
+class UploadSweeper {
+  constructor(uploads, options = {}) {
+    this.uploads = uploads;
+    this.intervalMs = options.intervalMs || (parseFloat(process.env.UPLOAD_SWEEP_INTERVAL_HOURS) || 24) * 60 * 60 * 1000;
+    this.graceMs = options.graceMs ?? (parseFloat(process.env.UPLOAD_ORPHAN_GRACE_MINUTES) || 60) * 60 * 1000;
+    this.timer = null;
+    this.isRunning = false;
+    this.lastResult = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.runOnce();
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    // Never keep the process alive just for sweeping
+    this.timer.unref();
+
+    console.log(`🧹 Orphaned uploads swept every ${this.intervalMs / 3600000}h`);
+  }
+
+  async runOnce(now = new Date()) {
+    if (this.isRunning) return null;
+    this.isRunning = true;
+
+    let removed = 0;
+    let failed = 0;
+
+    try {
+      const cutoff = new Date(now.getTime() - this.graceMs);
+
+      // A batch that removes nothing (every upload failed) ends the run
+      for (;;) {
+        const batch = this.uploads.findOrphans(cutoff, BATCH_SIZE);
+        let removedInBatch = 0;
+
+        for (const upload of batch) {
+          try {
+            await this.uploads.remove(upload.id);
+            removedInBatch += 1;
+          } catch (error) {
+            console.error(`❌ Could not remove upload ${upload.id}:`, error.message);
+            failed += 1;
+          }
+        }
+
+        removed += removedInBatch;
+        if (batch.length < BATCH_SIZE || removedInBatch === 0) break;
+      }
+
+      for (const name of await this.uploads.findStrayFiles(cutoff)) {
+        try {
+          await this.uploads.removeStrayFile(name);
+          removed += 1;
+        } catch (error) {
+          console.error(`❌ Could not remove stray upload file ${name}:`, error.message);
+          failed += 1;
+        }
+      }
+
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} orphaned upload(s)`);
+      }
+      this.lastResult = { ok: failed === 0, removed, failed, at: now.toISOString() };
+    } catch (error) {
+      console.error('❌ Upload sweep failed:', error);
+      this.lastResult = { ok: false, removed, failed, error: error.message, at: now.toISOString() };
+    } finally {
+      this.isRunning = false;
+    }
+
+    return this.lastResult;
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getStatus() {
+    return {
+      ...this.uploads.getStats(),
+      intervalHours: this.intervalMs / 3600000,
+      graceMinutes: this.graceMs / 60000,
+      lastRun: this.lastResult
+    };
+  }
+}
+
+module.exports = UploadSweeper;
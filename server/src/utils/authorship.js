@@ -0,0 +1,94 @@
+// Co-authorship: how a poem credits the people who wrote it.
+//
+// A poem has one author (Poem.author), who owns it: only they edit, share,
+// trash or transfer it. Co-authors join by accepting the author's invitation
+// (see routes/invitationRoutes.js) and are credited with a role and,
+// optionally, a percentage share. When any co-author has a share, the author
+// holds whatever the co-authors do not; shares never add up to more than 100.
+//
+// Every author and co-author has to approve a change of license (see
+// routes/poemRoutes.js); until then it waits on the poem as pendingLicense:
+// { license, proposedBy, proposedAt, approvals: [userId] }.
+
+const { authorIdOf, coAuthorIdOf } = require('./visibility');
+
+const COAUTHOR_ROLES = ['co-author', 'translator', 'editor', 'illustrator'];
+
+const TOTAL_SHARE = 100;
+
+// The author first, then the co-authors in the order they joined
+const authorIdsOf = (poem) => [authorIdOf(poem), ...(poem.coAuthors || []).map(coAuthorIdOf)];
+
+const sharesOf = (items) => items.reduce((sum, item) => sum + (item.share || 0), 0);
+
+// Who the poem credits, as ledger entries and certificates record it:
+// [{ userId, role, share }], the author first with role 'author'
+const creditsOf = (poem) => {
+  const coAuthors = poem.coAuthors || [];
+  const shared = coAuthors.some(coAuthor => coAuthor.share != null);
+
+  return [
+    { userId: authorIdOf(poem), role: 'author', share: shared ? TOTAL_SHARE - sharesOf(coAuthors) : null },
+    ...coAuthors.map(coAuthor => ({ userId: coAuthorIdOf(coAuthor), role: coAuthor.role, share: coAuthor.share ?? null }))
+  ];
+};
+
+// "A", "A and B", "A, B and C"
+const listNames = (names) => (names.length > 1
+  ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+  : names[0] || '');
+
+const nameOf = (person) => (person && (person.displayName || person.username)) || 'Unknown';
+
+// The copyright line crediting the author and every co-author, the latter
+// with their role unless it is plain co-author. Authors are summaries (or
+// populated users) with displayName and username.
+const copyrightNoticeOf = (poem) => {
+  const year = poem.copyrightYear || new Date(poem.createdAt || Date.now()).getFullYear();
+  const names = listNames([
+    nameOf(poem.author),
+    ...(poem.coAuthors || []).map(coAuthor => (
+      coAuthor.role && coAuthor.role !== 'co-author' ? `${nameOf(coAuthor.user)} (${coAuthor.role})` : nameOf(coAuthor.user)
+    ))
+  ]);
+
+  if (poem.license === 'All Rights Reserved') {
+    return `© ${year} ${names}. All Rights Reserved.`;
+  } else if (poem.license && poem.license.startsWith('CC')) {
+    return `© ${year} ${names}. Licensed under ${poem.license}.`;
+  }
+
+  return `© ${year} ${names}.`;
+};
+
+// A license change the co-authors have to approve first
+const needsLicenseApproval = (poem, license) => (
+  license !== undefined && license !== poem.license && (poem.coAuthors || []).length > 0
+);
+
+const licenseProposal = (license, proposerId) => ({
+  license,
+  proposedBy: String(proposerId),
+  proposedAt: new Date(),
+  approvals: [String(proposerId)]
+});
+
+// Authors and co-authors who have yet to approve the poem's pending license
+const awaitingApproval = (poem) => {
+  if (!poem.pendingLicense) return [];
+
+  const approvals = (poem.pendingLicense?.approvals || []).map(String);
+  return authorIdsOf(poem).filter(id => !approvals.includes(id));
+};
+
+module.exports = {
+  COAUTHOR_ROLES,
+  TOTAL_SHARE,
+  authorIdsOf,
+  sharesOf,
+  creditsOf,
+  copyrightNoticeOf,
+  needsLicenseApproval,
+  licenseProposal,
+  awaitingApproval
+};
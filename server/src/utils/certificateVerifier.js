@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const { canonicalJson, isEntryIntact } = require('./ledgerEntry');
+const { leafHash, verifyInclusion } = require('./merkle');
+const { verifySignature } = require('./signatures');
+const { CONTENT_HASH_VERSION, contentHashOf, legacyContentHashOf } = require('./poemHash');
+const { verifyToken } = require('./timestamp');
+
+// Offline verification of authorship certificates (see
+// services/LedgerService.js), for anyone holding a certificate, the poem's
+// text and the key set published at /.well-known/jwks.json. Uses nothing but
+// Node's crypto and never contacts the server; server/scripts/verify-certificate.js
+// is the command-line front end.
+//
+// A certificate carries the ledger entry that recorded the poem's current
+// content, the entry's Merkle audit path and the signed checkpoint it leads
+// to, so the checks below go from the text all the way to a signed root:
+//
+//   poem text -> contentHash -> ledger entry -> checkpoint root
+//
+// A certificate may also carry an RFC 3161 token from a timestamp authority
+// for the content hash (see utils/timestamp.js), dating it by a clock other
+// than ours. Whether that authority is trusted is checked against
+// tsaCertificates (PEM), the authority's CA certificates.
+//
+// verifyCertificate() returns { valid, checks } where each check is
+// { check, ok, detail }; ok is null for a check that was skipped (no text or
+// TSA certificates given). The certificate is valid when no check failed.
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const signatureCheck = (check, data, signature, keySet) => {
+  const result = verifySignature(data, signature, keySet);
+  const key = (keySet.keys || []).find(candidate => candidate.kid === result.keyId);
+  return {
+    check,
+    ok: result.valid,
+    detail: result.valid
+      ? `signed with key ${result.keyId}${key && key.retiredAt ? ` (retired ${key.retiredAt})` : ''}`
+      : result.reason
+  };
+};
+
+const timestampChecks = (trustedTimestamp, contentHash, tsaCertificates) => {
+  if (!trustedTimestamp) {
+    return [{ check: 'Trusted timestamp', ok: null, detail: 'the certificate carries no timestamp token' }];
+  }
+
+  const result = verifyToken(trustedTimestamp.token, { hash: contentHash, trustedCertificates: tsaCertificates });
+  // An untrusted authority's token can still be sound
+  const sound = result.valid || result.trusted === false;
+  if (!sound) {
+    return [{ check: 'Trusted timestamp', ok: false, detail: result.reason }];
+  }
+
+  return [
+    {
+      check: 'Trusted timestamp',
+      ok: true,
+      detail: `the content existed at ${result.genTime}, signed by ${result.signer.subject}`
+    },
+    {
+      check: 'Timestamp authority is trusted',
+      ok: result.trusted,
+      detail: result.trusted === null
+        ? `no TSA certificates given to check it against (certificate fingerprint ${result.signer.fingerprint256})`
+        : (result.trusted ? null : 'it chains to none of the TSA certificates given')
+    }
+  ];
+};
+
+const verifyCertificate = ({ certificate, text, keySet, tsaCertificates = [] }) => {
+  const { certificateHash, signature, ...fields } = certificate;
+  const { entry, inclusionProof, checkpoint } = fields;
+  const checks = [];
+
+  if (text === undefined || text === null) {
+    checks.push({ check: 'Poem text matches the certificate', ok: null, detail: 'no poem text given' });
+  } else if (fields.contentHashVersion > CONTENT_HASH_VERSION) {
+    checks.push({
+      check: 'Poem text matches the certificate',
+      ok: false,
+      detail: `the certificate uses content hash version ${fields.contentHashVersion}; this verifier knows up to ${CONTENT_HASH_VERSION}`
+    });
+  } else {
+    // Certificates issued before canonical hashing name no version
+    const hashOf = fields.contentHashVersion ? contentHashOf : legacyContentHashOf;
+    const actual = hashOf(fields.title, text, fields.authorId);
+    checks.push({
+      check: 'Poem text matches the certificate',
+      ok: actual === fields.contentHash,
+      detail: actual === fields.contentHash
+        ? `content hash ${actual}`
+        : `the text hashes to ${actual}, the certificate names ${fields.contentHash}`
+    });
+  }
+
+  const expectedHash = sha256(canonicalJson(fields));
+  checks.push({
+    check: 'Certificate has not been altered',
+    ok: expectedHash === certificateHash,
+    detail: expectedHash === certificateHash ? null : 'its fields do not match its certificateHash'
+  });
+
+  checks.push(signatureCheck('Certificate signature', certificateHash, signature, keySet));
+
+  if (!entry || !inclusionProof || !checkpoint) {
+    checks.push({ check: 'Ledger entry for this content', ok: false, detail: 'the certificate carries no ledger proof' });
+    return { valid: false, checks };
+  }
+
+  const entryMatches = isEntryIntact(entry) && entry.poemId === fields.poemId && entry.contentHash === fields.contentHash;
+  checks.push({
+    check: 'Ledger entry for this content',
+    ok: entryMatches,
+    detail: entryMatches
+      ? `${entry.eventType} entry ${entry.sequence}, recorded ${entry.timestamp}`
+      : (isEntryIntact(entry) ? 'the entry records a different poem or content' : 'the entry does not match its hash')
+  });
+
+  checks.push(signatureCheck('Ledger entry signature', entry.entryHash, entry.signature, keySet));
+
+  // Certificates of co-authored poems credit everyone the entry credits
+  if (fields.authors) {
+    const [author, ...coAuthors] = fields.authors;
+    const credited = !!author && author.userId === entry.authorId
+      && canonicalJson(coAuthors) === canonicalJson(entry.details?.coAuthors || []);
+    checks.push({
+      check: 'Authors match the ledger entry',
+      ok: credited,
+      detail: credited
+        ? fields.authors.map(({ userId, role, share }) => `${userId} (${role}${share == null ? '' : `, ${share}%`})`).join(', ')
+        : 'the certificate credits different authors than the entry'
+    });
+  }
+
+  const included = verifyInclusion({
+    leaf: leafHash(entry.entryHash),
+    index: inclusionProof.leafIndex,
+    treeSize: inclusionProof.treeSize,
+    path: inclusionProof.auditPath,
+    root: checkpoint.rootHash
+  });
+  checks.push({
+    check: 'Ledger entry is in a published checkpoint',
+    ok: included,
+    detail: included
+      ? `checkpoint ${checkpoint.number}, entries ${checkpoint.fromSequence}-${checkpoint.toSequence}, root ${checkpoint.rootHash}`
+      : 'the audit path does not lead to the checkpoint root'
+  });
+
+  const { signature: checkpointSignature, ...checkpointBody } = checkpoint;
+  checks.push(signatureCheck('Checkpoint signature', canonicalJson(checkpointBody), checkpointSignature, keySet));
+
+  checks.push(...timestampChecks(fields.trustedTimestamp, fields.contentHash, tsaCertificates));
+
+  return { valid: checks.every(check => check.ok !== false), checks };
+};
+
+// The verdict as text, one line per check
+const formatVerdict = (certificate, { valid, checks }) => [
+  `Authorship certificate ${certificate.certificateId}`,
+  `  Poem "${certificate.title}" (${certificate.poemId}) by author ${certificate.authorId}`,
+  `  Issued ${certificate.issuedAt}`,
+  '',
+  ...checks.map(({ check, ok, detail }) => (
+    `  ${ok === null ? '⏭️ ' : ok ? '✅' : '❌'} ${check}${detail ? `: ${detail}` : ''}`
+  )),
+  '',
+  valid
+    ? (checks.some(check => check.ok === null)
+      ? '✅ VALID, except for the checks skipped above'
+      : '✅ VALID: this text was recorded in the ledger as shown, and the ledger committed to it in a signed checkpoint')
+    : '❌ NOT VALID: see the failed checks above'
+].join('\n');
+
+module.exports = {
+  verifyCertificate,
+  formatVerdict
+};
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+
+// Opaque, signed cursors for keyset pagination.
+//
+// Lists are ordered newest first by (createdAt, id). A cursor records the
+// position of the last item on a page, so the next page is "everything after
+// this item" rather than an offset: deep pages stay fast, and poems published
+// while someone is paging do not shift later pages.
+//
+// Ranked lists (search) also carry the rank of the last item.
+//
+// Cursors are base64url JSON with an HMAC over the payload and the list they
+// belong to (the scope), so they cannot be edited or reused on another list.
+// Clients must treat them as opaque strings.
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const cursorSecret = () => process.env.CURSOR_SECRET || process.env.JWT_SECRET || 'poets-codex-cursor-secret';
+
+const sign = (payload, scope) => crypto.createHmac('sha256', cursorSecret())
+  .update(`${scope}|${payload}`)
+  .digest('base64url')
+  .slice(0, 22);
+
+const invalidCursor = () => {
+  const error = new Error('Invalid cursor');
+  error.code = 'INVALID_CURSOR';
+  return error;
+};
+
+// position: { createdAt, id, rank? }; createdAt may be a Date or a stored string
+const encodeCursor = (position, scope) => {
+  const createdAt = position.createdAt instanceof Date ? position.createdAt.toISOString() : position.createdAt;
+  const payload = Buffer.from(JSON.stringify({
+    c: createdAt,
+    i: String(position.id),
+    ...(position.rank !== undefined && { r: position.rank })
+  })).toString('base64url');
+
+  return `${payload}.${sign(payload, scope)}`;
+};
+
+// Returns null for a missing cursor and throws INVALID_CURSOR for a bad one
+const decodeCursor = (cursor, scope) => {
+  if (!cursor) return null;
+
+  const [payload, signature] = String(cursor).split('.');
+  const expected = payload ? sign(payload, scope) : '';
+  if (!signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw invalidCursor();
+  }
+
+  try {
+    const { c, i, r } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof c !== 'string' || typeof i !== 'string') throw invalidCursor();
+    return { createdAt: c, id: i, ...(r !== undefined && { rank: r }) };
+  } catch (error) {
+    throw invalidCursor();
+  }
+};
+
+const parseLimit = (value, defaultLimit = DEFAULT_LIMIT) => {
+  const limit = parseInt(value, 10);
+  if (!limit || limit < 1) return defaultLimit;
+  return Math.min(limit, MAX_LIMIT);
+};
+
+// Mongo filter for items after a cursor in { createdAt: -1, _id: -1 } order
+const mongoAfter = (cursor) => {
+  if (!cursor) return {};
+
+  const createdAt = new Date(cursor.createdAt);
+  return {
+    $or: [
+      { createdAt: { $lt: createdAt } },
+      { createdAt, _id: { $lt: cursor.id } }
+    ]
+  };
+};
+
+// Build the standard page envelope from limit + 1 fetched items:
+//   { [key]: items, count, nextCursor }
+// nextCursor is null on the last page.
+const pageEnvelope = (key, items, limit, scope, positionOf = item => ({ createdAt: item.createdAt, id: item._id || item.id })) => {
+  const page = items.slice(0, limit);
+  const hasMore = items.length > limit;
+
+  return {
+    [key]: page,
+    count: page.length,
+    nextCursor: hasMore ? encodeCursor(positionOf(page[page.length - 1]), scope) : null
+  };
+};
+
+// What every paginated route answers: the page envelope above with
+// success: true, plus any extra fields (e.g. a total)
+const pageResponse = (page, extra = {}) => ({ success: true, ...page, ...extra });
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  mongoAfter,
+  pageEnvelope,
+  pageResponse
+};
@@ -0,0 +1,178 @@
+// Just enough ASN.1 DER to read and write RFC 3161 timestamp requests,
+// responses and the CMS and X.509 structures inside them (see
+// utils/timestamp.js). Signatures and certificate parsing are left to Node's
+// crypto; this only walks and builds the byte structure.
+
+// ---- Reading ----
+
+// Decode the element at offset: { tagClass, constructed, tag, value, raw, end,
+// children }. value is the content, raw the whole element, children the
+// decoded content of a constructed element.
+const decodeAt = (buffer, offset) => {
+  const start = offset;
+  if (offset + 2 > buffer.length) throw new Error('Truncated DER element');
+
+  const first = buffer[offset++];
+  let tag = first & 0x1f;
+  if (tag === 0x1f) {
+    tag = 0;
+    let byte;
+    do {
+      byte = buffer[offset++];
+      tag = tag * 128 + (byte & 0x7f);
+    } while (byte & 0x80);
+  }
+
+  let length = buffer[offset++];
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count === 0 || count > 4) throw new Error('Unsupported DER length');
+    length = 0;
+    for (let i = 0; i < count; i++) length = length * 256 + buffer[offset++];
+  }
+
+  const end = offset + length;
+  if (end > buffer.length) throw new Error('Truncated DER element');
+
+  const node = {
+    tagClass: first >> 6,
+    constructed: !!(first & 0x20),
+    tag,
+    value: buffer.subarray(offset, end),
+    raw: buffer.subarray(start, end),
+    end
+  };
+
+  if (node.constructed) {
+    node.children = [];
+    for (let position = offset; position < end;) {
+      const child = decodeAt(buffer, position);
+      node.children.push(child);
+      position = child.end;
+    }
+  }
+  return node;
+};
+
+// Decode a buffer holding exactly one element
+const decode = (buffer) => {
+  const node = decodeAt(buffer, 0);
+  if (node.end !== buffer.length) throw new Error('Trailing bytes after DER element');
+  return node;
+};
+
+const CONTEXT = 2;
+
+// Whether node is the context-specific [number] tag
+const isContext = (node, number) => node.tagClass === CONTEXT && node.tag === number;
+
+const readOid = (node) => {
+  const bytes = node.value;
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (const byte of bytes.subarray(1)) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+};
+
+const readInteger = (node) => (node.value.length ? BigInt(`0x${node.value.toString('hex')}`) : 0n);
+
+// GeneralizedTime (YYYYMMDDHHMMSS[.fff]Z) or UTCTime (YYMMDDHHMMSSZ)
+const readTime = (node) => {
+  const text = node.value.toString('latin1');
+  const match = node.tag === 0x17
+    ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text)
+    : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\.\d+)?Z$/.exec(text);
+  if (!match) throw new Error(`Unsupported time "${text}"`);
+
+  const year = node.tag === 0x17 ? (Number(match[1]) < 50 ? 2000 : 1900) + Number(match[1]) : Number(match[1]);
+  const milliseconds = match[7] ? Math.floor(Number(match[7]) * 1000) : 0;
+  return new Date(Date.UTC(year, match[2] - 1, match[3], match[4], match[5], match[6], milliseconds));
+};
+
+// ---- Writing ----
+
+const encodeLength = (length) => {
+  if (length < 128) return Buffer.from([length]);
+
+  const bytes = [];
+  for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const element = (tagByte, content) => Buffer.concat([Buffer.from([tagByte]), encodeLength(content.length), content]);
+
+const sequence = (...items) => element(0x30, Buffer.concat(items));
+
+// SET OF, with its elements in the sorted order DER requires
+const set = (...items) => element(0x31, Buffer.concat([...items].sort(Buffer.compare)));
+
+const integer = (value) => {
+  let hex = BigInt(value).toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  let bytes = Buffer.from(hex, 'hex');
+  if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+  return element(0x02, bytes);
+};
+
+const boolean = (value) => element(0x01, Buffer.from([value ? 0xff : 0]));
+
+const nullValue = () => Buffer.from([0x05, 0x00]);
+
+const oid = (dotted) => {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  rest.forEach(part => {
+    const encoded = [part & 0x7f];
+    for (let value = Math.floor(part / 128); value > 0; value = Math.floor(value / 128)) {
+      encoded.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...encoded);
+  });
+  return element(0x06, Buffer.from(bytes));
+};
+
+const octetString = (bytes) => element(0x04, bytes);
+
+const bitString = (bytes) => element(0x03, Buffer.concat([Buffer.from([0]), bytes]));
+
+const utf8String = (text) => element(0x0c, Buffer.from(text, 'utf8'));
+
+const utcTime = (date) => element(0x17, Buffer.from(`${date.toISOString().slice(2, 19).replace(/[-:T]/g, '')}Z`, 'latin1'));
+
+// Fractions of a second without trailing zeros, as DER requires
+const generalizedTime = (date) => {
+  const [seconds, fraction] = date.toISOString().replace(/[-:T]/g, '').replace('Z', '').split('.');
+  const digits = fraction.replace(/0+$/, '');
+  return element(0x18, Buffer.from(`${seconds}${digits ? `.${digits}` : ''}Z`, 'latin1'));
+};
+
+// [number] EXPLICIT around content, or IMPLICIT [number] for a constructed
+// element's content
+const explicit = (number, content) => element(0xa0 | number, content);
+
+module.exports = {
+  decode,
+  isContext,
+  readOid,
+  readInteger,
+  readTime,
+  element,
+  sequence,
+  set,
+  integer,
+  boolean,
+  nullValue,
+  oid,
+  octetString,
+  bitString,
+  utf8String,
+  utcTime,
+  generalizedTime,
+  explicit
+};
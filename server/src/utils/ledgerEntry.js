@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+
+// The canonical ledger entry. Every sink (see services/Ledger.js) stores
+// entries in exactly this shape, so an entry read back from MongoDB, SQLite
+// or ledger.jsonl hashes to the same value:
+//
+//   id            random UUID, unique across sinks (writes are idempotent on it)
+//   sequence      1 for the first entry, then one more for each entry
+//   eventType     one of EVENT_TYPES
+//   poemId        the poem the event is about (null for USER_* events)
+//   authorId      the poem's author, or the user for USER_* events
+//   actorId       who caused the event (null for jobs such as the trash purge)
+//   contentHash   the poem's contentHash at the time of the event, if any
+//   details       small event-specific object; never poem content
+//   timestamp     ISO 8601
+//   previousHash  entryHash of the entry before it (null for the first)
+//   entryHash     sha256 over all of the above (see hashEntry)
+//   signature     { algorithm, keyId, value } over entryHash (see
+//                 utils/signatures.js), or null without signing keys
+//
+// Entries written before sequence numbers were introduced have none; their
+// hash leaves the field out and verifyChain() counts them by position.
+//
+// Entries hold ids and hashes only: the ledger is append-only, so anything
+// written to it outlives crypto-shredding of the author's data.
+const EVENT_TYPES = [
+  'POEM_CREATED',
+  'POEM_UPDATED',
+  'POEM_DELETED',
+  'POEM_RESTORED',
+  'POEM_PURGED',
+  'POEM_TRANSFERRED',
+  'POEM_REHASHED',
+  'POEM_COAUTHOR_ADDED',
+  'POEM_COAUTHOR_REMOVED',
+  'POEM_LICENSE_CHANGED',
+  'USER_REGISTERED',
+  'USER_LOGIN',
+  'USER_LOGOUT'
+];
+
+const HASHED_FIELDS = ['id', 'sequence', 'eventType', 'poemId', 'authorId', 'actorId', 'contentHash', 'details', 'timestamp', 'previousHash'];
+
+// JSON with object keys sorted at every level, so equal values serialize equally
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashEntry = (entry) => {
+  const hashed = HASHED_FIELDS
+    .filter(field => field !== 'sequence' || (entry.sequence !== undefined && entry.sequence !== null))
+    .map(field => [field, entry[field] === undefined ? null : entry[field]]);
+  return crypto.createHash('sha256').update(canonicalJson(Object.fromEntries(hashed))).digest('hex');
+};
+
+const idOf = (value) => (value === undefined || value === null ? null : String(value.id || value._id || value));
+
+// Build the entry that follows previous ({ entryHash, sequence }, null for the
+// first) from an event ({ eventType, poemId, authorId, actorId, contentHash, details })
+const buildEntry = (event, previous = null, now = new Date()) => {
+  if (!EVENT_TYPES.includes(event.eventType)) {
+    throw new Error(`Unknown ledger event type "${event.eventType}"`);
+  }
+
+  const entry = {
+    id: crypto.randomUUID(),
+    sequence: previous ? previous.sequence + 1 : 1,
+    eventType: event.eventType,
+    poemId: idOf(event.poemId),
+    authorId: idOf(event.authorId),
+    actorId: idOf(event.actorId),
+    contentHash: event.contentHash || null,
+    details: JSON.parse(JSON.stringify(event.details || {})),
+    timestamp: now.toISOString(),
+    previousHash: previous ? previous.entryHash : null
+  };
+
+  return { ...entry, entryHash: hashEntry(entry), signature: null };
+};
+
+// Whether the entry's hash still matches its fields
+const isEntryIntact = (entry) => entry.entryHash === hashEntry(entry);
+
+const sequenceOf = (entries, index) => (index < 0 ? 0 : entries[index].sequence || index + 1);
+
+// Where the chain ends: { entryHash, sequence } of its last entry, or null
+const headOf = (entries) => (entries.length > 0
+  ? { entryHash: entries[entries.length - 1].entryHash, sequence: sequenceOf(entries, entries.length - 1) }
+  : null);
+
+// Check a whole chain, in order, and report the first place it breaks:
+//
+//   modified    the entry no longer matches its own hash
+//   deletion    the entry's predecessor is nowhere in the chain
+//   insertion   entries sit between the entry and its real predecessor, an
+//               entry appears twice, or entries follow the expected head
+//   reorder     the entry's predecessor is elsewhere in the chain
+//   truncation  the chain stops short of expectedHead ({ entryHash, sequence },
+//               the head the writer last appended)
+//   sequence    the links hold but the sequence number skips or repeats
+//
+// brokenAt.index is the position of the first entry out of place (entries.length
+// for a truncation) and lastGoodSequence the sequence of the last entry before
+// it that can still be trusted.
+const verifyChain = (entries, { expectedHead = null } = {}) => {
+  const positions = new Map(entries.map((entry, index) => [entry.entryHash, index]));
+  // An entry a later entry links back to, so it belongs further down the chain
+  const linkedFromAfter = (index, after) => entries.slice(after + 1)
+    .some(entry => entry.previousHash === entries[index].entryHash);
+
+  const broken = (index, kind, message, extra = {}) => ({
+    valid: false,
+    checkedEntries: entries.length,
+    lastGoodSequence: sequenceOf(entries, index - 1),
+    brokenAt: {
+      index,
+      entryId: entries[index] ? entries[index].id : null,
+      sequence: entries[index] ? sequenceOf(entries, index) : null,
+      kind,
+      message,
+      ...extra
+    }
+  });
+
+  const seen = new Set();
+  for (let index = 0; index < entries.length; index++) {
+    const entry = entries[index];
+    const expectedPrevious = index > 0 ? entries[index - 1].entryHash : null;
+    const position = sequenceOf(entries, index);
+
+    if (!isEntryIntact(entry)) {
+      return broken(index, 'modified', `Entry ${position} does not match its hash`);
+    }
+    if (seen.has(entry.entryHash)) {
+      return broken(index, 'insertion', `Entry ${position} appears twice`, { inserted: 1 });
+    }
+    seen.add(entry.entryHash);
+
+    if (entry.previousHash !== expectedPrevious) {
+      const predecessor = entry.previousHash === null ? -1 : positions.get(entry.previousHash);
+
+      if (predecessor === undefined) {
+        const missing = entry.sequence ? entry.sequence - sequenceOf(entries, index - 1) - 1 : null;
+        return broken(index, 'deletion', `The entry before ${position} is missing`, { missing });
+      }
+      if (predecessor > index) {
+        return broken(index, 'reorder', `Entry ${position} comes before the entry it follows`);
+      }
+
+      // Entries between the real predecessor and this one: moved here from
+      // further down the chain, or added
+      const first = predecessor + 1;
+      const moved = entries.slice(first, index).some((_, offset) => linkedFromAfter(first + offset, index));
+      return moved
+        ? broken(first, 'reorder', `Entry ${sequenceOf(entries, first)} is out of order`)
+        : broken(first, 'insertion', `${index - first} entr${index - first === 1 ? 'y was' : 'ies were'} added before entry ${position}`,
+          { inserted: index - first });
+    }
+
+    if (entry.sequence && entry.sequence !== sequenceOf(entries, index - 1) + 1) {
+      return broken(index, 'sequence', `Entry ${entry.sequence} follows entry ${sequenceOf(entries, index - 1)}`);
+    }
+  }
+
+  const head = headOf(entries);
+  if (expectedHead && (!head || head.entryHash !== expectedHead.entryHash)) {
+    const expectedAt = positions.get(expectedHead.entryHash);
+    if (expectedAt !== undefined) {
+      return broken(expectedAt + 1, 'insertion', `${entries.length - expectedAt - 1} entr${entries.length - expectedAt - 1 === 1 ? 'y was' : 'ies were'} added after the last entry written`,
+        { inserted: entries.length - expectedAt - 1 });
+    }
+    return broken(entries.length, 'truncation', `The chain ends at entry ${head ? head.sequence : 0} instead of ${expectedHead.sequence}`,
+      { missing: expectedHead.sequence - (head ? head.sequence : 0) });
+  }
+
+  return { valid: true, checkedEntries: entries.length, lastGoodSequence: head ? head.sequence : 0, brokenAt: null };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  canonicalJson,
+  idOf,
+  hashEntry,
+  buildEntry,
+  isEntryIntact,
+  headOf,
+  verifyChain
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Merkle trees over ledger entries, built as in RFC 6962 (Certificate
+// Transparency) so proofs can be checked with any implementation of it:
+//
+//   leaf hash  sha256(0x00 || entryHash)
+//   node hash  sha256(0x01 || left || right)
+//
+// A tree of n leaves splits at the largest power of two below n, so trees of
+// any size are balanced the same way everywhere. Hashes are hex strings.
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+
+const leafHash = (entryHash) => sha256(Buffer.from([0]), Buffer.from(entryHash, 'hex')).toString('hex');
+
+const nodeHash = (left, right) => sha256(Buffer.from([1]), Buffer.from(left, 'hex'), Buffer.from(right, 'hex')).toString('hex');
+
+const splitPoint = (size) => {
+  let k = 1;
+  while (k * 2 < size) k *= 2;
+  return k;
+};
+
+// Root of the tree over the given leaf hashes
+const rootOf = (leaves) => {
+  if (leaves.length === 0) return crypto.createHash('sha256').digest('hex');
+  if (leaves.length === 1) return leaves[0];
+
+  const k = splitPoint(leaves.length);
+  return nodeHash(rootOf(leaves.slice(0, k)), rootOf(leaves.slice(k)));
+};
+
+// The audit path of leaf index: sibling hashes from the leaf up to the root
+const auditPath = (leaves, index) => {
+  if (leaves.length <= 1) return [];
+
+  const k = splitPoint(leaves.length);
+  return index < k
+    ? [...auditPath(leaves.slice(0, k), index), rootOf(leaves.slice(k))]
+    : [...auditPath(leaves.slice(k), index - k), rootOf(leaves.slice(0, k))];
+};
+
+// Whether leaf (a leaf hash) sits at index of a tree of treeSize leaves with
+// the given root (RFC 9162, section 2.1.3.2)
+const verifyInclusion = ({ leaf, index, treeSize, path, root }) => {
+  if (index < 0 || index >= treeSize) return false;
+
+  let fn = index;
+  let sn = treeSize - 1;
+  let hash = leaf;
+
+  for (const sibling of path) {
+    if (sn === 0) return false;
+
+    if (fn % 2 === 1 || fn === sn) {
+      hash = nodeHash(sibling, hash);
+      while (fn % 2 === 0 && fn !== 0) {
+        fn = Math.floor(fn / 2);
+        sn = Math.floor(sn / 2);
+      }
+    } else {
+      hash = nodeHash(hash, sibling);
+    }
+    fn = Math.floor(fn / 2);
+    sn = Math.floor(sn / 2);
+  }
+
+  return sn === 0 && hash === root;
+};
+
+module.exports = {
+  leafHash,
+  nodeHash,
+  rootOf,
+  auditPath,
+  verifyInclusion
+};
@@ -0,0 +1,239 @@
+// Poem bodies: raw source in, structured document and HTML out.
+//
+// The body an author writes is kept as its source text. Whitespace is part of
+// the poem: leading indentation, runs of spaces inside a line and the number
+// of blank lines between stanzas are all preserved. Emphasis uses a small
+// Markdown subset that never spans lines:
+//
+//   *em* or _em_    **strong** or __strong__    ~~strike~~    `code`
+//
+// A backslash escapes a marker (\*). Nothing else is Markdown: "# ", "- " and
+// "> " at the start of a line are just text, and HTML in the source is text
+// too, escaped when rendered.
+//
+// The parsed document (FORMAT_VERSION 1):
+//   { version, stanzas: [{ gap, lines: [{ indent, text, content }] }] }
+// gap is the number of blank lines before the stanza (0 for the first),
+// indent the line's leading whitespace in columns (tabs stop every TAB_WIDTH),
+// text the line without indentation or markers and content its inline nodes:
+//   { type: 'text', text } | { type: 'code', text }
+//   | { type: 'em' | 'strong' | 'strike', children: [...] }
+const FORMAT_VERSION = 1;
+const TAB_WIDTH = 4;
+const MAX_NESTING = 3;
+
+// Longest first, so "**" is never read as two "*"
+const MARKERS = ['**', '__', '~~', '*', '_'];
+const MARK_TYPES = { '**': 'strong', '__': 'strong', '~~': 'strike', '*': 'em', '_': 'em' };
+const ESCAPABLE = '\\*_~`';
+const HTML_TAGS = { em: 'em', strong: 'strong', strike: 's' };
+
+// C0 controls other than tab and newline, DEL, the byte order mark and the
+// bidirectional overrides that can make text display differently from how
+// it reads
+const UNSAFE_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F\uFEFF\u202A-\u202E\u2066-\u2069]/g;
+
+const WORD_CHARACTER = /[\p{L}\p{N}]/u;
+
+// Source as it is stored: NFC, "\n" line endings, no unsafe characters, no
+// trailing whitespace on a line and no blank lines before the first line or
+// after the last. Leading indentation is left alone.
+const sanitizeSource = (value) => {
+  const lines = String(value ?? '')
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(UNSAFE_CHARACTERS, '')
+    .split('\n')
+    .map(line => line.trimEnd());
+
+  const first = lines.findIndex(line => line !== '');
+  if (first === -1) return '';
+  const last = lines.length - 1 - [...lines].reverse().findIndex(line => line !== '');
+
+  return lines.slice(first, last + 1).join('\n');
+};
+
+// Columns taken by a run of spaces and tabs starting at column 0
+const columnsOf = (whitespace) => [...whitespace].reduce(
+  (column, character) => (character === '\t' ? column + TAB_WIDTH - (column % TAB_WIDTH) : column + 1),
+  0
+);
+
+const pushText = (children, text) => {
+  if (!text) return;
+  const last = children[children.length - 1];
+  if (last && last.type === 'text') {
+    last.text += text;
+  } else {
+    children.push({ type: 'text', text });
+  }
+};
+
+// Appends a parsed node, or its markers and contents as text if it turned out
+// to be empty or was never closed
+const pushNode = (children, node, marker, closed) => {
+  if (closed && node.children.length > 0) {
+    children.push(node);
+    return;
+  }
+
+  pushText(children, marker);
+  node.children.forEach(child => (child.type === 'text' ? pushText(children, child.text) : children.push(child)));
+  if (closed) pushText(children, marker);
+};
+
+// Inline nodes of one line. "_" only opens or closes at a word boundary, so
+// snake_case stays as written; any marker only opens before and closes after
+// a non-space character, so "2 * 3 * 4" is not emphasis.
+const parseInline = (source) => {
+  const root = { children: [] };
+  const stack = [{ node: root, marker: null }];
+  const top = () => stack[stack.length - 1];
+  let index = 0;
+
+  while (index < source.length) {
+    const character = source[index];
+
+    if (character === '\\' && ESCAPABLE.includes(source[index + 1] || ' ')) {
+      pushText(top().node.children, source[index + 1]);
+      index += 2;
+      continue;
+    }
+
+    if (character === '`') {
+      const close = source.indexOf('`', index + 1);
+      if (close > index + 1) {
+        top().node.children.push({ type: 'code', text: source.slice(index + 1, close) });
+        index = close + 1;
+        continue;
+      }
+    }
+
+    // "***" may be strong and em together, so a marker that can neither
+    // close nor open is retried as its one-character form
+    const marker = MARKERS.filter(candidate => source.startsWith(candidate, index)).find(candidate => {
+      const before = source[index - 1] || ' ';
+      const after = source[index + candidate.length] || ' ';
+      const underscore = candidate[0] === '_';
+      const canClose = !/\s/.test(before) && !(underscore && WORD_CHARACTER.test(after));
+      const canOpen = !/\s/.test(after) && !(underscore && WORD_CHARACTER.test(before));
+
+      if (canClose && top().marker === candidate) {
+        const { node } = stack.pop();
+        pushNode(top().node.children, node, candidate, true);
+        return true;
+      }
+
+      if (canOpen && stack.length <= MAX_NESTING && !stack.some(entry => entry.marker === candidate)) {
+        stack.push({ node: { type: MARK_TYPES[candidate], children: [] }, marker: candidate });
+        return true;
+      }
+
+      return false;
+    });
+    if (marker) {
+      index += marker.length;
+      continue;
+    }
+
+    pushText(top().node.children, character);
+    index += 1;
+  }
+
+  while (stack.length > 1) {
+    const { node, marker } = stack.pop();
+    pushNode(top().node.children, node, marker, false);
+  }
+
+  return root.children;
+};
+
+const textOf = (nodes) => nodes.map(node => (node.children ? textOf(node.children) : node.text)).join('');
+
+const parseLine = (line) => {
+  const [whitespace] = line.match(/^[ \t]*/);
+  const content = parseInline(line.slice(whitespace.length));
+  return { indent: columnsOf(whitespace), text: textOf(content), content };
+};
+
+// Structured document of a body; the source is sanitized first
+const parsePoem = (body) => {
+  const stanzas = [];
+  let gap = 0;
+
+  sanitizeSource(body).split('\n').forEach(line => {
+    if (line === '') {
+      gap += 1;
+      return;
+    }
+
+    if (stanzas.length === 0 || gap > 0) {
+      stanzas.push({ gap: stanzas.length === 0 ? 0 : gap, lines: [] });
+      gap = 0;
+    }
+    stanzas[stanzas.length - 1].lines.push(parseLine(line));
+  });
+
+  return { version: FORMAT_VERSION, stanzas };
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Escaped text whose spacing survives HTML whitespace collapsing: every space
+// after the first in a run, and every tab, becomes a non-breaking space
+const spacedHtml = (text) => escapeHtml(text)
+  .replace(/\t/g, '&#160;'.repeat(TAB_WIDTH))
+  .replace(/ {2,}/g, spaces => ` ${'&#160;'.repeat(spaces.length - 1)}`);
+
+const inlineHtml = (nodes) => nodes.map(node => {
+  if (node.type === 'text') return spacedHtml(node.text);
+  if (node.type === 'code') return `<code>${spacedHtml(node.text)}</code>`;
+
+  const tag = HTML_TAGS[node.type];
+  return tag ? `<${tag}>${inlineHtml(node.children)}</${tag}>` : inlineHtml(node.children || []);
+}).join('');
+
+// HTML rendering of a document. All text is escaped and the only tags are
+// div, p, span, br, em, strong, s and code, so it can be inserted as is.
+const renderHtml = (document) => {
+  const stanzas = document.stanzas.map(stanza => {
+    const lines = stanza.lines.map(line => (
+      `<span class="line">${'&#160;'.repeat(line.indent)}${inlineHtml(line.content)}</span>`
+    ));
+    // One blank line is the paragraph break itself; any more are kept as breaks
+    const extraGap = '<br>'.repeat(Math.max(0, stanza.gap - 1));
+    return `${extraGap}<p class="stanza">${lines.join('<br>')}</p>`;
+  });
+
+  return `<div class="poem">${stanzas.join('')}</div>`;
+};
+
+// The poem with both renderings of its body. Poems stored before documents
+// were (or with an older format) are parsed on the fly.
+const formatPoem = (poem) => {
+  if (!poem) return poem;
+
+  const document = poem.bodyDocument && poem.bodyDocument.version === FORMAT_VERSION
+    ? poem.bodyDocument
+    : parsePoem(poem.body);
+
+  return { ...poem, bodyDocument: document, bodyHtml: renderHtml(document) };
+};
+
+// A poem as the routes return it: formatted, with its image renditions and
+// reading where the app stores uploads (uploads, an EncryptedUploadStore)
+const presentPoem = (poem, uploads = null) => formatPoem(poem && uploads ? uploads.withMedia(poem) : poem);
+
+module.exports = {
+  FORMAT_VERSION,
+  sanitizeSource,
+  parsePoem,
+  renderHtml,
+  formatPoem,
+  presentPoem
+};
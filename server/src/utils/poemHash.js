@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const { canonicalJson } = require('./ledgerEntry');
+const { sanitizeSource } = require('./poemFormat');
+
+// The hash that identifies a poem's content in the ledger, Poem.contentHash
+// and authorship certificates: sha256 over the canonical serialization of its
+// title, body and author id, so the same poem hashes the same however its text
+// was copied, pasted or saved.
+//
+//   title     NFC, whitespace runs as one space, trimmed
+//   body      as utils/poemFormat.js stores it (sanitizeSource): NFC, "\n" line
+//             endings, no trailing whitespace on a line, no blank lines before
+//             the first line or after the last; indentation is kept
+//   authorId  as a string
+//
+// serialized as the canonical JSON of { authorId, body, title, version }
+// (keys sorted, see utils/ledgerEntry.js). Anything that changes the result
+// for some input, including what sanitizeSource removes, needs a new
+// CONTENT_HASH_VERSION and a rehash of existing poems (see
+// services/ContentHashMigration.js).
+//
+// Needs nothing but Node, so the offline certificate verifier computes it the
+// same way.
+const CONTENT_HASH_VERSION = 1;
+
+const canonicalTitle = (title) => String(title ?? '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+const canonicalPoem = (title, body, authorId) => canonicalJson({
+  version: CONTENT_HASH_VERSION,
+  title: canonicalTitle(title),
+  body: sanitizeSource(body),
+  authorId: String(authorId)
+});
+
+const contentHashOf = (title, body, authorId) => crypto.createHash('sha256')
+  .update(canonicalPoem(title, body, authorId))
+  .digest('hex');
+
+// The hash before CONTENT_HASH_VERSION 1: the raw title, body and author id
+// run together. Certificates issued with it carry no contentHashVersion.
+const legacyContentHashOf = (title, body, authorId) => crypto.createHash('sha256')
+  .update(`${title}${body}${authorId}`)
+  .digest('hex');
+
+module.exports = { CONTENT_HASH_VERSION, canonicalPoem, contentHashOf, legacyContentHashOf };
@@ -0,0 +1,67 @@
+// Line timings for audio readings.
+//
+// A poem's readingTimings say when each line is spoken in its reading, so a
+// player can highlight the current line: [{ line, start, end }], where line
+// indexes body.split('\n') and start/end are seconds into the recording.
+// Entries are kept in playback order and never overlap; a line may appear
+// more than once (a refrain read twice) and lines that are not read can be
+// left out.
+const MAX_TIMINGS = 2000;
+
+const invalidTimings = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_TIMINGS';
+  return error;
+};
+
+const lineCountOf = (body) => String(body || '').split('\n').length;
+
+// Validates timings (an array, or the JSON text of one, as sent in multipart
+// forms) against the poem body and the recording's duration in seconds.
+// Returns the normalized entries; throws with code INVALID_TIMINGS.
+const parseReadingTimings = (value, { body, duration }) => {
+  let timings = value;
+  if (typeof timings === 'string') {
+    try {
+      timings = JSON.parse(timings);
+    } catch (error) {
+      throw invalidTimings('Timings must be valid JSON');
+    }
+  }
+
+  if (!Array.isArray(timings)) {
+    throw invalidTimings('Timings must be an array of { line, start, end }');
+  }
+  if (timings.length > MAX_TIMINGS) {
+    throw invalidTimings(`At most ${MAX_TIMINGS} timings are allowed`);
+  }
+
+  const lineCount = lineCountOf(body);
+  let previousEnd = 0;
+
+  return timings.map((timing, index) => {
+    const { line, start, end } = timing || {};
+
+    if (!Number.isInteger(line) || line < 0 || line >= lineCount) {
+      throw invalidTimings(`Timing ${index}: line must be between 0 and ${lineCount - 1}`);
+    }
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      throw invalidTimings(`Timing ${index}: start and end must be seconds with start before end`);
+    }
+    if (end > duration) {
+      throw invalidTimings(`Timing ${index}: ends after the recording (${duration} seconds)`);
+    }
+    if (start < previousEnd) {
+      throw invalidTimings(`Timing ${index}: timings must be in order and must not overlap`);
+    }
+
+    previousEnd = end;
+    return { line, start, end };
+  });
+};
+
+module.exports = {
+  MAX_TIMINGS,
+  lineCountOf,
+  parseReadingTimings
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Ed25519 signatures as the ledger, its checkpoints and authorship
+// certificates carry them:
+//
+//   { algorithm: 'Ed25519', keyId, value }   value is base64
+//
+// keyId is the RFC 7638 thumbprint of the signing key's public JWK, and the
+// public keys are published as a JWK set at /.well-known/jwks.json. Nothing
+// here needs a private key, so third parties can check signatures with just
+// the published set (see services/SigningKeyring.js for signing).
+const ALGORITHM = 'Ed25519';
+
+const base64url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// RFC 7638 thumbprint of an Ed25519 public JWK
+const thumbprintOf = (jwk) => base64url(crypto.createHash('sha256')
+  .update(JSON.stringify({ crv: jwk.crv, kty: jwk.kty, x: jwk.x }))
+  .digest());
+
+// Public JWK (with kid) for a KeyObject, or a base64 SPKI key as checkpoints
+// signed before key ids carried it
+const publicJwkOf = (key) => {
+  const publicKey = typeof key === 'string'
+    ? crypto.createPublicKey({ key: Buffer.from(key, 'base64'), format: 'der', type: 'spki' })
+    : crypto.createPublicKey(key);
+  const { kty, crv, x } = publicKey.export({ format: 'jwk' });
+  return { kty, crv, x, kid: thumbprintOf({ kty, crv, x }), use: 'sig', alg: 'EdDSA' };
+};
+
+// The key id a signature names; older checkpoint signatures name their public key instead
+const keyIdOfSignature = (signature) => (
+  signature.keyId || (signature.publicKey ? publicJwkOf(signature.publicKey).kid : null)
+);
+
+// Check a signature over data (string or Buffer) against a JWK set
+// ({ keys: [...] }). Returns { valid, keyId, reason }.
+const verifySignature = (data, signature, keySet) => {
+  if (!signature || typeof signature !== 'object' || signature.algorithm !== ALGORITHM) {
+    return { valid: false, keyId: null, reason: 'Not an Ed25519 signature' };
+  }
+
+  const keyId = keyIdOfSignature(signature);
+  const jwk = (keySet && keySet.keys || []).find(candidate => candidate.kid === keyId);
+  if (!jwk) {
+    return { valid: false, keyId, reason: `Signing key ${keyId} is not in the published key set` };
+  }
+
+  try {
+    const publicKey = crypto.createPublicKey({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x }, format: 'jwk' });
+    const valid = crypto.verify(null, Buffer.from(data), publicKey, Buffer.from(signature.value, 'base64'));
+    return { valid, keyId, reason: valid ? null : 'Signature does not match' };
+  } catch (error) {
+    return { valid: false, keyId, reason: `Malformed key or signature: ${error.message}` };
+  }
+};
+
+module.exports = {
+  ALGORITHM,
+  thumbprintOf,
+  publicJwkOf,
+  keyIdOfSignature,
+  verifySignature
+};
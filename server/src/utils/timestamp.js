@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const der = require('./der');
+
+// RFC 3161 trusted timestamps of ledger content hashes (see
+// services/LedgerTimestamps.js). A timestamp authority (TSA) signs a token
+// saying a hash existed at a given time; anyone holding the token and the
+// TSA's certificate chain can check it without trusting our clock.
+//
+// Tokens are CMS SignedData over a TSTInfo. verifyToken() checks, with Node's
+// crypto only (so the offline certificate verifier uses it too):
+//
+//   - the TSTInfo's message imprint is the sha256 hash we asked about
+//   - the signed attributes name the TSTInfo and carry its digest
+//   - the signature verifies with a certificate in the token (or given)
+//   - that certificate is for timestamping, was valid at genTime and, when
+//     it names one, is the certificate the signed attributes commit to
+//   - if trusted certificates are given, it is one of them or chains to one
+const OID = {
+  sha1: '1.3.14.3.2.26',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha384: '2.16.840.1.101.3.4.2.2',
+  sha512: '2.16.840.1.101.3.4.2.3',
+  signedData: '1.2.840.113549.1.7.2',
+  tstInfo: '1.2.840.113549.1.9.16.1.4',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingCertificate: '1.2.840.113549.1.9.16.2.12',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  sha256WithRSA: '1.2.840.113549.1.1.11',
+  sha384WithRSA: '1.2.840.113549.1.1.12',
+  sha512WithRSA: '1.2.840.113549.1.1.13',
+  ecPublicKey: '1.2.840.10045.2.1',
+  ecdsaWithSHA256: '1.2.840.10045.4.3.2',
+  ecdsaWithSHA384: '1.2.840.10045.4.3.3',
+  ecdsaWithSHA512: '1.2.840.10045.4.3.4',
+  ed25519: '1.3.101.112',
+  timeStamping: '1.3.6.1.5.5.7.3.8'
+};
+
+const DIGESTS = {
+  [OID.sha1]: 'sha1',
+  [OID.sha256]: 'sha256',
+  [OID.sha384]: 'sha384',
+  [OID.sha512]: 'sha512'
+};
+
+// Digest a signature algorithm implies; rsaEncryption and ecPublicKey take
+// the signer's digest algorithm, Ed25519 none
+const SIGNATURE_DIGESTS = {
+  [OID.sha256WithRSA]: 'sha256',
+  [OID.sha384WithRSA]: 'sha384',
+  [OID.sha512WithRSA]: 'sha512',
+  [OID.ecdsaWithSHA256]: 'sha256',
+  [OID.ecdsaWithSHA384]: 'sha384',
+  [OID.ecdsaWithSHA512]: 'sha512'
+};
+
+const PKI_STATUS = ['granted', 'grantedWithMods', 'rejection', 'waiting', 'revocationWarning', 'revocationNotification'];
+
+const MAX_CHAIN_LENGTH = 5;
+
+// TimeStampReq for a sha256 hash (hex), asking for the TSA's certificate
+const buildRequest = (hash, { nonce = null } = {}) => der.sequence(
+  der.integer(1),
+  der.sequence(
+    der.sequence(der.oid(OID.sha256), der.nullValue()),
+    der.octetString(Buffer.from(hash, 'hex'))
+  ),
+  ...(nonce !== null ? [der.integer(nonce)] : []),
+  der.boolean(true)
+);
+
+// A random nonce for buildRequest(), echoed in the token
+const createNonce = () => BigInt(`0x${crypto.randomBytes(8).toString('hex')}`);
+
+// The fields of a TimeStampReq, as a TSA reads them
+const parseRequest = (request) => {
+  const [version, messageImprint, ...rest] = der.decode(request).children;
+  const nonce = rest.find(node => node.tag === 0x02 && node.tagClass === 0);
+  const certReq = rest.find(node => node.tag === 0x01);
+  return {
+    version: Number(der.readInteger(version)),
+    messageImprint: messageImprint.raw,
+    hashAlgorithm: der.readOid(messageImprint.children[0].children[0]),
+    nonce: nonce ? der.readInteger(nonce) : null,
+    certReq: !!certReq && certReq.value[0] !== 0
+  };
+};
+
+// The token (DER ContentInfo) of a TimeStampResp, or an error with the
+// authority's status if it refused
+const parseResponse = (response) => {
+  const [statusInfo, token] = der.decode(response).children;
+  const [status, ...details] = statusInfo.children;
+  const code = Number(der.readInteger(status));
+
+  if (code > 1 || !token) {
+    const text = details.filter(node => node.constructed).flatMap(node => node.children)
+      .map(node => node.value.toString('utf8')).join('; ');
+    const error = new Error(`Timestamp authority answered ${PKI_STATUS[code] || code}${text ? `: ${text}` : ''}`);
+    error.code = 'TSA_REJECTED';
+    throw error;
+  }
+  return Buffer.from(token.raw);
+};
+
+const readTstInfo = (bytes) => {
+  const [version, policy, messageImprint, serialNumber, genTime, ...rest] = der.decode(bytes).children;
+  const nonce = rest.find(node => node.tagClass === 0 && node.tag === 0x02);
+  return {
+    version: Number(der.readInteger(version)),
+    policy: der.readOid(policy),
+    hashAlgorithm: der.readOid(messageImprint.children[0].children[0]),
+    hashedMessage: messageImprint.children[1].value.toString('hex'),
+    serialNumber: der.readInteger(serialNumber).toString(16),
+    genTime: der.readTime(genTime),
+    nonce: nonce ? der.readInteger(nonce) : null
+  };
+};
+
+// The parts of a token verifyToken() needs
+const parseToken = (token) => {
+  const [contentType, content] = der.decode(token).children;
+  if (der.readOid(contentType) !== OID.signedData) throw new Error('Not CMS signed data');
+
+  const signedData = content.children[0].children;
+  const encapsulated = signedData[2];
+  if (der.readOid(encapsulated.children[0]) !== OID.tstInfo) throw new Error('Not a timestamp token');
+  const tstInfoBytes = encapsulated.children[1].children[0].value;
+
+  const certificates = signedData.find(node => der.isContext(node, 0));
+  const signerInfos = signedData[signedData.length - 1].children;
+  if (signerInfos.length !== 1) throw new Error('Expected exactly one signer');
+
+  const [, sid, digestAlgorithm, ...rest] = signerInfos[0].children;
+  const signedAttributes = rest.find(node => der.isContext(node, 0));
+  const [signatureAlgorithm, signature] = rest.filter(node => !der.isContext(node, 0) && !der.isContext(node, 1));
+  if (!signedAttributes) throw new Error('Token has no signed attributes');
+
+  const attributes = new Map(signedAttributes.children.map(attribute => [
+    der.readOid(attribute.children[0]),
+    attribute.children[1].children[0]
+  ]));
+
+  return {
+    tstInfoBytes,
+    tstInfo: readTstInfo(tstInfoBytes),
+    certificates: certificates ? certificates.children.map(node => new crypto.X509Certificate(node.raw)) : [],
+    signerSerial: sid.tagClass === 0 ? der.readInteger(sid.children[1]) : null,
+    digestAlgorithm: der.readOid(digestAlgorithm.children[0]),
+    // Signed over as a SET, not as the [0] it is stored as
+    signedAttributesBytes: Buffer.concat([Buffer.from([0x31]), signedAttributes.raw.subarray(1)]),
+    attributes,
+    signatureAlgorithm: der.readOid(signatureAlgorithm.children[0]),
+    signature: signature.value
+  };
+};
+
+const toCertificates = (certificates = []) => certificates.map(certificate => (
+  certificate instanceof crypto.X509Certificate ? certificate : new crypto.X509Certificate(certificate)
+));
+
+// Certificates in a PEM bundle
+const splitPemBundle = (pem) => (pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || []);
+
+const serialOf = (certificate) => BigInt(`0x${certificate.serialNumber}`);
+
+// Whether certificate is one of anchors or chains up to one through intermediates
+const chainsTo = (certificate, intermediates, anchors, depth = 0) => {
+  if (anchors.some(anchor => anchor.fingerprint256 === certificate.fingerprint256)) return true;
+  if (depth >= MAX_CHAIN_LENGTH) return false;
+
+  const issuedBy = (issuer) => certificate.checkIssued(issuer) && certificate.verify(issuer.publicKey);
+  if (anchors.some(issuedBy)) return true;
+
+  return intermediates
+    .filter(issuer => issuer.fingerprint256 !== certificate.fingerprint256 && issuedBy(issuer))
+    .some(issuer => chainsTo(issuer, intermediates, anchors, depth + 1));
+};
+
+const signerSummary = (certificate) => ({
+  subject: certificate.subject,
+  issuer: certificate.issuer,
+  serialNumber: certificate.serialNumber,
+  fingerprint256: certificate.fingerprint256
+});
+
+// Check a token (DER or base64) against the sha256 hash (hex) it should
+// cover. Returns { valid, reason, genTime, serialNumber, policy, signer,
+// trusted }, where trusted is null without trustedCertificates (PEM or
+// X509Certificate) to check the signer against.
+const verifyToken = (token, { hash, nonce = null, trustedCertificates = [] }) => {
+  const result = { valid: false, reason: null, genTime: null, serialNumber: null, policy: null, signer: null, trusted: null };
+  const fail = (reason) => ({ ...result, reason });
+
+  let parsed;
+  try {
+    parsed = parseToken(Buffer.isBuffer(token) ? token : Buffer.from(token, 'base64'));
+  } catch (error) {
+    return fail(`Malformed timestamp token: ${error.message}`);
+  }
+
+  const { tstInfo, attributes } = parsed;
+  result.genTime = tstInfo.genTime.toISOString();
+  result.serialNumber = tstInfo.serialNumber;
+  result.policy = tstInfo.policy;
+
+  if (tstInfo.hashAlgorithm !== OID.sha256 || tstInfo.hashedMessage !== hash) {
+    return fail('The token is for a different hash');
+  }
+  if (nonce !== null && tstInfo.nonce !== BigInt(nonce)) {
+    return fail('The token does not echo the request nonce');
+  }
+
+  const digest = DIGESTS[parsed.digestAlgorithm];
+  if (!digest) return fail(`Unsupported digest algorithm ${parsed.digestAlgorithm}`);
+
+  const contentType = attributes.get(OID.contentType);
+  const messageDigest = attributes.get(OID.messageDigest);
+  if (!contentType || der.readOid(contentType) !== OID.tstInfo) {
+    return fail('The signed attributes do not name a timestamp');
+  }
+  if (!messageDigest || !messageDigest.value.equals(crypto.createHash(digest).update(parsed.tstInfoBytes).digest())) {
+    return fail('The signed attributes do not match the timestamp');
+  }
+
+  const trusted = toCertificates(trustedCertificates);
+  const candidates = [...parsed.certificates, ...trusted]
+    .filter(certificate => parsed.signerSerial === null || serialOf(certificate) === parsed.signerSerial);
+  const signatureDigest = parsed.signatureAlgorithm === OID.ed25519
+    ? null
+    : SIGNATURE_DIGESTS[parsed.signatureAlgorithm] || digest;
+
+  const signer = candidates.find(certificate => {
+    try {
+      return crypto.verify(signatureDigest, parsed.signedAttributesBytes, certificate.publicKey, parsed.signature);
+    } catch (error) {
+      return false;
+    }
+  });
+  if (!signer) return fail('The token signature does not verify with its certificate');
+  result.signer = signerSummary(signer);
+
+  // ESSCertIDv2 (or v1, with sha1) naming the signing certificate
+  const essCertificates = attributes.get(OID.signingCertificateV2) || attributes.get(OID.signingCertificate);
+  if (essCertificates) {
+    const [essCertId] = essCertificates.children[0].children;
+    const hasAlgorithm = essCertId.children[0].tag === 0x10;
+    const essDigest = attributes.has(OID.signingCertificateV2)
+      ? (hasAlgorithm ? DIGESTS[der.readOid(essCertId.children[0].children[0])] : 'sha256')
+      : 'sha1';
+    const certHash = essCertId.children[hasAlgorithm ? 1 : 0].value;
+    if (!essDigest || !certHash.equals(crypto.createHash(essDigest).update(signer.raw).digest())) {
+      return fail('The token was signed with a certificate other than the one it names');
+    }
+  }
+
+  const usages = signer.keyUsage || [];
+  if (!usages.includes(OID.timeStamping)) {
+    return fail('The signing certificate is not for timestamping');
+  }
+  if (tstInfo.genTime < new Date(signer.validFrom) || tstInfo.genTime > new Date(signer.validTo)) {
+    return fail('The signing certificate was not valid at the time of the timestamp');
+  }
+
+  if (trusted.length > 0) {
+    result.trusted = chainsTo(signer, parsed.certificates, trusted);
+    if (!result.trusted) return fail('The timestamp authority is not trusted');
+  }
+
+  return { ...result, valid: true };
+};
+
+module.exports = {
+  OID,
+  buildRequest,
+  createNonce,
+  parseRequest,
+  parseResponse,
+  splitPemBundle,
+  verifyToken
+};
@@ -0,0 +1,24 @@
+// Retention for deleted poems.
+//
+// Deleting a poem moves it to its author's trash. It can be restored for
+// TRASH_RETENTION_DAYS days, after which TrashPurgeJob removes it for good.
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+// When a poem deleted at deletedAt will be purged
+const purgeAt = (deletedAt) => new Date(new Date(deletedAt).getTime() + retentionDays() * DAY_MS);
+
+// Poems deleted at or before this moment are due for purging
+const purgeCutoff = (now = new Date()) => new Date(now.getTime() - retentionDays() * DAY_MS);
+
+module.exports = {
+  DEFAULT_RETENTION_DAYS,
+  retentionDays,
+  purgeAt,
+  purgeCutoff
+};
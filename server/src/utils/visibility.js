@@ -0,0 +1,46 @@
+// Who may read a poem.
+//
+//   public    everyone
+//   unlisted  the author, and anyone presenting an active share link for it
+//   private   the author, its co-authors, and the users on the poem's access
+//             list
+//
+// Co-authors may read the poem whatever its visibility.
+//
+// Routes answer 404 for a poem the reader may not see, so the ids of unlisted
+// and private poems cannot be probed.
+
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Poems carry the author as an id (storage) or as an author summary (repositories)
+const authorIdOf = (poem) => String(poem.author && poem.author.id ? poem.author.id : poem.author);
+
+const isAuthor = (poem, viewer) => !!viewer && String(viewer.id) === authorIdOf(poem);
+
+// Co-authors likewise, as { userId } (storage) or { user } (repositories)
+const coAuthorIdOf = (coAuthor) => String(coAuthor.userId ?? (coAuthor.user && coAuthor.user.id ? coAuthor.user.id : coAuthor.user));
+
+const isCoAuthor = (poem, viewer) => !!viewer && (poem.coAuthors || []).some(coAuthor => coAuthorIdOf(coAuthor) === String(viewer.id));
+
+// shares is the shares repository. With redeem set, a share link that lets
+// the reader in counts as one view of it; use that for reads of the poem
+// itself and leave it off for likes, comments and the like.
+const canReadPoem = async (shares, poem, viewer, { shareToken = null, redeem = false } = {}) => {
+  if (poem.visibility === 'public' || isAuthor(poem, viewer) || isCoAuthor(poem, viewer)) return true;
+
+  if (poem.visibility === 'unlisted') {
+    if (!shareToken) return false;
+    return redeem ? shares.redeemLink(shareToken, poem.id) : shares.checkLink(shareToken, poem.id);
+  }
+
+  return !!viewer && shares.hasAccess(poem.id, viewer.id);
+};
+
+module.exports = {
+  VISIBILITIES,
+  authorIdOf,
+  isAuthor,
+  coAuthorIdOf,
+  isCoAuthor,
+  canReadPoem
+};
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { tempDir, removeDir, openStorage, createUser, createPoem } = require('./helpers');
+
+describe('per-author data keys', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = await openStorage(dir);
+  });
+
+  afterEach(() => {
+    storage.close();
+    removeDir(dir);
+  });
+
+  const ciphertextOf = (table, id) => storage.db.prepare(`SELECT encrypted_data FROM ${table} WHERE id = ?`).get(id).encrypted_data;
+
+  test('encrypt each author\'s rows under their own key, kept outside the database', async () => {
+    const ann = await createUser(storage, 'ann');
+    const bob = await createUser(storage, 'bob');
+    const poem = await createPoem(storage, ann.id);
+
+    expect(storage.keyring.keyIdOf(ciphertextOf('users', ann.id))).toBe(`author.${ann.id}`);
+    expect(storage.keyring.keyIdOf(ciphertextOf('users', bob.id))).toBe(`author.${bob.id}`);
+    expect(storage.keyring.keyIdOf(ciphertextOf('poems', poem.id))).toBe(`author.${ann.id}`);
+
+    expect(storage.authorKeys.dbPath).toBe(path.join(dir, 'poets_codex_keys.db'));
+    const tables = storage.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+    expect(tables).not.toContain('author_keys');
+  });
+
+  test('forgetting an author shreds their key and removes their rows', async () => {
+    const ann = await createUser(storage, 'ann');
+    const bob = await createUser(storage, 'bob');
+    const poem = await createPoem(storage, ann.id);
+    const kept = await createPoem(storage, bob.id);
+    const copy = ciphertextOf('poems', poem.id);
+
+    const result = await storage.forgetAuthor(ann.id);
+
+    expect(result).toMatchObject({ keyDestroyed: true, poemsRemoved: 1, poemIds: [poem.id] });
+    expect(await storage.findUserById(ann.id)).toBeNull();
+    expect(await storage.findPoemById(poem.id)).toBeNull();
+    expect((await storage.findPoemById(kept.id)).title).toBe('Morning');
+
+    // A copy of the row (in a backup, say) can no longer be read
+    expect(() => storage.keyring.decrypt(copy, { table: 'poems', id: poem.id }))
+      .toThrow(expect.objectContaining({ code: 'KEY_DESTROYED' }));
+    expect(storage.authorKeys.isDestroyed(ann.id)).toBe(true);
+    expect(storage.authorKeys.db.prepare('SELECT wrapped_key FROM author_keys WHERE author_id = ?').get(ann.id).wrapped_key).toBeNull();
+  });
+
+  test('a forgotten author id never gets a new key', async () => {
+    const ann = await createUser(storage, 'ann');
+    await storage.forgetAuthor(ann.id);
+
+    expect(() => storage.authorKeys.ensureKey(ann.id)).toThrow(expect.objectContaining({ code: 'KEY_DESTROYED' }));
+  });
+});
+
+describe('sealing lookup columns staged by migration 014', () => {
+  let dir;
+  let storage;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    if (storage) storage.close();
+    storage = null;
+    removeDir(dir);
+  });
+
+  test('moves staged plaintext into the encrypted rows and leaves none on disk', async () => {
+    storage = await openStorage(dir);
+    const ann = await createUser(storage, 'ann');
+    const poem = await createPoem(storage, ann.id, { title: 'Evening' });
+
+    // As 014 leaves a database written before it: the values staged in
+    // plaintext, missing from the encrypted rows, and still in the renamed
+    // lookup columns
+    const strip = (table, id, fields) => {
+      const row = storage.db.prepare(`SELECT encrypted_data FROM ${table} WHERE id = ?`).get(id);
+      const data = storage.decrypt(row.encrypted_data, table, id);
+      fields.forEach(field => {
+        storage.db.prepare('INSERT INTO unsealed_lookup_values (table_name, row_id, field, value) VALUES (?, ?, ?, ?)')
+          .run(table, id, field, data[field]);
+        delete data[field];
+      });
+      storage.db.prepare(`UPDATE ${table} SET encrypted_data = ? WHERE id = ?`)
+        .run(storage.encrypt(data, table, id, ann.id), id);
+    };
+    strip('users', ann.id, ['username', 'email']);
+    strip('poems', poem.id, ['title']);
+    storage.db.prepare("UPDATE users SET username_index = 'ann', email_index = 'ann@example.com'").run();
+    storage.close();
+
+    storage = await openStorage(dir);
+
+    expect(storage.db.prepare('SELECT COUNT(*) as count FROM unsealed_lookup_values').get().count).toBe(0);
+    expect((await storage.findUserByEmail('ann@example.com')).id).toBe(ann.id);
+    expect((await storage.findUserByUsername('ann')).id).toBe(ann.id);
+    expect((await storage.findPoemById(poem.id)).title).toBe('Evening');
+
+    storage.close();
+    const file = fs.readFileSync(path.join(dir, 'poets_codex.db'));
+    expect(file.includes('ann@example.com')).toBe(false);
+    expect(file.includes('Evening')).toBe(false);
+    storage = null;
+  });
+});
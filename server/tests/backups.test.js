@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const BackupService = require('../src/services/BackupService');
+const { tempDir, removeDir, openStorage, createUser, createPoem } = require('./helpers');
+
+describe('encrypted backups', () => {
+  let dir;
+  let storage;
+  let backups;
+  let ann;
+  let bob;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = await openStorage(dir);
+    backups = new BackupService(storage, { backupDir: path.join(dir, 'backups') });
+    ann = await createUser(storage, 'ann');
+    bob = await createUser(storage, 'bob');
+  });
+
+  afterEach(() => {
+    storage.close();
+    removeDir(dir);
+  });
+
+  test('a backup is encrypted, carries a manifest and verifies', async () => {
+    await createPoem(storage, ann.id, { title: 'Evening' });
+
+    const { archivePath, manifest, keyStoreExportPath } = await backups.createBackup();
+
+    expect(manifest.tables).toMatchObject({ users: 2, poems: 1 });
+    expect(manifest.schemaVersion).toBeGreaterThanOrEqual(14);
+    expect(fs.existsSync(keyStoreExportPath)).toBe(true);
+    expect(fs.readFileSync(archivePath).includes('SQLite format 3')).toBe(false);
+
+    const report = backups.verifyBackup(archivePath);
+    expect(report.valid).toBe(true);
+    expect(report.checks.map(check => check.check)).toEqual(expect.arrayContaining([
+      'archive hash', 'decryption and manifest authentication', 'database hash', 'sqlite integrity_check', 'row count poems'
+    ]));
+  });
+
+  test('an edited manifest fails verification', async () => {
+    const { archivePath } = await backups.createBackup();
+
+    const text = fs.readFileSync(archivePath);
+    const edited = Buffer.from(text.toString('latin1').replace('"poems":0', '"poems":5'), 'latin1');
+    fs.writeFileSync(archivePath, edited);
+
+    const report = backups.verifyBackup(archivePath);
+    expect(report.valid).toBe(false);
+    expect(report.checks).toContainEqual(expect.objectContaining({ check: 'decryption and manifest authentication', ok: false }));
+    expect(() => backups.restoreDatabase(archivePath, path.join(dir, 'restored.db')))
+      .toThrow(expect.objectContaining({ code: 'BACKUP_INVALID' }));
+  });
+
+  test('one author\'s poems are restored into the live database without undoing other edits', async () => {
+    const lost = await createPoem(storage, ann.id, { title: 'Lost' });
+    const edited = await createPoem(storage, ann.id, { title: 'Before' });
+    const { archivePath } = await backups.createBackup();
+
+    await storage.deletePoem(lost.id, ann.id);
+    await storage.purgePoem(lost.id);
+    await storage.updatePoem(edited.id, ann.id, { title: 'After' });
+
+    const result = await backups.restoreAuthor(archivePath, ann.id);
+
+    expect(result.restored.poems).toBe(1);
+    expect((await storage.findPoemById(lost.id)).title).toBe('Lost');
+    expect((await storage.findPoemById(edited.id)).title).toBe('After');
+  });
+
+  test('a forgotten author is left out of restores', async () => {
+    await createPoem(storage, ann.id);
+    const kept = await createPoem(storage, bob.id);
+    const { archivePath } = await backups.createBackup();
+
+    await storage.forgetAuthor(ann.id);
+
+    await expect(backups.restoreAuthor(archivePath, ann.id)).rejects.toMatchObject({ code: 'KEY_DESTROYED' });
+
+    const targetPath = path.join(dir, 'restored.db');
+    const result = backups.restoreDatabase(archivePath, targetPath);
+    expect(result.forgottenAuthors).toEqual([ann.id]);
+
+    const restored = new Database(targetPath, { readonly: true });
+    try {
+      expect(restored.prepare('SELECT id FROM users').all().map(row => row.id)).toEqual([bob.id]);
+      expect(restored.prepare('SELECT id FROM poems').all().map(row => row.id)).toEqual([kept.id]);
+    } finally {
+      restored.close();
+    }
+  });
+
+  test('a keystore export written before an author was forgotten is refused', async () => {
+    const oldExport = backups.exportKeyStore(path.join(dir, 'old.export.json'));
+    await storage.forgetAuthor(ann.id);
+
+    expect(() => backups.importKeyStore(oldExport)).toThrow(expect.objectContaining({ code: 'KEYSTORE_EXPORT_OUTDATED' }));
+
+    const newExport = backups.exportKeyStore(path.join(dir, 'new.export.json'));
+    expect(backups.importKeyStore(newExport).exportedAt).toBeDefined();
+    expect(JSON.parse(fs.readFileSync(newExport, 'utf8')).keys.map(row => row.authorId)).not.toContain(ann.id);
+  });
+});
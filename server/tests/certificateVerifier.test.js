@@ -0,0 +1,121 @@
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { verifyCertificate, formatVerdict } = require('../src/utils/certificateVerifier');
+const { tempDir, removeDir, createApp, signUp } = require('./helpers');
+
+const BODY = 'Salt on the sill\n  and the tide going out';
+
+describe('authorship certificates', () => {
+  let dir;
+  let app;
+  let ann;
+  let poemId;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    app = await createApp(dir);
+    ann = await signUp(app, 'ann');
+    poemId = (await request(app).post('/api/poems').set(ann.auth).send({ title: 'Ebb', body: BODY, visibility: 'public' })).body.poem.id;
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  // The certificate, once the next checkpoint has run, and the published keys
+  const issue = async () => {
+    await app.locals.ledgerCheckpoints.runOnce();
+    const { certificate } = (await request(app).get(`/api/poems/${poemId}/certificate`).expect(200)).body;
+    const keySet = (await request(app).get('/.well-known/jwks.json')).body;
+    return { certificate, keySet };
+  };
+
+  const failedChecks = (result) => result.checks.filter(check => check.ok === false).map(check => check.check);
+
+  test('are issued once the content is checkpointed', async () => {
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const pending = await request(app).get(`/api/poems/${poemId}/certificate`);
+      expect(pending.status).toBe(202);
+      expect(pending.body.code).toBe('NOT_YET_CHECKPOINTED');
+    } finally {
+      errors.mockRestore();
+    }
+
+    const { certificate } = await issue();
+    expect(certificate).toMatchObject({ poemId, title: 'Ebb', authorId: ann.user.id, entry: { poemId }, checkpoint: { number: 1 } });
+  });
+
+  test('verify offline from the text and the published keys alone', async () => {
+    const { certificate, keySet } = await issue();
+
+    const result = verifyCertificate({ certificate, text: BODY, keySet });
+
+    expect(result.valid).toBe(true);
+    expect(result.checks.map(check => check.check)).toEqual([
+      'Poem text matches the certificate',
+      'Certificate has not been altered',
+      'Certificate signature',
+      'Ledger entry for this content',
+      'Ledger entry signature',
+      'Authors match the ledger entry',
+      'Ledger entry is in a published checkpoint',
+      'Checkpoint signature',
+      'Trusted timestamp'
+    ]);
+    expect(result.checks.find(check => check.check === 'Trusted timestamp').ok).toBeNull();
+    expect(formatVerdict(certificate, result)).toContain('VALID, except for the checks skipped above');
+  });
+
+  test('fail the check each kind of tampering breaks', async () => {
+    const { certificate, keySet } = await issue();
+    const verify = (changes, text = BODY, keys = keySet) => failedChecks(verifyCertificate({ certificate: { ...certificate, ...changes }, text, keySet: keys }));
+
+    expect(verify({}, `${BODY}\nand a line added later`)).toEqual(['Poem text matches the certificate']);
+    expect(verify({ title: 'Flood' })).toEqual(expect.arrayContaining(['Certificate has not been altered']));
+    expect(verify({}, BODY, { keys: [] })).toEqual(['Certificate signature', 'Ledger entry signature', 'Checkpoint signature']);
+    expect(verify({ entry: { ...certificate.entry, authorId: 'someone' } })).toEqual(expect.arrayContaining(['Ledger entry for this content']));
+
+    expect(verify({ checkpoint: { ...certificate.checkpoint, rootHash: '0'.repeat(64) } }))
+      .toEqual(expect.arrayContaining(['Ledger entry is in a published checkpoint', 'Checkpoint signature']));
+  });
+
+  test('are validated by the server against the ledger too', async () => {
+    const { certificate } = await issue();
+    await app.locals.integrityMonitor.runOnce();
+
+    const validated = await request(app).post('/api/certificates/validate').send({ certificate, text: BODY });
+    expect(validated.status).toBe(200);
+    expect(validated.body.valid).toBe(true);
+    expect(validated.body.checks).toContainEqual(expect.objectContaining({ check: 'Ledger chain is intact', ok: true }));
+
+    const malformed = await request(app).post('/api/certificates/validate').send({ certificate: { title: 'Ebb' } });
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.code).toBe('INVALID_CERTIFICATE');
+  });
+
+  test('verify with the command-line tool', async () => {
+    const { certificate, keySet } = await issue();
+    const file = (name, content) => {
+      fs.writeFileSync(path.join(dir, name), content);
+      return path.join(dir, name);
+    };
+    const certificateFile = file('certificate.json', JSON.stringify({ certificate }));
+    const keysFile = file('jwks.json', JSON.stringify(keySet));
+    const run = (textFile) => spawnSync(process.execPath, [path.join(__dirname, '../scripts/verify-certificate.js'), certificateFile, textFile, keysFile], {
+      encoding: 'utf8',
+      timeout: 30000
+    });
+
+    // Line endings and trailing spaces do not change the hash
+    const valid = run(file('poem.txt', `${BODY.replace(/\n/g, '  \r\n')}\n`));
+    expect(valid.status).toBe(0);
+    expect(valid.stdout).toContain('✅ Poem text matches the certificate');
+
+    const altered = run(file('altered.txt', BODY.replace('Salt', 'Sand')));
+    expect(altered.status).toBe(1);
+    expect(altered.stdout).toContain('NOT VALID');
+  });
+});
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const Ledger = require('../src/services/Ledger');
+const LedgerCheckpoints = require('../src/services/LedgerCheckpoints');
+const { canonicalJson } = require('../src/utils/ledgerEntry');
+const { leafHash, rootOf, auditPath, verifyInclusion } = require('../src/utils/merkle');
+const { tempDir, removeDir, createApp, signUp } = require('./helpers');
+
+const hashes = (count) => Array.from({ length: count }, (_, index) => crypto.createHash('sha256').update(String(index)).digest('hex'));
+
+describe('Merkle trees', () => {
+  test('every leaf of trees of any size proves against the root', () => {
+    for (let size = 1; size <= 9; size++) {
+      const leaves = hashes(size).map(leafHash);
+      const root = rootOf(leaves);
+
+      leaves.forEach((leaf, index) => {
+        expect(verifyInclusion({ leaf, index, treeSize: size, path: auditPath(leaves, index), root })).toBe(true);
+      });
+    }
+  });
+
+  test('a proof fails for another leaf, index or root', () => {
+    const leaves = hashes(5).map(leafHash);
+    const root = rootOf(leaves);
+    const proof = { leaf: leaves[2], index: 2, treeSize: 5, path: auditPath(leaves, 2), root };
+
+    expect(verifyInclusion({ ...proof, leaf: leaves[3] })).toBe(false);
+    expect(verifyInclusion({ ...proof, index: 3 })).toBe(false);
+    expect(verifyInclusion({ ...proof, index: 5 })).toBe(false);
+    expect(verifyInclusion({ ...proof, root: rootOf(leaves.slice(1)) })).toBe(false);
+  });
+
+  test('leaves and nodes are hashed apart, as in RFC 6962', () => {
+    const [entryHash] = hashes(1);
+    const expected = crypto.createHash('sha256').update(Buffer.concat([Buffer.from([0]), Buffer.from(entryHash, 'hex')])).digest('hex');
+
+    expect(leafHash(entryHash)).toBe(expected);
+  });
+});
+
+describe('LedgerCheckpoints', () => {
+  let dir;
+  let ledgerPath;
+  let ledger;
+  let checkpoints;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    ledgerPath = path.join(dir, 'ledger.jsonl');
+    ledger = Ledger.createLedger('memory', { ledgerPath });
+    await ledger.initialize();
+    checkpoints = new LedgerCheckpoints(ledger);
+    checkpoints.initialize();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  const record = (count) => Array.from({ length: count }).reduce(
+    (previous) => previous.then(() => ledger.record({ eventType: 'POEM_UPDATED', poemId: 'p1', authorId: 'u1', actorId: 'u1' })),
+    Promise.resolve()
+  );
+
+  test('batches the entries since the last checkpoint into signed, chained roots', async () => {
+    expect(await checkpoints.createCheckpoint()).toBeNull();
+
+    await record(3);
+    const first = await checkpoints.createCheckpoint();
+    await record(2);
+    const second = await checkpoints.createCheckpoint();
+    expect(await checkpoints.createCheckpoint()).toBeNull();
+
+    expect(first).toMatchObject({ number: 1, fromSequence: 1, toSequence: 3, treeSize: 3, previousRootHash: null });
+    expect(second).toMatchObject({ number: 2, fromSequence: 4, toSequence: 5, treeSize: 2, previousRootHash: first.rootHash });
+    expect(checkpoints.list()).toEqual([first, second]);
+
+    const { signature, ...body } = second;
+    expect(ledger.signingKeys.verify(canonicalJson(body), signature).valid).toBe(true);
+    expect(ledger.signingKeys.verify(canonicalJson({ ...body, rootHash: first.rootHash }), signature).valid).toBe(false);
+  });
+
+  test('proves an entry against the root of its batch', async () => {
+    await record(3);
+    await checkpoints.createCheckpoint();
+    await record(4);
+    const entries = await ledger.getEntries();
+    expect(await checkpoints.proveInclusion(entries[5].id)).toBeNull();
+
+    const checkpoint = await checkpoints.createCheckpoint();
+    const proof = await checkpoints.proveInclusion(entries[5].id);
+
+    expect(proof).toMatchObject({ checkpoint, leafIndex: 2, treeSize: 4, leafHash: leafHash(entries[5].entryHash) });
+    expect(verifyInclusion({ leaf: proof.leafHash, index: proof.leafIndex, treeSize: proof.treeSize, path: proof.auditPath, root: checkpoint.rootHash })).toBe(true);
+  });
+
+  test('refuses to sign over a broken chain', async () => {
+    await record(3);
+    const lines = fs.readFileSync(ledgerPath, 'utf8').trim().split('\n');
+    fs.writeFileSync(ledgerPath, [lines[0], lines[2]].join('\n') + '\n');
+
+    await expect(checkpoints.createCheckpoint()).rejects.toMatchObject({ code: 'LEDGER_BROKEN' });
+    expect(checkpoints.list()).toEqual([]);
+  });
+});
+
+describe('inclusion proofs through the API', () => {
+  let dir;
+  let app;
+  let ann;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    app = await createApp(dir);
+    ann = await signUp(app, 'ann');
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('a new poem waits for the next checkpoint, then proves against the published root', async () => {
+    const id = (await request(app).post('/api/poems').set(ann.auth).send({ title: 'Proved', body: 'text', visibility: 'public' })).body.poem.id;
+
+    const pending = await request(app).get(`/api/poems/${id}/inclusion-proof`);
+    expect(pending.status).toBe(202);
+    expect(pending.body.code).toBe('NOT_YET_CHECKPOINTED');
+
+    await app.locals.ledgerCheckpoints.runOnce();
+    const { body } = await request(app).get(`/api/poems/${id}/inclusion-proof`).expect(200);
+    const published = (await request(app).get('/api/ledger/checkpoints/latest')).body.checkpoint;
+
+    expect(body.entry).toMatchObject({ eventType: 'POEM_CREATED', poemId: id });
+    expect(body.checkpoint).toEqual(published);
+    expect(verifyInclusion({
+      leaf: leafHash(body.entry.entryHash),
+      index: body.proof.leafIndex,
+      treeSize: body.proof.treeSize,
+      path: body.proof.auditPath,
+      root: published.rootHash
+    })).toBe(true);
+  });
+
+  test('a poem the caller cannot read has no proof for them', async () => {
+    const id = (await request(app).post('/api/poems').set(ann.auth).send({ title: 'Mine', body: 'text', visibility: 'private' })).body.poem.id;
+    await app.locals.ledgerCheckpoints.runOnce();
+
+    expect((await request(app).get(`/api/poems/${id}/inclusion-proof`)).status).toBe(404);
+    expect((await request(app).get(`/api/poems/${id}/inclusion-proof`).set(ann.auth)).status).toBe(200);
+  });
+});
@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { verifyCertificate } = require('../src/utils/certificateVerifier');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+// Only the clock is faked; supertest and the repositories keep real timers
+const fakeClock = () => jest.useFakeTimers({
+  doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+    'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+});
+
+describe.each(['memory', 'sqlite'])('co-authors on %s', (backend) => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let bob;
+  let cat;
+  let poemId;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = backend === 'sqlite' ? await openStorage(dir) : null;
+    app = await createApp(dir, { backend, storage });
+    ann = await signUp(app, 'ann');
+    bob = await signUp(app, 'bob');
+    cat = await signUp(app, 'cat');
+    poemId = (await request(app).post('/api/poems').set(ann.auth)
+      .send({ title: 'Together', body: 'text', license: 'CC BY 4.0', visibility: 'public' })).body.poem.id;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    if (storage) storage.close();
+    removeDir(dir);
+  });
+
+  const invite = (user, fields = {}) => request(app).post(`/api/poems/${poemId}/coauthors/invitations`).set(ann.auth)
+    .send({ userId: user.user.id, ...fields });
+
+  const answer = (invitationId, user, verb) => request(app).post(`/api/invitations/${invitationId}/${verb}`).set(user.auth);
+
+  // Invite and accept
+  const addCoAuthor = async (user, fields) => {
+    const { invitation } = (await invite(user, fields).expect(201)).body;
+    return (await answer(invitation.id, user, 'accept').expect(200)).body;
+  };
+
+  test('an accepted invitation credits the co-author everywhere the poem is credited', async () => {
+    const accepted = await addCoAuthor(bob, { role: 'translator', share: 30 });
+    expect(accepted.credits).toEqual([
+      { userId: ann.user.id, role: 'author', share: 70 },
+      { userId: bob.user.id, role: 'translator', share: 30 }
+    ]);
+
+    const { poem } = (await request(app).get(`/api/poems/${poemId}`)).body;
+    expect(poem.copyrightNotice).toBe(`© ${new Date().getFullYear()} ann and bob (translator). Licensed under CC BY 4.0.`);
+
+    const [entry] = await app.locals.ledger.getEntries({ eventType: 'POEM_COAUTHOR_ADDED' });
+    expect(entry).toMatchObject({
+      authorId: ann.user.id,
+      actorId: bob.user.id,
+      details: { coAuthorId: bob.user.id, role: 'translator', share: 30, coAuthors: [{ userId: bob.user.id, role: 'translator', share: 30 }] }
+    });
+    const { history } = (await request(app).get('/api/users/authorship-history/me').set(bob.auth)).body;
+    expect(history.map(item => item.eventType)).toContain('POEM_COAUTHOR_ADDED');
+
+    await app.locals.ledgerCheckpoints.runOnce();
+    const { certificate } = (await request(app).get(`/api/poems/${poemId}/certificate`).expect(200)).body;
+    const keySet = (await request(app).get('/.well-known/jwks.json')).body;
+    expect(certificate.authors).toEqual(accepted.credits);
+    expect(verifyCertificate({ certificate, text: 'text', keySet }).checks)
+      .toContainEqual(expect.objectContaining({ check: 'Authors match the ledger entry', ok: true }));
+  });
+
+  test('invitations are checked, and shares never add up to more than 100', async () => {
+    await invite(bob, { share: 30 });
+
+    expect((await invite(ann)).status).toBe(400);
+    expect((await invite(bob)).body.code).toBe('INVITATION_PENDING');
+    expect((await invite(cat, { share: 80 })).body.code).toBe('SHARES_EXCEED_TOTAL');
+    expect((await invite(cat, { role: 'muse' })).status).toBe(400);
+    expect((await request(app).post(`/api/poems/${poemId}/coauthors/invitations`).set(bob.auth).send({ userId: cat.user.id })).status).toBe(403);
+
+    // The author sees what is pending; others only the credits
+    expect((await request(app).get(`/api/poems/${poemId}/coauthors`).set(ann.auth)).body.invitations).toHaveLength(1);
+    expect((await request(app).get(`/api/poems/${poemId}/coauthors`)).body.invitations).toBeUndefined();
+  });
+
+  test('a license change waits for every co-author to approve it', async () => {
+    await addCoAuthor(bob);
+
+    const proposed = await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ license: 'All Rights Reserved' });
+    expect(proposed.body.poem.license).toBe('CC BY 4.0');
+    expect(proposed.body.awaitingApproval).toEqual([bob.user.id]);
+    expect((await request(app).post(`/api/poems/${poemId}/license/approve`).set(cat.auth)).status).toBe(403);
+
+    const approved = await request(app).post(`/api/poems/${poemId}/license/approve`).set(bob.auth);
+    expect(approved.body).toMatchObject({ license: 'All Rights Reserved', pendingLicense: null, awaitingApproval: [] });
+
+    const [entry] = await app.locals.ledger.getEntries({ eventType: 'POEM_LICENSE_CHANGED' });
+    expect(entry.details).toMatchObject({ license: 'All Rights Reserved', previousLicense: 'CC BY 4.0', proposedBy: ann.user.id, approvedBy: [ann.user.id, bob.user.id] });
+
+    await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ license: 'CC0 1.0' });
+    const rejected = await request(app).post(`/api/poems/${poemId}/license/reject`).set(bob.auth);
+    expect(rejected.body).toMatchObject({ license: 'All Rights Reserved', pendingLicense: null });
+    expect((await request(app).post(`/api/poems/${poemId}/license/reject`).set(bob.auth)).body.code).toBe('NO_PENDING_LICENSE');
+  });
+
+  test('a co-author may leave, which settles a license change waiting on them alone', async () => {
+    await addCoAuthor(bob);
+    await addCoAuthor(cat);
+    await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ license: 'CC0 1.0' });
+    await request(app).post(`/api/poems/${poemId}/license/approve`).set(cat.auth);
+
+    expect((await request(app).delete(`/api/poems/${poemId}/coauthors/${bob.user.id}`).set(cat.auth)).status).toBe(403);
+    const left = await request(app).delete(`/api/poems/${poemId}/coauthors/${bob.user.id}`).set(bob.auth);
+    expect(left.body.credits.map(credit => credit.userId)).toEqual([ann.user.id, cat.user.id]);
+
+    const { poem } = (await request(app).get(`/api/poems/${poemId}`)).body;
+    expect(poem).toMatchObject({ license: 'CC0 1.0', pendingLicense: null });
+    expect((await app.locals.ledger.getEntries()).map(entry => entry.eventType).slice(-2)).toEqual(['POEM_COAUTHOR_REMOVED', 'POEM_LICENSE_CHANGED']);
+  });
+
+  test('an expired invitation cannot be accepted and no longer holds its place', async () => {
+    const { invitation } = (await invite(bob, { share: 60, expiresInDays: 1 })).body;
+
+    fakeClock();
+    jest.setSystemTime(new Date(invitation.expiresAt).getTime() + 1000);
+
+    const late = await answer(invitation.id, bob, 'accept');
+    expect(late.status).toBe(409);
+    expect(late.body.code).toBe('INVITATION_EXPIRED');
+    expect((await request(app).get('/api/invitations').set(bob.auth)).body.invitations[0].status).toBe('expired');
+
+    expect((await invite(bob, { share: 60 })).status).toBe(201);
+  });
+});
@@ -0,0 +1,109 @@
+const request = require('supertest');
+const ContentHashMigration = require('../src/services/ContentHashMigration');
+const { idOf } = require('../src/utils/ledgerEntry');
+const { CONTENT_HASH_VERSION, contentHashOf, legacyContentHashOf } = require('../src/utils/poemHash');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+describe('content hashes', () => {
+  const hash = contentHashOf('Tide', '  out\nand in', 'u1');
+
+  test('do not change with line endings, trailing spaces, Unicode form or title spacing', () => {
+    expect(contentHashOf('  Tide ', '  out  \r\nand in\r\n\r\n', 'u1')).toBe(hash);
+    expect(contentHashOf('Cafe\u0301', 'cafe\u0301', 'u1')).toBe(contentHashOf('Caf\u00e9', 'caf\u00e9', 'u1'));
+    expect(contentHashOf('A  long\ttitle', 'x', 'u1')).toBe(contentHashOf('A long title', 'x', 'u1'));
+  });
+
+  test('change with indentation, words or author', () => {
+    expect(contentHashOf('Tide', 'out\nand in', 'u1')).not.toBe(hash);
+    expect(contentHashOf('Tide', '  out\nand back', 'u1')).not.toBe(hash);
+    expect(contentHashOf('Tide', '  out\nand in', 'u2')).not.toBe(hash);
+  });
+});
+
+describe.each(['memory', 'sqlite'])('the content hash migration on %s', (backend) => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let poems;
+  let ledger;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = backend === 'sqlite' ? await openStorage(dir) : null;
+    app = await createApp(dir, { backend, storage });
+    ({ poems } = app.locals.repositories);
+    ({ ledger } = app.locals);
+    ann = await signUp(app, 'ann');
+  });
+
+  afterEach(() => {
+    if (storage) storage.close();
+    removeDir(dir);
+  });
+
+  // A poem stored, without the ledger, with the hash from before
+  // CONTENT_HASH_VERSION 1
+  const createLegacyPoem = async (title) => {
+    const poem = await poems.create({ title, body: 'an old\r\npoem  ', author: ann.user.id, visibility: 'public' });
+    const contentHash = legacyContentHashOf(poem.title, poem.body, idOf(poem.author));
+
+    if (storage) {
+      const row = storage.db.prepare('SELECT encrypted_data, author_id FROM poems WHERE id = ?').get(poem.id);
+      const data = storage.decrypt(row.encrypted_data, 'poems', poem.id);
+      storage.db.prepare('UPDATE poems SET encrypted_data = ? WHERE id = ?')
+        .run(storage.encrypt({ ...data, metadata: { ...data.metadata, contentHash } }, 'poems', poem.id, row.author_id), poem.id);
+    } else {
+      poems.store.poems.get(String(poem.id)).contentHash = contentHash;
+    }
+
+    return { ...poem, contentHash };
+  };
+
+  const migration = () => new ContentHashMigration(poems, ledger);
+
+  test('rehashes recorded poems with a POEM_REHASHED entry, once', async () => {
+    const poem = await createLegacyPoem('Recorded');
+    await ledger.recordPoemEvent('POEM_CREATED', poem, ann.user.id);
+    const current = contentHashOf(poem.title, poem.body, ann.user.id);
+
+    expect(await migration().run()).toEqual({ version: CONTENT_HASH_VERSION, rehashed: 1, unchanged: 0, skipped: 0 });
+
+    const entries = await ledger.getEntries({ poemId: String(poem.id) });
+    expect(entries.map(entry => entry.eventType)).toEqual(['POEM_CREATED', 'POEM_REHASHED']);
+    expect(entries[1]).toMatchObject({ contentHash: current, actorId: null, details: { previousContentHash: poem.contentHash, contentHashVersion: CONTENT_HASH_VERSION } });
+    expect((await poems.findById(poem.id)).contentHash).toBe(current);
+
+    expect(migration().completedVersion()).toBe(CONTENT_HASH_VERSION);
+    expect(await migration().run()).toBeNull();
+
+    // Certificates certify the rehashed content
+    await app.locals.ledgerCheckpoints.runOnce();
+    const certified = await request(app).get(`/api/poems/${poem.id}/certificate`);
+    expect(certified.status).toBe(200);
+    expect(certified.body.certificate).toMatchObject({ contentHash: current, entry: { eventType: 'POEM_REHASHED' } });
+  });
+
+  test('brings the stored hash of unrecorded poems up to date without a ledger entry', async () => {
+    const legacy = await createLegacyPoem('Unrecorded');
+    const created = (await request(app).post('/api/poems').set(ann.auth).send({ title: 'New', body: 'text' })).body.poem;
+
+    expect(await migration().run()).toMatchObject({ rehashed: 1, unchanged: 1, skipped: 0 });
+
+    expect((await poems.findById(legacy.id)).contentHash).toBe(contentHashOf(legacy.title, legacy.body, ann.user.id));
+    expect((await ledger.getEntries()).map(entry => entry.poemId)).toEqual([String(created.id)]);
+  });
+
+  test('a poem in the trash with an old hash holds back completion until it is restored', async () => {
+    const poem = await createLegacyPoem('Trashed');
+    await poems.delete(poem.id);
+
+    expect(await migration().run()).toMatchObject({ rehashed: 0, skipped: 1 });
+    expect(migration().completedVersion()).toBe(0);
+
+    await poems.restore(poem.id, ann.user.id);
+
+    expect(await migration().run()).toMatchObject({ rehashed: 1, skipped: 0 });
+    expect(migration().completedVersion()).toBe(CONTENT_HASH_VERSION);
+  });
+});
@@ -0,0 +1,90 @@
+const CryptoJS = require('crypto-js');
+const StorageKeyring = require('../src/services/StorageKeyring');
+const { tempDir, removeDir, openStorage, createUser, createPoem } = require('./helpers');
+
+const keyring = (options = {}) => new StorageKeyring({ keys: [{ id: 'k1', secret: 'test-secret' }], ...options });
+const ROW = { table: 'poems', id: 'p1' };
+
+// Flip one character of a base64url segment of an envelope
+const tamper = (value, segment) => {
+  const parts = value.split(':');
+  const text = parts[segment];
+  parts[segment] = (text[0] === 'A' ? 'B' : 'A') + text.slice(1);
+  return parts.join(':');
+};
+
+describe('AES-256-GCM envelope', () => {
+  test('round-trips data in the v2 format with a fresh nonce each time', () => {
+    const ring = keyring();
+    const first = ring.encrypt({ title: 'Morning' }, ROW);
+    const second = ring.encrypt({ title: 'Morning' }, ROW);
+
+    expect(first).toMatch(/^v2:k1:[\w-]+:[\w-]+:[\w-]+$/);
+    expect(first).not.toBe(second);
+    expect(ring.decrypt(first, ROW)).toEqual({ title: 'Morning' });
+  });
+
+  test.each([
+    ['nonce', 2],
+    ['ciphertext', 3],
+    ['tag', 4]
+  ])('rejects a modified %s as tampered', (name, segment) => {
+    const ring = keyring();
+    const value = ring.encrypt({ title: 'Morning' }, ROW);
+
+    expect(() => ring.decrypt(tamper(value, segment), ROW)).toThrow(expect.objectContaining({ code: 'RECORD_TAMPERED' }));
+  });
+
+  test('binds the ciphertext to its table and row', () => {
+    const ring = keyring();
+    const value = ring.encrypt({ title: 'Morning' }, ROW);
+
+    expect(() => ring.decrypt(value, { table: 'poems', id: 'p2' })).toThrow(expect.objectContaining({ code: 'RECORD_TAMPERED' }));
+    expect(() => ring.decrypt(value, { table: 'users', id: 'p1' })).toThrow(expect.objectContaining({ code: 'RECORD_TAMPERED' }));
+  });
+
+  test('rejects a malformed envelope and reports a key it does not have', () => {
+    const ring = keyring();
+    expect(() => ring.decrypt('v2:k1:only-three', ROW)).toThrow(expect.objectContaining({ code: 'RECORD_TAMPERED' }));
+    expect(() => ring.decrypt('v2:gone:a:b:c', ROW)).toThrow(expect.objectContaining({ code: 'KEY_UNAVAILABLE' }));
+  });
+});
+
+describe('legacy CryptoJS formats', () => {
+  const legacyValue = () => CryptoJS.AES.encrypt(JSON.stringify({ title: 'Old' }), 'legacy-secret').toString();
+
+  test('are refused unless legacy reads are switched on', () => {
+    const value = legacyValue();
+
+    expect(() => keyring({ legacyKey: 'legacy-secret' }).decrypt(value, ROW))
+      .toThrow(expect.objectContaining({ code: 'LEGACY_FORMAT_REFUSED' }));
+    expect(keyring({ legacyKey: 'legacy-secret', allowLegacy: true }).decrypt(value, ROW)).toEqual({ title: 'Old' });
+  });
+
+  test('are rewritten as envelopes by the encryption upgrade', async () => {
+    const dir = tempDir();
+    const storage = await openStorage(dir);
+    // The refused read is reported as an integrity failure
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const user = await createUser(storage);
+      const poem = await createPoem(storage, user.id);
+      const legacy = CryptoJS.AES.encrypt(JSON.stringify({ title: 'Old', body: 'verse' }), storage.keyring.getKeyEntry('default').secret).toString();
+      storage.db.prepare('UPDATE poems SET encrypted_data = ? WHERE id = ?').run(legacy, poem.id);
+
+      expect(storage.countLegacyRows()).toBe(1);
+      await expect(storage.findPoemById(poem.id)).rejects.toMatchObject({ code: 'LEGACY_FORMAT_REFUSED' });
+
+      storage.keyring.allowLegacy = true;
+      const result = await storage.upgradeLegacyEncryption();
+      storage.keyring.allowLegacy = false;
+
+      expect(result).toMatchObject({ legacyRowsBefore: 1, legacyRowsAfter: 0 });
+      expect((await storage.findPoemById(poem.id)).body).toBe('verse');
+    } finally {
+      errors.mockRestore();
+      storage.close();
+      removeDir(dir);
+    }
+  });
+});
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const EncryptedPermanentStorage = require('../src/services/EncryptedPermanentStorage');
+const Ledger = require('../src/services/Ledger');
+const LedgerCheckpoints = require('../src/services/LedgerCheckpoints');
+const LedgerTimestamps = require('../src/services/LedgerTimestamps');
+const LedgerService = require('../src/services/LedgerService');
+const IntegrityMonitor = require('../src/services/IntegrityMonitor');
+const EncryptedUploadStore = require('../src/services/EncryptedUploadStore');
+const { createRepositories } = require('../src/repositories');
+const { JWT_SECRET } = require('../src/middleware/auth');
+
+// A scratch directory under the system temp dir
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'poets-codex-test-'));
+
+const removeDir = (dir) => fs.rmSync(dir, { recursive: true, force: true });
+
+// Run fn with environment variables set, restoring them afterwards. Services
+// read their settings (keyring, batch sizes) when they are constructed.
+const withEnv = (vars, fn) => {
+  const saved = {};
+  Object.keys(vars).forEach(name => {
+    saved[name] = process.env[name];
+    if (vars[name] === undefined) delete process.env[name];
+    else process.env[name] = vars[name];
+  });
+  try {
+    return fn();
+  } finally {
+    Object.keys(saved).forEach(name => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+};
+
+// EncryptedPermanentStorage on poets_codex.db in dir, initialized, with any
+// key rotation it started on open finished
+const openStorage = async (dir, env = {}) => {
+  const storage = withEnv(env, () => new EncryptedPermanentStorage());
+  storage.dbPath = path.join(dir, 'poets_codex.db');
+  if (!await storage.initialize()) {
+    throw new Error('Storage failed to initialize');
+  }
+  await storage.keyRotation.promise;
+  return storage;
+};
+
+const createUser = (storage, username = 'ann') => storage.createUser({
+  username,
+  email: `${username}@example.com`,
+  password: 'hashed',
+  displayName: username,
+  profile: {}
+});
+
+const createPoem = (storage, author, fields = {}) => storage.createPoem({
+  title: 'Morning',
+  body: 'First light\non the water',
+  license: 'CC BY 4.0',
+  tags: ['dawn'],
+  mood: 'hopeful',
+  style: 'free-verse',
+  visibility: 'public',
+  author,
+  ...fields
+});
+
+// The shared route set on one backend ('memory', or 'sqlite' with storage),
+// wired like server/src/server.js, with its ledger files in dir. With storage,
+// uploads are encrypted into dir/uploads as in poets-codex-server.js. Timers
+// are not started; call app.locals.integrityMonitor.runOnce() and
+// app.locals.ledgerCheckpoints.runOnce() where a test needs them.
+const createApp = async (dir, { backend = 'memory', storage = null } = {}) => {
+  const app = express();
+  app.use(express.json());
+
+  app.locals.repositories = createRepositories(backend, { storage });
+  if (storage) app.locals.uploads = new EncryptedUploadStore(storage, path.join(dir, 'uploads'));
+
+  const ledger = Ledger.createLedger(backend, { storage, ledgerPath: path.join(dir, 'ledger.jsonl') });
+  await ledger.initialize();
+  const ledgerCheckpoints = new LedgerCheckpoints(ledger);
+  ledgerCheckpoints.initialize();
+  const ledgerTimestamps = new LedgerTimestamps(ledger);
+  ledgerTimestamps.initialize();
+  const integrityMonitor = new IntegrityMonitor({ ledger, storage });
+
+  Object.assign(app.locals, {
+    ledger,
+    ledgerCheckpoints,
+    ledgerTimestamps,
+    integrityMonitor,
+    ledgerService: new LedgerService(ledger, ledgerCheckpoints, ledgerTimestamps, integrityMonitor)
+  });
+
+  app.use('/api/auth', require('../src/routes/auth'));
+  app.use('/api/poems', require('../src/routes/poemRoutes'));
+  app.use('/api/uploads', require('../src/routes/uploadRoutes'));
+  app.use('/api/users', require('../src/routes/userRoutes'));
+  app.use('/api/search', require('../src/routes/searchRoutes'));
+  app.use('/api/ledger', require('../src/routes/ledgerRoutes'));
+  app.use('/api/certificates', require('../src/routes/certificateRoutes'));
+  app.use('/api/transfers', require('../src/routes/transferRoutes'));
+  app.use('/api/invitations', require('../src/routes/invitationRoutes'));
+  app.use('/.well-known', require('../src/routes/wellKnownRoutes'));
+
+  return app;
+};
+
+// A user in the app's repositories and a Bearer header for them
+const signUp = async (app, username = 'ann', fields = {}) => {
+  const user = await app.locals.repositories.users.create({
+    username,
+    email: `${username}@example.com`,
+    password: 'hashed',
+    displayName: username,
+    ...fields
+  });
+  const token = jwt.sign({ userId: user.id }, JWT_SECRET);
+  return { user, auth: { Authorization: `Bearer ${token}` } };
+};
+
+module.exports = {
+  createApp,
+  signUp,
+  tempDir,
+  removeDir,
+  withEnv,
+  openStorage,
+  createUser,
+  createPoem
+};
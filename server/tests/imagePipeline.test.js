@@ -0,0 +1,96 @@
+const request = require('supertest');
+const sharp = require('sharp');
+const ImagePipeline = require('../src/services/ImagePipeline');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+const solid = (width, height) => sharp({ create: { width, height, channels: 3, background: '#884422' } });
+
+describe('ImagePipeline', () => {
+  const pipeline = new ImagePipeline();
+
+  test('decides the type from the file\'s bytes, not its name', async () => {
+    expect(ImagePipeline.sniff(await solid(2, 2).jpeg().toBuffer())).toBe('image/jpeg');
+    expect(ImagePipeline.sniff(await solid(2, 2).webp().toBuffer())).toBe('image/webp');
+    expect(ImagePipeline.sniff(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+
+    await expect(pipeline.process(Buffer.from('#!/bin/sh\necho hi'))).rejects.toMatchObject({ code: 'INVALID_IMAGE' });
+    // The right magic bytes in front of something that does not decode
+    await expect(pipeline.process(Buffer.concat([Buffer.from([0xff, 0xd8, 0xff]), Buffer.alloc(64)])))
+      .rejects.toMatchObject({ code: 'INVALID_IMAGE', message: 'Image could not be read' });
+  });
+
+  test('drops EXIF metadata, GPS position included', async () => {
+    const withExif = await solid(64, 48).jpeg()
+      .withExif({ IFD0: { Copyright: 'ann' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } })
+      .toBuffer();
+    expect((await sharp(withExif).metadata()).exif).toBeDefined();
+
+    const [original] = await pipeline.process(withExif);
+
+    const metadata = await sharp(original.buffer).metadata();
+    expect(metadata.exif).toBeUndefined();
+    expect(original).toMatchObject({ name: 'original', mimeType: 'image/jpeg', width: 64, height: 48 });
+  });
+
+  test('makes medium and thumbnail renditions of large images only', async () => {
+    const large = await pipeline.process(await solid(2000, 1000).png().toBuffer());
+    expect(large.map(({ name, width, height }) => ({ name, width, height }))).toEqual([
+      { name: 'original', width: 2000, height: 1000 },
+      { name: 'medium', width: 1024, height: 512 },
+      { name: 'thumbnail', width: 320, height: 160 }
+    ]);
+
+    const small = await pipeline.process(await solid(100, 80).png().toBuffer());
+    expect(small.map(rendition => rendition.name)).toEqual(['original']);
+  });
+
+  test('refuses images larger than the dimension cap', async () => {
+    const capped = new ImagePipeline({ maxDimension: 500 });
+
+    await expect(capped.process(await solid(600, 10).png().toBuffer()))
+      .rejects.toMatchObject({ code: 'INVALID_IMAGE' });
+  });
+});
+
+describe('images on poems', () => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = await openStorage(dir);
+    app = await createApp(dir, { backend: 'sqlite', storage });
+    ann = await signUp(app, 'ann');
+  });
+
+  afterEach(() => {
+    storage.close();
+    removeDir(dir);
+  });
+
+  test('a poem lists every rendition with its dimensions, and its alt text', async () => {
+    const created = await request(app).post('/api/poems').set(ann.auth)
+      .field('title', 'Pictured').field('body', 'text').field('imageAlt', 'A brown square')
+      .attach('image', await solid(1500, 1500).png().toBuffer(), 'square.png');
+
+    expect(created.status).toBe(201);
+    expect(created.body.poem.imageAlt).toBe('A brown square');
+    expect(created.body.poem.imageRenditions.map(({ name, width, height, mimeType }) => ({ name, width, height, mimeType }))).toEqual([
+      { name: 'original', width: 1500, height: 1500, mimeType: 'image/png' },
+      { name: 'medium', width: 1024, height: 1024, mimeType: 'image/png' },
+      { name: 'thumbnail', width: 320, height: 320, mimeType: 'image/png' }
+    ]);
+  });
+
+  test('a file that only claims to be an image is refused', async () => {
+    const created = await request(app).post('/api/poems').set(ann.auth)
+      .field('title', 'Pictured').field('body', 'text')
+      .attach('image', Buffer.from('not an image at all'), { filename: 'fake.png', contentType: 'image/png' });
+
+    expect(created.status).toBe(400);
+    expect(created.body.code).toBe('INVALID_IMAGE');
+    expect(storage.db.prepare('SELECT COUNT(*) as count FROM poem_uploads').get().count).toBe(0);
+  });
+});
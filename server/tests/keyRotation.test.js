@@ -0,0 +1,122 @@
+const { tempDir, removeDir, openStorage, createUser, createPoem } = require('./helpers');
+const StorageKeyring = require('../src/services/StorageKeyring');
+
+const FIRST = { STORAGE_ENCRYPTION_KEYS: 'k1:first-secret', STORAGE_ACTIVE_KEY_ID: 'k1' };
+const SECOND = { STORAGE_ENCRYPTION_KEYS: 'k1:first-secret,k2:second-secret', STORAGE_ACTIVE_KEY_ID: 'k2' };
+const SECOND_ONLY = { STORAGE_ENCRYPTION_KEYS: 'k2:second-secret', STORAGE_ACTIVE_KEY_ID: 'k2' };
+
+describe('StorageKeyring', () => {
+  test('parses "id:secret" lists, keeping colons in secrets', () => {
+    expect(StorageKeyring.parseKeyList('a:one, b:two:three')).toEqual([
+      { id: 'a', secret: 'one' },
+      { id: 'b', secret: 'two:three' }
+    ]);
+    expect(() => StorageKeyring.parseKeyList('nokey')).toThrow(/keyId/);
+  });
+
+  test('writes with the last configured key unless another is active', () => {
+    const keys = [{ id: 'k1', secret: 'a' }, { id: 'k2', secret: 'b' }];
+    expect(new StorageKeyring({ keys }).activeKeyId).toBe('k2');
+    expect(new StorageKeyring({ keys, activeKeyId: 'k1' }).activeKeyId).toBe('k1');
+    expect(() => new StorageKeyring({ keys, activeKeyId: 'k3' })).toThrow(/not in the keyring/);
+  });
+
+  test('reads values written under a retired key that is still configured', () => {
+    const old = new StorageKeyring({ keys: [{ id: 'k1', secret: 'a' }] });
+    const value = old.encrypt({ n: 1 }, { table: 'poems', id: 'p1' });
+
+    const rotated = new StorageKeyring({ keys: [{ id: 'k1', secret: 'a' }, { id: 'k2', secret: 'b' }] });
+    expect(rotated.keyIdOf(value)).toBe('k1');
+    expect(rotated.decrypt(value, { table: 'poems', id: 'p1' })).toEqual({ n: 1 });
+  });
+});
+
+describe('key rotation', () => {
+  let dir;
+  let storage;
+
+  beforeEach(() => {
+    dir = tempDir();
+  });
+
+  afterEach(() => {
+    if (storage) storage.close();
+    storage = null;
+    removeDir(dir);
+  });
+
+  test('re-wraps every author key under a new master key, after which the old key can go', async () => {
+    storage = await openStorage(dir, FIRST);
+    const user = await createUser(storage);
+    const poem = await createPoem(storage, user.id);
+    storage.close();
+
+    storage = await openStorage(dir, SECOND);
+    const wrapped = storage.authorKeys.db.prepare('SELECT wrapped_key FROM author_keys').all();
+    expect(wrapped.length).toBeGreaterThan(0);
+    wrapped.forEach(row => expect(row.wrapped_key.startsWith('v2:k2:')).toBe(true));
+    expect(storage.keyRotation.getProgress()).toMatchObject({ targetKeyId: 'k2', status: 'completed' });
+    storage.close();
+
+    storage = await openStorage(dir, SECOND_ONLY);
+    expect((await storage.findPoemById(poem.id)).body).toBe('First light\non the water');
+    expect((await storage.findUserById(user.id)).username).toBe('ann');
+  });
+
+  test('moves rows written under a master key to their author\'s data key', async () => {
+    storage = await openStorage(dir, FIRST);
+    const user = await createUser(storage);
+    const poem = await createPoem(storage, user.id);
+
+    // As written before per-author keys existed
+    const row = storage.db.prepare('SELECT encrypted_data FROM poems WHERE id = ?').get(poem.id);
+    const data = storage.decrypt(row.encrypted_data, 'poems', poem.id);
+    storage.db.prepare('UPDATE poems SET encrypted_data = ? WHERE id = ?')
+      .run(storage.keyring.encrypt(data, { table: 'poems', id: poem.id }, 'k1'), poem.id);
+
+    await storage.rotateEncryptionKey();
+
+    const rotated = storage.db.prepare('SELECT encrypted_data FROM poems WHERE id = ?').get(poem.id);
+    expect(storage.keyring.keyIdOf(rotated.encrypted_data)).toBe(`author.${user.id}`);
+    expect((await storage.findPoemById(poem.id)).title).toBe('Morning');
+  });
+
+  test('resumes an interrupted rotation from its checkpoint', async () => {
+    storage = await openStorage(dir, FIRST);
+    const user = await createUser(storage);
+    const poem = await createPoem(storage, user.id);
+
+    // Both rows back under the master key, then a rotation that had
+    // committed the users table before the process died
+    const toMaster = (table, id) => {
+      const current = storage.db.prepare(`SELECT encrypted_data FROM ${table} WHERE id = ?`).get(id);
+      const data = storage.decrypt(current.encrypted_data, table, id);
+      storage.db.prepare(`UPDATE ${table} SET encrypted_data = ? WHERE id = ?`)
+        .run(storage.keyring.encrypt(data, { table, id }, 'k1'), id);
+    };
+    toMaster('users', user.id);
+    toMaster('poems', poem.id);
+    storage.db.prepare(`
+      INSERT INTO key_rotations (target_key_id, status, current_table, last_rowid, rows_total)
+      VALUES ('k1', 'running', 'poems', 0, 2)
+    `).run();
+    storage.close();
+
+    storage = await openStorage(dir, FIRST);
+
+    const rotation = storage.keyRotation.getLatest();
+    expect(rotation.status).toBe('completed');
+    expect(storage.db.prepare('SELECT COUNT(*) as count FROM key_rotations').get().count).toBe(1);
+
+    // The poem was rotated; the users table was behind the checkpoint
+    const keyOf = (table, id) => storage.keyring.keyIdOf(
+      storage.db.prepare(`SELECT encrypted_data FROM ${table} WHERE id = ?`).get(id).encrypted_data
+    );
+    expect(keyOf('poems', poem.id)).toBe(`author.${user.id}`);
+    expect(keyOf('users', user.id)).toBe('k1');
+
+    // A fresh rotation picks up what remains
+    await storage.rotateEncryptionKey();
+    expect(keyOf('users', user.id)).toBe(`author.${user.id}`);
+  });
+});
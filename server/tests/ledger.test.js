@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const Ledger = require('../src/services/Ledger');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+describe('the ledger on SQLite', () => {
+  let dir;
+  let storage;
+  let ledgerPath;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = await openStorage(dir);
+    ledgerPath = path.join(dir, 'ledger.jsonl');
+  });
+
+  afterEach(() => {
+    storage.close();
+    removeDir(dir);
+  });
+
+  const openLedger = async () => {
+    const ledger = Ledger.createLedger('sqlite', { storage, ledgerPath });
+    await ledger.initialize();
+    return ledger;
+  };
+
+  const event = (eventType = 'POEM_CREATED', poemId = 'p1') => ({ eventType, poemId, authorId: 'u1', actorId: 'u1', contentHash: 'abc' });
+
+  test('writes one signed hash chain to every sink', async () => {
+    const ledger = await openLedger();
+    expect(ledger.sinks.map(sink => sink.name)).toEqual(['sqlite', 'jsonl']);
+
+    await ledger.record(event());
+    await ledger.record(event('POEM_UPDATED'));
+    const last = await ledger.record(event('POEM_DELETED'));
+
+    const [sqlite, jsonl] = await Promise.all(ledger.sinks.map(sink => sink.getEntries()));
+    expect(jsonl).toEqual(sqlite);
+    expect(sqlite.map(entry => entry.sequence)).toEqual([1, 2, 3]);
+    expect(sqlite[1].previousHash).toBe(sqlite[0].entryHash);
+    expect(last.signature).toMatchObject({ keyId: expect.any(String), value: expect.any(String) });
+    expect(ledger.getStatus().head).toEqual({ entryHash: last.entryHash, sequence: 3 });
+  });
+
+  test('refuses unknown event types', async () => {
+    const ledger = await openLedger();
+
+    await expect(ledger.record(event('POEM_STOLEN'))).rejects.toThrow('Unknown ledger event type "POEM_STOLEN"');
+  });
+
+  test('a sink that fails keeps a backlog and gets every entry once, in order', async () => {
+    const ledger = await openLedger();
+    const jsonl = ledger.sinks[1];
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(jsonl, 'write').mockRejectedValueOnce(new Error('disk full'));
+
+    try {
+      await ledger.record(event());
+      expect(ledger.getStatus().sinks).toContainEqual({ name: 'jsonl', pendingWrites: 1 });
+
+      await ledger.record(event('POEM_UPDATED'));
+      expect(ledger.getStatus().sinks).toContainEqual({ name: 'jsonl', pendingWrites: 0 });
+    } finally {
+      errors.mockRestore();
+    }
+
+    const entries = await jsonl.getEntries();
+    expect(entries.map(entry => entry.eventType)).toEqual(['POEM_CREATED', 'POEM_UPDATED']);
+
+    // Writing an entry a sink already holds is a no-op
+    await jsonl.write(entries[0]);
+    await ledger.sinks[0].write(entries[0]);
+    expect(await jsonl.getEntries()).toHaveLength(2);
+    expect(await ledger.sinks[0].getEntries()).toHaveLength(2);
+  });
+
+  test('a sink that fell behind is caught up from the primary on start', async () => {
+    const first = await openLedger();
+    await first.record(event());
+    await first.record(event('POEM_UPDATED'));
+    fs.writeFileSync(ledgerPath, fs.readFileSync(ledgerPath, 'utf8').split('\n')[0] + '\n');
+
+    const ledger = await openLedger();
+
+    const [sqlite, jsonl] = await Promise.all(ledger.sinks.map(sink => sink.getEntries()));
+    expect(jsonl).toEqual(sqlite);
+    expect((await ledger.verifyIntegrity()).valid).toBe(true);
+  });
+});
+
+describe.each(['memory', 'sqlite'])('events recorded by the routes on %s', (backend) => {
+  let dir;
+  let storage;
+  let app;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = backend === 'sqlite' ? await openStorage(dir) : null;
+    app = await createApp(dir, { backend, storage });
+  });
+
+  afterEach(() => {
+    if (storage) storage.close();
+    removeDir(dir);
+  });
+
+  test('every change to a poem is recorded once, on every sink', async () => {
+    const ann = await signUp(app, 'ann');
+    const id = (await request(app).post('/api/poems').set(ann.auth).send({ title: 'Draft', body: 'text' })).body.poem.id;
+    await request(app).put(`/api/poems/${id}`).set(ann.auth).send({ title: 'Final' });
+    await request(app).delete(`/api/poems/${id}`).set(ann.auth);
+    await request(app).post(`/api/poems/${id}/restore`).set(ann.auth);
+
+    for (const sink of app.locals.ledger.sinks) {
+      const entries = await sink.getEntries({ poemId: id });
+      expect(entries.map(entry => entry.eventType)).toEqual(['POEM_CREATED', 'POEM_UPDATED', 'POEM_DELETED', 'POEM_RESTORED']);
+      expect(entries.every(entry => entry.authorId === ann.user.id && entry.actorId === ann.user.id)).toBe(true);
+    }
+  });
+});
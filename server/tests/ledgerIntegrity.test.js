@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const Ledger = require('../src/services/Ledger');
+const IntegrityMonitor = require('../src/services/IntegrityMonitor');
+const { buildEntry } = require('../src/utils/ledgerEntry');
+const { tempDir, removeDir, openStorage, createUser, createPoem } = require('./helpers');
+
+describe('tampering with ledger.jsonl', () => {
+  let dir;
+  let ledgerPath;
+  let ledger;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    ledgerPath = path.join(dir, 'ledger.jsonl');
+    ledger = Ledger.createLedger('memory', { ledgerPath });
+    await ledger.initialize();
+    for (const eventType of ['POEM_CREATED', 'POEM_UPDATED', 'POEM_UPDATED', 'POEM_DELETED', 'POEM_RESTORED']) {
+      await ledger.record({ eventType, poemId: 'p1', authorId: 'u1', actorId: 'u1' });
+    }
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  // Rewrite the file's lines, then verify and return the report of the file
+  const tamper = async (rewrite) => {
+    const lines = fs.readFileSync(ledgerPath, 'utf8').trim().split('\n');
+    fs.writeFileSync(ledgerPath, rewrite(lines).join('\n') + '\n');
+
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const report = await ledger.verifyIntegrity();
+      expect(report.valid).toBe(false);
+      return report.sinks.jsonl;
+    } finally {
+      errors.mockRestore();
+    }
+  };
+
+  test('an untouched file verifies', async () => {
+    expect(await ledger.verifyIntegrity()).toMatchObject({ valid: true, sinks: { jsonl: { checkedEntries: 5, lastGoodSequence: 5 } } });
+  });
+
+  test('an edited line is reported as modified', async () => {
+    const report = await tamper(lines => lines.map((line, index) => (index === 2 ? line.replace('"u1"', '"u2"') : line)));
+
+    expect(report.brokenAt).toMatchObject({ kind: 'modified', line: 3, sequence: 3 });
+    expect(report.lastGoodSequence).toBe(2);
+  });
+
+  test('a removed line is reported as a deletion where the gap is', async () => {
+    const report = await tamper(lines => lines.filter((_, index) => index !== 2));
+
+    expect(report.brokenAt).toMatchObject({ kind: 'deletion', line: 3, sequence: 4, missing: 1 });
+    expect(report.lastGoodSequence).toBe(2);
+  });
+
+  test('a forged entry that links to the chain is reported as an insertion', async () => {
+    const report = await tamper(lines => {
+      const forged = buildEntry({ eventType: 'POEM_TRANSFERRED', poemId: 'p1', authorId: 'u3' }, JSON.parse(lines[1]));
+      return [...lines.slice(0, 2), JSON.stringify(forged), ...lines.slice(2)];
+    });
+
+    expect(report.brokenAt).toMatchObject({ kind: 'insertion', line: 3, inserted: 1 });
+    expect(report.lastGoodSequence).toBe(2);
+  });
+
+  test('a copied line is reported as an insertion', async () => {
+    const report = await tamper(lines => [...lines, lines[1]]);
+
+    expect(report.brokenAt).toMatchObject({ kind: 'insertion', line: 6 });
+    expect(report.lastGoodSequence).toBe(5);
+  });
+
+  test('swapped lines are reported as a reorder', async () => {
+    const report = await tamper(lines => [lines[0], lines[1], lines[3], lines[2], lines[4]]);
+
+    expect(report.brokenAt).toMatchObject({ kind: 'reorder', line: 3 });
+    expect(report.lastGoodSequence).toBe(2);
+  });
+
+  test('lines cut off the end are reported as a truncation', async () => {
+    const report = await tamper(lines => lines.slice(0, 3));
+
+    expect(report.brokenAt).toMatchObject({ kind: 'truncation', line: null, missing: 2 });
+    expect(report.lastGoodSequence).toBe(3);
+  });
+
+  test('a line that is not JSON is reported as corrupt', async () => {
+    const report = await tamper(lines => lines.map((line, index) => (index === 3 ? line.slice(0, 40) : line)));
+
+    expect(report.brokenAt).toMatchObject({ kind: 'corrupt', line: 4 });
+    expect(report.lastGoodSequence).toBe(3);
+  });
+});
+
+describe('IntegrityMonitor', () => {
+  let dir;
+  let storage;
+  let ledger;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = await openStorage(dir);
+    ledger = Ledger.createLedger('sqlite', { storage, ledgerPath: path.join(dir, 'ledger.jsonl') });
+    await ledger.initialize();
+  });
+
+  afterEach(() => {
+    storage.close();
+    removeDir(dir);
+  });
+
+  test('reports a healthy ledger and storage', async () => {
+    const user = await createUser(storage);
+    await createPoem(storage, user.id);
+    const monitor = new IntegrityMonitor({ ledger, storage });
+    expect(monitor.getStatus().lastCheck).toBeNull();
+
+    const result = await monitor.runOnce();
+
+    expect(result).toMatchObject({ ok: true, ledger: { valid: true }, storage: { integrity: { checked: 2, failedRecords: 0 } } });
+    expect(monitor.getStatus().lastCheck).toMatchObject({ ok: true, ageSeconds: expect.any(Number) });
+  });
+
+  test('finds a tampered record nobody has read', async () => {
+    const user = await createUser(storage);
+    const poem = await createPoem(storage, user.id);
+
+    // Another row's ciphertext pasted over this one: it decrypts, but not for this id
+    const row = storage.db.prepare('SELECT encrypted_data FROM poems WHERE id = ?').get(poem.id);
+    const data = storage.decrypt(row.encrypted_data, 'poems', poem.id);
+    storage.db.prepare('UPDATE poems SET encrypted_data = ? WHERE id = ?')
+      .run(storage.keyring.encrypt(data, { table: 'poems', id: 'another' }, storage.keyring.keyIdOf(row.encrypted_data)), poem.id);
+
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const result = await new IntegrityMonitor({ ledger, storage }).runOnce();
+
+      expect(result.ok).toBe(false);
+      expect(result.storage.integrity.failedRecords).toBe(1);
+      expect(result.storage.integrity.failures[0]).toMatchObject({ table: 'poems', id: poem.id });
+    } finally {
+      errors.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+describe.each(['memory', 'sqlite'])('ledger routes on %s', (backend) => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let bob;
+  let poemId;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = backend === 'sqlite' ? await openStorage(dir) : null;
+    app = await createApp(dir, { backend, storage });
+    ann = await signUp(app, 'ann');
+    bob = await signUp(app, 'bob');
+    poemId = (await request(app).post('/api/poems').set(ann.auth).send({ title: 'Kept', body: 'text', visibility: 'public' })).body.poem.id;
+    await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ body: 'text, revised' });
+  });
+
+  afterEach(() => {
+    if (storage) storage.close();
+    removeDir(dir);
+  });
+
+  // Delete the first line of ledger.jsonl
+  const breakChain = () => {
+    const ledgerPath = path.join(dir, 'ledger.jsonl');
+    const lines = fs.readFileSync(ledgerPath, 'utf8').trim().split('\n');
+    fs.writeFileSync(ledgerPath, lines.slice(1).join('\n') + '\n');
+  };
+
+  // Run the integrity monitor, which logs the break it finds
+  const checkIntegrity = async () => {
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      await app.locals.integrityMonitor.runOnce();
+    } finally {
+      errors.mockRestore();
+    }
+  };
+
+  test('a poem\'s history lists its entries with the users they name', async () => {
+    const { body } = await request(app).get(`/api/poems/${poemId}/history`).expect(200);
+
+    expect(body.history.map(entry => entry.eventType)).toEqual(['POEM_CREATED', 'POEM_UPDATED']);
+    expect(body.history[1]).toMatchObject({
+      sequence: 2,
+      author: { id: ann.user.id, username: 'ann' },
+      actor: { id: ann.user.id, username: 'ann' },
+      trustedTimestamp: null
+    });
+    expect(body.integrityCheck).toBeNull();
+
+    const mine = await request(app).get('/api/users/authorship-history/me').set(ann.auth);
+    expect(mine.body.history.map(entry => entry.poemId)).toEqual([poemId, poemId]);
+    expect((await request(app).get('/api/users/authorship-history/me').set(bob.auth)).body.history).toEqual([]);
+  });
+
+  test('stats count entries and report the last integrity check', async () => {
+    const before = (await request(app).get('/api/ledger/stats')).body;
+    expect(before).toMatchObject({ totalEntries: 2, uniquePoems: 1, uniqueAuthors: 1, eventTypes: { POEM_CREATED: 1, POEM_UPDATED: 1 } });
+    expect(before.integrity).toEqual({ valid: null });
+
+    await app.locals.integrityMonitor.runOnce();
+
+    const after = (await request(app).get('/api/ledger/stats')).body;
+    expect(after.integrity).toEqual({ valid: true, at: expect.any(String), ageSeconds: expect.any(Number) });
+  });
+
+  test('a broken chain is answered with 409 LEDGER_BROKEN, as of the last check', async () => {
+    await app.locals.ledgerCheckpoints.runOnce();
+    await app.locals.integrityMonitor.runOnce();
+    const { certificate } = (await request(app).get(`/api/poems/${poemId}/certificate`).expect(200)).body;
+
+    breakChain();
+    // Requests do not verify the chain themselves
+    expect((await request(app).get(`/api/poems/${poemId}/history`)).status).toBe(200);
+    await checkIntegrity();
+
+    const history = await request(app).get(`/api/poems/${poemId}/history`);
+    expect(history.status).toBe(409);
+    expect(history.body).toMatchObject({
+      code: 'LEDGER_BROKEN',
+      sinks: { jsonl: { kind: 'deletion', sequence: 2, lastGoodSequence: 0 } },
+      integrityCheck: { at: expect.any(String) }
+    });
+    expect(Object.keys(history.body.sinks)).toEqual(['jsonl']);
+
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect((await request(app).get(`/api/poems/${poemId}/certificate`)).body.code).toBe('LEDGER_BROKEN');
+    } finally {
+      errors.mockRestore();
+    }
+    expect((await request(app).get('/api/users/authorship-history/me').set(ann.auth)).status).toBe(409);
+    expect((await request(app).post('/api/certificates/validate').send({ certificate })).status).toBe(409);
+    expect((await request(app).get('/api/ledger/stats')).body.integrity).toMatchObject({ valid: false, code: 'LEDGER_BROKEN' });
+  });
+
+  test('a poem changed behind the ledger\'s back gets no certificate', async () => {
+    await app.locals.ledgerCheckpoints.runOnce();
+    await app.locals.repositories.poems.update(poemId, { body: 'rewritten in secret' });
+
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const response = await request(app).get(`/api/poems/${poemId}/certificate`);
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('CONTENT_MISMATCH');
+    } finally {
+      errors.mockRestore();
+    }
+  });
+});
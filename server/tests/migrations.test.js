@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const MigrationRunner = require('../src/services/MigrationRunner');
+const { tempDir, removeDir } = require('./helpers');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../src/migrations');
+
+const tablesOf = (db) => db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").all().map(row => row.name);
+const columnsOf = (db, table) => db.prepare(`PRAGMA table_info(${table})`).all().map(row => row.name);
+
+describe('schema migrations', () => {
+  let dir;
+  let db;
+
+  beforeEach(() => {
+    dir = tempDir();
+    db = new Database(path.join(dir, 'test.db'));
+  });
+
+  afterEach(() => {
+    db.close();
+    removeDir(dir);
+  });
+
+  // A migrations directory holding the given files: { name: source }
+  const migrationsDir = (files) => {
+    const target = path.join(dir, `migrations-${Object.keys(files).length}-${Date.now()}`);
+    fs.mkdirSync(target);
+    Object.entries(files).forEach(([name, source]) => fs.writeFileSync(path.join(target, name), source));
+    return target;
+  };
+
+  test('bring a new database through 001 to 014 in order, once', () => {
+    const runner = new MigrationRunner(db);
+    const result = runner.migrate();
+
+    expect(result.applied.map(migration => migration.version)).toEqual(
+      Array.from({ length: result.applied.length }, (_, index) => index + 1)
+    );
+    expect(result.applied.length).toBeGreaterThanOrEqual(14);
+    expect(runner.getCurrentVersion()).toBe(result.applied.length);
+
+    expect(tablesOf(db)).toEqual(expect.arrayContaining([
+      'users', 'poems', 'key_rotations', 'poem_revisions', 'poem_search_tokens', 'search_index_meta',
+      'poem_comments', 'poem_likes', 'follows', 'poem_share_links', 'poem_access', 'poem_uploads',
+      'ledger_entries', 'poem_transfers', 'poem_coauthors', 'poem_coauthor_invitations', 'unsealed_lookup_values'
+    ]));
+    expect(columnsOf(db, 'poems')).toEqual(expect.arrayContaining(['deleted_at']));
+    expect(columnsOf(db, 'users')).toEqual(expect.arrayContaining(['username_index', 'email_index']));
+
+    expect(runner.migrate().applied).toEqual([]);
+    expect(runner.status().migrations.every(migration => migration.status === 'applied' && !migration.modified)).toBe(true);
+  });
+
+  test('014 stages plaintext lookup values and drops their columns', () => {
+    // A database at version 13, with rows written before 014
+    const before = migrationsDir(Object.fromEntries(
+      fs.readdirSync(MIGRATIONS_DIR).filter(file => parseInt(file, 10) <= 13)
+        .map(file => [file, fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')])
+    ));
+    new MigrationRunner(db, before).migrate();
+    db.prepare("INSERT INTO users (id, username, email, encrypted_data) VALUES ('u1', 'ann', 'ann@example.com', 'x')").run();
+    db.prepare("INSERT INTO poems (id, author_id, encrypted_data, title_plain) VALUES ('p1', 'u1', 'x', 'Morning')").run();
+
+    const result = new MigrationRunner(db).migrate();
+
+    expect(result.applied.map(migration => migration.version)).toContain(14);
+    expect(columnsOf(db, 'users')).not.toEqual(expect.arrayContaining(['username']));
+    expect(columnsOf(db, 'poems')).not.toContain('title_plain');
+    expect(db.prepare('SELECT table_name, row_id, field, value FROM unsealed_lookup_values ORDER BY table_name, field').all()).toEqual([
+      { table_name: 'poems', row_id: 'p1', field: 'title', value: 'Morning' },
+      { table_name: 'users', row_id: 'u1', field: 'email', value: 'ann@example.com' },
+      { table_name: 'users', row_id: 'u1', field: 'username', value: 'ann' }
+    ]);
+  });
+
+  test('a failing migration is rolled back and stops the run', () => {
+    const runner = new MigrationRunner(db, migrationsDir({
+      '001_first.js': "module.exports = { up(db) { db.exec('CREATE TABLE first (id TEXT)'); } };",
+      '002_broken.js': "module.exports = { up(db) { db.exec('CREATE TABLE second (id TEXT)'); throw new Error('boom'); } };",
+      '003_third.js': "module.exports = { up(db) { db.exec('CREATE TABLE third (id TEXT)'); } };"
+    }));
+
+    expect(() => runner.migrate()).toThrow('Migration 002_broken.js failed: boom');
+    expect(runner.getCurrentVersion()).toBe(1);
+    expect(tablesOf(db)).toContain('first');
+    expect(tablesOf(db)).not.toContain('second');
+    expect(tablesOf(db)).not.toContain('third');
+  });
+
+  test('status reports an applied migration whose file changed', () => {
+    const migrations = migrationsDir({
+      '001_first.js': "module.exports = { up(db) { db.exec('CREATE TABLE first (id TEXT)'); } };"
+    });
+    const runner = new MigrationRunner(db, migrations);
+    runner.migrate();
+
+    fs.writeFileSync(path.join(migrations, '001_first.js'), "module.exports = { up(db) { db.exec('CREATE TABLE other (id TEXT)'); } };");
+
+    expect(runner.status().migrations[0]).toMatchObject({ version: 1, status: 'applied', modified: true });
+  });
+
+  test('duplicate versions are refused', () => {
+    const runner = new MigrationRunner(db, migrationsDir({
+      '001_a.js': 'module.exports = { up() {} };',
+      '001_b.js': 'module.exports = { up() {} };'
+    }));
+
+    expect(() => runner.migrate()).toThrow(/Duplicate migration version 1/);
+  });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const { encodeCursor, decodeCursor, parseLimit, MAX_LIMIT } = require('../src/utils/cursor');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+describe('cursors', () => {
+  const position = { createdAt: '2026-01-02 03:04:05', id: 'p1', rank: 2 };
+
+  test('round-trip a position within their scope', () => {
+    expect(decodeCursor(encodeCursor(position, 'poems'), 'poems')).toEqual(position);
+    expect(decodeCursor(undefined, 'poems')).toBeNull();
+  });
+
+  test('are refused when edited or used on another list', () => {
+    const cursor = encodeCursor(position, 'poems');
+    const [payload, signature] = cursor.split('.');
+    const edited = Buffer.from(JSON.stringify({ c: position.createdAt, i: 'p2' })).toString('base64url');
+
+    expect(() => decodeCursor(cursor, 'feed:u1')).toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+    expect(() => decodeCursor(`${edited}.${signature}`, 'poems')).toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+    expect(() => decodeCursor(payload, 'poems')).toThrow(expect.objectContaining({ code: 'INVALID_CURSOR' }));
+  });
+
+  test('page sizes fall back to the default and are capped', () => {
+    expect(parseLimit(undefined)).toBe(20);
+    expect(parseLimit('0', 10)).toBe(10);
+    expect(parseLimit('5000')).toBe(MAX_LIMIT);
+  });
+});
+
+describe.each(['memory', 'sqlite'])('paginated endpoints on %s', (backend) => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let bob;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = backend === 'sqlite' ? await openStorage(dir) : null;
+    app = await createApp(dir, { backend, storage });
+    ann = await signUp(app, 'ann');
+    bob = await signUp(app, 'bob');
+  });
+
+  afterEach(() => {
+    if (storage) storage.close();
+    removeDir(dir);
+  });
+
+  const publish = (user, title) => request(app).post('/api/poems').set(user.auth)
+    .send({ title, body: `${title} river`, visibility: 'public' });
+
+  // Every item of a list, following nextCursor; newPoem runs after the first page
+  const readAll = async (url, key, { auth = {}, newPoem } = {}) => {
+    const pages = [];
+    let cursor = null;
+    do {
+      const response = await request(app).get(url).set(auth).query({ limit: 2, ...(cursor && { cursor }) });
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ success: true, count: response.body[key].length });
+      pages.push(response.body[key]);
+      cursor = response.body.nextCursor;
+      if (pages.length === 1 && newPoem) await newPoem();
+    } while (cursor);
+    return pages;
+  };
+
+  test('poems are paged newest first without repeats while new ones are published', async () => {
+    for (const title of ['one', 'two', 'three', 'four', 'five']) {
+      expect((await publish(ann, title)).status).toBe(201);
+    }
+
+    const pages = await readAll('/api/poems', 'poems', { newPoem: () => publish(bob, 'late') });
+    const titles = pages.flat().map(poem => poem.title);
+
+    expect(pages[0]).toHaveLength(2);
+    expect(new Set(titles).size).toBe(titles.length);
+    expect(titles).toEqual(expect.arrayContaining(['one', 'two', 'three', 'four', 'five']));
+  });
+
+  test('the feed, an author\'s poems, connections and search share the envelope', async () => {
+    await publish(ann, 'one');
+    await publish(ann, 'two');
+    await publish(ann, 'three');
+    await request(app).post(`/api/users/${ann.user.id}/follow`).set(bob.auth);
+
+    const feed = (await readAll('/api/users/feed/me', 'poems', { auth: bob.auth })).flat();
+    expect(feed.map(poem => poem.title).sort()).toEqual(['one', 'three', 'two']);
+
+    const authored = (await readAll(`/api/users/${ann.user.id}/poems`, 'poems')).flat();
+    expect(authored).toHaveLength(3);
+
+    const followers = await request(app).get(`/api/users/${ann.user.id}/followers`);
+    expect(followers.body).toMatchObject({ success: true, count: 1, nextCursor: null, total: 1 });
+
+    const search = await request(app).get('/api/search').query({ q: 'river', type: 'poems', limit: 2 });
+    expect(search.body.success).toBe(true);
+    expect(search.body.results.poems).toMatchObject({ success: true, count: 2 });
+    const rest = await request(app).get('/api/search')
+      .query({ q: 'river', type: 'poems', limit: 2, cursor: search.body.results.poems.nextCursor });
+    expect(rest.body.results.poems).toMatchObject({ count: 1, nextCursor: null });
+  });
+
+  test('a cursor from another list is a bad request', async () => {
+    await publish(ann, 'one');
+    await publish(ann, 'two');
+
+    const first = await request(app).get('/api/poems').query({ limit: 1 });
+    const misused = await request(app).get(`/api/users/${ann.user.id}/poems`).query({ cursor: first.body.nextCursor });
+
+    expect(misused.status).toBe(400);
+    expect(misused.body.message).toBe('Invalid cursor');
+  });
+});
@@ -0,0 +1,102 @@
+const request = require('supertest');
+const { sanitizeSource, parsePoem, renderHtml, formatPoem, FORMAT_VERSION } = require('../src/utils/poemFormat');
+const { tempDir, removeDir, createApp, signUp } = require('./helpers');
+
+describe('poem source', () => {
+  test('keeps indentation and inner spacing, dropping only unsafe characters and edge blank lines', () => {
+    expect(sanitizeSource('\r\n\n    indented   gap  \r\n\tsecond\u202E\u0007\n\n')).toBe('    indented   gap\n\tsecond');
+    expect(sanitizeSource('cafe\u0301')).toBe('caf\u00e9');
+    expect(sanitizeSource('\n \n')).toBe('');
+  });
+});
+
+describe('poem documents', () => {
+  test('split stanzas on blank lines, counting the gap and each line\'s indent', () => {
+    const { version, stanzas } = parsePoem('one\n  two\n\n\n\tthree');
+
+    expect(version).toBe(FORMAT_VERSION);
+    expect(stanzas.map(stanza => ({ gap: stanza.gap, lines: stanza.lines.map(({ indent, text }) => ({ indent, text })) }))).toEqual([
+      { gap: 0, lines: [{ indent: 0, text: 'one' }, { indent: 2, text: 'two' }] },
+      { gap: 2, lines: [{ indent: 4, text: 'three' }] }
+    ]);
+  });
+
+  test('parse the inline Markdown subset', () => {
+    const [line] = parsePoem('**bold** and *soft* ~~gone~~ `x * y` \\*plain\\*').stanzas[0].lines;
+
+    expect(line.content).toEqual([
+      { type: 'strong', children: [{ type: 'text', text: 'bold' }] },
+      { type: 'text', text: ' and ' },
+      { type: 'em', children: [{ type: 'text', text: 'soft' }] },
+      { type: 'text', text: ' ' },
+      { type: 'strike', children: [{ type: 'text', text: 'gone' }] },
+      { type: 'text', text: ' ' },
+      { type: 'code', text: 'x * y' },
+      { type: 'text', text: ' *plain*' }
+    ]);
+  });
+
+  test('leave markers that do not form emphasis as text', () => {
+    const textOf = (source) => parsePoem(source).stanzas[0].lines[0].content;
+
+    expect(textOf('snake_case_name')).toEqual([{ type: 'text', text: 'snake_case_name' }]);
+    expect(textOf('2 * 3 * 4')).toEqual([{ type: 'text', text: '2 * 3 * 4' }]);
+    expect(textOf('*never closed')).toEqual([{ type: 'text', text: '*never closed' }]);
+    expect(textOf('# - > not markdown')).toEqual([{ type: 'text', text: '# - > not markdown' }]);
+  });
+});
+
+describe('poem HTML', () => {
+  test('escapes all text and keeps spacing visible', () => {
+    const html = renderHtml(parsePoem('  <script>alert("x")</script>\n**a**  b'));
+
+    expect(html).toBe(
+      '<div class="poem"><p class="stanza">'
+      + '<span class="line">&#160;&#160;&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;</span><br>'
+      + '<span class="line"><strong>a</strong> &#160;b</span>'
+      + '</p></div>'
+    );
+  });
+
+  test('keeps extra blank lines between stanzas as breaks', () => {
+    expect(renderHtml(parsePoem('a\n\n\nb'))).toBe(
+      '<div class="poem"><p class="stanza"><span class="line">a</span></p>'
+      + '<br><p class="stanza"><span class="line">b</span></p></div>'
+    );
+  });
+
+  test('poems stored without a document are parsed when returned', () => {
+    const poem = formatPoem({ body: 'one\n\ntwo', bodyDocument: { version: 0 } });
+
+    expect(poem.bodyDocument.stanzas).toHaveLength(2);
+    expect(poem.bodyHtml).toContain('<span class="line">two</span>');
+  });
+});
+
+describe('formatted bodies through the API', () => {
+  let dir;
+  let app;
+  let ann;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    app = await createApp(dir);
+    ann = await signUp(app, 'ann');
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('a body is stored as written and returned with both renderings', async () => {
+    const body = '    the wind\n        *turns*\n\n<b>not bold</b>';
+    const created = await request(app).post('/api/poems').set(ann.auth).send({ title: 'Concrete', body });
+    expect(created.status).toBe(201);
+
+    const { poem } = (await request(app).get(`/api/poems/${created.body.poem.id}`)).body;
+    expect(poem.body).toBe(body);
+    expect(poem.bodyDocument.stanzas[0].lines.map(line => line.indent)).toEqual([4, 8]);
+    expect(poem.bodyHtml).toContain('<em>turns</em>');
+    expect(poem.bodyHtml).toContain('&lt;b&gt;not bold&lt;/b&gt;');
+  });
+});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+describe('poem editing and revisions on SQLite', () => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let poemId;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = await openStorage(dir);
+    app = await createApp(dir, { backend: 'sqlite', storage });
+    ann = await signUp(app, 'ann');
+
+    const created = await request(app).post('/api/poems').set(ann.auth)
+      .send({ title: 'Draft', body: 'one\ntwo', license: 'CC BY 4.0', visibility: 'public' });
+    expect(created.status).toBe(201);
+    poemId = created.body.poem.id;
+  });
+
+  afterEach(() => {
+    storage.close();
+    removeDir(dir);
+  });
+
+  test('every edit keeps the version it replaces, and a revision can be restored', async () => {
+    const edited = await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ title: 'Final' });
+    expect(edited.status).toBe(200);
+    expect(edited.body.poem.title).toBe('Final');
+
+    const list = await request(app).get(`/api/poems/${poemId}/revisions`).set(ann.auth);
+    expect(list.body.revisions).toHaveLength(1);
+    expect(list.body.revisions[0]).toMatchObject({ revisionNumber: 1, title: 'Draft' });
+
+    const revisionId = list.body.revisions[0].id;
+    const revision = await request(app).get(`/api/poems/${poemId}/revisions/${revisionId}`).set(ann.auth);
+    expect(revision.body.revision).toMatchObject({ title: 'Draft', body: 'one\ntwo' });
+
+    const restored = await request(app).post(`/api/poems/${poemId}/revisions/${revisionId}/restore`).set(ann.auth);
+    expect(restored.body.poem.title).toBe('Draft');
+
+    // The restore was an edit too
+    const after = await request(app).get(`/api/poems/${poemId}/revisions`).set(ann.auth);
+    expect(after.body.revisions.map(item => item.title)).toEqual(['Final', 'Draft']);
+  });
+
+  test('only the author sees or restores revisions', async () => {
+    const bob = await signUp(app, 'bob');
+    await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ title: 'Final' });
+
+    expect((await request(app).get(`/api/poems/${poemId}/revisions`).set(bob.auth)).status).toBe(403);
+    expect((await request(app).put(`/api/poems/${poemId}`).set(bob.auth).send({ title: 'Mine' })).status).toBe(403);
+    expect((await request(app).get(`/api/poems/${poemId}/revisions/missing`).set(ann.auth)).status).toBe(404);
+  });
+
+  test('an edit that changes nothing keeps no revision', async () => {
+    await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ title: 'Draft', license: 'CC BY 4.0' });
+
+    const list = await request(app).get(`/api/poems/${poemId}/revisions`).set(ann.auth);
+    expect(list.body.revisions).toHaveLength(0);
+  });
+
+  test('visibilities other than public, unlisted and private are rejected', async () => {
+    const created = await request(app).post('/api/poems').set(ann.auth)
+      .send({ title: 'Hidden', body: 'text', visibility: 'friends' });
+    expect(created.status).toBe(400);
+
+    const edited = await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ visibility: 'secret' });
+    expect(edited.status).toBe(400);
+
+    const stored = await storage.findPoemById(poemId);
+    expect(stored.visibility).toBe('public');
+  });
+});
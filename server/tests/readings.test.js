@@ -0,0 +1,149 @@
+const request = require('supertest');
+const AudioPipeline = require('../src/services/AudioPipeline');
+const { parseReadingTimings } = require('../src/utils/readingTimings');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+// A mono 16-bit WAV file holding a 440 Hz tone
+const wav = (seconds, sampleRate = 8000) => {
+  const samples = Math.round(seconds * sampleRate);
+  const buffer = Buffer.alloc(44 + samples * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(sampleRate, 24);
+  buffer.writeUInt32LE(sampleRate * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples * 2, 40);
+  for (let index = 0; index < samples; index++) {
+    buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * index / sampleRate) * 12000), 44 + index * 2);
+  }
+  return buffer;
+};
+
+describe('AudioPipeline', () => {
+  const pipeline = new AudioPipeline();
+
+  test('decides the format from the file\'s bytes', () => {
+    expect(AudioPipeline.sniff(wav(0.1))).toBe('audio/wav');
+    expect(AudioPipeline.sniff(Buffer.from('OggS\0\x02'))).toBe('audio/ogg');
+    expect(AudioPipeline.sniff(Buffer.from('ID3\x04'))).toBe('audio/mpeg');
+    expect(AudioPipeline.sniff(Buffer.from('<html>'))).toBeNull();
+  });
+
+  test('decodes a recording for its duration and an audiowaveform-format waveform', async () => {
+    const { mimeType, duration, waveform } = await pipeline.process(wav(2));
+
+    expect(mimeType).toBe('audio/wav');
+    expect(duration).toBeCloseTo(2, 1);
+    expect(waveform).toMatchObject({ version: 2, channels: 1, bits: 8 });
+    expect(waveform.data).toHaveLength(waveform.length * 2);
+    expect(Math.max(...waveform.data)).toBeGreaterThan(30);
+  });
+
+  test('refuses recordings that are too short, too long or do not decode', async () => {
+    await expect(pipeline.process(wav(0.5))).rejects.toMatchObject({ code: 'INVALID_AUDIO' });
+    await expect(new AudioPipeline({ maxDuration: 1 }).process(wav(3))).rejects.toMatchObject({ code: 'INVALID_AUDIO' });
+
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      await expect(pipeline.process(Buffer.concat([Buffer.from('fLaC'), Buffer.alloc(64)])))
+        .rejects.toMatchObject({ code: 'INVALID_AUDIO', message: 'Recording could not be decoded' });
+    } finally {
+      errors.mockRestore();
+    }
+  });
+});
+
+describe('reading timings', () => {
+  const poem = { body: 'one\ntwo\nthree', duration: 10 };
+
+  test('accept ordered entries for lines of the poem, as an array or JSON', () => {
+    expect(parseReadingTimings('[{"line":0,"start":0,"end":2},{"line":2,"start":2,"end":5},{"line":2,"start":6,"end":9}]', poem))
+      .toEqual([{ line: 0, start: 0, end: 2 }, { line: 2, start: 2, end: 5 }, { line: 2, start: 6, end: 9 }]);
+  });
+
+  test.each([
+    ['a line past the end', [{ line: 3, start: 0, end: 1 }]],
+    ['an end before its start', [{ line: 0, start: 2, end: 1 }]],
+    ['an end after the recording', [{ line: 0, start: 0, end: 11 }]],
+    ['overlapping entries', [{ line: 0, start: 0, end: 3 }, { line: 1, start: 2, end: 4 }]],
+    ['something that is not an array', { line: 0 }]
+  ])('refuse %s', (name, timings) => {
+    expect(() => parseReadingTimings(timings, poem)).toThrow(expect.objectContaining({ code: 'INVALID_TIMINGS' }));
+  });
+});
+
+describe('readings on poems', () => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let bob;
+  let poemId;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = await openStorage(dir);
+    app = await createApp(dir, { backend: 'sqlite', storage });
+    ann = await signUp(app, 'ann');
+    bob = await signUp(app, 'bob');
+    poemId = (await request(app).post('/api/poems').set(ann.auth)
+      .send({ title: 'Read aloud', body: 'one\ntwo', visibility: 'public' })).body.poem.id;
+  });
+
+  afterEach(() => {
+    storage.close();
+    removeDir(dir);
+  });
+
+  const addReading = (auth, timings) => {
+    const upload = request(app).post(`/api/poems/${poemId}/reading`).set(auth)
+      .attach('audio', wav(2), 'reading.wav');
+    return timings ? upload.field('timings', JSON.stringify(timings)) : upload;
+  };
+
+  test('the author adds a reading with line timings, streamed with its waveform', async () => {
+    const added = await addReading(ann.auth, [{ line: 0, start: 0, end: 1 }, { line: 1, start: 1, end: 2 }]);
+    expect(added.status).toBe(201);
+
+    const { reading } = added.body.poem;
+    expect(reading).toMatchObject({ mimeType: 'audio/wav', timings: [{ line: 0, start: 0, end: 1 }, { line: 1, start: 1, end: 2 }] });
+    expect(reading.duration).toBeCloseTo(2, 1);
+
+    const waveform = await request(app).get(reading.waveformUrl);
+    expect(waveform.body).toMatchObject({ version: 2, channels: 1 });
+
+    const ranged = await request(app).get(reading.url).set('Range', 'bytes=0-3');
+    expect(ranged.status).toBe(206);
+    expect(ranged.headers['accept-ranges']).toBe('bytes');
+    expect(ranged.headers['content-range']).toBe(`bytes 0-3/${reading.size}`);
+  });
+
+  test('timings are checked against the poem and the recording', async () => {
+    const refused = await addReading(ann.auth, [{ line: 0, start: 0, end: 5 }]);
+    expect(refused.status).toBe(400);
+    expect(refused.body.code).toBe('INVALID_TIMINGS');
+
+    await addReading(ann.auth);
+    const updated = await request(app).put(`/api/poems/${poemId}/reading/timings`).set(ann.auth)
+      .send({ timings: [{ line: 1, start: 0.5, end: 1.5 }] });
+    expect(updated.body.poem.reading.timings).toEqual([{ line: 1, start: 0.5, end: 1.5 }]);
+
+    const removed = await request(app).delete(`/api/poems/${poemId}/reading`).set(ann.auth);
+    expect(removed.body.poem.reading).toBeNull();
+  });
+
+  test('only the author can add a reading, and only a recording is accepted', async () => {
+    expect((await addReading(bob.auth)).status).toBe(403);
+
+    const notAudio = await request(app).post(`/api/poems/${poemId}/reading`).set(ann.auth)
+      .attach('audio', Buffer.from('<html></html>'), { filename: 'reading.mp3', contentType: 'audio/mpeg' });
+    expect(notAudio.status).toBe(400);
+    expect(notAudio.body.code).toBe('INVALID_AUDIO');
+  });
+});
@@ -0,0 +1,81 @@
+const request = require('supertest');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+// The shared routes behave the same on every backend they are mounted on
+describe.each(['memory', 'sqlite'])('shared routes on %s', (backend) => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let bob;
+  let poemId;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = backend === 'sqlite' ? await openStorage(dir) : null;
+    app = await createApp(dir, { backend, storage });
+    ann = await signUp(app, 'ann');
+    bob = await signUp(app, 'bob');
+
+    const created = await request(app).post('/api/poems').set(ann.auth)
+      .send({ title: 'Draft', body: 'one\ntwo', tags: ['sea'], visibility: 'public' });
+    expect(created.status).toBe(201);
+    poemId = created.body.poem.id;
+  });
+
+  afterEach(() => {
+    if (storage) storage.close();
+    removeDir(dir);
+  });
+
+  test('a poem can be read, liked and commented on', async () => {
+    const read = await request(app).get(`/api/poems/${poemId}`);
+    expect(read.status).toBe(200);
+    expect(read.body.poem).toMatchObject({ title: 'Draft', body: 'one\ntwo', tags: ['sea'] });
+
+    const liked = await request(app).post(`/api/poems/${poemId}/like`).set(bob.auth);
+    expect(liked.body).toMatchObject({ isLiked: true, likeCount: 1 });
+    const unliked = await request(app).post(`/api/poems/${poemId}/like`).set(bob.auth);
+    expect(unliked.body).toMatchObject({ isLiked: false, likeCount: 0 });
+
+    const commented = await request(app).post(`/api/poems/${poemId}/comments`).set(bob.auth).send({ content: 'Lovely' });
+    expect(commented.status).toBe(201);
+    expect(commented.body.comments).toHaveLength(1);
+    expect(commented.body.comments[0].content).toBe('Lovely');
+
+    expect((await request(app).post('/api/poems/missing/like').set(bob.auth)).status).toBe(404);
+  });
+
+  test('users can follow each other', async () => {
+    const followed = await request(app).post(`/api/users/${ann.user.id}/follow`).set(bob.auth);
+    expect(followed.body).toMatchObject({ isFollowing: true, followerCount: 1 });
+
+    const following = await request(app).get(`/api/users/${bob.user.id}/following`);
+    expect(following.body.following.map(user => user.id)).toEqual([ann.user.id]);
+
+    const unfollowed = await request(app).post(`/api/users/${ann.user.id}/follow`).set(bob.auth);
+    expect(unfollowed.body).toMatchObject({ isFollowing: false, followerCount: 0 });
+    expect((await request(app).post(`/api/users/${bob.user.id}/follow`).set(bob.auth)).status).toBe(400);
+  });
+
+  test('only editable fields can be changed', async () => {
+    const edited = await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ author: bob.user.id, likes: [] });
+
+    expect(edited.status).toBe(400);
+    expect(edited.body).toMatchObject({ code: 'FIELD_NOT_EDITABLE', message: 'These fields cannot be edited: author, likes' });
+    expect((await request(app).get(`/api/poems/${poemId}`)).body.poem.author.id).toBe(ann.user.id);
+  });
+
+  test('the ledger records only the fields an edit changed', async () => {
+    const edited = await request(app).put(`/api/poems/${poemId}`).set(ann.auth)
+      .send({ title: 'Draft', body: 'one\nthree', tags: ['sea'] });
+    expect(edited.status).toBe(200);
+
+    // Nothing changed, so nothing is recorded
+    await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ title: 'Draft' });
+
+    const updates = await app.locals.ledger.getEntries({ poemId, eventType: 'POEM_UPDATED' });
+    expect(updates).toHaveLength(1);
+    expect(updates[0].details.fields).toEqual(['body']);
+  });
+});
@@ -0,0 +1,85 @@
+const BlindIndex = require('../src/services/BlindIndex');
+const { tempDir, removeDir, openStorage, createUser, createPoem } = require('./helpers');
+
+describe('BlindIndex', () => {
+  const index = new BlindIndex(null, 'index-secret');
+
+  test('matches words regardless of case and accents', () => {
+    expect(BlindIndex.words('Café, CAFE and a café!')).toEqual(['cafe', 'and']);
+    expect(index.tokensForQuery({ text: 'CAFÉ' }).words).toEqual([index.token('word', 'cafe')]);
+  });
+
+  test('tokens depend on the key and reveal no plaintext', () => {
+    const other = new BlindIndex(null, 'another-secret');
+    const token = index.token('word', 'morning');
+
+    expect(token).not.toMatch(/morning/);
+    expect(other.token('word', 'morning')).not.toBe(token);
+    expect(other.keyFingerprint()).not.toBe(index.keyFingerprint());
+  });
+});
+
+describe('searching encrypted poems', () => {
+  let dir;
+  let storage;
+  let ann;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = await openStorage(dir);
+    ann = await createUser(storage, 'ann');
+  });
+
+  afterEach(() => {
+    storage.close();
+    removeDir(dir);
+  });
+
+  const titlesFor = async (query) => (await storage.searchPoems(query)).poems.map(poem => poem.title);
+
+  test('finds body words, ranked by the number of matching tokens', async () => {
+    await createPoem(storage, ann.id, { title: 'One', body: 'river stones' });
+    await createPoem(storage, ann.id, { title: 'Both', body: 'the river and the stones and the sky' });
+    await createPoem(storage, ann.id, { title: 'None', body: 'desert' });
+
+    expect(await titlesFor({ text: 'river sky' })).toEqual(['Both', 'One']);
+    expect(await titlesFor({ text: 'desert' })).toEqual(['None']);
+  });
+
+  test('filters on tags and exact mood, style and license', async () => {
+    await createPoem(storage, ann.id, { title: 'Hopeful', tags: ['Sea', 'night'], mood: 'hopeful', style: 'haiku' });
+    await createPoem(storage, ann.id, { title: 'Grim', tags: ['sea'], mood: 'grim', style: 'haiku' });
+
+    expect(await titlesFor({ tags: ['sea'] })).toEqual(expect.arrayContaining(['Hopeful', 'Grim']));
+    expect(await titlesFor({ mood: 'Hopeful' })).toEqual(['Hopeful']);
+    expect(await titlesFor({ mood: 'hope' })).toEqual([]);
+    expect(await titlesFor({ style: 'haiku', mood: 'grim' })).toEqual(['Grim']);
+    expect(await titlesFor({ license: 'CC BY 4.0', tags: ['night'] })).toEqual(['Hopeful']);
+  });
+
+  test('keeps the index in step with edits, trash and visibility, storing no plaintext', async () => {
+    const poem = await createPoem(storage, ann.id, { title: 'Tide', body: 'lantern' });
+    await createPoem(storage, ann.id, { title: 'Hidden', body: 'lantern', visibility: 'private' });
+
+    const tokens = storage.db.prepare('SELECT token FROM poem_search_tokens').all().map(row => row.token);
+    expect(tokens.join(' ')).not.toMatch(/lantern|tide/i);
+    expect(await titlesFor({ text: 'lantern' })).toEqual(['Tide']);
+
+    await storage.updatePoem(poem.id, ann.id, { body: 'candle' });
+    expect(await titlesFor({ text: 'lantern' })).toEqual([]);
+    expect(await titlesFor({ text: 'candle' })).toEqual(['Tide']);
+
+    await storage.deletePoem(poem.id, ann.id);
+    expect(await titlesFor({ text: 'candle' })).toEqual([]);
+  });
+
+  test('rebuilds the index when its key changes', async () => {
+    await createPoem(storage, ann.id, { body: 'lantern' });
+    storage.close();
+
+    storage = await openStorage(dir, { SEARCH_INDEX_KEY: 'a-new-index-key' });
+
+    expect(await titlesFor({ text: 'lantern' })).toEqual(['Morning']);
+    expect((await storage.findUserByUsername('ann')).id).toBe(ann.id);
+  });
+});
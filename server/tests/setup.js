@@ -0,0 +1,4 @@
+// Services narrate startup and background jobs on console.log and warn about
+// optional settings; keep test output to failures and console.error
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const SigningKeyring = require('../src/services/SigningKeyring');
+const { verifySignature, keyIdOfSignature, publicJwkOf } = require('../src/utils/signatures');
+const { tempDir, removeDir, createApp, signUp } = require('./helpers');
+
+describe('SigningKeyring', () => {
+  let dir;
+  let keysPath;
+
+  beforeEach(() => {
+    dir = tempDir();
+    keysPath = path.join(dir, 'ledger_signing_keys.json');
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  const openKeyring = () => {
+    const keyring = new SigningKeyring({ directory: dir });
+    keyring.initialize();
+    return keyring;
+  };
+
+  test('creates one active key on first start, readable only by its owner, and keeps it', () => {
+    const keyring = openKeyring();
+    const { kid } = keyring.activeKey;
+
+    expect(fs.statSync(keysPath).mode & 0o777).toBe(0o600);
+    expect(kid).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(openKeyring().activeKey.kid).toBe(kid);
+    expect(keyring.getPublicKeySet().keys).toEqual([
+      expect.objectContaining({ kty: 'OKP', crv: 'Ed25519', kid, use: 'sig', alg: 'EdDSA', retiredAt: null })
+    ]);
+  });
+
+  test('rotation retires the key but keeps its signatures verifiable', () => {
+    const keyring = openKeyring();
+    const oldSignature = keyring.sign('entry hash');
+    const oldKid = keyring.activeKey.kid;
+
+    const newKid = keyring.rotate();
+    const reopened = openKeyring();
+
+    expect(reopened.activeKey.kid).toBe(newKid);
+    expect(reopened.keys.find(key => key.kid === oldKid)).toMatchObject({ privateKey: null, retiredAt: expect.any(String) });
+    expect(reopened.verify('entry hash', oldSignature)).toEqual({ valid: true, keyId: oldKid, reason: null });
+    expect(reopened.sign('entry hash').keyId).toBe(newKid);
+  });
+
+  test('refuses a key file without exactly one active key', () => {
+    const keyring = openKeyring();
+    const { keys } = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+    fs.writeFileSync(keysPath, JSON.stringify({ keys: [...keys, { ...keys[0], kid: 'copy' }] }));
+
+    expect(() => new SigningKeyring({ directory: dir }).initialize()).toThrow('must hold exactly one active signing key');
+    expect(keyring.activeKey).not.toBeNull();
+  });
+
+  test('publishes a key that signed before the keyring existed', () => {
+    const keyring = openKeyring();
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const kid = keyring.importRetiredKey(privateKey.export({ type: 'pkcs8', format: 'pem' }));
+
+    // Old checkpoints name their public key instead of a key id
+    const signature = {
+      algorithm: 'Ed25519',
+      publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'),
+      value: crypto.sign(null, Buffer.from('root'), privateKey).toString('base64')
+    };
+
+    expect(kid).toBe(publicJwkOf(privateKey).kid);
+    expect(keyIdOfSignature(signature)).toBe(kid);
+    expect(keyring.verify('root', signature).valid).toBe(true);
+  });
+});
+
+describe('verifySignature', () => {
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const jwk = publicJwkOf(privateKey);
+  const keySet = { keys: [jwk] };
+  const signature = { algorithm: 'Ed25519', keyId: jwk.kid, value: crypto.sign(null, Buffer.from('data'), privateKey).toString('base64') };
+
+  test('accepts the signed data only', () => {
+    expect(verifySignature('data', signature, keySet).valid).toBe(true);
+    expect(verifySignature('other', signature, keySet)).toMatchObject({ valid: false, reason: 'Signature does not match' });
+  });
+
+  test('names what is wrong with signatures it cannot check', () => {
+    expect(verifySignature('data', { ...signature, algorithm: 'RS256' }, keySet).reason).toBe('Not an Ed25519 signature');
+    expect(verifySignature('data', signature, { keys: [] }).reason).toBe(`Signing key ${jwk.kid} is not in the published key set`);
+    expect(verifySignature('data', null, keySet).valid).toBe(false);
+  });
+});
+
+describe('signed ledger entries', () => {
+  let dir;
+  let app;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    app = await createApp(dir);
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('every entry verifies against the published key set', async () => {
+    const ann = await signUp(app, 'ann');
+    await request(app).post('/api/poems').set(ann.auth).send({ title: 'Signed', body: 'text' });
+
+    const published = await request(app).get('/.well-known/jwks.json');
+    expect(published.headers['cache-control']).toBe('public, max-age=300');
+
+    const entries = await app.locals.ledger.getEntries();
+    expect(entries.length).toBeGreaterThan(0);
+    entries.forEach(entry => {
+      expect(verifySignature(entry.entryHash, entry.signature, published.body).valid).toBe(true);
+    });
+  });
+});
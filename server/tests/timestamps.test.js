@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const path = require('path');
+const request = require('supertest');
+const Ledger = require('../src/services/Ledger');
+const LedgerTimestamps = require('../src/services/LedgerTimestamps');
+const LocalTimestampAuthority = require('../src/services/LocalTimestampAuthority');
+const { buildRequest, createNonce, parseResponse, verifyToken } = require('../src/utils/timestamp');
+const { verifyCertificate } = require('../src/utils/certificateVerifier');
+const { tempDir, removeDir, createApp, signUp } = require('./helpers');
+
+const hashOf = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+describe('the local timestamp authority', () => {
+  let dir;
+  let authority;
+
+  beforeEach(() => {
+    dir = tempDir();
+    authority = new LocalTimestampAuthority({ directory: dir });
+    authority.initialize();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  const stamp = (hash, nonce = null) => parseResponse(authority.respond(buildRequest(hash, { nonce })));
+
+  test('answers requests with tokens that verify against its certificate', () => {
+    const hash = hashOf('poem');
+    const nonce = createNonce();
+    const before = Date.now();
+
+    const result = verifyToken(stamp(hash, nonce), { hash, nonce, trustedCertificates: [authority.certificate.toString()] });
+
+    expect(result).toMatchObject({ valid: true, trusted: true, reason: null, policy: '1.2.3.4.1' });
+    expect(new Date(result.genTime).getTime()).toBeGreaterThanOrEqual(Math.floor(before / 1000) * 1000);
+    expect(result.signer.subject).toContain('Public Codex local timestamp authority');
+  });
+
+  test('keeps its key and certificate across restarts', () => {
+    const reopened = new LocalTimestampAuthority({ directory: dir });
+    reopened.initialize();
+
+    expect(reopened.certificate.fingerprint256).toBe(authority.certificate.fingerprint256);
+  });
+
+  test('tokens fail for another hash, another nonce or an untrusted authority', () => {
+    const hash = hashOf('poem');
+    const token = stamp(hash, 7n);
+    const other = new LocalTimestampAuthority({ directory: path.join(dir, 'other') });
+    other.initialize();
+
+    expect(verifyToken(token, { hash: hashOf('other poem') }).reason).toBe('The token is for a different hash');
+    expect(verifyToken(token, { hash, nonce: 8n }).reason).toBe('The token does not echo the request nonce');
+    expect(verifyToken(token, { hash, trustedCertificates: [other.certificate.toString()] }))
+      .toMatchObject({ valid: false, trusted: false, reason: 'The timestamp authority is not trusted' });
+    expect(verifyToken(token, { hash })).toMatchObject({ valid: true, trusted: null });
+  });
+
+  test('rejects requests it cannot read', () => {
+    expect(() => parseResponse(authority.respond(Buffer.from('not a request')))).toThrow();
+  });
+});
+
+describe('LedgerTimestamps', () => {
+  let dir;
+  let ledger;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    ledger = Ledger.createLedger('memory', { ledgerPath: path.join(dir, 'ledger.jsonl') });
+    await ledger.initialize();
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('timestamps entries with a content hash and keeps the tokens', async () => {
+    const timestamps = new LedgerTimestamps(ledger, { url: 'local' });
+    timestamps.initialize();
+
+    const created = await ledger.record({ eventType: 'POEM_CREATED', poemId: 'p1', authorId: 'u1', actorId: 'u1', contentHash: hashOf('poem') });
+    const login = await ledger.record({ eventType: 'USER_LOGIN', authorId: 'u1', actorId: 'u1' });
+    expect(await timestamps.runOnce()).toMatchObject({ ok: true, pending: 0 });
+
+    const record = timestamps.find(created.id);
+    expect(record).toMatchObject({ entryId: created.id, contentHash: created.contentHash, authority: 'local' });
+    expect(timestamps.verify(record.token, created.contentHash)).toMatchObject({ valid: true, trusted: true });
+    expect(timestamps.find(login.id)).toBeNull();
+
+    const reopened = new LedgerTimestamps(ledger, { url: 'local' });
+    reopened.initialize();
+    expect(reopened.find(created.id)).toEqual(record);
+  });
+
+  test('is off without an authority', () => {
+    const timestamps = new LedgerTimestamps(ledger, { url: null });
+    timestamps.initialize();
+
+    expect(timestamps.getStatus()).toMatchObject({ enabled: false, timestampedEntries: 0 });
+  });
+});
+
+describe('timestamps in certificates', () => {
+  let dir;
+  let app;
+  let timestamps;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    app = await createApp(dir);
+    // The app as started with TSA_URL=local
+    timestamps = new LedgerTimestamps(app.locals.ledger, { url: 'local' });
+    timestamps.initialize();
+    app.locals.ledgerTimestamps = timestamps;
+    app.locals.ledgerService.timestamps = timestamps;
+  });
+
+  afterEach(() => {
+    removeDir(dir);
+  });
+
+  test('carry the token, which verifies offline against the authority\'s certificate', async () => {
+    const ann = await signUp(app, 'ann');
+    const id = (await request(app).post('/api/poems').set(ann.auth).send({ title: 'Dated', body: 'text', visibility: 'public' })).body.poem.id;
+    await app.locals.ledgerCheckpoints.runOnce();
+
+    const { certificate } = (await request(app).get(`/api/poems/${id}/certificate`)).body;
+    const keySet = (await request(app).get('/.well-known/jwks.json')).body;
+    expect(certificate.trustedTimestamp).toMatchObject({ authority: 'local', genTime: expect.any(String), token: expect.any(String) });
+
+    const trusted = verifyCertificate({ certificate, text: 'text', keySet, tsaCertificates: timestamps.trustedCertificates });
+    expect(trusted.valid).toBe(true);
+    expect(trusted.checks.filter(check => /timestamp/i.test(check.check))).toEqual([
+      expect.objectContaining({ check: 'Trusted timestamp', ok: true }),
+      expect.objectContaining({ check: 'Timestamp authority is trusted', ok: true })
+    ]);
+
+    const unchecked = verifyCertificate({ certificate, text: 'text', keySet });
+    expect(unchecked.checks.find(check => check.check === 'Timestamp authority is trusted').ok).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const { contentHashOf } = require('../src/utils/poemHash');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+// Only the clock is faked; supertest and the repositories keep real timers
+const fakeClock = () => jest.useFakeTimers({
+  doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+    'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+});
+
+describe.each(['memory', 'sqlite'])('poem transfers on %s', (backend) => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let bob;
+  let cat;
+  let poemId;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = backend === 'sqlite' ? await openStorage(dir) : null;
+    app = await createApp(dir, { backend, storage });
+    ann = await signUp(app, 'ann');
+    bob = await signUp(app, 'bob');
+    cat = await signUp(app, 'cat');
+    poemId = (await request(app).post('/api/poems').set(ann.auth)
+      .send({ title: 'Given', body: 'text', visibility: 'private' })).body.poem.id;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    if (storage) storage.close();
+    removeDir(dir);
+  });
+
+  const offer = (to = bob, fields = {}) => request(app).post(`/api/poems/${poemId}/transfers`).set(ann.auth)
+    .send({ toUserId: to.user.id, ...fields });
+
+  const answer = (transferId, user, verb) => request(app).post(`/api/transfers/${transferId}/${verb}`).set(user.auth);
+
+  test('the recipient accepts, becomes the author, and both histories record it', async () => {
+    const { transfer } = (await offer().expect(201)).body;
+    expect(transfer).toMatchObject({ poemId, fromUserId: ann.user.id, toUserId: bob.user.id, status: 'pending' });
+
+    // The offer shows the private poem's title to its recipient
+    const [listed] = (await request(app).get('/api/transfers').set(bob.auth)).body.transfers;
+    expect(listed).toMatchObject({ id: transfer.id, poem: { id: poemId, title: 'Given' }, from: { username: 'ann' }, to: { username: 'bob' } });
+
+    const accepted = await answer(transfer.id, bob, 'accept');
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.transfer.status).toBe('accepted');
+    expect(accepted.body.poem.contentHash).toBe(contentHashOf('Given', 'text', bob.user.id));
+
+    expect((await request(app).get(`/api/poems/${poemId}`).set(bob.auth)).body.poem.author.id).toBe(bob.user.id);
+    expect((await request(app).put(`/api/poems/${poemId}`).set(ann.auth).send({ title: 'Taken back' })).status).toBe(404);
+
+    const [entry] = await app.locals.ledger.getEntries({ eventType: 'POEM_TRANSFERRED' });
+    expect(entry).toMatchObject({
+      poemId,
+      authorId: bob.user.id,
+      actorId: bob.user.id,
+      contentHash: accepted.body.poem.contentHash,
+      details: { transferId: transfer.id, fromAuthorId: ann.user.id, toAuthorId: bob.user.id }
+    });
+    for (const user of [ann, bob]) {
+      const { history } = (await request(app).get('/api/users/authorship-history/me').set(user.auth)).body;
+      expect(history.map(item => item.eventType)).toContain('POEM_TRANSFERRED');
+    }
+  });
+
+  test('only the parties see a transfer, and each may only give their own answer', async () => {
+    const { transfer } = (await offer()).body;
+
+    expect((await offer(cat)).body.code).toBe('TRANSFER_PENDING');
+    expect((await answer(transfer.id, cat, 'accept')).status).toBe(404);
+    expect((await answer(transfer.id, ann, 'accept')).status).toBe(403);
+    expect((await answer(transfer.id, bob, 'cancel')).status).toBe(403);
+
+    expect((await answer(transfer.id, bob, 'decline')).body.transfer.status).toBe('declined');
+    expect((await answer(transfer.id, bob, 'accept')).body.code).toBe('TRANSFER_SETTLED');
+
+    // Settled, so the poem can be offered again, and cancelled
+    const again = (await offer(cat)).body.transfer;
+    expect((await answer(again.id, ann, 'cancel')).body.transfer.status).toBe('cancelled');
+    expect(await app.locals.ledger.getEntries({ eventType: 'POEM_TRANSFERRED' })).toEqual([]);
+  });
+
+  test('offers are checked before they are made', async () => {
+    expect((await offer(ann)).status).toBe(400);
+    expect((await offer({ user: { id: 'nobody' } })).status).toBe(404);
+    expect((await offer(bob, { expiresInDays: 0 })).status).toBe(400);
+    expect((await request(app).post(`/api/poems/${poemId}/transfers`).set(bob.auth).send({ toUserId: cat.user.id })).status).toBe(404);
+  });
+
+  test('an offer cannot be accepted once it has expired', async () => {
+    const { transfer } = (await offer(bob, { expiresInDays: 1 })).body;
+
+    fakeClock();
+    jest.setSystemTime(new Date(transfer.expiresAt).getTime() + 1000);
+
+    const late = await answer(transfer.id, bob, 'accept');
+    expect(late.status).toBe(409);
+    expect(late.body.code).toBe('TRANSFER_EXPIRED');
+    expect((await request(app).get('/api/transfers').set(ann.auth)).body.transfers[0].status).toBe('expired');
+
+    // An expired offer no longer holds the poem
+    expect((await offer(cat)).status).toBe(201);
+  });
+
+  test('an offer of a poem deleted since is cancelled when accepted', async () => {
+    const { transfer } = (await offer()).body;
+    await request(app).delete(`/api/poems/${poemId}`).set(ann.auth);
+
+    const accepted = await answer(transfer.id, bob, 'accept');
+    expect(accepted.status).toBe(409);
+    expect(accepted.body.code).toBe('POEM_UNAVAILABLE');
+    expect((await request(app).get('/api/transfers').set(bob.auth)).body.transfers[0]).toMatchObject({ status: 'cancelled', poem: null });
+  });
+});
@@ -0,0 +1,73 @@
+const request = require('supertest');
+const TrashPurgeJob = require('../src/services/TrashPurgeJob');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe.each(['memory', 'sqlite'])('trash on %s', (backend) => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let bob;
+  let poemId;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = backend === 'sqlite' ? await openStorage(dir) : null;
+    app = await createApp(dir, { backend, storage });
+    ann = await signUp(app, 'ann');
+    bob = await signUp(app, 'bob');
+
+    const created = await request(app).post('/api/poems').set(ann.auth)
+      .send({ title: 'Draft', body: 'one\ntwo', visibility: 'public' });
+    poemId = created.body.poem.id;
+  });
+
+  afterEach(() => {
+    if (storage) storage.close();
+    removeDir(dir);
+  });
+
+  const eventsOf = async (id) => (await app.locals.ledger.getEntries({ poemId: id })).map(entry => entry.eventType);
+
+  test('a deleted poem is only visible to its author until restored', async () => {
+    const deleted = await request(app).delete(`/api/poems/${poemId}`).set(ann.auth);
+    expect(deleted.status).toBe(200);
+    expect(new Date(deleted.body.purgeAt) - new Date(deleted.body.deletedAt)).toBe(30 * DAY_MS);
+
+    expect((await request(app).get(`/api/poems/${poemId}`)).status).toBe(404);
+    expect((await request(app).get('/api/poems/trash').set(ann.auth)).body.poems.map(poem => poem.id)).toEqual([poemId]);
+    expect((await request(app).get('/api/poems/trash').set(bob.auth)).body.poems).toEqual([]);
+    expect((await request(app).post(`/api/poems/${poemId}/restore`).set(bob.auth)).status).toBe(404);
+
+    const restored = await request(app).post(`/api/poems/${poemId}/restore`).set(ann.auth);
+    expect(restored.status).toBe(200);
+    expect((await request(app).get(`/api/poems/${poemId}`)).body.poem.title).toBe('Draft');
+    expect(await eventsOf(poemId)).toEqual(['POEM_CREATED', 'POEM_DELETED', 'POEM_RESTORED']);
+  });
+
+  test('the purge job removes expired poems with their transfers and index entries', async () => {
+    const { repositories, ledger } = app.locals;
+    const offered = await request(app).post(`/api/poems/${poemId}/transfers`).set(ann.auth).send({ toUserId: bob.user.id });
+    expect(offered.status).toBe(201);
+    await request(app).delete(`/api/poems/${poemId}`).set(ann.auth);
+
+    const vectorService = { isReady: true, deletePoem: jest.fn().mockResolvedValue() };
+    const job = new TrashPurgeJob(repositories.poems, { ledger, vectorService });
+
+    // Still inside the retention period
+    expect(await job.runOnce()).toMatchObject({ ok: true, purged: 0 });
+
+    expect(await job.runOnce(new Date(Date.now() + 31 * DAY_MS))).toMatchObject({ ok: true, purged: 1, failed: 0 });
+    expect(vectorService.deletePoem).toHaveBeenCalledWith(poemId);
+    expect(await repositories.transfers.findById(offered.body.transfer.id)).toBeNull();
+    expect((await request(app).get('/api/poems/trash').set(ann.auth)).body.poems).toEqual([]);
+    expect((await eventsOf(poemId)).slice(-1)).toEqual(['POEM_PURGED']);
+  });
+
+  test('a poem not in the trash is never purged', async () => {
+    expect(await app.locals.repositories.poems.purge(poemId)).toBe(false);
+    expect((await request(app).get(`/api/poems/${poemId}`)).status).toBe(200);
+  });
+});
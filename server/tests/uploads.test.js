@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const request = require('supertest');
+const sharp = require('sharp');
+const UploadSweeper = require('../src/services/UploadSweeper');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+const PNG_MAGIC = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+// Collect any response body as a Buffer
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('encrypted uploads', () => {
+  let dir;
+  let storage;
+  let app;
+  let uploads;
+  let ann;
+  let bob;
+  let image;
+
+  beforeAll(async () => {
+    image = await sharp({ create: { width: 40, height: 30, channels: 3, background: '#336699' } }).png().toBuffer();
+  });
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = await openStorage(dir);
+    app = await createApp(dir, { backend: 'sqlite', storage });
+    uploads = app.locals.uploads;
+    ann = await signUp(app, 'ann');
+    bob = await signUp(app, 'bob');
+  });
+
+  afterEach(() => {
+    storage.close();
+    removeDir(dir);
+  });
+
+  const publishWithImage = async (visibility) => {
+    const created = await request(app).post('/api/poems').set(ann.auth)
+      .field('title', 'Pictured').field('body', 'text').field('visibility', visibility)
+      .attach('image', image, 'picture.png');
+    expect(created.status).toBe(201);
+    return created.body.poem;
+  };
+
+  const fetch = (url, auth = {}) => request(app).get(url).set(auth).buffer(true).parse(binary);
+
+  test('images are stored encrypted and streamed back to readers of the poem', async () => {
+    const poem = await publishWithImage('public');
+    const id = poem.image.split('/').pop();
+
+    const onDisk = fs.readFileSync(uploads.filePath(id));
+    expect(onDisk.subarray(0, 4).toString()).toBe('PCU1');
+    expect(onDisk.includes(PNG_MAGIC)).toBe(false);
+
+    const served = await fetch(poem.image);
+    expect(served.status).toBe(200);
+    expect(served.headers['content-type']).toBe('image/png');
+    expect(served.headers['cache-control']).toBe('public, max-age=86400');
+    expect(served.body.subarray(0, 4)).toEqual(PNG_MAGIC);
+  });
+
+  test('the image of a private poem is only served to those who can read the poem', async () => {
+    const poem = await publishWithImage('private');
+
+    expect((await fetch(poem.image)).status).toBe(404);
+    expect((await fetch(poem.image, bob.auth)).status).toBe(404);
+
+    const own = await fetch(poem.image, ann.auth);
+    expect(own.status).toBe(200);
+    expect(own.headers['cache-control']).toBe('private, no-store');
+  });
+
+  test('byte ranges are served across chunk boundaries', async () => {
+    const data = crypto.randomBytes(150 * 1024);
+    const upload = await uploads.save(data, { authorId: ann.user.id, mimeType: 'application/octet-stream' });
+    const url = `/api/uploads/${upload.id}`;
+
+    // Not attached to a poem yet: only its uploader can read it
+    expect((await fetch(url, bob.auth)).status).toBe(404);
+
+    const ranged = await fetch(url, ann.auth).set('Range', 'bytes=65530-65545');
+    expect(ranged.status).toBe(206);
+    expect(ranged.headers['content-range']).toBe(`bytes 65530-65545/${data.length}`);
+    expect(ranged.body).toEqual(data.subarray(65530, 65546));
+
+    const suffix = await fetch(url, ann.auth).set('Range', 'bytes=-10');
+    expect(suffix.body).toEqual(data.subarray(-10));
+
+    const outside = await fetch(url, ann.auth).set('Range', `bytes=${data.length}-`);
+    expect(outside.status).toBe(416);
+  });
+
+  test('a tampered file is refused', async () => {
+    const upload = await uploads.save(Buffer.from('reading notes'), { authorId: ann.user.id, mimeType: 'text/plain' });
+    const file = uploads.filePath(upload.id);
+    const sealed = fs.readFileSync(file);
+    sealed[sealed.length - 20] ^= 0xff;
+    fs.writeFileSync(file, sealed);
+
+    const errors = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const response = await request(app).get(`/api/uploads/${upload.id}`).set(ann.auth);
+      expect(response.status).toBe(500);
+      expect(response.body.code).toBe('RECORD_TAMPERED');
+    } finally {
+      errors.mockRestore();
+    }
+  });
+
+  test('the sweeper removes uploads whose poem is gone and stale unattached ones', async () => {
+    const poem = await publishWithImage('public');
+    const id = poem.image.split('/').pop();
+    const unattached = await uploads.save(Buffer.from('draft'), { authorId: ann.user.id, mimeType: 'text/plain' });
+
+    const { poems } = app.locals.repositories;
+    await poems.delete(poem.id);
+    await poems.purge(poem.id);
+
+    const sweeper = new UploadSweeper(uploads);
+    expect(await sweeper.runOnce()).toMatchObject({ ok: true, removed: 1 });
+    expect(fs.existsSync(uploads.filePath(id))).toBe(false);
+    expect(await uploads.find(unattached.id)).not.toBeNull();
+
+    // Unattached uploads get a grace period
+    expect(await sweeper.runOnce(new Date(Date.now() + 2 * 60 * 60 * 1000))).toMatchObject({ removed: 1 });
+    expect(await uploads.find(unattached.id)).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { tempDir, removeDir, openStorage, createApp, signUp } = require('./helpers');
+
+// Only the clock is faked; supertest and the repositories keep real timers
+const fakeClock = () => jest.useFakeTimers({
+  doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+    'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+});
+
+describe.each(['memory', 'sqlite'])('visibility on %s', (backend) => {
+  let dir;
+  let storage;
+  let app;
+  let ann;
+  let bob;
+  let cat;
+
+  beforeEach(async () => {
+    dir = tempDir();
+    storage = backend === 'sqlite' ? await openStorage(dir) : null;
+    app = await createApp(dir, { backend, storage });
+    ann = await signUp(app, 'ann');
+    bob = await signUp(app, 'bob');
+    cat = await signUp(app, 'cat');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    if (storage) storage.close();
+    removeDir(dir);
+  });
+
+  const publish = async (visibility) => (await request(app).post('/api/poems').set(ann.auth)
+    .send({ title: visibility, body: 'text', visibility })).body.poem.id;
+
+  const statusFor = async (id, auth = {}, share) => (
+    await request(app).get(`/api/poems/${id}`).set(auth).query(share ? { share } : {})
+  ).status;
+
+  test('only public poems are listed, and the author sees the rest', async () => {
+    await publish('public');
+    await publish('unlisted');
+    await publish('private');
+
+    const titles = async (url, auth = {}) => (await request(app).get(url).set(auth)).body.poems.map(poem => poem.title).sort();
+    expect(await titles('/api/poems')).toEqual(['public']);
+    expect(await titles(`/api/users/${ann.user.id}/poems`, bob.auth)).toEqual(['public']);
+    expect(await titles(`/api/users/${ann.user.id}/poems`, ann.auth)).toEqual(['private', 'public', 'unlisted']);
+  });
+
+  test('an unlisted poem opens only through a live share link, up to its view limit', async () => {
+    const id = await publish('unlisted');
+    expect(await statusFor(id, bob.auth)).toBe(404);
+    expect(await statusFor(id, ann.auth)).toBe(200);
+
+    const created = await request(app).post(`/api/poems/${id}/share-links`).set(ann.auth).send({ maxViews: 2 });
+    expect(created.status).toBe(201);
+    const { token, id: linkId } = created.body.link;
+
+    expect(await statusFor(id, {}, token)).toBe(200);
+    expect(await statusFor(id, {}, 'not-the-token')).toBe(404);
+    expect(await statusFor(id, bob.auth, token)).toBe(200);
+    expect(await statusFor(id, {}, token)).toBe(404);
+
+    // Listed without the token, which is only shown once
+    const links = (await request(app).get(`/api/poems/${id}/share-links`).set(ann.auth)).body.links;
+    expect(links).toHaveLength(1);
+    expect(links[0]).toMatchObject({ id: linkId, viewCount: 2, maxViews: 2 });
+    expect(links[0].token).toBeUndefined();
+
+    const another = (await request(app).post(`/api/poems/${id}/share-links`).set(ann.auth).send({})).body.link;
+    expect((await request(app).delete(`/api/poems/${id}/share-links/${another.id}`).set(ann.auth)).status).toBe(200);
+    expect(await statusFor(id, {}, another.token)).toBe(404);
+  });
+
+  test('a share link stops working when it expires', async () => {
+    const id = await publish('unlisted');
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    const { token } = (await request(app).post(`/api/poems/${id}/share-links`).set(ann.auth)
+      .send({ expiresAt: expiresAt.toISOString() })).body.link;
+
+    expect(await statusFor(id, {}, token)).toBe(200);
+
+    fakeClock();
+    jest.setSystemTime(expiresAt.getTime() + 1000);
+    expect(await statusFor(id, {}, token)).toBe(404);
+  });
+
+  test('share links are refused on poems that are not unlisted or not the author\'s, and with a past expiry', async () => {
+    const publicId = await publish('public');
+    const unlistedId = await publish('unlisted');
+
+    expect((await request(app).post(`/api/poems/${publicId}/share-links`).set(ann.auth).send({})).status).toBe(400);
+    expect((await request(app).post(`/api/poems/${unlistedId}/share-links`).set(ann.auth)
+      .send({ expiresAt: '2000-01-01T00:00:00Z' })).status).toBe(400);
+    expect((await request(app).post(`/api/poems/${unlistedId}/share-links`).set(bob.auth).send({})).status).toBe(404);
+  });
+
+  test('a private poem is readable by the users on its access list', async () => {
+    const id = await publish('private');
+    expect(await statusFor(id, bob.auth)).toBe(404);
+
+    const granted = await request(app).put(`/api/poems/${id}/access/${bob.user.id}`).set(ann.auth);
+    expect(granted.status).toBe(200);
+    expect(await statusFor(id, bob.auth)).toBe(200);
+    expect(await statusFor(id, cat.auth)).toBe(404);
+    expect(await statusFor(id)).toBe(404);
+
+    await request(app).delete(`/api/poems/${id}/access/${bob.user.id}`).set(ann.auth);
+    expect(await statusFor(id, bob.auth)).toBe(404);
+  });
+});